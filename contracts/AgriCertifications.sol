@@ -0,0 +1,143 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./IAgriSupplyChain.sol";
+
+// Certification attestations: certifying bodies (participants holding CERTIFIER_ROLE on the
+// supply chain contract) certify a farmer, or one of the farmer's products, against a standard
+// until an expiry date. Unlike the self-declared strings passed to createProduct, an attestation
+// records who vouches for the claim and can be revoked.
+contract AgriCertifications {
+
+    struct Certification {
+        address issuer;
+        address farmer;
+        uint256 productId;  // 0 covers every product of the farmer
+        string standard;    // e.g. "USDA Organic"
+        string scope;       // what was audited, e.g. "Field 4, tomatoes and peppers"
+        bool organic;       // backs an organic claim
+        uint256 issuedAt;
+        uint256 expiresAt;
+        bool revoked;
+    }
+
+    IAgriSupplyChain public immutable supplyChain;
+
+    mapping(uint256 => Certification) public certifications;
+    mapping(address => uint256[]) internal farmerCertifications; // farm-wide and product certifications
+    mapping(uint256 => uint256[]) internal productCertifications;
+    uint256 public nextCertificationId = 1;
+
+    event CertificationIssued(uint256 indexed certificationId, address indexed issuer, address indexed farmer, uint256 productId, string standard, bool organic, uint256 expiresAt);
+    event CertificationRevoked(uint256 indexed certificationId, address indexed revokedBy, string reason);
+
+    // Attestations follow the supply chain's emergency pause
+    modifier whenNotPaused() {
+        require(!supplyChain.paused(), "Pausable: paused");
+        _;
+    }
+
+    constructor(IAgriSupplyChain _supplyChain) {
+        supplyChain = _supplyChain;
+    }
+
+    function issueCertification(
+        address _farmer,
+        uint256 _productId,
+        string memory _standard,
+        string memory _scope,
+        bool _organic,
+        uint256 _expiresAt
+    ) external whenNotPaused returns (uint256) {
+        require(supplyChain.hasRole(supplyChain.CERTIFIER_ROLE(), msg.sender), "Not a certifier");
+        require(isActiveParticipant(msg.sender), "Certifier not active");
+        require(isActiveParticipant(_farmer), "Farmer not registered");
+        require(_farmer != msg.sender, "Cannot certify yourself");
+        require(bytes(_standard).length > 0, "Standard cannot be empty");
+        require(_expiresAt > block.timestamp, "Expiry must be in the future");
+
+        if (_productId != 0) {
+            (, , , , , address farmer, , ) = supplyChain.products(_productId);
+            require(farmer == _farmer, "Product not owned by farmer");
+        }
+
+        uint256 certificationId = nextCertificationId++;
+
+        Certification storage certification = certifications[certificationId];
+        certification.issuer = msg.sender;
+        certification.farmer = _farmer;
+        certification.productId = _productId;
+        certification.standard = _standard;
+        certification.scope = _scope;
+        certification.organic = _organic;
+        certification.issuedAt = block.timestamp;
+        certification.expiresAt = _expiresAt;
+
+        farmerCertifications[_farmer].push(certificationId);
+        if (_productId != 0) {
+            productCertifications[_productId].push(certificationId);
+        }
+
+        emit CertificationIssued(certificationId, msg.sender, _farmer, _productId, _standard, _organic, _expiresAt);
+        return certificationId;
+    }
+
+    // The issuing body or the supply chain owner may withdraw a certification
+    function revokeCertification(uint256 _certificationId, string memory _reason) external whenNotPaused {
+        Certification storage certification = certifications[_certificationId];
+        require(certification.issuer != address(0), "Invalid certification ID");
+        require(!certification.revoked, "Already revoked");
+        require(msg.sender == certification.issuer || msg.sender == supplyChain.owner(), "Not authorized to revoke");
+        require(bytes(_reason).length > 0, "Reason cannot be empty");
+
+        certification.revoked = true;
+
+        emit CertificationRevoked(_certificationId, msg.sender, _reason);
+    }
+
+    function isValid(uint256 _certificationId) public view returns (bool) {
+        Certification storage certification = certifications[_certificationId];
+        return certification.issuer != address(0) && !certification.revoked && block.timestamp < certification.expiresAt;
+    }
+
+    // Every certification issued to a farmer, farm-wide or for one product
+    function getFarmerCertifications(address _farmer) external view returns (uint256[] memory) {
+        return farmerCertifications[_farmer];
+    }
+
+    // Certifications covering a product: its own followed by its farmer's farm-wide ones
+    function getProductCertifications(uint256 _productId) public view returns (uint256[] memory ids) {
+        (, , , , , address farmer, , ) = supplyChain.products(_productId);
+        uint256[] storage own = productCertifications[_productId];
+        uint256[] storage issued = farmerCertifications[farmer];
+
+        uint256 count = own.length;
+        for (uint256 i = 0; i < issued.length; i++) {
+            if (certifications[issued[i]].productId == 0) count++;
+        }
+
+        ids = new uint256[](count);
+        for (uint256 i = 0; i < own.length; i++) {
+            ids[i] = own[i];
+        }
+        count = own.length;
+        for (uint256 i = 0; i < issued.length; i++) {
+            if (certifications[issued[i]].productId == 0) ids[count++] = issued[i];
+        }
+    }
+
+    // Whether the product's organic claim is backed by a valid organic certification
+    function hasValidOrganicCertification(uint256 _productId) external view returns (bool) {
+        uint256[] memory ids = getProductCertifications(_productId);
+        for (uint256 i = 0; i < ids.length; i++) {
+            if (certifications[ids[i]].organic && isValid(ids[i])) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    function isActiveParticipant(address _account) internal view returns (bool isActive) {
+        (, , , isActive, ) = supplyChain.participants(_account);
+    }
+}
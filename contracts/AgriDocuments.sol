@@ -0,0 +1,93 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./IAgriSupplyChain.sol";
+
+// Document anchors: the SHA-256 of a file kept off chain (lab result, phytosanitary certificate,
+// invoice, ...) recorded against a batch, so a stored copy can later be shown to be unaltered.
+// Anchors are written by the batch's current or past custodians, inspectors and certifiers.
+contract AgriDocuments {
+
+    struct Document {
+        bytes32 contentHash; // SHA-256 of the file
+        string documentType;
+        address uploader;
+        uint256 timestamp;
+    }
+
+    IAgriSupplyChain public immutable supplyChain;
+
+    mapping(uint256 => Document[]) internal batchDocuments;
+    mapping(uint256 => mapping(bytes32 => bool)) public isAnchored; // batchId -> content hash -> anchored
+
+    event DocumentAnchored(uint256 indexed batchId, uint256 index, bytes32 indexed contentHash, string documentType, address indexed uploader);
+
+    // Anchoring follows the supply chain's emergency pause
+    modifier whenNotPaused() {
+        require(!supplyChain.paused(), "Pausable: paused");
+        _;
+    }
+
+    constructor(IAgriSupplyChain _supplyChain) {
+        supplyChain = _supplyChain;
+    }
+
+    function anchorDocument(
+        uint256 _batchId,
+        bytes32 _contentHash,
+        string memory _documentType
+    ) external whenNotPaused returns (uint256) {
+        require(_batchId > 0 && _batchId < supplyChain.nextBatchId(), "Invalid batch ID");
+        require(_contentHash != bytes32(0), "Content hash cannot be empty");
+        require(bytes(_documentType).length > 0, "Document type cannot be empty");
+        require(!isAnchored[_batchId][_contentHash], "Document already anchored");
+
+        (, , , bool isActive, ) = supplyChain.participants(msg.sender);
+        require(isActive, "Not a registered participant");
+        require(canAnchor(_batchId, msg.sender), "Not authorized for this batch");
+
+        isAnchored[_batchId][_contentHash] = true;
+        batchDocuments[_batchId].push(Document({
+            contentHash: _contentHash,
+            documentType: _documentType,
+            uploader: msg.sender,
+            timestamp: block.timestamp
+        }));
+
+        uint256 index = batchDocuments[_batchId].length - 1;
+        emit DocumentAnchored(_batchId, index, _contentHash, _documentType, msg.sender);
+        return index;
+    }
+
+    function getDocumentCount(uint256 _batchId) external view returns (uint256) {
+        return batchDocuments[_batchId].length;
+    }
+
+    function getDocument(uint256 _batchId, uint256 _index) external view returns (
+        bytes32 contentHash,
+        string memory documentType,
+        address uploader,
+        uint256 timestamp
+    ) {
+        require(_index < batchDocuments[_batchId].length, "Invalid index");
+
+        Document storage document = batchDocuments[_batchId][_index];
+        return (document.contentHash, document.documentType, document.uploader, document.timestamp);
+    }
+
+    // Inspectors and certifiers may document any batch; otherwise the account must have held it
+    function canAnchor(uint256 _batchId, address _account) public view returns (bool) {
+        if (supplyChain.hasRole(supplyChain.INSPECTOR_ROLE(), _account) ||
+            supplyChain.hasRole(supplyChain.CERTIFIER_ROLE(), _account)) {
+            return true;
+        }
+
+        (address[] memory owners, , ) = supplyChain.getBatchHistory(_batchId);
+        for (uint256 i = 0; i < owners.length; i++) {
+            if (owners[i] == _account) {
+                return true;
+            }
+        }
+        return false;
+    }
+}
@@ -0,0 +1,41 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./IAgriSupplyChain.sol";
+
+// Read-only range queries over a batch's environment history, so a client fetches a slice of
+// records in one call instead of one call per record. Records come in the order they were
+// recorded, which need not be time order once a logger file is imported after live readings.
+contract AgriEnvironmentLens {
+
+    struct EnvironmentRecord {
+        uint256 timestamp;
+        int256 temperature; // in Celsius * 100
+        uint256 humidity;   // percentage * 100
+        string location;
+        address recorder;
+        string notes;
+    }
+
+    IAgriSupplyChain public immutable supplyChain;
+
+    constructor(IAgriSupplyChain _supplyChain) {
+        supplyChain = _supplyChain;
+    }
+
+    // Up to _count records from _start on, fewer at the end of the history, and the batch's record count
+    function getEnvironmentDataRange(uint256 _batchId, uint256 _start, uint256 _count) external view returns (
+        EnvironmentRecord[] memory records,
+        uint256 total
+    ) {
+        total = supplyChain.getEnvironmentDataCount(_batchId);
+        uint256 size = _start >= total ? 0 : (_count > total - _start ? total - _start : _count);
+
+        records = new EnvironmentRecord[](size);
+        for (uint256 i = 0; i < size; i++) {
+            EnvironmentRecord memory record = records[i];
+            (record.timestamp, record.temperature, record.humidity, record.location, record.recorder, record.notes) =
+                supplyChain.getEnvironmentData(_batchId, _start + i);
+        }
+    }
+}
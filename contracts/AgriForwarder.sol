@@ -0,0 +1,76 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+
+// EIP-2771 trusted forwarder for gasless calls: a relayer submits a request signed
+// (EIP-712) by the participant, pays the gas, and the target sees the participant
+// as the sender. Based on OpenZeppelin's MinimalForwarder, with an expiry deadline.
+contract AgriForwarder is EIP712 {
+    using ECDSA for bytes32;
+
+    struct ForwardRequest {
+        address from;
+        address to;
+        uint256 value;
+        uint256 gas;
+        uint256 nonce;
+        uint256 deadline;
+        bytes data;
+    }
+
+    bytes32 private constant _TYPEHASH = keccak256(
+        "ForwardRequest(address from,address to,uint256 value,uint256 gas,uint256 nonce,uint256 deadline,bytes data)"
+    );
+
+    mapping(address => uint256) private _nonces;
+
+    event RequestForwarded(address indexed from, address indexed to, uint256 nonce, bool success);
+
+    constructor() EIP712("AgriForwarder", "1") {}
+
+    function getNonce(address _from) public view returns (uint256) {
+        return _nonces[_from];
+    }
+
+    function verify(ForwardRequest calldata _req, bytes calldata _signature) public view returns (bool) {
+        address signer = _hashTypedDataV4(keccak256(abi.encode(
+            _TYPEHASH,
+            _req.from,
+            _req.to,
+            _req.value,
+            _req.gas,
+            _req.nonce,
+            _req.deadline,
+            keccak256(_req.data)
+        ))).recover(_signature);
+
+        return _nonces[_req.from] == _req.nonce && signer == _req.from && block.timestamp <= _req.deadline;
+    }
+
+    function execute(
+        ForwardRequest calldata _req,
+        bytes calldata _signature
+    ) external payable returns (bool, bytes memory) {
+        require(block.timestamp <= _req.deadline, "AgriForwarder: request expired");
+        require(verify(_req, _signature), "AgriForwarder: signature does not match request");
+        require(msg.value == _req.value, "AgriForwarder: value mismatch");
+        _nonces[_req.from] = _req.nonce + 1;
+
+        (bool success, bytes memory returndata) = _req.to.call{gas: _req.gas, value: _req.value}(
+            abi.encodePacked(_req.data, _req.from)
+        );
+
+        // Make sure the relayer forwarded enough gas for the call, see
+        // https://ronan.eth.limo/blog/ethereum-gas-dangers/
+        if (gasleft() <= _req.gas / 63) {
+            assembly {
+                invalid()
+            }
+        }
+
+        emit RequestForwarded(_req.from, _req.to, _req.nonce, success);
+        return (success, returndata);
+    }
+}
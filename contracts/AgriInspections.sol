@@ -0,0 +1,105 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./IAgriSupplyChain.sol";
+
+// Quality inspections per batch: the grade with the measurements behind it, kept as history.
+// updateQuality on the supply chain contract sets one quality for every batch of a product;
+// an inspection grades only the batch it was taken on.
+contract AgriInspections {
+
+    enum ResidueResult { NotTested, Pass, Fail }
+
+    struct Inspection {
+        address inspector;
+        uint256 timestamp;
+        uint8 stage;            // batch stage when inspected
+        uint8 grade;            // AgriSupplyChain.Quality: Excellent, Good, Fair, Poor
+        uint256 moisture;       // percentage * 100
+        uint256 brix;           // degrees Brix * 100
+        uint256 defects;        // percentage * 100 of units with defects
+        ResidueResult pesticideResidue;
+        bytes32[] photoHashes;  // SHA-256 of photos, e.g. documents anchored in AgriDocuments
+        string notes;
+    }
+
+    // Measurement value for an attribute that was not measured
+    uint256 public constant NOT_MEASURED = type(uint256).max;
+
+    IAgriSupplyChain public immutable supplyChain;
+
+    mapping(uint256 => Inspection[]) internal batchInspections;
+
+    event InspectionRecorded(uint256 indexed batchId, uint256 index, address indexed inspector, uint8 grade, uint8 stage);
+
+    // Inspections follow the supply chain's emergency pause
+    modifier whenNotPaused() {
+        require(!supplyChain.paused(), "Pausable: paused");
+        _;
+    }
+
+    constructor(IAgriSupplyChain _supplyChain) {
+        supplyChain = _supplyChain;
+    }
+
+    // Inspectors may inspect any batch, custodians the batch they currently hold
+    function recordInspection(
+        uint256 _batchId,
+        uint8 _grade,
+        uint256 _moisture,
+        uint256 _brix,
+        uint256 _defects,
+        ResidueResult _pesticideResidue,
+        bytes32[] memory _photoHashes,
+        string memory _notes
+    ) external whenNotPaused returns (uint256) {
+        require(_batchId > 0 && _batchId < supplyChain.nextBatchId(), "Invalid batch ID");
+        require(_grade <= 3, "Invalid grade");
+        require(_moisture <= 10000 || _moisture == NOT_MEASURED, "Moisture must be a percentage");
+        require(_brix <= 10000 || _brix == NOT_MEASURED, "Brix must be a percentage");
+        require(_defects <= 10000 || _defects == NOT_MEASURED, "Defects must be a percentage");
+
+        (, , , bool isActive, ) = supplyChain.participants(msg.sender);
+        require(isActive, "Not a registered participant");
+
+        (, , uint8 stage, address currentOwner, , ) = supplyChain.batches(_batchId);
+        require(
+            currentOwner == msg.sender || supplyChain.hasRole(supplyChain.INSPECTOR_ROLE(), msg.sender),
+            "Not authorized to inspect"
+        );
+
+        Inspection storage inspection = batchInspections[_batchId].push();
+        inspection.inspector = msg.sender;
+        inspection.timestamp = block.timestamp;
+        inspection.stage = stage;
+        inspection.grade = _grade;
+        inspection.moisture = _moisture;
+        inspection.brix = _brix;
+        inspection.defects = _defects;
+        inspection.pesticideResidue = _pesticideResidue;
+        inspection.photoHashes = _photoHashes;
+        inspection.notes = _notes;
+
+        uint256 index = batchInspections[_batchId].length - 1;
+        emit InspectionRecorded(_batchId, index, msg.sender, _grade, stage);
+        return index;
+    }
+
+    function getInspectionCount(uint256 _batchId) external view returns (uint256) {
+        return batchInspections[_batchId].length;
+    }
+
+    function getInspection(uint256 _batchId, uint256 _index) external view returns (Inspection memory) {
+        require(_index < batchInspections[_batchId].length, "Invalid index");
+        return batchInspections[_batchId][_index];
+    }
+
+    // Grade of the batch's latest inspection; inspected is false while it has none
+    function getBatchGrade(uint256 _batchId) external view returns (bool inspected, uint8 grade) {
+        Inspection[] storage inspections = batchInspections[_batchId];
+        if (inspections.length == 0) {
+            return (false, 0);
+        }
+        return (true, inspections[inspections.length - 1].grade);
+    }
+}
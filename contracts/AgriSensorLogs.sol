@@ -0,0 +1,116 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
+import "./IAgriSupplyChain.sol";
+
+// Merkle roots of sensor readings kept off chain. Each anchor commits to one period of a batch's
+// log; a reading is shown to belong to it with an inclusion proof checked against the root.
+// Leaves are keccak256(bytes.concat(keccak256(abi.encode(batchId, readingId, timestamp,
+// temperature, humidity, recorder, location)))) with temperature and humidity * 100, and pairs
+// are hashed in sorted order, as OpenZeppelin's MerkleProof expects.
+// Roots are anchored by the supply chain owner (the server operating the log) or by the batch's
+// current or past custodians.
+contract AgriSensorLogs {
+
+    struct LogAnchor {
+        bytes32 root;
+        uint256 fromTimestamp; // earliest reading in the tree
+        uint256 toTimestamp; // latest reading in the tree
+        uint256 readingCount;
+        address anchoredBy;
+        uint256 anchoredAt;
+    }
+
+    IAgriSupplyChain public immutable supplyChain;
+
+    mapping(uint256 => LogAnchor[]) internal batchAnchors;
+
+    event LogRootAnchored(uint256 indexed batchId, uint256 index, bytes32 root, uint256 readingCount, address indexed anchoredBy);
+
+    // Anchoring follows the supply chain's emergency pause
+    modifier whenNotPaused() {
+        require(!supplyChain.paused(), "Pausable: paused");
+        _;
+    }
+
+    constructor(IAgriSupplyChain _supplyChain) {
+        supplyChain = _supplyChain;
+    }
+
+    function anchorRoot(
+        uint256 _batchId,
+        bytes32 _root,
+        uint256 _fromTimestamp,
+        uint256 _toTimestamp,
+        uint256 _readingCount
+    ) external whenNotPaused returns (uint256) {
+        require(_batchId > 0 && _batchId < supplyChain.nextBatchId(), "Invalid batch ID");
+        require(_root != bytes32(0), "Root cannot be empty");
+        require(_readingCount > 0, "No readings");
+        require(_fromTimestamp <= _toTimestamp, "Invalid time range");
+        require(canAnchor(_batchId, msg.sender), "Not authorized for this batch");
+
+        batchAnchors[_batchId].push(LogAnchor({
+            root: _root,
+            fromTimestamp: _fromTimestamp,
+            toTimestamp: _toTimestamp,
+            readingCount: _readingCount,
+            anchoredBy: msg.sender,
+            anchoredAt: block.timestamp
+        }));
+
+        uint256 index = batchAnchors[_batchId].length - 1;
+        emit LogRootAnchored(_batchId, index, _root, _readingCount, msg.sender);
+        return index;
+    }
+
+    function getAnchorCount(uint256 _batchId) external view returns (uint256) {
+        return batchAnchors[_batchId].length;
+    }
+
+    function getAnchor(uint256 _batchId, uint256 _index) external view returns (LogAnchor memory) {
+        require(_index < batchAnchors[_batchId].length, "Invalid index");
+        return batchAnchors[_batchId][_index];
+    }
+
+    function readingLeaf(
+        uint256 _batchId,
+        uint256 _readingId,
+        uint256 _timestamp,
+        int256 _temperature,
+        uint256 _humidity,
+        address _recorder,
+        string calldata _location
+    ) public pure returns (bytes32) {
+        return keccak256(bytes.concat(keccak256(abi.encode(
+            _batchId, _readingId, _timestamp, _temperature, _humidity, _recorder, _location
+        ))));
+    }
+
+    // True when the leaf is part of the tree whose root is the batch's anchor at _index
+    function verifyReading(uint256 _batchId, uint256 _index, bytes32 _leaf, bytes32[] calldata _proof) external view returns (bool) {
+        require(_index < batchAnchors[_batchId].length, "Invalid index");
+        return MerkleProof.verifyCalldata(_proof, batchAnchors[_batchId][_index].root, _leaf);
+    }
+
+    // The operator may anchor any batch's log; otherwise the account must have held the batch
+    function canAnchor(uint256 _batchId, address _account) public view returns (bool) {
+        if (_account == supplyChain.owner()) {
+            return true;
+        }
+
+        (, , , bool isActive, ) = supplyChain.participants(_account);
+        if (!isActive) {
+            return false;
+        }
+
+        (address[] memory owners, , ) = supplyChain.getBatchHistory(_batchId);
+        for (uint256 i = 0; i < owners.length; i++) {
+            if (owners[i] == _account) {
+                return true;
+            }
+        }
+        return false;
+    }
+}
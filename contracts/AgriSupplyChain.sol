@@ -1,15 +1,18 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.19;
 
+import "@openzeppelin/contracts/access/AccessControl.sol";
 import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/security/Pausable.sol";
 import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
 
-contract AgriSupplyChain is Ownable, ReentrancyGuard {
+contract AgriSupplyChain is Ownable, AccessControl, Pausable, ReentrancyGuard {
     
     // Enums for different stages and roles
-    enum Role { Farmer, Supplier, Distributor, Retailer }
+    enum Role { Farmer, Supplier, Distributor, Retailer, Inspector, Certifier }
     enum Stage { Harvested, Processed, InTransit, Delivered, Sold }
     enum Quality { Excellent, Good, Fair, Poor }
+    enum RecallSeverity { Low, Medium, High }
     
     // Structs for data organization
     struct Participant {
@@ -42,7 +45,15 @@ contract AgriSupplyChain is Ownable, ReentrancyGuard {
         address[] ownershipHistory;
         string[] locationHistory;
         uint256[] stageTimestamps;
-        string notes;
+        Quality quality; // graded per batch; split lots inherit it, merged lots take the lowest
+    }
+    
+    // Timestamped note on a batch; quality updates with a reason are recorded under "quality"
+    struct BatchNote {
+        address author;
+        uint256 timestamp;
+        string category;
+        string text;
     }
     
     struct EnvironmentRecord {
@@ -54,6 +65,34 @@ contract AgriSupplyChain is Ownable, ReentrancyGuard {
         string notes;
     }
     
+    struct StorageProfile {
+        int256 minTemperature;  // in Celsius * 100
+        int256 maxTemperature;  // in Celsius * 100
+        uint256 minHumidity;    // percentage * 100
+        uint256 maxHumidity;    // percentage * 100
+        uint256 maxExcursionDuration; // seconds a batch may stay out of range
+        address logger; // data logger whose readings are trusted besides the custodian's; may be zero
+        bool isSet;
+    }
+    
+    struct Recall {
+        bool active;
+        RecallSeverity severity;
+        string reason;
+        address issuedBy;
+        uint256 timestamp;
+    }
+    
+    // Custody change proposed by the current owner, pending the receiver's confirmation
+    struct Handoff {
+        address from;
+        address to;
+        Stage newStage;
+        string location;
+        uint256 proposedAt;
+        uint256 expiresAt;
+    }
+    
     struct Transaction {
         uint256 transactionId;
         uint256 batchId;
@@ -63,6 +102,7 @@ contract AgriSupplyChain is Ownable, ReentrancyGuard {
         uint256 price;
         string transactionType;
         bool completed;
+        uint256 quantity; // batch quantity offered; the sale lapses if a split or merge changes it
     }
     
     // State variables
@@ -70,46 +110,168 @@ contract AgriSupplyChain is Ownable, ReentrancyGuard {
     mapping(uint256 => Product) public products;
     mapping(uint256 => BatchTracking) public batches;
     mapping(uint256 => Transaction) public transactions;
-    mapping(string => uint256) public qrCodeToBatch;
-    mapping(uint256 => EnvironmentRecord[]) public batchEnvironmentData;
+    mapping(string => uint256) internal qrCodeToBatch;
+    mapping(uint256 => EnvironmentRecord[]) internal batchEnvironmentData;
+    mapping(uint256 => BatchNote[]) internal batchNotes;
+    mapping(uint256 => StorageProfile) public storageProfiles; // productId -> profile
+    mapping(uint256 => uint256) public batchQuantities;
+    mapping(uint256 => uint256[]) internal batchParents;
+    mapping(uint256 => uint256[]) internal batchChildren;
+    mapping(uint256 => Recall) public productRecalls;
+    mapping(uint256 => Recall) public batchRecalls;
+    mapping(uint256 => Handoff) public pendingHandoffs; // batchId -> proposed handoff
+    mapping(address => uint256[]) internal participantTransactions; // as seller or buyer
+    mapping(uint256 => uint256[]) internal batchTransactions;
+    mapping(address => bool) public pendingRegistrations; // awaiting owner approval
     
     uint256 public nextProductId = 1;
     uint256 public nextBatchId = 1;
     uint256 public nextTransactionId = 1;
+    uint256 public handoffTimeout = 3 days;
+    bool public registrationApprovalRequired; // new participants stay inactive until approved
+    
+    // AccessControl roles; a participant may hold several. Role admins (DEFAULT_ADMIN_ROLE) grant and revoke them.
+    bytes32 public constant FARMER_ROLE = keccak256("FARMER_ROLE");
+    bytes32 public constant SUPPLIER_ROLE = keccak256("SUPPLIER_ROLE");
+    bytes32 public constant DISTRIBUTOR_ROLE = keccak256("DISTRIBUTOR_ROLE");
+    bytes32 public constant RETAILER_ROLE = keccak256("RETAILER_ROLE");
+    bytes32 public constant INSPECTOR_ROLE = keccak256("INSPECTOR_ROLE");
+    bytes32 public constant CERTIFIER_ROLE = keccak256("CERTIFIER_ROLE");
+    
+    // EIP-2771 forwarder allowed to relay calls on behalf of participants. Only the constructor
+    // sets it, so no key can later install a forwarder that speaks for any participant (it is not
+    // declared immutable because Ownable's constructor already reads it through _msgSender).
+    address public trustedForwarder;
     
     // Events
     event ParticipantRegistered(address indexed participant, Role role, string name);
     event ProductCreated(uint256 indexed productId, string productName, address indexed farmer);
     event BatchCreated(uint256 indexed batchId, uint256 indexed productId, string qrCode);
+    event BatchSplit(uint256 indexed parentBatchId, uint256[] childBatchIds, uint256[] quantities);
+    event BatchesMerged(uint256 indexed mergedBatchId, uint256[] sourceBatchIds, uint256 totalQuantity);
     event EnvironmentDataRecorded(uint256 indexed batchId, int256 temperature, uint256 humidity, address recorder);
+    event StorageProfileSet(uint256 indexed productId, int256 minTemperature, int256 maxTemperature, uint256 minHumidity, uint256 maxHumidity, uint256 maxExcursionDuration, address logger);
+    event EnvironmentExcursion(uint256 indexed batchId, uint256 recordIndex, int256 temperature, uint256 humidity, address recorder);
     event OwnershipTransferred(uint256 indexed batchId, address indexed from, address indexed to, Stage newStage);
+    event HandoffProposed(uint256 indexed batchId, address indexed from, address indexed to, Stage newStage, string location, uint256 expiresAt);
+    event HandoffAccepted(uint256 indexed batchId, address indexed from, address indexed to, uint256 receivedQuantity, string condition);
+    event HandoffRejected(uint256 indexed batchId, address indexed from, address indexed to, string reason);
+    event HandoffCancelled(uint256 indexed batchId, address indexed cancelledBy);
+    event TransactionCreated(uint256 indexed transactionId, uint256 indexed batchId, address indexed seller, address buyer, uint256 price, string transactionType);
     event TransactionCompleted(uint256 indexed transactionId, uint256 indexed batchId, address indexed buyer);
     event QualityUpdated(uint256 indexed batchId, Quality newQuality, address updatedBy);
-    event BatchNoteAdded(uint256 indexed batchId, string note, address addedBy);
+    event BatchNoteAdded(uint256 indexed batchId, uint256 index, string category, string note, address addedBy);
+    event RecallIssued(uint256 indexed targetId, bool isProduct, RecallSeverity severity, string reason, address indexed issuedBy);
+    event RecallLifted(uint256 indexed targetId, bool isProduct, address indexed liftedBy);
+    event TrustedForwarderSet(address indexed forwarder);
+    event RegistrationApprovalSet(bool required);
+    event ParticipantApproved(address indexed participant);
+    event ParticipantDeactivated(address indexed participant);
+    event ParticipantReactivated(address indexed participant);
+    event ParticipantRoleChanged(address indexed participant, Role oldRole, Role newRole);
+    event ReputationUpdated(address indexed participant, uint256 oldReputation, uint256 newReputation, string reason);
+    event HandoffTimeoutSet(uint256 timeout);
     
     // Modifiers
+    // Modifier checks live in functions so the code is not repeated in every function using them
     modifier onlyRegistered() {
-        require(participants[msg.sender].isActive, "Not a registered participant");
+        _checkRegistered();
         _;
     }
     
-    modifier onlyRole(Role _role) {
-        require(participants[msg.sender].role == _role, "Unauthorized role");
+    modifier onlyParticipantRole(bytes32 _role) {
+        _checkParticipantRole(_role);
         _;
     }
     
     modifier validBatch(uint256 _batchId) {
-        require(_batchId > 0 && _batchId < nextBatchId, "Invalid batch ID");
+        _checkValidBatch(_batchId);
         _;
     }
     
     modifier onlyCurrentOwner(uint256 _batchId) {
-        require(batches[_batchId].currentOwner == msg.sender, "Not the current owner");
+        _checkCurrentOwner(_batchId);
+        _;
+    }
+    
+    // Recalls stay available to the contract owner while paused
+    modifier whenNotPausedOrOwner() {
+        _checkNotPausedOrOwner();
+        _;
+    }
+    
+    modifier notRecalled(uint256 _batchId) {
+        _checkNotRecalled(_batchId);
+        _;
+    }
+    
+    // Batches awaiting a receiver's confirmation cannot be split, merged or sold
+    modifier noPendingHandoff(uint256 _batchId) {
+        _checkNoPendingHandoff(_batchId);
         _;
     }
     
-    constructor() {
-        // Contract is ready to use
+    function _checkRegistered() internal view {
+        require(participants[_msgSender()].isActive, "Not a registered participant");
+    }
+    
+    function _checkParticipantRole(bytes32 _role) internal view {
+        require(hasRole(_role, _msgSender()), "Unauthorized role");
+    }
+    
+    function _checkValidBatch(uint256 _batchId) internal view {
+        require(_batchId > 0 && _batchId < nextBatchId, "Invalid batch ID");
+    }
+    
+    function _checkCurrentOwner(uint256 _batchId) internal view {
+        require(batches[_batchId].currentOwner == _msgSender(), "Not the current owner");
+    }
+    
+    function _checkNotPausedOrOwner() internal view {
+        require(!paused() || _msgSender() == owner(), "Pausable: paused");
+    }
+    
+    function _checkNotRecalled(uint256 _batchId) internal view {
+        require(!isBatchRecalled(_batchId), "Batch is recalled");
+    }
+    
+    function _checkNoPendingHandoff(uint256 _batchId) internal view {
+        require(!hasPendingHandoff(_batchId), "Handoff pending");
+    }
+    
+    // _trustedForwarder may be the zero address to deploy without relaying
+    constructor(address _trustedForwarder) {
+        trustedForwarder = _trustedForwarder;
+        _grantRole(DEFAULT_ADMIN_ROLE, _msgSender());
+        emit TrustedForwarderSet(_trustedForwarder);
+    }
+    
+    // Meta-transactions (EIP-2771)
+    function isTrustedForwarder(address _forwarder) public view returns (bool) {
+        return _forwarder != address(0) && _forwarder == trustedForwarder;
+    }
+    
+    // Calls relayed by the trusted forwarder carry the original sender in the last 20 bytes of calldata
+    function _msgSender() internal view override returns (address sender) {
+        if (isTrustedForwarder(msg.sender) && msg.data.length >= 20) {
+            assembly {
+                sender := shr(96, calldataload(sub(calldatasize(), 20)))
+            }
+        } else {
+            sender = msg.sender;
+        }
+    }
+    
+    // Plain revert message: OpenZeppelin's hex-formatted one does not fit the contract size limit
+    function _checkRole(bytes32 _role, address _account) internal view override {
+        require(hasRole(_role, _account), "AccessControl: missing role");
+    }
+    
+    function _msgData() internal view override returns (bytes calldata) {
+        if (isTrustedForwarder(msg.sender) && msg.data.length >= 20) {
+            return msg.data[:msg.data.length - 20];
+        }
+        return msg.data;
     }
     
     // Participant Management
@@ -117,20 +279,27 @@ contract AgriSupplyChain is Ownable, ReentrancyGuard {
         string memory _name,
         string memory _location,
         Role _role
-    ) external {
-        require(!participants[msg.sender].isActive, "Already registered");
+    ) external whenNotPaused {
+        // Deactivated participants are reinstated by the owner rather than registering again
+        require(bytes(participants[_msgSender()].name).length == 0, "Already registered");
         require(bytes(_name).length > 0, "Name cannot be empty");
         require(bytes(_location).length > 0, "Location cannot be empty");
         
-        participants[msg.sender] = Participant({
-            name: _name,
-            location: _location,
-            role: _role,
-            isActive: true,
-            reputation: 100 // Starting reputation
-        });
+        // Inspectors and certifiers must be vetted, so they always wait for approval
+        bool pending = registrationApprovalRequired || _role >= Role.Inspector;
         
-        emit ParticipantRegistered(msg.sender, _role, _name);
+        Participant storage participant = participants[_msgSender()];
+        participant.name = _name;
+        participant.location = _location;
+        participant.role = _role;
+        participant.isActive = !pending;
+        participant.reputation = 100; // Starting reputation
+        pendingRegistrations[_msgSender()] = pending;
+        if (!pending) {
+            _grantRole(roleId(_role), _msgSender());
+        }
+        
+        emit ParticipantRegistered(_msgSender(), _role, _name);
     }
     
     // Product and Batch Management
@@ -141,7 +310,7 @@ contract AgriSupplyChain is Ownable, ReentrancyGuard {
         string memory _harvestDate,
         bool _isOrganic,
         string[] memory _certifications
-    ) external onlyRegistered onlyRole(Role.Farmer) returns (uint256) {
+    ) external whenNotPaused onlyRegistered onlyParticipantRole(FARMER_ROLE) returns (uint256) {
         require(bytes(_productName).length > 0, "Product name cannot be empty");
         require(_quantity > 0, "Quantity must be greater than 0");
         
@@ -153,12 +322,12 @@ contract AgriSupplyChain is Ownable, ReentrancyGuard {
         newProduct.variety = _variety;
         newProduct.quantity = _quantity;
         newProduct.harvestDate = _harvestDate;
-        newProduct.farmer = msg.sender;
+        newProduct.farmer = _msgSender();
         newProduct.currentQuality = Quality.Excellent;
         newProduct.isOrganic = _isOrganic;
         newProduct.certifications = _certifications;
         
-        emit ProductCreated(productId, _productName, msg.sender);
+        emit ProductCreated(productId, _productName, _msgSender());
         return productId;
     }
     
@@ -166,8 +335,19 @@ contract AgriSupplyChain is Ownable, ReentrancyGuard {
         uint256 _productId,
         string memory _qrCode,
         string memory _initialLocation
-    ) external onlyRegistered onlyRole(Role.Farmer) returns (uint256) {
-        require(products[_productId].farmer == msg.sender, "Not the product owner");
+    ) external whenNotPaused onlyRegistered onlyParticipantRole(FARMER_ROLE) returns (uint256) {
+        require(products[_productId].farmer == _msgSender(), "Not the product owner");
+        
+        return _createBatch(_productId, _qrCode, _initialLocation, Stage.Harvested, products[_productId].quantity);
+    }
+    
+    function _createBatch(
+        uint256 _productId,
+        string memory _qrCode,
+        string memory _initialLocation,
+        Stage _stage,
+        uint256 _quantity
+    ) internal returns (uint256) {
         require(qrCodeToBatch[_qrCode] == 0, "QR code already exists");
         require(bytes(_qrCode).length > 0, "QR code cannot be empty");
         require(bytes(_initialLocation).length > 0, "Location cannot be empty");
@@ -177,20 +357,98 @@ contract AgriSupplyChain is Ownable, ReentrancyGuard {
         BatchTracking storage newBatch = batches[batchId];
         newBatch.batchId = batchId;
         newBatch.productId = _productId;
-        newBatch.currentStage = Stage.Harvested;
-        newBatch.currentOwner = msg.sender;
+        newBatch.currentStage = _stage;
+        newBatch.currentOwner = _msgSender();
         newBatch.timestamp = block.timestamp;
         newBatch.location = _initialLocation;
-        newBatch.ownershipHistory.push(msg.sender);
+        newBatch.ownershipHistory.push(_msgSender());
         newBatch.locationHistory.push(_initialLocation);
         newBatch.stageTimestamps.push(block.timestamp);
         
         qrCodeToBatch[_qrCode] = batchId;
+        batchQuantities[batchId] = _quantity;
         
         emit BatchCreated(batchId, _productId, _qrCode);
         return batchId;
     }
     
+    // Batch Genealogy
+    function splitBatch(
+        uint256 _batchId,
+        uint256[] memory _quantities,
+        string[] memory _qrCodes,
+        string memory _location
+    ) external whenNotPaused onlyRegistered validBatch(_batchId) onlyCurrentOwner(_batchId) notRecalled(_batchId) noPendingHandoff(_batchId) returns (uint256[] memory) {
+        require(_quantities.length > 0, "No child batches");
+        require(_quantities.length == _qrCodes.length, "Quantities and QR codes mismatch");
+        
+        uint256 total = 0;
+        for (uint256 i = 0; i < _quantities.length; i++) {
+            require(_quantities[i] > 0, "Quantity must be greater than 0");
+            total += _quantities[i];
+        }
+        require(total <= batchQuantities[_batchId], "Insufficient batch quantity");
+        
+        batchQuantities[_batchId] -= total;
+        
+        BatchTracking storage parent = batches[_batchId];
+        uint256[] memory childIds = new uint256[](_quantities.length);
+        
+        for (uint256 i = 0; i < _quantities.length; i++) {
+            childIds[i] = _createBatch(parent.productId, _qrCodes[i], _location, parent.currentStage, _quantities[i]);
+            batches[childIds[i]].quality = parent.quality;
+            batchParents[childIds[i]].push(_batchId);
+            batchChildren[_batchId].push(childIds[i]);
+        }
+        
+        emit BatchSplit(_batchId, childIds, _quantities);
+        return childIds;
+    }
+    
+    function mergeBatches(
+        uint256[] memory _batchIds,
+        string memory _qrCode,
+        string memory _location
+    ) external whenNotPaused onlyRegistered returns (uint256) {
+        require(_batchIds.length >= 2, "At least two batches required");
+        
+        BatchTracking storage first = batches[_batchIds[0]];
+        bytes32 productKey = getMergeKey(first.productId);
+        uint256 mergedId = _createBatch(first.productId, _qrCode, _location, first.currentStage, 0);
+        uint256 total = 0;
+        
+        for (uint256 i = 0; i < _batchIds.length; i++) {
+            uint256 sourceId = _batchIds[i];
+            require(sourceId > 0 && sourceId < mergedId, "Invalid batch ID");
+            require(batches[sourceId].currentOwner == _msgSender(), "Not the current owner");
+            require(batchQuantities[sourceId] > 0, "Batch already consumed");
+            require(!isBatchRecalled(sourceId), "Batch is recalled");
+            require(!hasPendingHandoff(sourceId), "Handoff pending");
+            require(batches[sourceId].currentStage == first.currentStage, "Batches must be at the same stage");
+            require(getMergeKey(batches[sourceId].productId) == productKey, "Incompatible products");
+            
+            if (batches[sourceId].quality > batches[mergedId].quality) {
+                batches[mergedId].quality = batches[sourceId].quality;
+            }
+            
+            total += batchQuantities[sourceId];
+            batchQuantities[sourceId] = 0;
+            batchParents[mergedId].push(sourceId);
+            batchChildren[sourceId].push(mergedId);
+        }
+        
+        batchQuantities[mergedId] = total;
+        
+        emit BatchesMerged(mergedId, _batchIds, total);
+        return mergedId;
+    }
+    
+    // Batches may only be merged with the same produce, variety and organic status
+    function getMergeKey(uint256 _productId) internal view returns (bytes32) {
+        Product storage product = products[_productId];
+        return keccak256(abi.encode(product.productName, product.variety, product.isOrganic));
+    }
+    
     // Manual Environmental Data Recording
     function recordEnvironmentData(
         uint256 _batchId,
@@ -198,47 +456,164 @@ contract AgriSupplyChain is Ownable, ReentrancyGuard {
         uint256 _humidity,
         string memory _location,
         string memory _notes
-    ) external onlyRegistered validBatch(_batchId) {
+    ) external whenNotPaused onlyRegistered validBatch(_batchId) {
         require(bytes(_location).length > 0, "Location cannot be empty");
         
-        EnvironmentRecord memory newRecord = EnvironmentRecord({
-            timestamp: block.timestamp,
-            temperature: _temperature,
-            humidity: _humidity,
-            location: _location,
-            recorder: msg.sender,
-            notes: _notes
-        });
+        _recordEnvironmentData(_batchId, block.timestamp, _temperature, _humidity, _location, _notes);
+    }
+    
+    // Readings exported by a data logger, with the logger's own timestamps. A logger file is often
+    // uploaded after live readings, so records are kept in the order they were recorded, not by time.
+    function recordEnvironmentDataBatch(
+        uint256 _batchId,
+        uint256[] calldata _timestamps,
+        int256[] calldata _temperatures,
+        uint256[] calldata _humidities,
+        string memory _location,
+        string memory _notes
+    ) external whenNotPaused onlyRegistered validBatch(_batchId) {
+        require(bytes(_location).length > 0, "Location cannot be empty");
+        require(_timestamps.length > 0 && _timestamps.length == _temperatures.length && _timestamps.length == _humidities.length, "Array length mismatch");
+        
+        for (uint256 i = 0; i < _timestamps.length; i++) {
+            require(_timestamps[i] <= block.timestamp, "Reading is in the future");
+            _recordEnvironmentData(_batchId, _timestamps[i], _temperatures[i], _humidities[i], _location, _notes);
+        }
+    }
+    
+    function _recordEnvironmentData(
+        uint256 _batchId,
+        uint256 _timestamp,
+        int256 _temperature,
+        uint256 _humidity,
+        string memory _location,
+        string memory _notes
+    ) internal {
+        EnvironmentRecord[] storage records = batchEnvironmentData[_batchId];
+        EnvironmentRecord storage newRecord = records.push();
+        newRecord.timestamp = _timestamp;
+        newRecord.temperature = _temperature;
+        newRecord.humidity = _humidity;
+        newRecord.location = _location;
+        newRecord.recorder = _msgSender();
+        newRecord.notes = _notes;
+        
+        emit EnvironmentDataRecorded(_batchId, _temperature, _humidity, _msgSender());
+        
+        // Flag readings outside the product's storage profile
+        StorageProfile storage profile = storageProfiles[batches[_batchId].productId];
+        if (profile.isSet && (
+            _temperature < profile.minTemperature ||
+            _temperature > profile.maxTemperature ||
+            _humidity < profile.minHumidity ||
+            _humidity > profile.maxHumidity
+        )) {
+            emit EnvironmentExcursion(_batchId, records.length - 1, _temperature, _humidity, _msgSender());
+        }
+    }
+    
+    // Cold Chain Profiles
+    function setStorageProfile(
+        uint256 _productId,
+        int256 _minTemperature,
+        int256 _maxTemperature,
+        uint256 _minHumidity,
+        uint256 _maxHumidity,
+        uint256 _maxExcursionDuration,
+        address _logger
+    ) external whenNotPaused onlyRegistered {
+        require(products[_productId].farmer == _msgSender(), "Not the product owner");
+        require(_minTemperature <= _maxTemperature, "Invalid temperature range");
+        require(_minHumidity <= _maxHumidity && _maxHumidity <= 10000, "Invalid humidity range");
         
-        batchEnvironmentData[_batchId].push(newRecord);
+        storageProfiles[_productId] = StorageProfile({
+            minTemperature: _minTemperature,
+            maxTemperature: _maxTemperature,
+            minHumidity: _minHumidity,
+            maxHumidity: _maxHumidity,
+            maxExcursionDuration: _maxExcursionDuration,
+            logger: _logger,
+            isSet: true
+        });
         
-        emit EnvironmentDataRecorded(_batchId, _temperature, _humidity, msg.sender);
+        emit StorageProfileSet(_productId, _minTemperature, _maxTemperature, _minHumidity, _maxHumidity, _maxExcursionDuration, _logger);
     }
     
-    // Supply Chain Tracking
-    function transferBatchOwnership(
+    // Supply Chain Tracking: custody changes hands only once the receiver confirms receipt
+    function proposeHandoff(
         uint256 _batchId,
         address _newOwner,
         Stage _newStage,
         string memory _newLocation
-    ) external validBatch(_batchId) onlyCurrentOwner(_batchId) onlyRegistered {
+    ) external whenNotPaused validBatch(_batchId) onlyCurrentOwner(_batchId) onlyRegistered notRecalled(_batchId) noPendingHandoff(_batchId) {
         require(participants[_newOwner].isActive, "New owner not registered");
+        require(_newOwner != _msgSender(), "Cannot hand off to yourself");
+        require(batchQuantities[_batchId] > 0, "Batch already consumed");
         require(_newStage != batches[_batchId].currentStage, "Stage must change");
         require(uint8(_newStage) > uint8(batches[_batchId].currentStage), "Stage must progress forward");
         require(bytes(_newLocation).length > 0, "Location cannot be empty");
         
+        uint256 expiresAt = block.timestamp + handoffTimeout;
+        Handoff storage handoff = pendingHandoffs[_batchId];
+        handoff.from = _msgSender();
+        handoff.to = _newOwner;
+        handoff.newStage = _newStage;
+        handoff.location = _newLocation;
+        handoff.proposedAt = block.timestamp;
+        handoff.expiresAt = expiresAt;
+        
+        emit HandoffProposed(_batchId, _msgSender(), _newOwner, _newStage, _newLocation, expiresAt);
+    }
+    
+    // _receivedQuantity of 0 confirms the full batch; a lower figure records a shortfall in transit
+    function acceptHandoff(
+        uint256 _batchId,
+        uint256 _receivedQuantity,
+        string memory _condition
+    ) external whenNotPaused validBatch(_batchId) onlyRegistered notRecalled(_batchId) {
+        Handoff storage handoff = pendingHandoffs[_batchId];
+        require(handoff.to == _msgSender(), "No handoff pending for caller");
+        require(block.timestamp < handoff.expiresAt, "Handoff expired");
+        
         BatchTracking storage batch = batches[_batchId];
-        address previousOwner = batch.currentOwner;
+        require(batch.currentOwner == handoff.from, "Sender no longer owns batch");
         
-        batch.currentOwner = _newOwner;
-        batch.currentStage = _newStage;
-        batch.location = _newLocation;
+        if (_receivedQuantity > 0) {
+            require(_receivedQuantity <= batchQuantities[_batchId], "Received more than shipped");
+            batchQuantities[_batchId] = _receivedQuantity;
+        }
+        
+        batch.currentOwner = handoff.to;
+        batch.currentStage = handoff.newStage;
+        batch.location = handoff.location;
         batch.timestamp = block.timestamp;
-        batch.ownershipHistory.push(_newOwner);
-        batch.locationHistory.push(_newLocation);
+        batch.ownershipHistory.push(handoff.to);
+        batch.locationHistory.push(handoff.location);
         batch.stageTimestamps.push(block.timestamp);
         
-        emit OwnershipTransferred(_batchId, previousOwner, _newOwner, _newStage);
+        emit HandoffAccepted(_batchId, handoff.from, handoff.to, batchQuantities[_batchId], _condition);
+        emit OwnershipTransferred(_batchId, handoff.from, handoff.to, handoff.newStage);
+        delete pendingHandoffs[_batchId];
+    }
+    
+    function rejectHandoff(uint256 _batchId, string memory _reason) external whenNotPaused validBatch(_batchId) {
+        require(pendingHandoffs[_batchId].to == _msgSender(), "No handoff pending for caller");
+        require(bytes(_reason).length > 0, "Reason cannot be empty");
+        
+        emit HandoffRejected(_batchId, pendingHandoffs[_batchId].from, _msgSender(), _reason);
+        delete pendingHandoffs[_batchId];
+    }
+    
+    // The sender may withdraw a proposal, e.g. after it expired unanswered
+    function cancelHandoff(uint256 _batchId) external whenNotPaused validBatch(_batchId) {
+        require(pendingHandoffs[_batchId].from == _msgSender(), "No handoff to cancel");
+        
+        delete pendingHandoffs[_batchId];
+        emit HandoffCancelled(_batchId, _msgSender());
+    }
+    
+    function hasPendingHandoff(uint256 _batchId) public view returns (bool) {
+        return pendingHandoffs[_batchId].expiresAt > block.timestamp;
     }
     
     // Quality Management
@@ -246,45 +621,106 @@ contract AgriSupplyChain is Ownable, ReentrancyGuard {
         uint256 _batchId,
         Quality _newQuality,
         string memory _reason
-    ) external onlyRegistered validBatch(_batchId) {
-        // Only current owner or authorized roles can update quality
-        require(
-            batches[_batchId].currentOwner == msg.sender || 
-            participants[msg.sender].role == Role.Supplier ||
-            participants[msg.sender].role == Role.Distributor,
-            "Not authorized to update quality"
-        );
+    ) external whenNotPaused onlyRegistered validBatch(_batchId) {
+        // Grades come from a neutral inspector, never from the batch's own custodian
+        require(hasRole(INSPECTOR_ROLE, _msgSender()), "Not authorized to update quality");
         
-        products[batches[_batchId].productId].currentQuality = _newQuality;
+        batches[_batchId].quality = _newQuality;
         
         // Add note about quality change
         if (bytes(_reason).length > 0) {
-            batches[_batchId].notes = string(abi.encodePacked(
-                batches[_batchId].notes,
-                " | Quality updated to ",
-                getQualityString(_newQuality),
-                ": ",
-                _reason
-            ));
+            _addBatchNote(_batchId, "quality", _reason);
         }
         
-        emit QualityUpdated(_batchId, _newQuality, msg.sender);
+        emit QualityUpdated(_batchId, _newQuality, _msgSender());
     }
     
     // Add notes to batch
     function addBatchNote(
         uint256 _batchId,
+        string memory _category,
         string memory _note
-    ) external onlyRegistered validBatch(_batchId) {
+    ) external whenNotPaused onlyRegistered validBatch(_batchId) {
         require(bytes(_note).length > 0, "Note cannot be empty");
+        require(bytes(_category).length > 0, "Category cannot be empty");
+        
+        _addBatchNote(_batchId, _category, _note);
+    }
+    
+    function _addBatchNote(uint256 _batchId, string memory _category, string memory _note) internal {
+        BatchNote storage note = batchNotes[_batchId].push();
+        note.author = _msgSender();
+        note.timestamp = block.timestamp;
+        note.category = _category;
+        note.text = _note;
+        
+        emit BatchNoteAdded(_batchId, batchNotes[_batchId].length - 1, _category, _note, _msgSender());
+    }
+    
+    // Recall Management
+    function recallProduct(
+        uint256 _productId,
+        RecallSeverity _severity,
+        string memory _reason
+    ) external whenNotPausedOrOwner {
+        require(products[_productId].farmer != address(0), "Invalid product ID");
+        _issueRecall(productRecalls[_productId], _productId, true, products[_productId].farmer, _severity, _reason);
+    }
+    
+    function recallBatch(
+        uint256 _batchId,
+        RecallSeverity _severity,
+        string memory _reason
+    ) external whenNotPausedOrOwner validBatch(_batchId) {
+        address farmer = products[batches[_batchId].productId].farmer;
+        _issueRecall(batchRecalls[_batchId], _batchId, false, farmer, _severity, _reason);
+    }
+    
+    function liftRecall(uint256 _targetId, bool _isProduct) external whenNotPausedOrOwner {
+        Recall storage recall = _isProduct ? productRecalls[_targetId] : batchRecalls[_targetId];
+        address farmer = _isProduct ? products[_targetId].farmer : products[batches[_targetId].productId].farmer;
+        require(recall.active, "No active recall");
+        require(_msgSender() == farmer || _msgSender() == owner(), "Not authorized to recall");
+        
+        recall.active = false;
+        
+        emit RecallLifted(_targetId, _isProduct, _msgSender());
+    }
+    
+    function _issueRecall(
+        Recall storage _recall,
+        uint256 _targetId,
+        bool _isProduct,
+        address _farmer,
+        RecallSeverity _severity,
+        string memory _reason
+    ) internal {
+        // Only the originating farmer or the contract owner may recall
+        require(_msgSender() == _farmer || _msgSender() == owner(), "Not authorized to recall");
+        require(bytes(_reason).length > 0, "Reason cannot be empty");
         
-        batches[_batchId].notes = string(abi.encodePacked(
-            batches[_batchId].notes,
-            " | ",
-            _note
-        ));
+        _recall.active = true;
+        _recall.severity = _severity;
+        _recall.reason = _reason;
+        _recall.issuedBy = _msgSender();
+        _recall.timestamp = block.timestamp;
         
-        emit BatchNoteAdded(_batchId, _note, msg.sender);
+        emit RecallIssued(_targetId, _isProduct, _severity, _reason, _msgSender());
+    }
+    
+    // A batch is recalled if it, its product or any batch it was split or merged from is recalled
+    function isBatchRecalled(uint256 _batchId) public view returns (bool) {
+        if (batchRecalls[_batchId].active || productRecalls[batches[_batchId].productId].active) {
+            return true;
+        }
+        
+        uint256[] storage parents = batchParents[_batchId];
+        for (uint256 i = 0; i < parents.length; i++) {
+            if (isBatchRecalled(parents[i])) {
+                return true;
+            }
+        }
+        return false;
     }
     
     // Transaction Management
@@ -293,32 +729,41 @@ contract AgriSupplyChain is Ownable, ReentrancyGuard {
         address _buyer,
         uint256 _price,
         string memory _transactionType
-    ) external validBatch(_batchId) onlyCurrentOwner(_batchId) returns (uint256) {
+    ) external whenNotPaused onlyRegistered validBatch(_batchId) onlyCurrentOwner(_batchId) notRecalled(_batchId) noPendingHandoff(_batchId) returns (uint256) {
         require(participants[_buyer].isActive, "Buyer not registered");
+        require(batchQuantities[_batchId] > 0, "Batch already consumed");
         require(_price > 0, "Price must be greater than 0");
         require(bytes(_transactionType).length > 0, "Transaction type cannot be empty");
         
         uint256 transactionId = nextTransactionId++;
         
-        transactions[transactionId] = Transaction({
-            transactionId: transactionId,
-            batchId: _batchId,
-            from: msg.sender,
-            to: _buyer,
-            timestamp: block.timestamp,
-            price: _price,
-            transactionType: _transactionType,
-            completed: false
-        });
+        Transaction storage txn = transactions[transactionId];
+        txn.transactionId = transactionId;
+        txn.batchId = _batchId;
+        txn.from = _msgSender();
+        txn.to = _buyer;
+        txn.timestamp = block.timestamp;
+        txn.price = _price;
+        txn.transactionType = _transactionType;
+        txn.quantity = batchQuantities[_batchId];
         
+        participantTransactions[_msgSender()].push(transactionId);
+        participantTransactions[_buyer].push(transactionId);
+        batchTransactions[_batchId].push(transactionId);
+        
+        emit TransactionCreated(transactionId, _batchId, _msgSender(), _buyer, _price, _transactionType);
         return transactionId;
     }
     
-    function completeTransaction(uint256 _transactionId) external payable nonReentrant {
+    function completeTransaction(uint256 _transactionId) external payable whenNotPaused nonReentrant {
         Transaction storage txn = transactions[_transactionId];
-        require(msg.sender == txn.to, "Not the buyer");
+        require(_msgSender() == txn.to, "Not the buyer");
         require(!txn.completed, "Already completed");
         require(msg.value >= txn.price, "Insufficient payment");
+        require(!isBatchRecalled(txn.batchId), "Batch is recalled");
+        require(batches[txn.batchId].currentOwner == txn.from, "Seller no longer owns batch");
+        require(!hasPendingHandoff(txn.batchId), "Handoff pending");
+        require(batchQuantities[txn.batchId] == txn.quantity, "Batch quantity changed");
         
         txn.completed = true;
         
@@ -335,10 +780,10 @@ contract AgriSupplyChain is Ownable, ReentrancyGuard {
         
         // Refund excess payment
         if (msg.value > txn.price) {
-            payable(msg.sender).transfer(msg.value - txn.price);
+            payable(_msgSender()).transfer(msg.value - txn.price);
         }
         
-        emit TransactionCompleted(_transactionId, txn.batchId, msg.sender);
+        emit TransactionCompleted(_transactionId, txn.batchId, _msgSender());
     }
     
     // Query Functions
@@ -365,7 +810,7 @@ contract AgriSupplyChain is Ownable, ReentrancyGuard {
     ) {
         require(_index < batchEnvironmentData[_batchId].length, "Invalid index");
         
-        EnvironmentRecord memory record = batchEnvironmentData[_batchId][_index];
+        EnvironmentRecord storage record = batchEnvironmentData[_batchId][_index];
         return (
             record.timestamp, 
             record.temperature, 
@@ -376,6 +821,33 @@ contract AgriSupplyChain is Ownable, ReentrancyGuard {
         );
     }
     
+    function getBatchNote(uint256 _batchId, uint256 _index) external view returns (
+        address author,
+        uint256 timestamp,
+        string memory category,
+        string memory text
+    ) {
+        require(_index < batchNotes[_batchId].length, "Invalid index");
+        
+        BatchNote storage note = batchNotes[_batchId][_index];
+        return (note.author, note.timestamp, note.category, note.text);
+    }
+    
+    function getBatchGenealogy(uint256 _batchId) external view validBatch(_batchId) returns (
+        uint256[] memory parents,
+        uint256[] memory children
+    ) {
+        return (batchParents[_batchId], batchChildren[_batchId]);
+    }
+    
+    function getParticipantTransactions(address _participant) external view returns (uint256[] memory) {
+        return participantTransactions[_participant];
+    }
+    
+    function getBatchTransactions(uint256 _batchId) external view validBatch(_batchId) returns (uint256[] memory) {
+        return batchTransactions[_batchId];
+    }
+    
     function getBatchByQR(string memory _qrCode) external view returns (uint256) {
         return qrCodeToBatch[_qrCode];
     }
@@ -389,7 +861,7 @@ contract AgriSupplyChain is Ownable, ReentrancyGuard {
         bool isOrganic,
         string[] memory certifications
     ) {
-        Product memory product = products[_productId];
+        Product storage product = products[_productId];
         return (
             product.productName, 
             product.variety, 
@@ -407,30 +879,24 @@ contract AgriSupplyChain is Ownable, ReentrancyGuard {
         Stage currentStage,
         address currentOwner,
         string memory location,
-        string memory notes,
-        uint256 environmentRecordCount
+        uint256 noteCount,
+        uint256 environmentRecordCount,
+        Quality quality
     ) {
-        BatchTracking memory batch = batches[_batchId];
+        BatchTracking storage batch = batches[_batchId];
         return (
             batch.batchId,
             batch.productId,
             batch.currentStage,
             batch.currentOwner,
             batch.location,
-            batch.notes,
-            batchEnvironmentData[_batchId].length
+            batchNotes[_batchId].length,
+            batchEnvironmentData[_batchId].length,
+            batch.quality
         );
     }
     
     // Utility Functions
-    function getQualityString(Quality _quality) internal pure returns (string memory) {
-        if (_quality == Quality.Excellent) return "Excellent";
-        if (_quality == Quality.Good) return "Good";
-        if (_quality == Quality.Fair) return "Fair";
-        if (_quality == Quality.Poor) return "Poor";
-        return "Unknown";
-    }
-    
     function getStageString(Stage _stage) external pure returns (string memory) {
         if (_stage == Stage.Harvested) return "Harvested";
         if (_stage == Stage.Processed) return "Processed";
@@ -445,25 +911,91 @@ contract AgriSupplyChain is Ownable, ReentrancyGuard {
         if (_role == Role.Supplier) return "Supplier";
         if (_role == Role.Distributor) return "Distributor";
         if (_role == Role.Retailer) return "Retailer";
+        if (_role == Role.Inspector) return "Inspector";
+        if (_role == Role.Certifier) return "Certifier";
         return "Unknown";
     }
     
+    // AccessControl role granted for a participant role
+    function roleId(Role _role) public pure returns (bytes32) {
+        if (_role == Role.Farmer) return FARMER_ROLE;
+        if (_role == Role.Supplier) return SUPPLIER_ROLE;
+        if (_role == Role.Distributor) return DISTRIBUTOR_ROLE;
+        if (_role == Role.Retailer) return RETAILER_ROLE;
+        if (_role == Role.Inspector) return INSPECTOR_ROLE;
+        return CERTIFIER_ROLE;
+    }
+    
     // Admin Functions
-    function updateParticipantReputation(address _participant, uint256 _newReputation) external onlyOwner {
+    function updateParticipantReputation(address _participant, uint256 _newReputation, string memory _reason) external onlyOwner {
         require(participants[_participant].isActive, "Participant not active");
+        require(bytes(_reason).length > 0, "Reason cannot be empty");
+        
+        emit ReputationUpdated(_participant, participants[_participant].reputation, _newReputation, _reason);
         participants[_participant].reputation = _newReputation;
     }
     
+    function setRegistrationApproval(bool _required) external onlyOwner {
+        registrationApprovalRequired = _required;
+        emit RegistrationApprovalSet(_required);
+    }
+    
+    function approveParticipant(address _participant) external onlyOwner {
+        require(pendingRegistrations[_participant], "No pending registration");
+        
+        pendingRegistrations[_participant] = false;
+        participants[_participant].isActive = true;
+        _grantRole(roleId(participants[_participant].role), _participant);
+        emit ParticipantApproved(_participant);
+    }
+    
+    // Also declines a pending registration
     function deactivateParticipant(address _participant) external onlyOwner {
+        require(participants[_participant].isActive || pendingRegistrations[_participant], "Participant not active");
+        
+        pendingRegistrations[_participant] = false;
         participants[_participant].isActive = false;
+        emit ParticipantDeactivated(_participant);
+    }
+    
+    function reactivateParticipant(address _participant) external onlyOwner {
+        Participant storage participant = participants[_participant];
+        require(bytes(participant.name).length > 0, "Participant not registered");
+        require(!participant.isActive && !pendingRegistrations[_participant], "Participant not deactivated");
+        // A declined registration was never granted its role, so it cannot be reactivated either
+        require(hasRole(roleId(participant.role), _participant), "Registration never approved");
+        
+        participant.isActive = true;
+        emit ParticipantReactivated(_participant);
+    }
+    
+    // Changes the registered (primary) role, swapping the granted role with it. Additional
+    // roles are managed with grantRole and revokeRole.
+    function setParticipantRole(address _participant, Role _role) external onlyOwner {
+        Participant storage participant = participants[_participant];
+        require(bytes(participant.name).length > 0, "Participant not registered");
+        require(participant.role != _role, "Role unchanged");
+        
+        emit ParticipantRoleChanged(_participant, participant.role, _role);
+        if (!pendingRegistrations[_participant]) {
+            _revokeRole(roleId(participant.role), _participant);
+            _grantRole(roleId(_role), _participant);
+        }
+        participant.role = _role;
+    }
+    
+    function setHandoffTimeout(uint256 _timeout) external onlyOwner {
+        require(_timeout > 0, "Timeout must be greater than 0");
+        handoffTimeout = _timeout;
+        emit HandoffTimeoutSet(_timeout);
     }
     
-    // Emergency functions
+    // Emergency functions: while paused only the owner's admin functions and recalls go through
     function pause() external onlyOwner {
-        // Implementation for pausing contract operations
+        _pause();
     }
     
     function unpause() external onlyOwner {
-        // Implementation for unpausing contract operations
+        _unpause();
     }
 }
\ No newline at end of file
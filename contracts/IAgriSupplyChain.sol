@@ -0,0 +1,51 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+// The parts of AgriSupplyChain its companion contracts rely on
+interface IAgriSupplyChain {
+    function CERTIFIER_ROLE() external view returns (bytes32);
+    function INSPECTOR_ROLE() external view returns (bytes32);
+    function hasRole(bytes32 role, address account) external view returns (bool);
+    function owner() external view returns (address);
+    function paused() external view returns (bool);
+    function nextBatchId() external view returns (uint256);
+    function participants(address) external view returns (
+        string memory name,
+        string memory location,
+        uint8 role,
+        bool isActive,
+        uint256 reputation
+    );
+    function products(uint256) external view returns (
+        uint256 productId,
+        string memory productName,
+        string memory variety,
+        uint256 quantity,
+        string memory harvestDate,
+        address farmer,
+        uint8 currentQuality,
+        bool isOrganic
+    );
+    function batches(uint256) external view returns (
+        uint256 batchId,
+        uint256 productId,
+        uint8 currentStage,
+        address currentOwner,
+        uint256 timestamp,
+        string memory location
+    );
+    function getEnvironmentDataCount(uint256 batchId) external view returns (uint256);
+    function getEnvironmentData(uint256 batchId, uint256 index) external view returns (
+        uint256 timestamp,
+        int256 temperature,
+        uint256 humidity,
+        string memory location,
+        address recorder,
+        string memory notes
+    );
+    function getBatchHistory(uint256 batchId) external view returns (
+        address[] memory owners,
+        string[] memory locations,
+        uint256[] memory timestamps
+    );
+}
@@ -0,0 +1,101 @@
+// admin.js - Participant governance views: the participant directory and the owner's audit trail
+const { ROLE_NAMES, ROLE_IDS } = require('./constants');
+const { describeEvent, mapInChunks } = require('./metrics');
+
+// Indexed events recording an owner action
+const ADMIN_EVENTS = [
+    'RegistrationApprovalSet',
+    'ParticipantApproved',
+    'ParticipantDeactivated',
+    'ParticipantReactivated',
+    'ParticipantRoleChanged',
+    'ReputationUpdated',
+    'HandoffTimeoutSet',
+    'TrustedForwarderSet',
+    'Paused',
+    'Unpaused',
+    'RoleGranted',
+    'RoleRevoked'
+];
+
+const PARTICIPANT_STATUSES = ['pending', 'active', 'deactivated'];
+
+// Registering, approving and changing the registered role grant roles as a side effect;
+// those grants are covered by the participant event of the same transaction
+const ROLE_SOURCE_EVENTS = ['ParticipantRegistered', 'ParticipantApproved', 'ParticipantRoleChanged'];
+
+function participantStatus(participant, pending) {
+    if (pending) return 'pending';
+    return participant.isActive ? 'active' : 'deactivated';
+}
+
+// Every registered participant with its current on-chain standing, oldest registration first.
+// status filters by pending/active/deactivated, role by a role name registered or granted.
+async function listParticipants(contract, store, { status, role } = {}) {
+    const registrations = new Map();
+    store.getEvents()
+        .filter(e => e.type === 'ParticipantRegistered')
+        .forEach(e => registrations.set(e.data.participant, e));
+
+    const participants = await mapInChunks(store.getParticipantAddresses(), 20, async (address) => {
+        const [participant, pending, granted] = await Promise.all([
+            contract.participants(address),
+            contract.pendingRegistrations(address),
+            Promise.all(ROLE_NAMES.map(name => contract.hasRole(ROLE_IDS[name], address)))
+        ]);
+        const registration = registrations.get(address);
+
+        return {
+            address,
+            name: participant.name,
+            location: participant.location,
+            role: ROLE_NAMES[participant.role],
+            roles: ROLE_NAMES.filter((name, i) => granted[i]),
+            status: participantStatus(participant, pending),
+            reputation: participant.reputation.toNumber(),
+            registeredAt: new Date(registration.timestamp * 1000).toISOString(),
+            transactionHash: registration.transactionHash
+        };
+    });
+
+    return participants
+        .filter(p => !status || p.status === status)
+        .filter(p => !role || p.role === role || p.roles.includes(role));
+}
+
+// Owner actions, newest first. cursor is the position returned as nextCursor by the previous page.
+function getAuditTrail(store, { participant, action, cursor, limit = 50 } = {}) {
+    const target = participant ? participant.toLowerCase() : null;
+    const events = store.getEvents();
+    const entries = [];
+    const derivedGrants = new Set(events.filter(e => ROLE_SOURCE_EVENTS.includes(e.type)).map(e => e.transactionHash));
+    let nextCursor = null;
+
+    for (let i = Math.min(cursor === undefined ? events.length : cursor, events.length) - 1; i >= 0; i--) {
+        const event = events[i];
+        if (!ADMIN_EVENTS.includes(event.type)) continue;
+        if (action && event.type !== action) continue;
+        if ((event.type === 'RoleGranted' || event.type === 'RoleRevoked') && derivedGrants.has(event.transactionHash)) continue;
+        if (target && (!event.data.participant || event.data.participant.toLowerCase() !== target)) continue;
+
+        if (entries.length === limit) {
+            nextCursor = i + 1;
+            break;
+        }
+
+        const { message } = describeEvent(event, store);
+        entries.push({
+            action: event.type,
+            participant: event.data.participant || null,
+            details: event.data,
+            message,
+            timestamp: new Date(event.timestamp * 1000).toISOString(),
+            blockNumber: event.blockNumber,
+            transactionHash: event.transactionHash
+        });
+    }
+
+    return { entries, nextCursor };
+}
+
+module.exports = { ADMIN_EVENTS, PARTICIPANT_STATUSES, listParticipants, getAuditTrail };
@@ -0,0 +1,151 @@
+// auth.js - Sign-In with Ethereum (EIP-4361) sessions and role-based route guards
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { SiweMessage, generateNonce } = require('siwe');
+const { ROLE_NAMES, ROLE_IDS } = require('./constants');
+
+// 'Admin' is the contract owner; the rest are the on-chain participant roles (AccessControl grants)
+const ADMIN_ROLE = 'Admin';
+
+// getContract returns the connected contract, or nothing while the chain is unavailable
+function createAuth({ getContract, secret, domain, sessionTtl = 8 * 3600, nonceTtl = 300 }) {
+    const nonces = new Map(); // nonce -> expiry (ms); each nonce can be used once
+    const revoked = new Map(); // session id -> expiry (ms), until the token would expire anyway
+
+    function prune(map) {
+        const now = Date.now();
+        map.forEach((expiresAt, key) => {
+            if (expiresAt <= now) map.delete(key);
+        });
+    }
+
+    function issueNonce() {
+        prune(nonces);
+        const nonce = generateNonce();
+        nonces.set(nonce, Date.now() + nonceTtl * 1000);
+        return nonce;
+    }
+
+    // Verify a signed SIWE message and open a session for its address
+    async function login(message, signature) {
+        let siwe;
+        try {
+            siwe = new SiweMessage(message);
+        } catch (error) {
+            throw Object.assign(new Error('Malformed sign-in message'), { status: 400 });
+        }
+
+        const nonceExpiry = nonces.get(siwe.nonce);
+        if (!nonceExpiry || nonceExpiry <= Date.now()) {
+            throw Object.assign(new Error('Unknown or expired nonce'), { status: 401 });
+        }
+        nonces.delete(siwe.nonce);
+
+        const { chainId } = await getContract().provider.getNetwork();
+        if (siwe.chainId !== chainId) {
+            throw Object.assign(new Error(`Sign-in message is for chain ${siwe.chainId}, expected ${chainId}`), { status: 401 });
+        }
+
+        try {
+            await siwe.verify({ signature, domain, nonce: siwe.nonce });
+        } catch (result) {
+            const reason = result.error ? result.error.type : result.message;
+            throw Object.assign(new Error(`Sign-in failed: ${reason}`), { status: 401 });
+        }
+
+        const sessionId = crypto.randomUUID();
+        const token = jwt.sign({ sub: siwe.address, chainId }, secret, {
+            expiresIn: sessionTtl,
+            jwtid: sessionId
+        });
+
+        return {
+            token,
+            address: siwe.address,
+            expiresAt: new Date(Date.now() + sessionTtl * 1000).toISOString()
+        };
+    }
+
+    function logout(session) {
+        prune(revoked);
+        revoked.set(session.id, session.expiresAt);
+    }
+
+    // Attach req.user when a valid bearer token is present; never rejects
+    function authenticate(req, res, next) {
+        const header = req.get('authorization') || '';
+        const [scheme, token] = header.split(' ');
+
+        if (scheme === 'Bearer' && token) {
+            try {
+                const claims = jwt.verify(token, secret);
+                if (!revoked.has(claims.jti)) {
+                    req.user = {
+                        address: claims.sub,
+                        session: { id: claims.jti, expiresAt: claims.exp * 1000 }
+                    };
+                }
+            } catch (error) {
+                // Invalid or expired tokens are treated as anonymous
+            }
+        }
+        next();
+    }
+
+    function requireAuth(req, res, next) {
+        if (!req.user) {
+            return res.status(401).json({ error: 'Authentication required' });
+        }
+        next();
+    }
+
+    // On-chain standing of an address, read fresh so role changes apply immediately.
+    // role is the registered (primary) role; roles lists every role currently granted.
+    async function loadParticipant(address) {
+        const contract = getContract();
+        const [participant, owner, granted] = await Promise.all([
+            contract.participants(address),
+            contract.owner(),
+            Promise.all(ROLE_NAMES.map(name => contract.hasRole(ROLE_IDS[name], address)))
+        ]);
+
+        return {
+            address,
+            name: participant.name,
+            role: participant.isActive ? ROLE_NAMES[participant.role] : null,
+            roles: participant.isActive ? ROLE_NAMES.filter((name, i) => granted[i]) : [],
+            isActive: participant.isActive,
+            isAdmin: owner.toLowerCase() === address.toLowerCase()
+        };
+    }
+
+    // Allow active participants holding any of `roles` (any active participant when none are given).
+    // ADMIN_ROLE admits the contract owner whether or not it is a registered participant.
+    function requireRole(...roles) {
+        return [requireAuth, async (req, res, next) => {
+            if (!getContract()) {
+                return res.status(503).json({ error: 'Contract not available' });
+            }
+
+            try {
+                const participant = await loadParticipant(req.user.address);
+                req.user.participant = participant;
+
+                const allowed = (roles.includes(ADMIN_ROLE) && participant.isAdmin) ||
+                    (participant.isActive && (roles.length === 0 || roles.some(role => participant.roles.includes(role))));
+
+                if (!allowed) {
+                    const required = roles.length > 0 ? roles.join(' or ') : 'an active participant';
+                    return res.status(403).json({ error: `Requires ${required}` });
+                }
+                next();
+            } catch (error) {
+                res.status(500).json({ error: error.message });
+            }
+        }];
+    }
+
+    return { issueNonce, login, logout, authenticate, requireAuth, requireRole, loadParticipant };
+}
+
+module.exports = { createAuth, ADMIN_ROLE };
@@ -0,0 +1,54 @@
+// certifications.js - Certification attestations from the AgriCertifications registry
+const { ethers } = require('ethers');
+
+// now is the chain time in seconds
+function certificationStatus(raw, now) {
+    if (raw.revoked) return 'revoked';
+    return raw.expiresAt.gt(now) ? 'valid' : 'expired';
+}
+
+// One attestation with its issuer's name, or null for an unknown id
+async function loadCertification(registry, supplyChain, id, now) {
+    const raw = await registry.certifications(id);
+    if (raw.issuer === ethers.constants.AddressZero) return null;
+
+    const issuer = await supplyChain.participants(raw.issuer);
+
+    return {
+        certificationId: id.toString(),
+        standard: raw.standard,
+        scope: raw.scope,
+        organic: raw.organic,
+        issuer: { address: raw.issuer, name: issuer.name },
+        farmer: raw.farmer,
+        productId: raw.productId.isZero() ? null : raw.productId.toString(), // null: every product of the farmer
+        issuedAt: new Date(raw.issuedAt.toNumber() * 1000).toISOString(),
+        expiresAt: new Date(raw.expiresAt.toNumber() * 1000).toISOString(),
+        status: certificationStatus(raw, now)
+    };
+}
+
+// Attestations covering a product and whether they back its self-declared organic flag.
+// organicClaim.status is 'verified', 'unverified' (claimed without a valid organic attestation)
+// or 'not_claimed'.
+async function loadProductCertifications(registry, supplyChain, productId, isOrganic, now) {
+    const ids = await registry.getProductCertifications(productId);
+    const attestations = await Promise.all(ids.map(id => loadCertification(registry, supplyChain, id, now)));
+    const backing = attestations.filter(c => c.organic && c.status === 'valid');
+
+    let status = 'not_claimed';
+    if (isOrganic) {
+        status = backing.length > 0 ? 'verified' : 'unverified';
+    }
+
+    return {
+        attestations,
+        organicClaim: {
+            claimed: isOrganic,
+            status,
+            certificationIds: backing.map(c => c.certificationId)
+        }
+    };
+}
+
+module.exports = { certificationStatus, loadCertification, loadProductCertifications };
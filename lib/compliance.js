@@ -0,0 +1,112 @@
+// compliance.js - Cold-chain excursion detection against product storage profiles
+const { ethers } = require('ethers');
+
+// Contract values are scaled by 100; convert to degrees and percent
+function profileFromChain(raw) {
+    if (!raw.isSet) return null;
+
+    return {
+        minTemperature: raw.minTemperature.toNumber() / 100,
+        maxTemperature: raw.maxTemperature.toNumber() / 100,
+        minHumidity: raw.minHumidity.toNumber() / 100,
+        maxHumidity: raw.maxHumidity.toNumber() / 100,
+        maxExcursionDuration: raw.maxExcursionDuration.toNumber(),
+        logger: raw.logger === ethers.constants.AddressZero ? null : raw.logger
+    };
+}
+
+// Returns the limits a single reading breaches (empty when in range)
+function checkReading(profile, reading) {
+    const breaches = [];
+
+    if (reading.temperature < profile.minTemperature) breaches.push('temperature_low');
+    if (reading.temperature > profile.maxTemperature) breaches.push('temperature_high');
+    if (reading.humidity < profile.minHumidity) breaches.push('humidity_low');
+    if (reading.humidity > profile.maxHumidity) breaches.push('humidity_high');
+
+    return breaches;
+}
+
+// Consecutive out-of-range readings form one excursion. It lasts from the first breaching
+// reading until the next in-range reading, or until `now` while it is still ongoing.
+function findExcursions(profile, readings, now) {
+    const excursions = [];
+    let current = null;
+
+    const close = (endTime, ongoing) => {
+        const durationSeconds = Math.max(0, Math.round((endTime - current.start.timestamp) / 1000));
+        const temperatures = current.readings.map(r => r.temperature);
+        const humidities = current.readings.map(r => r.humidity);
+
+        excursions.push({
+            startIndex: current.start.index,
+            endIndex: current.readings[current.readings.length - 1].index,
+            startTime: new Date(current.start.timestamp).toISOString(),
+            endTime: ongoing ? null : new Date(endTime).toISOString(),
+            ongoing,
+            durationSeconds,
+            exceedsAllowedDuration: durationSeconds > profile.maxExcursionDuration,
+            breaches: Array.from(current.breaches),
+            temperatureRange: { min: Math.min(...temperatures), max: Math.max(...temperatures) },
+            humidityRange: { min: Math.min(...humidities), max: Math.max(...humidities) },
+            recorder: current.start.recorder,
+            recorders: Array.from(new Set(current.readings.map(r => r.recorder))),
+            locations: Array.from(new Set(current.readings.map(r => r.location)))
+        });
+        current = null;
+    };
+
+    readings.forEach(reading => {
+        const breaches = checkReading(profile, reading);
+
+        if (breaches.length === 0) {
+            if (current) close(reading.timestamp, false);
+            return;
+        }
+
+        if (!current) {
+            current = { start: reading, readings: [], breaches: new Set() };
+        }
+        current.readings.push(reading);
+        breaches.forEach(b => current.breaches.add(b));
+    });
+
+    if (current) close(now, true);
+
+    return excursions;
+}
+
+// Readings carry millisecond timestamps, as returned by the environment API
+function buildComplianceReport(profile, readings, now = Date.now()) {
+    if (!profile) {
+        return {
+            status: 'no_profile',
+            compliant: null,
+            readingCount: readings.length,
+            excursions: []
+        };
+    }
+
+    const excursions = findExcursions(profile, readings, now);
+    const violations = excursions.filter(e => e.exceedsAllowedDuration);
+
+    let status = 'compliant';
+    if (violations.length > 0) {
+        status = 'violation';
+    } else if (excursions.length > 0) {
+        status = 'within_tolerance';
+    }
+
+    return {
+        status,
+        compliant: violations.length === 0,
+        profile,
+        readingCount: readings.length,
+        excursionCount: excursions.length,
+        violationCount: violations.length,
+        totalExcursionSeconds: excursions.reduce((sum, e) => sum + e.durationSeconds, 0),
+        excursions
+    };
+}
+
+module.exports = { profileFromChain, checkReading, findExcursions, buildComplianceReport };
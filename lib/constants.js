@@ -0,0 +1,21 @@
+// constants.js - Display names for the AgriSupplyChain enums (index = on-chain value)
+const { ethers } = require('ethers');
+
+const ROLE_NAMES = ['Farmer', 'Supplier', 'Distributor', 'Retailer', 'Inspector', 'Certifier'];
+const STAGE_NAMES = ['Harvested', 'Processed', 'In Transit', 'Delivered', 'Sold'];
+const QUALITY_NAMES = ['Excellent', 'Good', 'Fair', 'Poor'];
+const RECALL_SEVERITY_NAMES = ['Low', 'Medium', 'High'];
+
+// Batch note categories accepted by the API; updateQuality records its reason under 'quality'
+const NOTE_CATEGORIES = ['general', 'quality', 'handling', 'storage', 'transport', 'compliance'];
+
+// AccessControl role id of each participant role, e.g. keccak256("FARMER_ROLE")
+const ROLE_IDS = Object.fromEntries(ROLE_NAMES.map(name => [name, ethers.utils.id(`${name.toUpperCase()}_ROLE`)]));
+
+// Name of an AccessControl role id; DEFAULT_ADMIN_ROLE (which grants the others) is 'Admin'
+function roleNameOf(roleId) {
+    if (roleId === ethers.constants.HashZero) return 'Admin';
+    return ROLE_NAMES.find(name => ROLE_IDS[name] === roleId) || null;
+}
+
+module.exports = { ROLE_NAMES, STAGE_NAMES, QUALITY_NAMES, RECALL_SEVERITY_NAMES, NOTE_CATEGORIES, ROLE_IDS, roleNameOf };
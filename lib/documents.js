@@ -0,0 +1,116 @@
+// documents.js - Content-addressed file store for batch documents anchored on chain by SHA-256
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const DOCUMENT_TYPES = ['lab_result', 'phytosanitary_certificate', 'invoice', 'certificate_of_origin', 'packing_list', 'photo', 'other'];
+
+function sha256(content) {
+    return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+// Files live at <dir>/<first two hex chars>/<sha256>, with a <sha256>.json sidecar for the
+// name and media type they were uploaded with. Storing the same bytes twice is a no-op.
+function createDocumentStore(dir) {
+    function filePath(hash) {
+        return path.join(dir, hash.slice(0, 2), hash);
+    }
+
+    function normalize(hash) {
+        const hex = String(hash).toLowerCase().replace(/^0x/, '');
+        if (!/^[0-9a-f]{64}$/.test(hex)) {
+            throw Object.assign(new Error('Invalid SHA-256 hash'), { status: 400 });
+        }
+        return hex;
+    }
+
+    // Returns the stored file's hash and size; existed is true when the content was already stored
+    function put(content, { name = null, mediaType = 'application/octet-stream' } = {}) {
+        const hash = sha256(content);
+        const target = filePath(hash);
+        const existed = fs.existsSync(target);
+
+        if (!existed) {
+            fs.mkdirSync(path.dirname(target), { recursive: true });
+            const tmpPath = `${target}.tmp`;
+            fs.writeFileSync(tmpPath, content);
+            fs.renameSync(tmpPath, target);
+            fs.writeFileSync(`${target}.json`, JSON.stringify({ name, mediaType, size: content.length }));
+        }
+
+        return { hash, size: content.length, existed };
+    }
+
+    // File contents, or null when nothing is stored under the hash
+    function get(hash) {
+        try {
+            return fs.readFileSync(filePath(normalize(hash)));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    function getInfo(hash) {
+        try {
+            return JSON.parse(fs.readFileSync(`${filePath(normalize(hash))}.json`, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    // Re-hash the stored copy and compare it with the expected (on-chain) hash
+    function verify(hash) {
+        const expected = normalize(hash);
+        const content = get(expected);
+        if (!content) {
+            return { stored: false, verified: false, expectedHash: expected, actualHash: null };
+        }
+
+        const actual = sha256(content);
+        return { stored: true, verified: actual === expected, expectedHash: expected, actualHash: actual };
+    }
+
+    return { put, get, getInfo, verify };
+}
+
+// Stores an upload only when the uploader may anchor documents for the batch and its hash is
+// already anchored there, so refused or never-anchored uploads leave nothing on disk. Throws
+// with status 403 or 409 otherwise.
+async function storeUpload(registry, store, batchId, uploader, content, info) {
+    if (!(await registry.canAnchor(batchId, uploader))) {
+        throw Object.assign(new Error('Not authorized for this batch'), { status: 403 });
+    }
+    if (!(await registry.isAnchored(batchId, `0x${sha256(content)}`))) {
+        throw Object.assign(new Error('Document is not anchored for this batch'), { status: 409 });
+    }
+    return store.put(content, info);
+}
+
+// A batch's anchored documents, oldest first, each checked against the stored copy
+async function loadBatchDocuments(registry, store, batchId) {
+    const count = (await registry.getDocumentCount(batchId)).toNumber();
+    const indexes = Array.from({ length: count }, (_, i) => i);
+
+    return Promise.all(indexes.map(async (index) => {
+        const document = await registry.getDocument(batchId, index);
+        const info = store.getInfo(document.contentHash);
+        const check = store.verify(document.contentHash);
+
+        return {
+            index,
+            sha256: check.expectedHash,
+            documentType: document.documentType,
+            uploader: document.uploader,
+            anchoredAt: new Date(document.timestamp.toNumber() * 1000).toISOString(),
+            name: info ? info.name : null,
+            mediaType: info ? info.mediaType : null,
+            size: info ? info.size : null,
+            stored: check.stored,
+            verified: check.verified
+        };
+    }));
+}
+
+module.exports = { DOCUMENT_TYPES, sha256, createDocumentStore, storeUpload, loadBatchDocuments };
@@ -0,0 +1,149 @@
+// environment.js - Environment history analytics: mean kinetic temperature, time out of range and data gaps
+
+// Activation energy over the gas constant for MKT: 83.144 kJ/mol / 8.3144 J/(mol K), in kelvin
+const MKT_ACTIVATION_RATIO = 10000;
+const KELVIN_OFFSET = 273.15;
+
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+// Each reading stands for the conditions until the next one, but for at most maxGapMs; a
+// reading with nothing after it in the window holds until the window's end under the same cap.
+function holdIntervals(readings, windowEnd, maxGapMs) {
+    return readings.map((reading, i) => {
+        const next = i + 1 < readings.length ? readings[i + 1].timestamp : windowEnd;
+        return { reading, start: reading.timestamp, end: Math.min(next, reading.timestamp + maxGapMs) };
+    });
+}
+
+// Spans longer than maxGapMs without a reading, including before the first and after the last
+function findGaps(readings, windowStart, windowEnd, maxGapMs) {
+    const points = [windowStart, ...readings.map(r => r.timestamp), windowEnd];
+    const gaps = [];
+
+    for (let i = 0; i + 1 < points.length; i++) {
+        if (points[i + 1] - points[i] > maxGapMs) {
+            gaps.push({ start: points[i], end: points[i + 1] });
+        }
+    }
+    return gaps;
+}
+
+// The parts of the intervals that fall within [start, end)
+function clip(intervals, start, end) {
+    return intervals
+        .map(interval => ({ ...interval, start: Math.max(interval.start, start), end: Math.min(interval.end, end) }))
+        .filter(interval => interval.end > interval.start);
+}
+
+function seconds(ms) {
+    return Math.round(ms / 1000);
+}
+
+// Mean kinetic temperature (°C), each temperature weighted by how long it held. Falls back to
+// equal weights when no time passed, e.g. for a single reading.
+function meanKineticTemperature(samples) {
+    if (samples.length === 0) return null;
+
+    const totalWeight = samples.reduce((sum, s) => sum + s.weight, 0);
+    const weighted = samples.map(s => ({ temperature: s.temperature, weight: totalWeight > 0 ? s.weight : 1 }));
+    const weightSum = weighted.reduce((sum, s) => sum + s.weight, 0);
+    const mean = weighted.reduce((sum, s) => sum + s.weight * Math.exp(-MKT_ACTIVATION_RATIO / (s.temperature + KELVIN_OFFSET)), 0) / weightSum;
+
+    return round(MKT_ACTIVATION_RATIO / -Math.log(mean) - KELVIN_OFFSET);
+}
+
+function range(values) {
+    if (values.length === 0) return { min: null, max: null, mean: null };
+    return {
+        min: Math.min(...values),
+        max: Math.max(...values),
+        mean: round(values.reduce((sum, value) => sum + value, 0) / values.length)
+    };
+}
+
+// Seconds spent beyond each limit of the profile, and in breach of any of them
+function timeOutOfRange(profile, intervals) {
+    if (!profile) return null;
+
+    const totals = { temperatureHighSeconds: 0, temperatureLowSeconds: 0, humidityHighSeconds: 0, humidityLowSeconds: 0, totalSeconds: 0 };
+    intervals.forEach(({ reading, start, end }) => {
+        const duration = end - start;
+        const high = reading.temperature > profile.maxTemperature;
+        const low = reading.temperature < profile.minTemperature;
+        const humid = reading.humidity > profile.maxHumidity;
+        const dry = reading.humidity < profile.minHumidity;
+
+        if (high) totals.temperatureHighSeconds += duration;
+        if (low) totals.temperatureLowSeconds += duration;
+        if (humid) totals.humidityHighSeconds += duration;
+        if (dry) totals.humidityLowSeconds += duration;
+        if (high || low || humid || dry) totals.totalSeconds += duration;
+    });
+
+    return Object.fromEntries(Object.entries(totals).map(([key, ms]) => [key, seconds(ms)]));
+}
+
+function summarize(readings, intervals, gaps, profile, start, end) {
+    const monitored = intervals.reduce((sum, interval) => sum + interval.end - interval.start, 0);
+    const samples = intervals.length > 0
+        ? intervals.map(interval => ({ temperature: interval.reading.temperature, weight: interval.end - interval.start }))
+        : readings.map(reading => ({ temperature: reading.temperature, weight: 0 }));
+
+    return {
+        readingCount: readings.length,
+        durationSeconds: seconds(end - start),
+        monitoredSeconds: seconds(monitored),
+        temperature: range(readings.map(r => r.temperature)),
+        humidity: range(readings.map(r => r.humidity)),
+        meanKineticTemperature: meanKineticTemperature(samples),
+        timeOutOfRange: timeOutOfRange(profile, intervals),
+        gaps: gaps.map(gap => ({
+            start: new Date(gap.start).toISOString(),
+            end: new Date(gap.end).toISOString(),
+            durationSeconds: seconds(gap.end - gap.start)
+        }))
+    };
+}
+
+// Statistics over readings (millisecond timestamps, in time order) within [from, to], which
+// default to the first and last reading. custody lists the batch's holders as { holder,
+// location, since } in order; each holds the batch until the next one takes over.
+function buildEnvironmentStats(readings, { profile = null, custody = [], from, to, maxGapSeconds }) {
+    const inWindow = readings.filter(r => (from === undefined || r.timestamp >= from) && (to === undefined || r.timestamp <= to));
+    const start = from !== undefined ? from : (inWindow.length > 0 ? inWindow[0].timestamp : 0);
+    const end = to !== undefined ? to : (inWindow.length > 0 ? inWindow[inWindow.length - 1].timestamp : start);
+    const maxGapMs = maxGapSeconds * 1000;
+
+    const intervals = clip(holdIntervals(inWindow, end, maxGapMs), start, end);
+    const gaps = findGaps(inWindow, start, end, maxGapMs);
+
+    const segments = custody
+        .map((holder, i) => ({
+            ...holder,
+            until: i + 1 < custody.length ? custody[i + 1].since : null
+        }))
+        .filter(segment => segment.since <= end && (segment.until === null || segment.until > start))
+        .map(segment => {
+            const segmentStart = Math.max(segment.since, start);
+            const segmentEnd = segment.until === null ? end : Math.min(segment.until, end);
+            const held = inWindow.filter(r => r.timestamp >= segmentStart && (segment.until === null ? r.timestamp <= segmentEnd : r.timestamp < segmentEnd));
+
+            return {
+                holder: segment.holder,
+                location: segment.location,
+                from: new Date(segmentStart).toISOString(),
+                to: segment.until === null ? null : new Date(segmentEnd).toISOString(),
+                ...summarize(held, clip(intervals, segmentStart, segmentEnd),
+                    clip(gaps, segmentStart, segmentEnd), profile, segmentStart, segmentEnd)
+            };
+        });
+
+    return {
+        window: { from: new Date(start).toISOString(), to: new Date(end).toISOString() },
+        maxGapSeconds,
+        ...summarize(inWindow, intervals, gaps, profile, start, end),
+        segments
+    };
+}
+
+module.exports = { MKT_ACTIVATION_RATIO, meanKineticTemperature, buildEnvironmentStats };
@@ -0,0 +1,223 @@
+// epcis.js - GS1 EPCIS 2.0 (JSON-LD) export of a batch's indexed events and environment records
+const { checkReading } = require('./compliance');
+
+const EPCIS_CONTEXT = 'https://ref.gs1.org/standards/epcis/epcis-context.jsonld';
+// Namespace of the fields that carry on-chain details no EPCIS field covers
+const EXTENSION_NAMESPACE = 'urn:agrichain:epcis:';
+
+// Business step and disposition of a custody change, by the Stage the batch moves into
+const STAGE_BUSINESS_STEPS = [
+    { bizStep: 'commissioning', disposition: 'active' },                // Harvested
+    { bizStep: 'receiving', disposition: 'in_progress' },               // Processed
+    { bizStep: 'shipping', disposition: 'in_transit' },                 // InTransit
+    { bizStep: 'receiving', disposition: 'sellable_not_accessible' },   // Delivered
+    { bizStep: 'retail_selling', disposition: 'retail_sold' }           // Sold
+];
+
+// Identifiers are scoped to one deployment: urn:agrichain:<chainId>:<contract>:batch:<id>, ...
+function createIdentifiers(chainId, contractAddress) {
+    const base = `urn:agrichain:${chainId}:${contractAddress.toLowerCase()}`;
+
+    return {
+        batch: batchId => `${base}:batch:${batchId}`,
+        party: address => `${base}:party:${address.toLowerCase()}`,
+        location: name => `${base}:location:${encodeURIComponent(name)}`,
+        transaction: transactionId => `${base}:transaction:${transactionId}`,
+        event: eventId => `${base}:event:${eventId}`,
+        reading: (batchId, index) => `${base}:batch:${batchId}:reading:${index}`
+    };
+}
+
+function isoTime(seconds) {
+    return new Date(seconds * 1000).toISOString();
+}
+
+function lot(ids, batchId, quantity) {
+    return quantity === undefined ? { epcClass: ids.batch(batchId) } : { epcClass: ids.batch(batchId), quantity: Number(quantity) };
+}
+
+// Where an event happened; goods in transit have a read point but no business location
+function place(ids, location, disposition) {
+    if (!location) return {};
+    const where = { readPoint: { id: ids.location(location) } };
+    if (disposition !== 'in_transit') where.bizLocation = { id: ids.location(location) };
+    return where;
+}
+
+function chainFields(ids, event) {
+    return {
+        eventID: ids.event(event.id),
+        eventTime: isoTime(event.timestamp),
+        eventTimeZoneOffset: '+00:00'
+    };
+}
+
+function provenance(event) {
+    return { 'agri:transactionHash': event.transactionHash, 'agri:blockNumber': event.blockNumber };
+}
+
+function custodyChange(ids, batchId, event, stage, location, from, to) {
+    const { bizStep, disposition } = STAGE_BUSINESS_STEPS[stage];
+
+    return {
+        type: 'ObjectEvent',
+        ...chainFields(ids, event),
+        action: 'OBSERVE',
+        quantityList: [lot(ids, batchId)],
+        bizStep,
+        disposition,
+        ...place(ids, location, disposition),
+        sourceList: [
+            { type: 'owning_party', source: ids.party(from) },
+            { type: 'possessing_party', source: ids.party(from) }
+        ],
+        destinationList: [
+            { type: 'owning_party', destination: ids.party(to) },
+            { type: 'possessing_party', destination: ids.party(to) }
+        ]
+    };
+}
+
+function sensorEvent(ids, batchId, reading, profile) {
+    const breaches = profile ? checkReading(profile, reading) : [];
+    const report = (type, value, uom, measure) => {
+        const entry = { type, value, uom };
+        if (breaches.some(breach => breach.startsWith(measure))) entry.exception = 'ALARM_CONDITION';
+        return entry;
+    };
+
+    return {
+        type: 'ObjectEvent',
+        eventID: ids.reading(batchId, reading.index),
+        eventTime: new Date(reading.timestamp).toISOString(),
+        eventTimeZoneOffset: '+00:00',
+        action: 'OBSERVE',
+        quantityList: [lot(ids, batchId)],
+        bizStep: 'sensor_reporting',
+        ...place(ids, reading.location),
+        sensorElementList: [{
+            sensorMetadata: { time: new Date(reading.timestamp).toISOString() },
+            sensorReport: [
+                report('gs1:Temperature', reading.temperature, 'CEL', 'temperature'),
+                report('gs1:RelativeHumidity', reading.humidity, 'P1', 'humidity')
+            ]
+        }],
+        'agri:recorder': ids.party(reading.recorder)
+    };
+}
+
+// The EPCIS document for one batch. events is the indexer's event list in chain order; the
+// batch's own creation, custody changes and sales become ObjectEvents, and the splits and
+// merges it took part in TransformationEvents (inputs and outputs are lots, with quantities
+// where the chain records them). readings are the batch's environment records, each an
+// ObjectEvent with a sensor element; breaches of the storage profile are flagged as alarms.
+function buildEpcisDocument({ chainId, contractAddress, batchId, product, events, readings = [], profile = null, createdAt = new Date() }) {
+    const ids = createIdentifiers(chainId, contractAddress);
+    const id = String(batchId);
+    const stages = new Map();
+    const locations = new Map();
+    const sellers = new Map();
+    const epcisEvents = [];
+
+    // Lots made by a split or merge are created by that TransformationEvent, not commissioned
+    const bornFromTransformation = new Set(events.flatMap(event => {
+        if (event.type === 'BatchSplit') return event.data.childBatchIds;
+        if (event.type === 'BatchesMerged') return [event.batchId];
+        return [];
+    }));
+
+    events.forEach(event => {
+        const { data } = event;
+
+        switch (event.type) {
+            case 'BatchCreated':
+                stages.set(event.batchId, 0);
+                locations.set(event.batchId, data.location);
+                if (event.batchId === id && !bornFromTransformation.has(id)) {
+                    epcisEvents.push({
+                        type: 'ObjectEvent',
+                        ...chainFields(ids, event),
+                        action: 'ADD',
+                        quantityList: [lot(ids, id, product.quantity)],
+                        ...STAGE_BUSINESS_STEPS[0],
+                        ...place(ids, data.location, 'active'),
+                        ilmd: {
+                            'cbvmda:lotNumber': id,
+                            'agri:productId': data.productId,
+                            'agri:productName': data.productName,
+                            'agri:qrCode': data.qrCode,
+                            'agri:farmer': ids.party(data.farmer)
+                        },
+                        ...provenance(event)
+                    });
+                }
+                break;
+            case 'BatchSplit':
+            case 'BatchesMerged': {
+                const split = event.type === 'BatchSplit';
+                const inputs = split ? [event.batchId] : data.sourceBatchIds;
+                const outputs = split ? data.childBatchIds : [event.batchId];
+
+                // Outputs start at the stage of the (first) input; their BatchCreated came first
+                outputs.forEach(outputId => stages.set(outputId, stages.get(inputs[0]) || 0));
+                if (![...inputs, ...outputs].includes(id)) break;
+
+                epcisEvents.push({
+                    type: 'TransformationEvent',
+                    ...chainFields(ids, event),
+                    inputQuantityList: split
+                        ? [lot(ids, event.batchId, data.quantities.reduce((sum, q) => sum + Number(q), 0))]
+                        : inputs.map(inputId => lot(ids, inputId)),
+                    outputQuantityList: split
+                        ? outputs.map((outputId, i) => lot(ids, outputId, data.quantities[i]))
+                        : [lot(ids, event.batchId, data.totalQuantity)],
+                    bizStep: 'commissioning',
+                    disposition: 'active',
+                    ...place(ids, locations.get(outputs[0]), 'active'),
+                    ...provenance(event)
+                });
+                break;
+            }
+            case 'OwnershipTransferred':
+                stages.set(event.batchId, data.stage);
+                if (data.location) locations.set(event.batchId, data.location);
+                if (event.batchId === id) {
+                    epcisEvents.push({
+                        ...custodyChange(ids, id, event, data.stage, data.location, data.from, data.to),
+                        ...provenance(event)
+                    });
+                }
+                break;
+            case 'TransactionCreated':
+                sellers.set(data.transactionId, data.seller);
+                break;
+            case 'TransactionCompleted':
+                // A sale moves ownership but keeps the stage and location
+                if (event.batchId === id && sellers.has(data.transactionId)) {
+                    epcisEvents.push({
+                        ...custodyChange(ids, id, event, stages.get(id) || 0, locations.get(id), sellers.get(data.transactionId), data.buyer),
+                        bizTransactionList: [{ type: 'inv', bizTransaction: ids.transaction(data.transactionId) }],
+                        ...provenance(event)
+                    });
+                }
+                break;
+            default:
+                break;
+        }
+    });
+
+    epcisEvents.push(...readings.map(reading => sensorEvent(ids, id, reading, profile)));
+
+    // Chain events already come in order, so the sort only interleaves the readings
+    epcisEvents.sort((a, b) => Date.parse(a.eventTime) - Date.parse(b.eventTime));
+
+    return {
+        '@context': [EPCIS_CONTEXT, { agri: EXTENSION_NAMESPACE }],
+        type: 'EPCISDocument',
+        schemaVersion: '2.0',
+        creationDate: createdAt.toISOString(),
+        epcisBody: { eventList: epcisEvents }
+    };
+}
+
+module.exports = { STAGE_BUSINESS_STEPS, createIdentifiers, buildEpcisDocument };
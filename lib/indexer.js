@@ -0,0 +1,432 @@
+// indexer.js - Background replay of AgriSupplyChain events into the local store
+const { ethers } = require('ethers');
+const { roleNameOf } = require('./constants');
+
+// Events replayed into the store, keyed by name
+const INDEXED_EVENTS = {
+    ParticipantRegistered: 'ParticipantRegistered(address,uint8,string)',
+    ProductCreated: 'ProductCreated(uint256,string,address)',
+    BatchCreated: 'BatchCreated(uint256,uint256,string)',
+    BatchSplit: 'BatchSplit(uint256,uint256[],uint256[])',
+    BatchesMerged: 'BatchesMerged(uint256,uint256[],uint256)',
+    HandoffProposed: 'HandoffProposed(uint256,address,address,uint8,string,uint256)',
+    HandoffAccepted: 'HandoffAccepted(uint256,address,address,uint256,string)',
+    HandoffRejected: 'HandoffRejected(uint256,address,address,string)',
+    HandoffCancelled: 'HandoffCancelled(uint256,address)',
+    OwnershipTransferred: 'OwnershipTransferred(uint256,address,address,uint8)',
+    TransactionCreated: 'TransactionCreated(uint256,uint256,address,address,uint256,string)',
+    TransactionCompleted: 'TransactionCompleted(uint256,uint256,address)',
+    EnvironmentDataRecorded: 'EnvironmentDataRecorded(uint256,int256,uint256,address)',
+    EnvironmentExcursion: 'EnvironmentExcursion(uint256,uint256,int256,uint256,address)',
+    StorageProfileSet: 'StorageProfileSet(uint256,int256,int256,uint256,uint256,uint256,address)',
+    QualityUpdated: 'QualityUpdated(uint256,uint8,address)',
+    BatchNoteAdded: 'BatchNoteAdded(uint256,uint256,string,string,address)',
+    RecallIssued: 'RecallIssued(uint256,bool,uint8,string,address)',
+    RecallLifted: 'RecallLifted(uint256,bool,address)',
+    // Owner actions, kept for the admin audit trail
+    RegistrationApprovalSet: 'RegistrationApprovalSet(bool)',
+    ParticipantApproved: 'ParticipantApproved(address)',
+    ParticipantDeactivated: 'ParticipantDeactivated(address)',
+    ParticipantReactivated: 'ParticipantReactivated(address)',
+    ParticipantRoleChanged: 'ParticipantRoleChanged(address,uint8,uint8)',
+    ReputationUpdated: 'ReputationUpdated(address,uint256,uint256,string)',
+    HandoffTimeoutSet: 'HandoffTimeoutSet(uint256)',
+    TrustedForwarderSet: 'TrustedForwarderSet(address)',
+    Paused: 'Paused(address)',
+    Unpaused: 'Unpaused(address)',
+    RoleGranted: 'RoleGranted(bytes32,address,address)',
+    RoleRevoked: 'RoleRevoked(bytes32,address,address)'
+};
+
+function createIndexer({
+    provider,
+    contract,
+    store,
+    startBlock = 0,
+    blockRange = 2000,
+    reorgDepth = 12,
+    pollInterval = 5000
+}) {
+    const topicToEvent = new Map(
+        Object.entries(INDEXED_EVENTS).map(([name, signature]) => [ethers.utils.id(signature), name])
+    );
+
+    let opened = false;
+    let syncing = false;
+    let timer = null;
+    let lastError = null;
+    let headBlock = null;
+
+    // Returns the newest indexed block that is still on the canonical chain
+    async function findCommonAncestor(lastBlock) {
+        for (let n = lastBlock; n >= Math.max(startBlock, lastBlock - reorgDepth); n--) {
+            const storedHash = store.getBlockHash(n);
+            if (!storedHash) continue;
+
+            const block = await provider.getBlock(n);
+            if (block && block.hash === storedHash) {
+                return n;
+            }
+        }
+        return startBlock - 1;
+    }
+
+    async function checkReorg() {
+        const lastBlock = store.getLastBlock();
+        if (lastBlock === null) return;
+
+        const storedHash = store.getBlockHash(lastBlock);
+        const block = await provider.getBlock(lastBlock);
+        if (block && (!storedHash || block.hash === storedHash)) return;
+
+        const ancestor = await findCommonAncestor(lastBlock);
+        console.log(`⚠️ Chain reorganisation detected, rewinding indexer from block ${lastBlock} to ${ancestor}`);
+        store.rewind(ancestor);
+    }
+
+    // Turns a raw log into a stored event, reading immutable context from the contract
+    async function buildEvent(name, parsed, log, block, context) {
+        let batchIdArg = parsed.args.batchId || parsed.args.parentBatchId || parsed.args.mergedBatchId;
+        if (parsed.args.targetId && !parsed.args.isProduct) {
+            batchIdArg = parsed.args.targetId;
+        }
+        const batchId = batchIdArg ? batchIdArg.toString() : null;
+        const event = {
+            id: `${log.blockNumber}:${log.logIndex}`,
+            type: name,
+            batchId,
+            blockNumber: log.blockNumber,
+            blockHash: log.blockHash,
+            transactionHash: log.transactionHash,
+            logIndex: log.logIndex,
+            timestamp: block.timestamp,
+            data: {}
+        };
+
+        switch (name) {
+            case 'ParticipantRegistered':
+                event.data = {
+                    participant: parsed.args.participant,
+                    role: parsed.args.role,
+                    name: parsed.args.name
+                };
+                break;
+            case 'ProductCreated':
+                event.data = {
+                    productId: parsed.args.productId.toString(),
+                    productName: parsed.args.productName,
+                    farmer: parsed.args.farmer
+                };
+                break;
+            case 'BatchCreated': {
+                const productId = parsed.args.productId.toString();
+                const product = await contract.getProductInfo(productId);
+                const history = await context.getHistory(batchId);
+                event.data = {
+                    productId,
+                    productName: product.name,
+                    qrCode: parsed.args.qrCode,
+                    farmer: product.farmer,
+                    owner: history.owners[0],
+                    location: history.locations[0]
+                };
+                break;
+            }
+            case 'BatchSplit':
+                event.data = {
+                    childBatchIds: parsed.args.childBatchIds.map(id => id.toString()),
+                    quantities: parsed.args.quantities.map(q => q.toString())
+                };
+                break;
+            case 'BatchesMerged':
+                event.data = {
+                    sourceBatchIds: parsed.args.sourceBatchIds.map(id => id.toString()),
+                    totalQuantity: parsed.args.totalQuantity.toString()
+                };
+                break;
+            case 'HandoffProposed':
+                event.data = {
+                    from: parsed.args.from,
+                    to: parsed.args.to,
+                    stage: parsed.args.newStage,
+                    location: parsed.args.location,
+                    expiresAt: parsed.args.expiresAt.toNumber()
+                };
+                break;
+            case 'HandoffAccepted':
+                event.data = {
+                    from: parsed.args.from,
+                    to: parsed.args.to,
+                    receivedQuantity: parsed.args.receivedQuantity.toString(),
+                    condition: parsed.args.condition
+                };
+                break;
+            case 'HandoffRejected':
+                event.data = {
+                    from: parsed.args.from,
+                    to: parsed.args.to,
+                    reason: parsed.args.reason
+                };
+                break;
+            case 'HandoffCancelled':
+                event.data = {
+                    cancelledBy: parsed.args.cancelledBy
+                };
+                break;
+            case 'OwnershipTransferred': {
+                // History arrays are append-only, so the entry position is stable
+                const batch = store.getBatch(batchId);
+                const history = await context.getHistory(batchId);
+                event.data = {
+                    from: parsed.args.from,
+                    to: parsed.args.to,
+                    stage: parsed.args.newStage,
+                    location: batch ? history.locations[batch.historyLength] : null
+                };
+                break;
+            }
+            case 'TransactionCreated':
+                event.data = {
+                    transactionId: parsed.args.transactionId.toString(),
+                    seller: parsed.args.seller,
+                    buyer: parsed.args.buyer,
+                    price: parsed.args.price.toString(),
+                    transactionType: parsed.args.transactionType
+                };
+                break;
+            case 'TransactionCompleted':
+                event.data = {
+                    transactionId: parsed.args.transactionId.toString(),
+                    buyer: parsed.args.buyer
+                };
+                break;
+            case 'EnvironmentDataRecorded':
+                event.data = {
+                    temperature: parsed.args.temperature.toNumber() / 100,
+                    humidity: parsed.args.humidity.toNumber() / 100,
+                    recorder: parsed.args.recorder
+                };
+                break;
+            case 'EnvironmentExcursion': {
+                // Logger readings carry their own time, which may be long before the block's
+                const reading = await contract.getEnvironmentData(batchId, parsed.args.recordIndex);
+                event.data = {
+                    recordIndex: parsed.args.recordIndex.toNumber(),
+                    temperature: parsed.args.temperature.toNumber() / 100,
+                    humidity: parsed.args.humidity.toNumber() / 100,
+                    recorder: parsed.args.recorder,
+                    readingTimestamp: reading.timestamp.toNumber()
+                };
+                break;
+            }
+            case 'StorageProfileSet':
+                event.data = {
+                    productId: parsed.args.productId.toString(),
+                    logger: parsed.args.logger
+                };
+                break;
+            case 'QualityUpdated':
+                event.data = {
+                    quality: parsed.args.newQuality,
+                    updatedBy: parsed.args.updatedBy
+                };
+                break;
+            case 'BatchNoteAdded':
+                event.data = {
+                    index: parsed.args.index.toNumber(),
+                    category: parsed.args.category,
+                    note: parsed.args.note,
+                    addedBy: parsed.args.addedBy
+                };
+                break;
+            case 'RecallIssued':
+                event.data = {
+                    targetId: parsed.args.targetId.toString(),
+                    isProduct: parsed.args.isProduct,
+                    severity: parsed.args.severity,
+                    reason: parsed.args.reason,
+                    issuedBy: parsed.args.issuedBy
+                };
+                break;
+            case 'RecallLifted':
+                event.data = {
+                    targetId: parsed.args.targetId.toString(),
+                    isProduct: parsed.args.isProduct,
+                    liftedBy: parsed.args.liftedBy
+                };
+                break;
+            case 'RegistrationApprovalSet':
+                event.data = {
+                    required: parsed.args.required
+                };
+                break;
+            case 'ParticipantApproved':
+            case 'ParticipantDeactivated':
+            case 'ParticipantReactivated':
+                event.data = {
+                    participant: parsed.args.participant
+                };
+                break;
+            case 'ParticipantRoleChanged':
+                event.data = {
+                    participant: parsed.args.participant,
+                    oldRole: parsed.args.oldRole,
+                    newRole: parsed.args.newRole
+                };
+                break;
+            case 'ReputationUpdated':
+                event.data = {
+                    participant: parsed.args.participant,
+                    oldReputation: parsed.args.oldReputation.toString(),
+                    newReputation: parsed.args.newReputation.toString(),
+                    reason: parsed.args.reason
+                };
+                break;
+            case 'HandoffTimeoutSet':
+                event.data = {
+                    timeout: parsed.args.timeout.toNumber()
+                };
+                break;
+            case 'TrustedForwarderSet':
+                event.data = {
+                    forwarder: parsed.args.forwarder
+                };
+                break;
+            case 'Paused':
+            case 'Unpaused':
+                event.data = {
+                    account: parsed.args.account
+                };
+                break;
+            case 'RoleGranted':
+            case 'RoleRevoked':
+                event.data = {
+                    participant: parsed.args.account,
+                    role: roleNameOf(parsed.args.role) || parsed.args.role,
+                    sender: parsed.args.sender
+                };
+                break;
+        }
+
+        return event;
+    }
+
+    async function indexRange(fromBlock, toBlock) {
+        const logs = await provider.getLogs({
+            address: contract.address,
+            topics: [Array.from(topicToEvent.keys())],
+            fromBlock,
+            toBlock
+        });
+
+        const blocks = new Map();
+        const getBlock = async (blockNumber) => {
+            if (!blocks.has(blockNumber)) {
+                blocks.set(blockNumber, await provider.getBlock(blockNumber));
+            }
+            return blocks.get(blockNumber);
+        };
+
+        const histories = new Map();
+        const context = {
+            getHistory: async (batchId) => {
+                if (!histories.has(batchId)) {
+                    histories.set(batchId, await contract.getBatchHistory(batchId));
+                }
+                return histories.get(batchId);
+            }
+        };
+
+        let count = 0;
+        for (const log of logs) {
+            if (log.removed) continue;
+
+            const block = await getBlock(log.blockNumber);
+            if (!block || block.hash !== log.blockHash) {
+                throw new Error(`Block ${log.blockNumber} changed while indexing, retrying`);
+            }
+
+            const name = topicToEvent.get(log.topics[0]);
+            const parsed = contract.interface.parseLog(log);
+            const event = await buildEvent(name, parsed, log, block, context);
+
+            // Later events in this range read history positions from the projection
+            store.appendEvent(event);
+            count++;
+        }
+
+        // Remember recent block hashes so the next poll can detect reorgs
+        for (let n = Math.max(fromBlock, toBlock - reorgDepth + 1); n <= toBlock; n++) {
+            const block = await getBlock(n);
+            store.setBlockHash(n, block.hash);
+        }
+
+        store.commit(toBlock, reorgDepth);
+        return count;
+    }
+
+    async function poll() {
+        if (syncing) return;
+        syncing = true;
+
+        try {
+            if (!opened) {
+                const network = await provider.getNetwork();
+                store.open(network.chainId, contract.address);
+                opened = true;
+            }
+
+            await checkReorg();
+
+            headBlock = await provider.getBlockNumber();
+            let lastBlock = store.getLastBlock();
+            if (lastBlock === null) lastBlock = startBlock - 1;
+
+            while (lastBlock < headBlock) {
+                const fromBlock = lastBlock + 1;
+                const toBlock = Math.min(fromBlock + blockRange - 1, headBlock);
+                await indexRange(fromBlock, toBlock);
+                lastBlock = toBlock;
+            }
+
+            lastError = null;
+        } catch (error) {
+            lastError = error.message;
+            console.error('❌ Indexer error:', error.message);
+
+            // Discard partially applied events; the next poll resumes from the last commit
+            if (opened) {
+                const lastBlock = store.getLastBlock();
+                store.rewind(lastBlock === null ? startBlock - 1 : lastBlock);
+            }
+        } finally {
+            syncing = false;
+        }
+    }
+
+    function start() {
+        const loop = async () => {
+            await poll();
+            timer = setTimeout(loop, pollInterval);
+        };
+        loop();
+    }
+
+    function stop() {
+        clearTimeout(timer);
+        timer = null;
+    }
+
+    function status() {
+        return {
+            lastIndexedBlock: store.getLastBlock(),
+            headBlock,
+            syncing,
+            lastError
+        };
+    }
+
+    return { poll, start, stop, status };
+}
+
+module.exports = { createIndexer, INDEXED_EVENTS };
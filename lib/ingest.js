@@ -0,0 +1,200 @@
+// ingest.js - Parse data logger exports (CSV or JSON) and plan their batched on-chain recording
+const express = require('express');
+
+// Logger files are far larger than other API bodies (express.json() stops at 100kb)
+const LOGGER_FILE_LIMIT = '5mb';
+
+// Accepted header names for each column, compared case-insensitively
+const COLUMN_ALIASES = {
+    timestamp: ['timestamp', 'time', 'datetime', 'date'],
+    temperature: ['temperature', 'temp', 'temperature_c', 'temp_c'],
+    humidity: ['humidity', 'rh', 'humidity_pct', 'relative_humidity'],
+    location: ['location']
+};
+
+function badRequest(message) {
+    return Object.assign(new Error(message), { status: 400 });
+}
+
+function toNumber(value) {
+    return value === undefined || value === null || value === '' ? NaN : Number(value);
+}
+
+// Identifies a reading by its time and values, as stored * 100 on chain
+function readingKey(reading) {
+    return `${reading.timestamp}|${Math.round(reading.temperature * 100)}|${Math.round(reading.humidity * 100)}`;
+}
+
+// Unix seconds or milliseconds, or an ISO date; returns unix seconds or null
+function parseTimestamp(value) {
+    if (value === undefined || value === null || value === '') return null;
+
+    if (typeof value === 'number' || /^\d+(\.\d+)?$/.test(String(value).trim())) {
+        const number = Number(value);
+        const seconds = Math.floor(number > 1e12 ? number / 1000 : number);
+        return seconds <= 8.64e12 ? seconds : null; // latest time a Date can hold
+    }
+
+    const millis = Date.parse(value);
+    return isNaN(millis) ? null : Math.floor(millis / 1000);
+}
+
+// Split one CSV line, honouring double-quoted fields
+function splitCsvLine(line) {
+    const fields = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (quoted) {
+            if (char === '"' && line[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            fields.push(field.trim());
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    fields.push(field.trim());
+
+    return fields;
+}
+
+function parseCsv(text) {
+    const lines = text.split(/\r?\n/).filter(line => line.trim() !== '');
+    if (lines.length === 0) {
+        throw badRequest('The file is empty');
+    }
+
+    const header = splitCsvLine(lines[0]).map(name => name.toLowerCase());
+    const columns = {};
+    Object.entries(COLUMN_ALIASES).forEach(([column, aliases]) => {
+        const index = header.findIndex(name => aliases.includes(name));
+        if (index !== -1) columns[column] = index;
+    });
+
+    if (columns.timestamp === undefined || columns.temperature === undefined || columns.humidity === undefined) {
+        throw badRequest('CSV header must include timestamp, temperature and humidity columns');
+    }
+
+    return lines.slice(1).map(line => {
+        const fields = splitCsvLine(line);
+        return {
+            timestamp: fields[columns.timestamp],
+            temperature: fields[columns.temperature],
+            humidity: fields[columns.humidity],
+            location: columns.location === undefined ? undefined : fields[columns.location]
+        };
+    });
+}
+
+// Readings from a logger export: CSV text, or JSON given as text or already parsed (an array of
+// readings or { readings: [...] }). row is the 1-based position of the reading in the file.
+function parseLoggerFile(content, format) {
+    let records;
+
+    if (format === 'csv') {
+        records = parseCsv(String(content));
+    } else {
+        let data = content;
+        if (typeof content === 'string' || Buffer.isBuffer(content)) {
+            try {
+                data = JSON.parse(String(content));
+            } catch (error) {
+                throw badRequest('The file is not valid JSON');
+            }
+        }
+        records = Array.isArray(data) ? data : data && data.readings;
+        if (!Array.isArray(records)) {
+            throw badRequest('JSON must be an array of readings or { readings: [...] }');
+        }
+    }
+
+    return records.map((record, i) => {
+        const entry = {
+            row: i + 1,
+            timestamp: parseTimestamp(record && record.timestamp),
+            temperature: toNumber(record && record.temperature),
+            humidity: toNumber(record && record.humidity),
+            location: record && record.location ? String(record.location) : null
+        };
+
+        if (entry.timestamp === null) entry.error = 'Invalid timestamp';
+        else if (!Number.isFinite(entry.temperature) || entry.temperature < -100 || entry.temperature > 100) entry.error = 'Invalid temperature';
+        else if (!Number.isFinite(entry.humidity) || entry.humidity < 0 || entry.humidity > 100) entry.error = 'Invalid humidity';
+
+        return entry;
+    });
+}
+
+// Sorts out which readings can be recorded and groups them into transactions. existing holds the
+// batch's recorded readings (timestamps in seconds); a row matching one of them on time and values
+// was already recorded, while older rows are accepted since a logger file is often uploaded after
+// live readings. Each chunk shares one location and holds at most chunkSize readings. Rejected
+// rows get a status of invalid or duplicate.
+function planIngestion(entries, { existing = [], now, chunkSize, location = null }) {
+    const recorded = new Set(existing.map(readingKey));
+    const seen = new Set();
+    const accepted = [];
+
+    entries.forEach(entry => {
+        entry.location = entry.location || location;
+
+        if (entry.error) {
+            entry.status = 'invalid';
+        } else if (!entry.location) {
+            entry.status = 'invalid';
+            entry.error = 'Location is missing';
+        } else if (entry.timestamp > now) {
+            entry.status = 'invalid';
+            entry.error = 'Reading is in the future';
+        } else if (seen.has(`${entry.timestamp}|${entry.location}`)) {
+            entry.status = 'duplicate';
+            entry.error = 'Duplicate of an earlier row';
+        } else if (recorded.has(readingKey(entry))) {
+            entry.status = 'duplicate';
+            entry.error = 'Already recorded';
+        } else {
+            entry.status = 'accepted';
+            accepted.push(entry);
+        }
+
+        if (entry.status !== 'invalid') {
+            seen.add(`${entry.timestamp}|${entry.location}`);
+        }
+    });
+
+    accepted.sort((a, b) => a.timestamp - b.timestamp || a.row - b.row);
+
+    const chunks = [];
+    accepted.forEach(entry => {
+        const chunk = chunks[chunks.length - 1];
+        if (chunk && chunk.location === entry.location && chunk.entries.length < chunkSize) {
+            chunk.entries.push(entry);
+        } else {
+            chunks.push({ location: entry.location, entries: [entry] });
+        }
+    });
+
+    return { entries, chunks };
+}
+
+// Body parsers for an uploaded logger file: JSON to an object, CSV to a string
+function loggerFileParser(limit = LOGGER_FILE_LIMIT) {
+    return [
+        express.json({ limit }),
+        express.text({ type: ['text/csv', 'text/plain'], limit })
+    ];
+}
+
+module.exports = { parseTimestamp, parseLoggerFile, planIngestion, loggerFileParser };
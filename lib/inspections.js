@@ -0,0 +1,65 @@
+// inspections.js - Per-batch quality inspections from the AgriInspections registry
+const { ethers } = require('ethers');
+const { STAGE_NAMES, QUALITY_NAMES } = require('./constants');
+
+// Index = AgriInspections.ResidueResult value
+const RESIDUE_RESULTS = ['not_tested', 'pass', 'fail'];
+
+const NOT_MEASURED = ethers.constants.MaxUint256;
+
+// Measurements are sent as decimals (12.5 for 12.5 %) and stored * 100; absent means not measured
+function toScaled(value, name) {
+    if (value === undefined || value === null || value === '') return NOT_MEASURED;
+
+    const number = Number(value);
+    if (!Number.isFinite(number) || number < 0 || number > 100) {
+        throw Object.assign(new Error(`${name} must be a number between 0 and 100`), { status: 400 });
+    }
+    return Math.round(number * 100);
+}
+
+function fromScaled(value) {
+    return value.eq(NOT_MEASURED) ? null : value.toNumber() / 100;
+}
+
+function formatInspection(raw, index) {
+    return {
+        index,
+        inspector: raw.inspector,
+        inspectedAt: new Date(raw.timestamp.toNumber() * 1000).toISOString(),
+        stage: raw.stage,
+        stageName: STAGE_NAMES[raw.stage],
+        grade: raw.grade,
+        gradeName: QUALITY_NAMES[raw.grade],
+        measurements: {
+            moisture: fromScaled(raw.moisture),
+            brix: fromScaled(raw.brix),
+            defects: fromScaled(raw.defects)
+        },
+        pesticideResidue: RESIDUE_RESULTS[raw.pesticideResidue],
+        photoHashes: raw.photoHashes.map(hash => hash.slice(2)),
+        notes: raw.notes
+    };
+}
+
+// A batch's inspections, oldest first
+async function loadInspections(registry, batchId) {
+    const count = (await registry.getInspectionCount(batchId)).toNumber();
+    const indexes = Array.from({ length: count }, (_, i) => i);
+
+    return Promise.all(indexes.map(async (index) => formatInspection(await registry.getInspection(batchId, index), index)));
+}
+
+// The batch's quality: its latest inspection, or the grade recorded on the batch itself while it
+// has none (or no registry is deployed)
+async function loadBatchQuality(registry, batchId, batchQuality) {
+    const count = registry ? (await registry.getInspectionCount(batchId)).toNumber() : 0;
+    if (count === 0) {
+        return { grade: batchQuality, gradeName: QUALITY_NAMES[batchQuality], source: 'batch', inspectionCount: 0, latestInspection: null };
+    }
+
+    const latest = formatInspection(await registry.getInspection(batchId, count - 1), count - 1);
+    return { grade: latest.grade, gradeName: latest.gradeName, source: 'inspection', inspectionCount: count, latestInspection: latest };
+}
+
+module.exports = { RESIDUE_RESULTS, NOT_MEASURED, toScaled, formatInspection, loadInspections, loadBatchQuality };
@@ -0,0 +1,189 @@
+// labels.js - Printable batch labels (QR code plus product details) as SVG, PNG and label sheets
+const QRCode = require('qrcode');
+const { Resvg } = require('@resvg/resvg-js');
+
+// Common label stock; all dimensions in millimetres
+const LABEL_STOCKS = {
+    a4: {
+        name: 'A4, 14 per sheet (99.1 x 38.1 mm)',
+        pageWidth: 210,
+        pageHeight: 297,
+        columns: 2,
+        rows: 7,
+        labelWidth: 99.1,
+        labelHeight: 38.1,
+        marginTop: 15.15,
+        marginLeft: 4.65,
+        gapX: 2.5,
+        gapY: 0
+    },
+    letter: {
+        name: 'US Letter, 10 per sheet (4 x 2 in)',
+        pageWidth: 215.9,
+        pageHeight: 279.4,
+        columns: 2,
+        rows: 5,
+        labelWidth: 101.6,
+        labelHeight: 50.8,
+        marginTop: 12.7,
+        marginLeft: 3.97,
+        gapX: 4.76,
+        gapY: 0
+    }
+};
+
+const FONT_FAMILY = 'DejaVu Sans, Helvetica, Arial, sans-serif';
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+// Rough fit: average glyph width is about 0.6em (0.7em bold) for the fonts above
+function truncate(text, fontSize, maxWidth, bold = false) {
+    const maxChars = Math.floor(maxWidth / (fontSize * (bold ? 0.7 : 0.6)));
+    return text.length > maxChars ? `${text.slice(0, Math.max(1, maxChars - 1))}…` : text;
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+// QR modules drawn as a single path in module units, scaled to `size`
+function qrMarkup(content, x, y, size) {
+    const { modules } = QRCode.create(content, { errorCorrectionLevel: 'M' });
+    const quietZone = 2;
+    const scale = size / (modules.size + quietZone * 2);
+
+    let path = '';
+    for (let row = 0; row < modules.size; row++) {
+        for (let col = 0; col < modules.size; col++) {
+            if (modules.data[row * modules.size + col]) {
+                path += `M${col + quietZone} ${row + quietZone}h1v1h-1z`;
+            }
+        }
+    }
+
+    return `<g transform="translate(${round(x)} ${round(y)}) scale(${Math.round(scale * 10000) / 10000})">` +
+        `<rect width="${modules.size + quietZone * 2}" height="${modules.size + quietZone * 2}" fill="#fff"/>` +
+        `<path d="${path}" fill="#000" shape-rendering="crispEdges"/></g>`;
+}
+
+// One label's contents, laid out in a width x height box at the origin
+function labelMarkup(label, width, height) {
+    const padding = Math.min(width, height) * 0.06;
+    const qrSize = height - padding * 2;
+    const textX = padding * 2 + qrSize;
+    const textWidth = width - textX - padding;
+
+    // Scale text to whichever of the label height or the text column is tighter
+    const base = Math.min(height, textWidth * 0.9);
+    const titleSize = base * 0.12;
+    const bodySize = base * 0.08;
+    const codeSize = base * 0.06;
+
+    const lines = [
+        { text: label.productName, size: titleSize, weight: 'bold' },
+        { text: label.variety, size: bodySize },
+        { text: `Harvest: ${label.harvestDate}`, size: bodySize },
+        { text: `Batch #${label.batchId}`, size: bodySize, weight: 'bold' }
+    ];
+
+    let cursorY = padding + titleSize;
+    const text = lines.map(line => {
+        const markup = `<text x="${round(textX)}" y="${round(cursorY)}" font-size="${round(line.size)}"` +
+            `${line.weight ? ` font-weight="${line.weight}"` : ''}>${escapeXml(truncate(line.text, line.size, textWidth, Boolean(line.weight)))}</text>`;
+        cursorY += line.size * 1.35;
+        return markup;
+    }).join('');
+
+    const badgeHeight = bodySize * 1.5;
+    const badge = label.isOrganic
+        ? `<rect x="${round(textX)}" y="${round(cursorY - bodySize)}" width="${round(bodySize * 6)}" height="${round(badgeHeight)}" rx="${round(badgeHeight / 2)}" fill="#2e7d32"/>` +
+          `<text x="${round(textX + bodySize * 3)}" y="${round(cursorY + bodySize * 0.1)}" font-size="${round(bodySize)}" font-weight="bold" fill="#fff" text-anchor="middle">ORGANIC</text>`
+        : '';
+
+    const code = `<text x="${round(textX)}" y="${round(height - padding)}" font-size="${round(codeSize)}" font-family="DejaVu Sans Mono, monospace">` +
+        `${escapeXml(truncate(label.qrCode, codeSize, textWidth))}</text>`;
+
+    return `<g font-family="${FONT_FAMILY}" fill="#000">` +
+        qrMarkup(label.qrContent || label.qrCode, padding, padding, qrSize) +
+        text + badge + code + '</g>';
+}
+
+// Standalone label; `label` needs batchId, qrCode, productName, variety, harvestDate and isOrganic.
+// qrContent overrides what the QR encodes (e.g. a signed payload) while qrCode is still printed.
+function renderLabelSVG(label, { width = LABEL_STOCKS.a4.labelWidth, height = LABEL_STOCKS.a4.labelHeight } = {}) {
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}mm" height="${height}mm" viewBox="0 0 ${width} ${height}">` +
+        `<rect width="${width}" height="${height}" fill="#fff"/>` +
+        labelMarkup(label, width, height) +
+        '</svg>';
+}
+
+function renderLabelPNG(label, { width, height, dpi = 300 } = {}) {
+    const svg = renderLabelSVG(label, { width, height });
+    const widthMm = width || LABEL_STOCKS.a4.labelWidth;
+    const resvg = new Resvg(svg, {
+        fitTo: { mode: 'width', value: Math.round(widthMm / 25.4 * dpi) },
+        font: { loadSystemFonts: true, defaultFontFamily: 'DejaVu Sans' }
+    });
+    return resvg.render().asPng();
+}
+
+// One SVG per page, labels filled row by row
+function renderSheetPages(labels, stockName = 'a4') {
+    const stock = LABEL_STOCKS[stockName];
+    if (!stock) {
+        throw new Error(`Unknown label stock: ${stockName}`);
+    }
+
+    const perPage = stock.columns * stock.rows;
+    const pages = [];
+
+    for (let start = 0; start < labels.length; start += perPage) {
+        const cells = labels.slice(start, start + perPage).map((label, i) => {
+            const x = stock.marginLeft + (i % stock.columns) * (stock.labelWidth + stock.gapX);
+            const y = stock.marginTop + Math.floor(i / stock.columns) * (stock.labelHeight + stock.gapY);
+            return `<g transform="translate(${round(x)} ${round(y)})">${labelMarkup(label, stock.labelWidth, stock.labelHeight)}</g>`;
+        });
+
+        pages.push(
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${stock.pageWidth}mm" height="${stock.pageHeight}mm" viewBox="0 0 ${stock.pageWidth} ${stock.pageHeight}">` +
+            cells.join('') +
+            '</svg>'
+        );
+    }
+
+    return pages;
+}
+
+// Print-ready document: one page per sheet, no browser margins
+function renderSheetHTML(labels, stockName = 'a4') {
+    const stock = LABEL_STOCKS[stockName];
+    const pages = renderSheetPages(labels, stockName);
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Batch labels - ${escapeXml(stock.name)}</title>
+<style>
+@page { size: ${stock.pageWidth}mm ${stock.pageHeight}mm; margin: 0; }
+body { margin: 0; }
+.page { width: ${stock.pageWidth}mm; height: ${stock.pageHeight}mm; page-break-after: always; }
+.page:last-child { page-break-after: auto; }
+.page svg { display: block; }
+</style>
+</head>
+<body>
+${pages.map(page => `<div class="page">${page}</div>`).join('\n')}
+</body>
+</html>
+`;
+}
+
+module.exports = { LABEL_STOCKS, renderLabelSVG, renderLabelPNG, renderSheetPages, renderSheetHTML };
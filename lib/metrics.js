@@ -0,0 +1,155 @@
+// metrics.js - Dashboard aggregates computed from contract state and indexed events
+const { ROLE_NAMES, STAGE_NAMES, QUALITY_NAMES, RECALL_SEVERITY_NAMES } = require('./constants');
+
+// Run fn over items a few at a time so large deployments don't flood the RPC node
+async function mapInChunks(items, size, fn) {
+    const results = [];
+    for (let i = 0; i < items.length; i += size) {
+        results.push(...await Promise.all(items.slice(i, i + size).map(fn)));
+    }
+    return results;
+}
+
+function formatAddress(address) {
+    return `${address.slice(0, 6)}...${address.slice(-4)}`;
+}
+
+// Turn an indexed event into a human readable activity entry
+function describeEvent(event, store) {
+    const { data } = event;
+    const batch = event.batchId ? store.getBatch(event.batchId) : null;
+    const productName = batch ? batch.productName : `Batch #${event.batchId}`;
+
+    const descriptions = {
+        ParticipantRegistered: () => ['participant_registered', `New ${ROLE_NAMES[data.role]} registered: ${data.name}`],
+        ProductCreated: () => ['product_created', `New product created: ${data.productName}`],
+        BatchCreated: () => ['batch_created', `New batch created: ${data.productName}`],
+        BatchSplit: () => ['batch_split', `Batch #${event.batchId} split into ${data.childBatchIds.map(id => `#${id}`).join(', ')}`],
+        BatchesMerged: () => ['batches_merged', `Batches ${data.sourceBatchIds.map(id => `#${id}`).join(', ')} merged into #${event.batchId}`],
+        HandoffProposed: () => ['handoff_proposed', `Batch #${event.batchId} handoff to ${formatAddress(data.to)} awaiting confirmation`],
+        HandoffAccepted: () => ['handoff_accepted', `Batch #${event.batchId} received by ${formatAddress(data.to)}${data.condition ? `: ${data.condition}` : ''}`],
+        HandoffRejected: () => ['handoff_rejected', `Batch #${event.batchId} handoff rejected by ${formatAddress(data.to)}: ${data.reason}`],
+        HandoffCancelled: () => ['handoff_cancelled', `Batch #${event.batchId} handoff cancelled`],
+        OwnershipTransferred: () => ['ownership_transferred', `Batch #${event.batchId} transferred to ${formatAddress(data.to)} (${STAGE_NAMES[data.stage]})`],
+        TransactionCreated: () => ['transaction_created', `Batch #${event.batchId} offered to ${formatAddress(data.buyer)}`],
+        TransactionCompleted: () => ['transaction_completed', `Batch #${event.batchId} purchased by ${formatAddress(data.buyer)}`],
+        EnvironmentDataRecorded: () => ['environment_recorded', `Temperature recorded: ${data.temperature}°C, humidity ${data.humidity}% (${productName})`],
+        EnvironmentExcursion: () => ['environment_excursion', `Cold-chain excursion on batch #${event.batchId}: ${data.temperature}°C, humidity ${data.humidity}%`],
+        StorageProfileSet: () => ['storage_profile_set', `Storage profile set for product #${data.productId}`],
+        QualityUpdated: () => ['quality_updated', `Batch #${event.batchId} quality updated to ${QUALITY_NAMES[data.quality]}`],
+        BatchNoteAdded: () => ['note_added', `Note added to batch #${event.batchId}: ${data.note}`],
+        RecallIssued: () => ['recall_issued', `${RECALL_SEVERITY_NAMES[data.severity]} severity recall of ${data.isProduct ? 'product' : 'batch'} #${data.targetId}: ${data.reason}`],
+        RecallLifted: () => ['recall_lifted', `Recall of ${data.isProduct ? 'product' : 'batch'} #${data.targetId} lifted`],
+        RegistrationApprovalSet: () => ['registration_approval_set', `New registrations ${data.required ? 'now require' : 'no longer require'} approval`],
+        ParticipantApproved: () => ['participant_approved', `Registration of ${formatAddress(data.participant)} approved`],
+        ParticipantDeactivated: () => ['participant_deactivated', `Participant ${formatAddress(data.participant)} deactivated`],
+        ParticipantReactivated: () => ['participant_reactivated', `Participant ${formatAddress(data.participant)} reactivated`],
+        ParticipantRoleChanged: () => ['participant_role_changed', `Participant ${formatAddress(data.participant)} changed from ${ROLE_NAMES[data.oldRole]} to ${ROLE_NAMES[data.newRole]}`],
+        ReputationUpdated: () => ['reputation_updated', `Reputation of ${formatAddress(data.participant)} set from ${data.oldReputation} to ${data.newReputation}: ${data.reason}`],
+        HandoffTimeoutSet: () => ['handoff_timeout_set', `Handoff timeout set to ${data.timeout} seconds`],
+        TrustedForwarderSet: () => ['trusted_forwarder_set', `Trusted forwarder set to ${formatAddress(data.forwarder)}`],
+        Paused: () => ['contract_paused', 'Contract paused'],
+        Unpaused: () => ['contract_unpaused', 'Contract unpaused'],
+        RoleGranted: () => ['role_granted', `${data.role} role granted to ${formatAddress(data.participant)}`],
+        RoleRevoked: () => ['role_revoked', `${data.role} role revoked from ${formatAddress(data.participant)}`]
+    };
+
+    const [type, message] = descriptions[event.type]();
+
+    return {
+        type,
+        message,
+        batchId: event.batchId,
+        timestamp: event.timestamp * 1000,
+        blockNumber: event.blockNumber,
+        transactionHash: event.transactionHash
+    };
+}
+
+async function computeDashboard(contract, store, { activityLimit = 10 } = {}) {
+    const [nextProductId, nextBatchId] = await Promise.all([
+        contract.nextProductId(),
+        contract.nextBatchId()
+    ]);
+    const totalProducts = nextProductId.toNumber() - 1;
+    const totalBatches = nextBatchId.toNumber() - 1;
+
+    // Participants are enumerated from registration events; role and status come from the contract
+    const participants = await mapInChunks(store.getParticipantAddresses(), 20, address => contract.participants(address));
+    const participantsByRole = Object.fromEntries(ROLE_NAMES.map(name => [name, 0]));
+    let inactiveParticipants = 0;
+
+    participants.forEach(participant => {
+        if (participant.isActive) {
+            participantsByRole[ROLE_NAMES[participant.role]]++;
+        } else {
+            inactiveParticipants++;
+        }
+    });
+
+    // Stages, custody history and record counts come from the indexed projection; only batches
+    // the indexer has not seen (created before its start block or since its last poll) are read
+    // from the contract
+    const batchIds = Array.from({ length: totalBatches }, (_, i) => i + 1);
+    const indexed = batchIds.map(id => store.getBatch(id)).filter(Boolean);
+    const unindexed = await mapInChunks(batchIds.filter(id => !store.getBatch(id)), 20, async id => {
+        const [details, history] = await Promise.all([
+            contract.getBatchDetails(id),
+            contract.getBatchHistory(id)
+        ]);
+        return {
+            currentStage: details.currentStage,
+            environmentRecordCount: details.environmentRecordCount.toNumber(),
+            stageHistory: [], // only the indexer knows which stage each history entry represents
+            stageTimestamps: history.timestamps.map(t => t.toNumber())
+        };
+    });
+
+    const batchesByStage = Object.fromEntries(STAGE_NAMES.map(name => [name, 0]));
+    const dwellByStage = STAGE_NAMES.map(() => ({ total: 0, count: 0 }));
+    let environmentRecords = 0;
+    let dwellTotal = 0;
+    let dwellCount = 0;
+
+    [...indexed, ...unindexed].forEach(({ currentStage, environmentRecordCount, stageHistory, stageTimestamps }) => {
+        batchesByStage[STAGE_NAMES[currentStage]]++;
+        environmentRecords += environmentRecordCount;
+
+        // Time between consecutive stageTimestamps is the dwell of the earlier entry
+        for (let i = 0; i < stageTimestamps.length - 1; i++) {
+            const dwell = stageTimestamps[i + 1] - stageTimestamps[i];
+            dwellTotal += dwell;
+            dwellCount++;
+
+            const stage = stageHistory[i];
+            if (stage !== undefined) {
+                dwellByStage[stage].total += dwell;
+                dwellByStage[stage].count++;
+            }
+        }
+    });
+
+    return {
+        summary: {
+            totalBatches,
+            activeBatches: totalBatches - batchesByStage['Sold'],
+            totalProducts,
+            totalParticipants: participants.length - inactiveParticipants,
+            inactiveParticipants,
+            environmentRecords
+        },
+        participantsByRole,
+        batchesByStage,
+        averageStageDwellSeconds: {
+            overall: dwellCount > 0 ? Math.round(dwellTotal / dwellCount) : null,
+            byStage: Object.fromEntries(STAGE_NAMES.map((name, stage) => [
+                name,
+                dwellByStage[stage].count > 0 ? Math.round(dwellByStage[stage].total / dwellByStage[stage].count) : null
+            ]))
+        },
+        recentActivity: store.getRecentEvents(activityLimit).map(event => describeEvent(event, store)),
+        indexedBlock: store.getLastBlock()
+    };
+}
+
+module.exports = { computeDashboard, describeEvent, mapInChunks };
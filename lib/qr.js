@@ -0,0 +1,176 @@
+// qr.js - Signed QR label payloads that bind a printed code to an on-chain batch
+const { ethers } = require('ethers');
+
+const PAYLOAD_VERSION = 1;
+
+// EIP-712 typed data signed by the batch creator
+const LABEL_TYPES = {
+    BatchLabel: [
+        { name: 'batchId', type: 'uint256' },
+        { name: 'qrCode', type: 'string' }
+    ]
+};
+
+function labelDomain(chainId, contractAddress) {
+    return {
+        name: 'AgriSupplyChain',
+        version: '1',
+        chainId,
+        verifyingContract: contractAddress
+    };
+}
+
+// Plain-text form for wallets that can only do EIP-191 personal_sign
+function labelMessage(label) {
+    return [
+        'AgriSupplyChain batch label',
+        `Chain: ${label.chainId}`,
+        `Contract: ${ethers.utils.getAddress(label.contract)}`,
+        `Batch: ${label.batchId}`,
+        `QR: ${label.qrCode}`
+    ].join('\n');
+}
+
+async function signLabel(signer, { chainId, contract, batchId, qrCode }, sigType = 'eip712') {
+    const label = {
+        v: PAYLOAD_VERSION,
+        chainId: Number(chainId),
+        contract: ethers.utils.getAddress(contract),
+        batchId: batchId.toString(),
+        qrCode,
+        sigType
+    };
+
+    label.signature = sigType === 'eip191'
+        ? await signer.signMessage(labelMessage(label))
+        : await signer._signTypedData(labelDomain(label.chainId, label.contract), LABEL_TYPES, {
+            batchId: label.batchId,
+            qrCode: label.qrCode
+        });
+
+    return label;
+}
+
+// The string printed in the QR code
+function encodePayload(label) {
+    return JSON.stringify(label);
+}
+
+// Accepts the printed string or an already parsed object; throws on anything malformed
+function decodePayload(payload) {
+    let label = payload;
+    if (typeof payload === 'string') {
+        try {
+            label = JSON.parse(payload);
+        } catch (error) {
+            throw new Error('QR payload is not valid JSON');
+        }
+    }
+
+    if (!label || label.v !== PAYLOAD_VERSION) {
+        throw new Error('Unsupported QR payload version');
+    }
+    if (!Number.isInteger(label.chainId) || !ethers.utils.isAddress(label.contract || '')) {
+        throw new Error('QR payload must include chainId and contract');
+    }
+    if (!/^\d+$/.test(String(label.batchId)) || typeof label.qrCode !== 'string' || !label.qrCode) {
+        throw new Error('QR payload must include batchId and qrCode');
+    }
+    if (!['eip712', 'eip191'].includes(label.sigType) || typeof label.signature !== 'string') {
+        throw new Error('QR payload must include an eip712 or eip191 signature');
+    }
+
+    return { ...label, batchId: String(label.batchId) };
+}
+
+function recoverLabelSigner(label) {
+    if (label.sigType === 'eip191') {
+        return ethers.utils.verifyMessage(labelMessage(label), label.signature);
+    }
+
+    return ethers.utils.verifyTypedData(
+        labelDomain(label.chainId, label.contract),
+        LABEL_TYPES,
+        { batchId: label.batchId, qrCode: label.qrCode },
+        label.signature
+    );
+}
+
+// The accounts whose signature makes a batch's label genuine: its creator and its product's farmer
+async function loadLabelSigners(contract, batchId) {
+    const [details, history] = await Promise.all([
+        contract.getBatchDetails(batchId),
+        contract.getBatchHistory(batchId)
+    ]);
+    const { farmer } = await contract.getProductInfo(details.productId);
+    return { creator: history.owners[0], farmer };
+}
+
+// Signs the label of an on-chain batch. Refuses (403) when the signer is neither the batch
+// creator nor the farmer, since verifyLabel would report such a label as tampered.
+async function signBatchLabel(contract, signer, { chainId, batchId, qrCode }, sigType) {
+    const [{ creator, farmer }, address] = await Promise.all([loadLabelSigners(contract, batchId), signer.getAddress()]);
+    if (address !== creator && address !== farmer) {
+        throw Object.assign(new Error('Only the batch creator or farmer can sign its label'), { status: 403 });
+    }
+    return signLabel(signer, { chainId, contract: contract.address, batchId, qrCode }, sigType);
+}
+
+// genuine: registered QR, matching batch and signed by the batch creator or farmer
+// tampered: registered QR but the batch ID or signature does not match
+// unknown: the QR code is not registered on this chain and contract
+async function verifyLabel(contract, chainId, label) {
+    const result = { status: 'unknown', batchId: label.batchId, qrCode: label.qrCode };
+
+    if (label.chainId !== Number(chainId) || label.contract.toLowerCase() !== contract.address.toLowerCase()) {
+        return { ...result, reason: 'Label was issued for a different chain or contract' };
+    }
+
+    const registeredId = await contract.getBatchByQR(label.qrCode);
+    if (registeredId.isZero()) {
+        return { ...result, reason: 'QR code is not registered on chain' };
+    }
+    if (registeredId.toString() !== label.batchId) {
+        return {
+            ...result,
+            status: 'tampered',
+            batchId: registeredId.toString(),
+            reason: 'Batch ID does not match the on-chain QR registration'
+        };
+    }
+
+    const { creator, farmer } = await loadLabelSigners(contract, label.batchId);
+
+    let signer;
+    try {
+        signer = recoverLabelSigner(label);
+    } catch (error) {
+        return { ...result, status: 'tampered', creator, farmer, reason: 'Signature is malformed' };
+    }
+
+    if (signer !== creator && signer !== farmer) {
+        return {
+            ...result,
+            status: 'tampered',
+            signer,
+            creator,
+            farmer,
+            reason: 'Signature was not made by the batch creator or farmer'
+        };
+    }
+
+    return { ...result, status: 'genuine', signer, creator, farmer };
+}
+
+module.exports = {
+    LABEL_TYPES,
+    labelDomain,
+    labelMessage,
+    signLabel,
+    signBatchLabel,
+    encodePayload,
+    decodePayload,
+    recoverLabelSigner,
+    loadLabelSigners,
+    verifyLabel
+};
@@ -0,0 +1,245 @@
+// relayer.js - Gasless EIP-2771 relay: submits participant-signed requests through the trusted forwarder
+const { ethers } = require('ethers');
+
+// EIP-712 types of AgriForwarder.ForwardRequest
+const FORWARD_REQUEST_TYPES = {
+    ForwardRequest: [
+        { name: 'from', type: 'address' },
+        { name: 'to', type: 'address' },
+        { name: 'value', type: 'uint256' },
+        { name: 'gas', type: 'uint256' },
+        { name: 'nonce', type: 'uint256' },
+        { name: 'deadline', type: 'uint256' },
+        { name: 'data', type: 'bytes' }
+    ]
+};
+
+const ERROR_SELECTOR = '0x08c379a0'; // Error(string)
+
+function forwarderDomain(chainId, forwarderAddress) {
+    return {
+        name: 'AgriForwarder',
+        version: '1',
+        chainId,
+        verifyingContract: forwarderAddress
+    };
+}
+
+// Event arguments as JSON-friendly values
+function toPlain(value) {
+    if (ethers.BigNumber.isBigNumber(value)) return value.toString();
+    if (Array.isArray(value)) return value.map(toPlain);
+    return value;
+}
+
+function relayError(status, message) {
+    return Object.assign(new Error(message), { status });
+}
+
+// Revert reason of the forwarded call, from the returndata execute() hands back
+function decodeRevert(returndata) {
+    if (returndata && returndata.startsWith(ERROR_SELECTOR)) {
+        return ethers.utils.defaultAbiCoder.decode(['string'], `0x${returndata.slice(10)}`)[0];
+    }
+    return 'Relayed call reverted';
+}
+
+// forwarder must be connected to the wallet that pays for gas; target is the supply chain contract.
+// Registrations come from addresses the contract does not know yet, and fresh keys cost nothing, so
+// besides the per-address quota they share one registrationQuota per window across all callers.
+function createRelayer({ forwarder, target, quota = 100, quotaWindow = 86400, registrationQuota = 20, maxGas = 1000000, requestTtl = 600 }) {
+    const usage = new Map(); // address -> timestamps (ms) of relays in the current window
+    const pending = new Set(); // addresses with a relay in flight
+    let registrations = []; // timestamps (ms) of relayed registrations, from any address
+
+    function recentUsage(address) {
+        const since = Date.now() - quotaWindow * 1000;
+        const recent = (usage.get(address) || []).filter(t => t > since);
+        usage.set(address, recent);
+        return recent;
+    }
+
+    function recentRegistrations() {
+        const since = Date.now() - quotaWindow * 1000;
+        registrations = registrations.filter(t => t > since);
+        return registrations;
+    }
+
+    function quotaStatus(address) {
+        const recent = recentUsage(address);
+        return {
+            limit: quota,
+            used: recent.length,
+            remaining: Math.max(0, quota - recent.length),
+            resetsAt: recent.length > 0 ? new Date(recent[0] + quotaWindow * 1000).toISOString() : null
+        };
+    }
+
+    async function getStatus(address) {
+        const from = ethers.utils.getAddress(address);
+        const nonce = await forwarder.getNonce(from);
+
+        return {
+            forwarder: forwarder.address,
+            nonce: nonce.toString(),
+            quota: quotaStatus(from)
+        };
+    }
+
+    // Unsigned request and typed data for `from` to sign; gas is estimated with headroom
+    async function buildRequest(from, data) {
+        const { chainId } = await forwarder.provider.getNetwork();
+        const [nonce, block] = await Promise.all([forwarder.getNonce(from), target.provider.getBlock('latest')]);
+
+        const call = { from, to: target.address, data };
+        let estimate;
+        try {
+            // JSON-RPC nodes hand back the revert data from eth_call rather than throwing
+            const returndata = await target.provider.call(call);
+            if (returndata.startsWith(ERROR_SELECTOR)) {
+                throw relayError(400, decodeRevert(returndata));
+            }
+            estimate = await target.provider.estimateGas(call);
+        } catch (error) {
+            if (error.status) throw error;
+            throw relayError(400, (error.error && error.error.reason) || error.reason || error.message);
+        }
+
+        const message = {
+            from,
+            to: target.address,
+            value: '0',
+            gas: estimate.mul(12).div(10).toString(),
+            nonce: nonce.toString(),
+            deadline: String(Math.max(block.timestamp, Math.floor(Date.now() / 1000)) + requestTtl),
+            data
+        };
+
+        return {
+            domain: forwarderDomain(chainId, forwarder.address),
+            types: FORWARD_REQUEST_TYPES,
+            primaryType: 'ForwardRequest',
+            message
+        };
+    }
+
+    async function checkRequest(request, signature) {
+        let from;
+        try {
+            from = ethers.utils.getAddress(request.from);
+        } catch (error) {
+            throw relayError(400, 'request.from must be an address');
+        }
+
+        if (!request.to || request.to.toLowerCase() !== target.address.toLowerCase()) {
+            throw relayError(400, 'Requests may only target the supply chain contract');
+        }
+        if (!ethers.BigNumber.from(request.value || 0).isZero()) {
+            throw relayError(400, 'Relayed calls cannot carry value');
+        }
+        if (ethers.BigNumber.from(request.gas).gt(maxGas)) {
+            throw relayError(400, `Requested gas exceeds the relay limit of ${maxGas}`);
+        }
+
+        let fragment;
+        try {
+            fragment = target.interface.getFunction(request.data.slice(0, 10));
+        } catch (error) {
+            throw relayError(400, 'Request data does not call a supply chain function');
+        }
+
+        const block = await target.provider.getBlock('latest');
+        if (ethers.BigNumber.from(request.deadline).lte(block.timestamp)) {
+            throw relayError(400, 'Request has expired');
+        }
+
+        const nonce = await forwarder.getNonce(from);
+        if (!nonce.eq(request.nonce)) {
+            throw relayError(409, `Invalid nonce: expected ${nonce.toString()}`);
+        }
+
+        // verify() reverts rather than returning false on a malformed signature
+        let verified;
+        try {
+            verified = await forwarder.verify(request, signature);
+        } catch (error) {
+            throw relayError(401, 'Signature is malformed');
+        }
+        if (!verified) {
+            throw relayError(401, 'Signature does not match request');
+        }
+
+        // Anyone may register through the relayer; everything else is for active participants
+        if (fragment.name !== 'registerParticipant') {
+            const participant = await target.participants(from);
+            if (!participant.isActive) {
+                throw relayError(403, 'Only registered participants can use the relayer');
+            }
+        }
+
+        return { from, functionName: fragment.name };
+    }
+
+    // Validate, simulate and submit a signed request; the relayer wallet pays the gas
+    async function relay(request, signature) {
+        const { from, functionName } = await checkRequest(request, signature);
+
+        if (pending.has(from)) {
+            throw relayError(409, 'A relayed request from this address is already pending');
+        }
+        if (recentUsage(from).length >= quota) {
+            throw relayError(429, `Relay quota of ${quota} requests exceeded`);
+        }
+        if (functionName === 'registerParticipant' && recentRegistrations().length >= registrationQuota) {
+            throw relayError(429, 'Relayed registrations are at their limit for now; register with your own wallet or try later');
+        }
+
+        pending.add(from);
+        try {
+            // Leave room for the forwarder's own bookkeeping around the forwarded call
+            const gasLimit = ethers.BigNumber.from(request.gas).add(100000);
+
+            const [success, returndata] = await forwarder.callStatic.execute(request, signature, { gasLimit });
+            if (!success) {
+                throw relayError(400, decodeRevert(returndata));
+            }
+
+            const tx = await forwarder.execute(request, signature, { gasLimit });
+            usage.get(from).push(Date.now());
+            if (functionName === 'registerParticipant') registrations.push(Date.now());
+            const receipt = await tx.wait();
+
+            return {
+                from,
+                functionName,
+                receipt,
+                events: parseTargetEvents(receipt),
+                quota: quotaStatus(from)
+            };
+        } finally {
+            pending.delete(from);
+        }
+    }
+
+    // Supply chain events emitted by the relayed call
+    function parseTargetEvents(receipt) {
+        return receipt.logs
+            .filter(log => log.address.toLowerCase() === target.address.toLowerCase())
+            .map(log => {
+                try {
+                    return target.interface.parseLog(log);
+                } catch (error) {
+                    return null;
+                }
+            })
+            .filter(Boolean)
+            .map(parsed => ({
+                event: parsed.name,
+                args: Object.fromEntries(parsed.eventFragment.inputs.map((input, i) => [input.name, toPlain(parsed.args[i])]))
+            }));
+    }
+
+    return { getStatus, buildRequest, relay };
+}
+
+module.exports = { FORWARD_REQUEST_TYPES, forwarderDomain, createRelayer };
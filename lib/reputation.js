@@ -0,0 +1,217 @@
+// reputation.js - Evidence-based participant reputation derived from indexed events
+const { ethers } = require('ethers');
+const { QUALITY_NAMES } = require('./constants');
+
+// Every participant starts at the registration score, kept within [0, MAX_SCORE]
+const BASE_SCORE = 100;
+const MAX_SCORE = 200;
+
+// Reason prefix of scores anchored by the engine; any other reputation update is a manual adjustment
+const AUTOMATIC_REASON_PREFIX = 'Automatic score';
+
+const DEFAULT_POLICY = {
+    points: {
+        completedTransactions: 2, // buyer and seller of a completed sale
+        abandonedTransactions: -5, // buyer of an offer left unpaid past offerTimeoutSeconds
+        coldChainExcursions: -5, // custodian when its own, the profile logger's or an inspector's reading breaks the storage profile
+        qualityDowngrades: -10, // sender when an inspector finds quality dropped soon after a handoff
+        lateHandoffs: -3 // holder who kept a batch longer than maxCustodySeconds before passing it on
+    },
+    offerTimeoutSeconds: 7 * 86400,
+    downgradeWindowSeconds: 2 * 86400,
+    maxCustodySeconds: 7 * 86400
+};
+
+const FACTORS = Object.keys(DEFAULT_POLICY.points);
+
+function emptyReport(address) {
+    const factors = Object.fromEntries(FACTORS.map(name => [name, { count: 0, points: 0, evidence: [] }]));
+    factors.adminAdjustments = { count: 0, points: 0, evidence: [] };
+    return { address, score: BASE_SCORE, factors };
+}
+
+function evidence(event, detail) {
+    return {
+        batchId: event.batchId,
+        detail,
+        timestamp: new Date(event.timestamp * 1000).toISOString(),
+        transactionHash: event.transactionHash
+    };
+}
+
+// Scores for every participant seen in the indexed events. now is the chain time in seconds.
+function computeReputations(events, { now, policy = DEFAULT_POLICY } = {}) {
+    const reports = new Map();
+    const report = (address) => {
+        if (!reports.has(address)) reports.set(address, emptyReport(address));
+        return reports.get(address);
+    };
+    const record = (address, factor, event, detail, points = policy.points[factor]) => {
+        const entry = report(address).factors[factor];
+        entry.count++;
+        entry.points += points;
+        entry.evidence.push(evidence(event, detail));
+    };
+
+    const custody = new Map(); // batchId -> { owner, since, previousOwner }
+    const custodyPeriods = new Map(); // batchId -> [{ owner, since }], oldest first
+    const batchProducts = new Map(); // batchId -> productId
+    const loggers = new Map(); // productId -> storage profile logger
+    const inspectors = new Set();
+    const quality = new Map(); // batchId -> last recorded quality
+    const offers = new Map(); // transactionId -> TransactionCreated event
+
+    // Whoever held the batch at a (reading) time, or null before the batch existed
+    const custodianAt = (batchId, timestamp) => {
+        const periods = custodyPeriods.get(batchId) || [];
+        let holder = null;
+        periods.forEach(period => {
+            if (period.since <= timestamp) holder = period.owner;
+        });
+        return holder;
+    };
+
+    // Closing a custody period checks how long the holder kept the batch
+    const changeCustody = (event, newOwner) => {
+        const current = custody.get(event.batchId);
+        if (!current) return;
+
+        const held = event.timestamp - current.since;
+        if (held > policy.maxCustodySeconds) {
+            record(current.owner, 'lateHandoffs', event, `Held batch #${event.batchId} for ${Math.round(held / 3600)}h`);
+        }
+        custody.set(event.batchId, { owner: newOwner, since: event.timestamp, previousOwner: current.owner });
+        custodyPeriods.get(event.batchId).push({ owner: newOwner, since: event.timestamp });
+    };
+
+    events.forEach(event => {
+        const { data } = event;
+
+        switch (event.type) {
+            case 'ParticipantRegistered':
+                report(data.participant);
+                break;
+            case 'BatchCreated':
+                custody.set(event.batchId, { owner: data.owner, since: event.timestamp, previousOwner: null });
+                custodyPeriods.set(event.batchId, [{ owner: data.owner, since: event.timestamp }]);
+                batchProducts.set(event.batchId, data.productId);
+                break;
+            case 'StorageProfileSet':
+                loggers.set(data.productId, data.logger);
+                break;
+            case 'RoleGranted':
+            case 'RoleRevoked':
+                if (data.role === 'Inspector') {
+                    if (event.type === 'RoleGranted') inspectors.add(data.participant);
+                    else inspectors.delete(data.participant);
+                }
+                break;
+            case 'OwnershipTransferred':
+                changeCustody(event, data.to);
+                break;
+            case 'TransactionCreated':
+                offers.set(data.transactionId, event);
+                break;
+            case 'TransactionCompleted': {
+                const offer = offers.get(data.transactionId);
+                offers.delete(data.transactionId);
+                changeCustody(event, data.buyer);
+
+                const detail = `Sale #${data.transactionId} of batch #${event.batchId} completed`;
+                record(data.buyer, 'completedTransactions', event, detail);
+                if (offer) record(offer.data.seller, 'completedTransactions', event, detail);
+                break;
+            }
+            case 'EnvironmentExcursion': {
+                // Charged to whoever held the batch when the reading was taken, and only for readings
+                // the holder, the profile's logger or an inspector recorded: anyone else could make them up
+                const holder = custodianAt(event.batchId, data.readingTimestamp);
+                const trusted = data.recorder === holder || inspectors.has(data.recorder) ||
+                    data.recorder === loggers.get(batchProducts.get(event.batchId));
+                if (holder && trusted) {
+                    record(holder, 'coldChainExcursions', event,
+                        `Reading of ${data.temperature}°C / ${data.humidity}% outside the storage profile`);
+                }
+                break;
+            }
+            case 'QualityUpdated': {
+                const previous = quality.has(event.batchId) ? quality.get(event.batchId) : 0;
+                quality.set(event.batchId, data.quality);
+
+                // A drop an inspector finds shortly after receipt is charged to whoever handed the batch over
+                const current = custody.get(event.batchId);
+                if (data.quality > previous && inspectors.has(data.updatedBy) && current && current.previousOwner &&
+                    event.timestamp - current.since <= policy.downgradeWindowSeconds) {
+                    record(current.previousOwner, 'qualityDowngrades', event,
+                        `Batch #${event.batchId} downgraded from ${QUALITY_NAMES[previous]} to ${QUALITY_NAMES[data.quality]} after handoff`);
+                }
+                break;
+            }
+            case 'ReputationUpdated':
+                if (!data.reason.startsWith(AUTOMATIC_REASON_PREFIX)) {
+                    const points = Number(data.newReputation) - Number(data.oldReputation);
+                    record(data.participant, 'adminAdjustments', event, data.reason, points);
+                }
+                break;
+        }
+    });
+
+    offers.forEach(offer => {
+        if (now - offer.timestamp > policy.offerTimeoutSeconds) {
+            record(offer.data.buyer, 'abandonedTransactions', offer,
+                `Offer #${offer.data.transactionId} for batch #${offer.batchId} left unpaid`);
+        }
+    });
+
+    reports.forEach(r => {
+        const total = Object.values(r.factors).reduce((sum, factor) => sum + factor.points, BASE_SCORE);
+        r.score = Math.max(0, Math.min(MAX_SCORE, total));
+    });
+
+    return reports;
+}
+
+function computeReputation(events, address, options) {
+    return computeReputations(events, options).get(address) || emptyReport(address);
+}
+
+// Hash of a report's factors, quoted in the anchoring reason so the score can be re-derived
+function evidenceHash(report) {
+    return ethers.utils.id(JSON.stringify(report.factors));
+}
+
+// Write changed scores of active participants to the contract; the contract must be connected
+// to the owner's wallet. Resolves to the scores that were anchored.
+async function anchorReputations(contract, store, { now, blockNumber, policy } = {}) {
+    const reports = computeReputations(store.getEvents(), { now, policy });
+    const anchored = [];
+
+    for (const report of reports.values()) {
+        const participant = await contract.participants(report.address);
+        if (!participant.isActive || participant.reputation.eq(report.score)) continue;
+
+        const reason = `${AUTOMATIC_REASON_PREFIX} to block ${blockNumber} (evidence ${evidenceHash(report)})`;
+        const tx = await contract.updateParticipantReputation(report.address, report.score, reason);
+        await tx.wait();
+
+        anchored.push({
+            address: report.address,
+            previousScore: participant.reputation.toNumber(),
+            score: report.score,
+            transactionHash: tx.hash
+        });
+    }
+
+    return anchored;
+}
+
+module.exports = {
+    BASE_SCORE,
+    MAX_SCORE,
+    AUTOMATIC_REASON_PREFIX,
+    DEFAULT_POLICY,
+    computeReputations,
+    computeReputation,
+    evidenceHash,
+    anchorReputations
+};
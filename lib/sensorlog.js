@@ -0,0 +1,211 @@
+// sensorlog.js - Off-chain sensor readings sealed into Merkle trees whose roots are anchored on chain
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+
+// Leaf of one reading, matching AgriSensorLogs.readingLeaf: the ABI-encoded fields hashed twice,
+// with temperature and humidity * 100 as on the supply chain contract
+function readingLeaf(batchId, reading) {
+    const encoded = ethers.utils.defaultAbiCoder.encode(
+        ['uint256', 'uint256', 'uint256', 'int256', 'uint256', 'address', 'string'],
+        [batchId, reading.id, reading.timestamp, Math.round(reading.temperature * 100),
+            Math.round(reading.humidity * 100), reading.recorder, reading.location]
+    );
+    return ethers.utils.keccak256(ethers.utils.keccak256(encoded));
+}
+
+function hashPair(a, b) {
+    const [left, right] = a.toLowerCase() < b.toLowerCase() ? [a, b] : [b, a];
+    return ethers.utils.keccak256(ethers.utils.concat([left, right]));
+}
+
+// Tree layers from the leaves up to the root. A node without a sibling moves up unchanged.
+function buildTree(leaves) {
+    if (leaves.length === 0) {
+        throw new Error('Cannot build a tree without leaves');
+    }
+
+    const layers = [leaves];
+    while (layers[layers.length - 1].length > 1) {
+        const layer = layers[layers.length - 1];
+        const next = [];
+        for (let i = 0; i < layer.length; i += 2) {
+            next.push(i + 1 < layer.length ? hashPair(layer[i], layer[i + 1]) : layer[i]);
+        }
+        layers.push(next);
+    }
+    return layers;
+}
+
+// Sibling hashes from the leaf at index up to the root
+function getProof(layers, index) {
+    const proof = [];
+    for (let level = 0; level < layers.length - 1; level++) {
+        const sibling = index % 2 === 0 ? index + 1 : index - 1;
+        if (sibling < layers[level].length) {
+            proof.push(layers[level][sibling]);
+        }
+        index = Math.floor(index / 2);
+    }
+    return proof;
+}
+
+function verifyProof(root, leaf, proof) {
+    return proof.reduce(hashPair, leaf).toLowerCase() === root.toLowerCase();
+}
+
+function emptyState(registryAddress) {
+    return { registryAddress, batches: {} };
+}
+
+// Readings are numbered per batch from 0 in the order they arrive. Each batch's anchors cover
+// consecutive ranges of reading ids, so everything from anchoredThrough on is still pending.
+function createSensorLog(filePath) {
+    let state = emptyState(null);
+
+    function save() {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        const tmpPath = `${filePath}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify(state));
+        fs.renameSync(tmpPath, filePath);
+    }
+
+    // Bind the log to a registry. A log kept for another registry is moved aside, not discarded,
+    // since its readings exist nowhere else.
+    function open(registryAddress) {
+        const address = registryAddress.toLowerCase();
+        try {
+            state = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('⚠️ Could not read sensor log, starting fresh:', error.message);
+            }
+            state = emptyState(address);
+        }
+
+        if (state.registryAddress !== address) {
+            if (fs.existsSync(filePath)) {
+                fs.renameSync(filePath, `${filePath}.${state.registryAddress}`);
+            }
+            state = emptyState(address);
+            save();
+        }
+    }
+
+    function batch(batchId) {
+        const key = String(batchId);
+        if (!state.batches[key]) {
+            state.batches[key] = { readings: [], anchors: [], anchoredThrough: 0 };
+        }
+        return state.batches[key];
+    }
+
+    function append(batchId, readings, recorder) {
+        const entry = batch(batchId);
+        const stored = readings.map(({ timestamp, temperature, humidity, location }) => {
+            const reading = { id: entry.readings.length, timestamp, temperature, humidity, location, recorder };
+            entry.readings.push(reading);
+            return reading;
+        });
+        save();
+        return stored;
+    }
+
+    function getReadings(batchId) {
+        return state.batches[String(batchId)] ? state.batches[String(batchId)].readings : [];
+    }
+
+    function getReading(batchId, readingId) {
+        return getReadings(batchId)[readingId] || null;
+    }
+
+    function getPending(batchId) {
+        const entry = state.batches[String(batchId)];
+        return entry ? entry.readings.slice(entry.anchoredThrough) : [];
+    }
+
+    function pendingBatchIds() {
+        return Object.keys(state.batches).filter(key => getPending(key).length > 0);
+    }
+
+    // anchor: { index, root, firstId, lastId, transactionHash, anchoredAt }
+    function recordAnchor(batchId, anchor) {
+        const entry = batch(batchId);
+        entry.anchors.push(anchor);
+        entry.anchoredThrough = anchor.lastId + 1;
+        save();
+    }
+
+    function getAnchors(batchId) {
+        return state.batches[String(batchId)] ? state.batches[String(batchId)].anchors : [];
+    }
+
+    function findAnchor(batchId, readingId) {
+        return getAnchors(batchId).find(anchor => readingId >= anchor.firstId && readingId <= anchor.lastId) || null;
+    }
+
+    return { open, append, getReadings, getReading, getPending, pendingBatchIds, recordAnchor, getAnchors, findAnchor };
+}
+
+// Seal every batch's pending readings into a tree and anchor its root. A batch that fails keeps
+// its readings pending for the next run.
+async function anchorSensorLogs(registry, log) {
+    const anchored = [];
+    const failed = [];
+
+    for (const batchId of log.pendingBatchIds()) {
+        const readings = log.getPending(batchId);
+        const layers = buildTree(readings.map(reading => readingLeaf(batchId, reading)));
+        const root = layers[layers.length - 1][0];
+        const timestamps = readings.map(reading => reading.timestamp);
+
+        try {
+            const tx = await registry.anchorRoot(batchId, root, Math.min(...timestamps), Math.max(...timestamps), readings.length);
+            const receipt = await tx.wait();
+            const event = receipt.events.find(e => e.event === 'LogRootAnchored');
+
+            const anchor = {
+                index: event.args.index.toNumber(),
+                root,
+                firstId: readings[0].id,
+                lastId: readings[readings.length - 1].id,
+                transactionHash: receipt.transactionHash,
+                anchoredAt: new Date().toISOString()
+            };
+            log.recordAnchor(batchId, anchor);
+            anchored.push({ batchId, ...anchor, readingCount: readings.length });
+        } catch (error) {
+            failed.push({ batchId, readingCount: readings.length, error: error.reason || error.message });
+        }
+    }
+
+    return { anchored, failed };
+}
+
+// Inclusion proof of one reading against the root of the anchor covering it, or null while the
+// reading is still pending
+function buildReadingProof(log, batchId, readingId) {
+    const anchor = log.findAnchor(batchId, readingId);
+    if (!anchor) return null;
+
+    const readings = log.getReadings(batchId).slice(anchor.firstId, anchor.lastId + 1);
+    const layers = buildTree(readings.map(reading => readingLeaf(batchId, reading)));
+    const position = readingId - anchor.firstId;
+
+    return {
+        leaf: layers[0][position],
+        proof: getProof(layers, position),
+        root: layers[layers.length - 1][0],
+        anchor
+    };
+}
+
+module.exports = {
+    readingLeaf,
+    buildTree,
+    getProof,
+    verifyProof,
+    createSensorLog,
+    anchorSensorLogs,
+    buildReadingProof
+};
@@ -0,0 +1,412 @@
+// store.js - Persistent local store for indexed AgriSupplyChain events
+const fs = require('fs');
+const path = require('path');
+
+const STORE_VERSION = 12;
+
+// Commit records appended before the log is rewritten into one
+const COMPACT_AFTER_COMMITS = 1000;
+
+function emptyState(chainId = null, contractAddress = null) {
+    return {
+        version: STORE_VERSION,
+        chainId,
+        contractAddress,
+        lastBlock: null,
+        blockHashes: {},
+        events: []
+    };
+}
+
+// Writes content and flushes it to disk before returning
+function writeDurably(file, flags, content) {
+    const fd = fs.openSync(file, flags);
+    try {
+        fs.writeSync(fd, content);
+        fs.fsyncSync(fd);
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+// The store file is an append-only log of JSON lines: a header naming the chain and contract,
+// then the events of each commit followed by a commit record with the indexed block and recent
+// block hashes. A commit appends and flushes only its own lines, and lines after the last
+// complete commit record (a crash mid-write) are ignored on load. Opening, rewinding past a
+// commit and every COMPACT_AFTER_COMMITS commits rewrite the log to a temp file renamed over it.
+function createStore(filePath) {
+    let state = emptyState();
+    let loggedEvents = 0; // state.events already in the log
+    let loggedCommits = 0; // commit records since the log was last rewritten
+    let batches = new Map(); // batchId -> projected batch, rebuilt from events
+    let recalls = new Map(); // 'product:<id>' or 'batch:<id>' -> latest recall state
+
+    // Child batches start at the stage their parent held when they were created
+    function linkChild(parent, childId) {
+        const child = batches.get(childId);
+        parent.childBatchIds.push(childId);
+        if (!child) return;
+
+        child.parentBatchIds.push(parent.batchId);
+        child.currentStage = parent.currentStage;
+        child.stageHistory[0] = parent.currentStage;
+    }
+
+    function applyRecallEvent(event) {
+        const { data } = event;
+        const key = `${data.isProduct ? 'product' : 'batch'}:${data.targetId}`;
+
+        if (event.type === 'RecallLifted') {
+            const recall = recalls.get(key);
+            if (recall) recall.active = false;
+            return;
+        }
+
+        recalls.set(key, {
+            scope: data.isProduct ? 'product' : 'batch',
+            targetId: data.targetId,
+            active: true,
+            severity: data.severity,
+            reason: data.reason,
+            issuedBy: data.issuedBy,
+            issuedAt: event.timestamp,
+            transactionHash: event.transactionHash
+        });
+    }
+
+    // Projection: fold one event into the batch and recall views
+    function applyEvent(event) {
+        if (event.type === 'RecallIssued' || event.type === 'RecallLifted') {
+            applyRecallEvent(event);
+        }
+
+        if (event.batchId === null) return;
+
+        const batch = batches.get(event.batchId);
+        const { data } = event;
+
+        if (event.type === 'BatchCreated') {
+            batches.set(event.batchId, {
+                batchId: event.batchId,
+                productId: data.productId,
+                productName: data.productName,
+                qrCode: data.qrCode,
+                farmer: data.farmer,
+                currentOwner: data.owner,
+                currentStage: 0,
+                location: data.location,
+                quality: null,
+                environmentRecordCount: 0,
+                noteCount: 0,
+                historyLength: 1,
+                stageHistory: [0], // stage held at each ownership history entry
+                stageTimestamps: [event.timestamp], // when each ownership history entry began
+                parentBatchIds: [],
+                childBatchIds: [],
+                pendingHandoff: null, // custody change awaiting the receiver
+                createdAt: event.timestamp,
+                createdBlock: event.blockNumber,
+                lastUpdate: event.timestamp
+            });
+            return;
+        }
+
+        // Events for batches created before the start block cannot be projected
+        if (!batch) return;
+
+        switch (event.type) {
+            case 'OwnershipTransferred':
+                batch.currentOwner = data.to;
+                batch.currentStage = data.stage;
+                batch.location = data.location;
+                batch.historyLength++;
+                batch.stageHistory.push(data.stage);
+                batch.stageTimestamps.push(event.timestamp);
+                break;
+            case 'HandoffProposed':
+                batch.pendingHandoff = {
+                    from: data.from,
+                    to: data.to,
+                    stage: data.stage,
+                    location: data.location,
+                    proposedAt: event.timestamp,
+                    expiresAt: data.expiresAt,
+                    transactionHash: event.transactionHash
+                };
+                break;
+            case 'HandoffAccepted':
+            case 'HandoffRejected':
+            case 'HandoffCancelled':
+                batch.pendingHandoff = null;
+                break;
+            case 'TransactionCompleted':
+                batch.currentOwner = data.buyer;
+                batch.historyLength++;
+                batch.stageHistory.push(batch.currentStage);
+                batch.stageTimestamps.push(event.timestamp);
+                break;
+            case 'EnvironmentDataRecorded':
+                batch.environmentRecordCount++;
+                break;
+            case 'QualityUpdated':
+                batch.quality = data.quality;
+                break;
+            case 'BatchNoteAdded':
+                batch.noteCount++;
+                break;
+            case 'BatchSplit':
+                data.childBatchIds.forEach(childId => linkChild(batch, childId));
+                break;
+            case 'BatchesMerged':
+                data.sourceBatchIds.forEach(sourceId => {
+                    const source = batches.get(sourceId);
+                    if (source) linkChild(source, event.batchId);
+                });
+                break;
+            default:
+                return;
+        }
+
+        batch.lastUpdate = event.timestamp;
+    }
+
+    function rebuild() {
+        batches = new Map();
+        recalls = new Map();
+        state.events.forEach(applyEvent);
+    }
+
+    function load() {
+        try {
+            const [header, ...records] = fs.readFileSync(filePath, 'utf8').split('\n');
+            const { version, chainId, contractAddress } = JSON.parse(header);
+
+            if (version === STORE_VERSION) {
+                const loaded = emptyState(chainId, contractAddress);
+                let uncommitted = [];
+
+                for (const line of records) {
+                    let record;
+                    try {
+                        record = JSON.parse(line);
+                    } catch (error) {
+                        break; // torn write at the end of the log
+                    }
+
+                    if (record.event) {
+                        uncommitted.push(record.event);
+                    } else if (record.commit) {
+                        uncommitted.forEach(event => loaded.events.push(event));
+                        uncommitted = [];
+                        loaded.lastBlock = record.commit.lastBlock;
+                        loaded.blockHashes = record.commit.blockHashes;
+                    }
+                }
+                state = loaded;
+            }
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('⚠️ Could not read indexer store, starting fresh:', error.message);
+            }
+        }
+        rebuild();
+    }
+
+    function commitLine() {
+        return JSON.stringify({ commit: { lastBlock: state.lastBlock, blockHashes: state.blockHashes } });
+    }
+
+    // Replace the log with the current state
+    function rewrite() {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        const { version, chainId, contractAddress } = state;
+        const lines = [
+            JSON.stringify({ version, chainId, contractAddress }),
+            ...state.events.map(event => JSON.stringify({ event })),
+            commitLine()
+        ];
+
+        const tmpPath = `${filePath}.tmp`;
+        writeDurably(tmpPath, 'w', `${lines.join('\n')}\n`);
+        fs.renameSync(tmpPath, filePath);
+        loggedEvents = state.events.length;
+        loggedCommits = 0;
+    }
+
+    // Bind the store to a chain and contract, discarding data indexed for any other
+    function open(chainId, contractAddress) {
+        load();
+        const address = contractAddress.toLowerCase();
+
+        if (state.chainId !== chainId || state.contractAddress !== address) {
+            state = emptyState(chainId, address);
+            rebuild();
+        }
+        // Also drops anything left after the last commit
+        rewrite();
+    }
+
+    function appendEvent(event) {
+        state.events.push(event);
+        applyEvent(event);
+    }
+
+    function setBlockHash(blockNumber, hash) {
+        state.blockHashes[blockNumber] = hash;
+    }
+
+    function getBlockHash(blockNumber) {
+        return state.blockHashes[blockNumber] || null;
+    }
+
+    // Mark everything up to blockNumber as indexed and forget hashes too deep to reorg
+    function commit(blockNumber, reorgDepth) {
+        state.lastBlock = blockNumber;
+
+        Object.keys(state.blockHashes).forEach(key => {
+            if (Number(key) <= blockNumber - reorgDepth) {
+                delete state.blockHashes[key];
+            }
+        });
+
+        if (loggedCommits >= COMPACT_AFTER_COMMITS) {
+            rewrite();
+            return;
+        }
+
+        const lines = state.events.slice(loggedEvents).map(event => JSON.stringify({ event }));
+        lines.push(commitLine());
+        writeDurably(filePath, 'a', `${lines.join('\n')}\n`);
+        loggedEvents = state.events.length;
+        loggedCommits++;
+    }
+
+    // Drop everything indexed after blockNumber (used when the chain reorganises, and to discard
+    // events that were never committed)
+    function rewind(blockNumber) {
+        const undoesCommit = state.lastBlock !== null && blockNumber < state.lastBlock;
+        state.events = state.events.filter(e => e.blockNumber <= blockNumber);
+
+        Object.keys(state.blockHashes).forEach(key => {
+            if (Number(key) > blockNumber) {
+                delete state.blockHashes[key];
+            }
+        });
+
+        state.lastBlock = blockNumber;
+        rebuild();
+
+        // The log holds nothing after the last commit, so it only changes when that is undone
+        if (undoesCommit) {
+            rewrite();
+        } else {
+            loggedEvents = Math.min(loggedEvents, state.events.length);
+        }
+    }
+
+    function getBatch(batchId) {
+        return batches.get(String(batchId)) || null;
+    }
+
+    // Batches split or merged from batchId, at any depth
+    function getDescendantIds(batchId) {
+        const found = new Set();
+        const visit = (id) => {
+            const batch = batches.get(id);
+            if (!batch) return;
+            batch.childBatchIds.forEach(childId => {
+                if (!found.has(childId)) {
+                    found.add(childId);
+                    visit(childId);
+                }
+            });
+        };
+        visit(String(batchId));
+        return Array.from(found);
+    }
+
+    function getBatchIdsByProduct(productId) {
+        return Array.from(batches.values())
+            .filter(b => b.productId === String(productId))
+            .map(b => b.batchId);
+    }
+
+    // Unanswered handoffs to or from an address; expiry is left to the caller, which knows the chain time
+    function getPendingHandoffs(address, direction = 'any') {
+        const target = address.toLowerCase();
+        return Array.from(batches.values())
+            .filter(batch => batch.pendingHandoff)
+            .filter(batch => {
+                const incoming = batch.pendingHandoff.to.toLowerCase() === target;
+                const outgoing = batch.pendingHandoff.from.toLowerCase() === target;
+                return direction === 'incoming' ? incoming : direction === 'outgoing' ? outgoing : incoming || outgoing;
+            })
+            .map(batch => ({ batchId: batch.batchId, productName: batch.productName, ...batch.pendingHandoff }));
+    }
+
+    function getActiveRecalls() {
+        return Array.from(recalls.values()).filter(r => r.active);
+    }
+
+    // Filter batches; results are newest first and paged by batch ID
+    function queryBatches({ stage, owner, productId, productName, from, to, cursor, limit = 10 } = {}) {
+        const ownerLower = owner ? owner.toLowerCase() : null;
+        const nameLower = productName ? productName.toLowerCase() : null;
+
+        const matches = Array.from(batches.values())
+            .filter(b => stage === undefined || b.currentStage === stage)
+            .filter(b => !ownerLower || b.currentOwner.toLowerCase() === ownerLower)
+            .filter(b => productId === undefined || b.productId === productId)
+            .filter(b => !nameLower || b.productName.toLowerCase().includes(nameLower))
+            .filter(b => from === undefined || b.createdAt >= from)
+            .filter(b => to === undefined || b.createdAt <= to)
+            .filter(b => cursor === undefined || Number(b.batchId) < cursor)
+            .sort((a, b) => Number(b.batchId) - Number(a.batchId));
+
+        const page = matches.slice(0, limit);
+        const nextCursor = matches.length > limit ? Number(page[page.length - 1].batchId) : null;
+
+        return { batches: page, nextCursor };
+    }
+
+    function getEvents() {
+        return state.events;
+    }
+
+    // Most recent events first
+    function getRecentEvents(limit) {
+        return state.events.slice(-limit).reverse();
+    }
+
+    // Addresses in registration order
+    function getParticipantAddresses() {
+        return Array.from(new Set(state.events
+            .filter(e => e.type === 'ParticipantRegistered')
+            .map(e => e.data.participant)));
+    }
+
+    function getLastBlock() {
+        return state.lastBlock;
+    }
+
+    return {
+        open,
+        appendEvent,
+        setBlockHash,
+        getBlockHash,
+        commit,
+        rewind,
+        getBatch,
+        getDescendantIds,
+        getBatchIdsByProduct,
+        getActiveRecalls,
+        getPendingHandoffs,
+        queryBatches,
+        getEvents,
+        getRecentEvents,
+        getParticipantAddresses,
+        getLastBlock
+    };
+}
+
+module.exports = { createStore };
@@ -0,0 +1,217 @@
+// trace.js - Server-rendered consumer trace page for a package's QR code (no wallet or scripts needed)
+const { ROLE_NAMES, STAGE_NAMES } = require('./constants');
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function formatDate(value) {
+    return new Date(value).toLocaleDateString('en-GB', { day: 'numeric', month: 'short', year: 'numeric', timeZone: 'UTC' });
+}
+
+function formatDuration(seconds) {
+    if (seconds < 3600) return `${Math.round(seconds / 60)} min`;
+    if (seconds < 2 * 86400) return `${Math.round(seconds / 360) / 10} h`;
+    return `${Math.round(seconds / 8640) / 10} days`;
+}
+
+function shortAddress(address) {
+    return `${address.slice(0, 6)}…${address.slice(-4)}`;
+}
+
+const STYLE = `
+* { box-sizing: border-box; }
+body { margin: 0; font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif; background: #f4f7f2; color: #1f2d1f; line-height: 1.45; }
+main { max-width: 640px; margin: 0 auto; padding: 16px; }
+header { background: #2f6b2f; color: #fff; padding: 20px 16px; border-radius: 12px; }
+header h1 { margin: 0 0 4px; font-size: 1.5rem; }
+header p { margin: 0; opacity: .9; }
+section { background: #fff; border-radius: 12px; padding: 16px; margin-top: 12px; box-shadow: 0 1px 2px rgba(0,0,0,.06); }
+h2 { margin: 0 0 8px; font-size: 1.1rem; }
+dl { display: grid; grid-template-columns: auto 1fr; gap: 4px 12px; margin: 0; }
+dt { color: #5b6b5b; }
+dd { margin: 0; }
+.badge { display: inline-block; padding: 2px 8px; border-radius: 999px; font-size: .8rem; font-weight: 600; background: #e3efe3; color: #2f6b2f; }
+.badge.warn { background: #fff1d6; color: #8a5a00; }
+.badge.bad { background: #fde2e2; color: #a11d1d; }
+.recall { background: #a11d1d; color: #fff; border-radius: 12px; padding: 16px; margin-bottom: 12px; }
+.recall h2 { margin: 0 0 4px; }
+ol.timeline { list-style: none; margin: 0; padding: 0; border-left: 3px solid #a8c8a8; }
+ol.timeline li { position: relative; padding: 0 0 14px 16px; }
+ol.timeline li::before { content: ""; position: absolute; left: -8px; top: 4px; width: 13px; height: 13px; border-radius: 50%; background: #2f6b2f; }
+ol.timeline small, .muted { color: #5b6b5b; }
+ul.plain { list-style: none; margin: 0; padding: 0; }
+ul.plain li { padding: 6px 0; border-bottom: 1px solid #eef2ee; }
+ul.plain li:last-child { border-bottom: 0; }
+footer { text-align: center; font-size: .8rem; color: #5b6b5b; padding: 16px 0; word-break: break-all; }
+`;
+
+function page(title, body) {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<main>
+${body}
+</main>
+</body>
+</html>
+`;
+}
+
+function participantName(participants, address) {
+    const participant = participants[address];
+    return participant && participant.name ? participant.name : shortAddress(address);
+}
+
+function renderRecall(recall) {
+    if (!recall) return '';
+
+    return `<div class="recall" role="alert">
+<h2>⚠️ This product has been recalled</h2>
+<p>${escapeHtml(recall.reason)}</p>
+<p><strong>Severity:</strong> ${escapeHtml(recall.severity)} · issued ${escapeHtml(formatDate(recall.issuedAt))}. Do not consume; return it to the place of purchase.</p>
+</div>`;
+}
+
+function organicBadge(organicClaim) {
+    if (!organicClaim || !organicClaim.claimed) return '';
+    if (organicClaim.status === 'verified') return ' <span class="badge">Certified organic</span>';
+    return ' <span class="badge warn">Organic (self-declared)</span>';
+}
+
+function renderStory(trace, participants) {
+    const { product } = trace;
+    const farmer = participants[product.farmer] || {};
+
+    return `<section>
+<h2>Product story</h2>
+<p>${escapeHtml(product.name)} (${escapeHtml(product.variety)}) harvested ${product.harvestDate ? `on ${escapeHtml(product.harvestDate)} ` : ''}by ${escapeHtml(participantName(participants, product.farmer))}${farmer.location ? ` in ${escapeHtml(farmer.location)}` : ''}.</p>
+<dl>
+<dt>Quality</dt><dd>${escapeHtml(trace.quality.gradeName)}${trace.quality.source === 'inspection' ? ' <span class="badge">Inspected</span>' : ''}</dd>
+<dt>Stage</dt><dd>${escapeHtml(STAGE_NAMES[trace.currentStage] || 'Unknown')}</dd>
+<dt>Now at</dt><dd>${escapeHtml(trace.currentLocation)}</dd>
+</dl>
+</section>`;
+}
+
+function renderFarmer(trace, participants) {
+    const address = trace.product.farmer;
+    const farmer = participants[address];
+    if (!farmer) return '';
+
+    return `<section>
+<h2>The farmer</h2>
+<dl>
+<dt>Name</dt><dd>${escapeHtml(farmer.name)}</dd>
+<dt>Location</dt><dd>${escapeHtml(farmer.location)}</dd>
+<dt>Reputation</dt><dd>${escapeHtml(farmer.reputation)}</dd>
+<dt>Account</dt><dd class="muted">${escapeHtml(shortAddress(address))}</dd>
+</dl>
+</section>`;
+}
+
+function renderJourney(trace, participants) {
+    const { owners, locations, timestamps } = trace.history;
+
+    const steps = owners.map((owner, i) => {
+        const participant = participants[owner] || {};
+        const role = ROLE_NAMES[participant.role];
+        return `<li><strong>${escapeHtml(i === 0 ? 'Packed' : 'Received')} by ${escapeHtml(participantName(participants, owner))}</strong>${role ? ` <span class="muted">(${escapeHtml(role)})</span>` : ''}<br>
+${escapeHtml(locations[i])}<br><small>${escapeHtml(formatDate(Number(timestamps[i]) * 1000))}</small></li>`;
+    });
+
+    return `<section>
+<h2>Journey</h2>
+<ol class="timeline">
+${steps.join('\n')}
+</ol>
+</section>`;
+}
+
+function renderCertifications(product) {
+    const attestations = product.attestations || [];
+    const items = attestations.map(c => {
+        const badge = c.status === 'valid' ? 'badge' : 'badge bad';
+        return `<li><strong>${escapeHtml(c.standard)}</strong>${c.scope ? ` · ${escapeHtml(c.scope)}` : ''} <span class="${badge}">${escapeHtml(c.status)}</span><br>
+<small class="muted">Certified by ${escapeHtml(c.issuer.name || shortAddress(c.issuer.address))}, valid until ${escapeHtml(formatDate(c.expiresAt))}</small></li>`;
+    });
+
+    // Claims made by the farmer that no certifier has attested
+    const attested = new Set(attestations.map(c => c.standard.toLowerCase()));
+    product.certifications
+        .filter(name => !attested.has(name.toLowerCase()))
+        .forEach(name => items.push(`<li>${escapeHtml(name)} <span class="badge warn">self-declared</span></li>`));
+
+    return `<section>
+<h2>Certifications${organicBadge(product.organicClaim)}</h2>
+${items.length > 0 ? `<ul class="plain">\n${items.join('\n')}\n</ul>` : '<p class="muted">No certifications recorded.</p>'}
+</section>`;
+}
+
+function renderEnvironment(environment) {
+    if (!environment || environment.readingCount === 0) {
+        return `<section>
+<h2>Storage conditions</h2>
+<p class="muted">No temperature or humidity readings were recorded for this batch.</p>
+</section>`;
+    }
+
+    const { temperature, humidity, meanKineticTemperature, timeOutOfRange, profile } = environment;
+    let verdict = '';
+    if (timeOutOfRange) {
+        verdict = timeOutOfRange.totalSeconds === 0
+            ? '<p><span class="badge">Kept within storage limits</span></p>'
+            : `<p><span class="badge warn">Outside storage limits for ${escapeHtml(formatDuration(timeOutOfRange.totalSeconds))}</span></p>`;
+    }
+
+    return `<section>
+<h2>Storage conditions</h2>
+${verdict}<dl>
+<dt>Temperature</dt><dd>${temperature.min} to ${temperature.max} °C (average ${temperature.mean} °C)</dd>
+<dt>Mean kinetic temp.</dt><dd>${meanKineticTemperature} °C</dd>
+<dt>Humidity</dt><dd>${humidity.min} to ${humidity.max} %</dd>
+${profile ? `<dt>Required</dt><dd>${profile.minTemperature} to ${profile.maxTemperature} °C</dd>\n` : ''}<dt>Readings</dt><dd>${environment.readingCount}</dd>
+</dl>
+</section>`;
+}
+
+// trace: the /api/track/:qrCode data; participants: address -> { name, location, role, reputation }
+// for the farmer and every holder; environment: the batch's overall environment stats, or null
+function renderTracePage({ trace, participants, environment }) {
+    const { product } = trace;
+
+    const body = `${renderRecall(trace.recall)}
+<header>
+<h1>${escapeHtml(product.name)}</h1>
+<p>${escapeHtml(product.variety)} · Batch #${escapeHtml(trace.batchId)}</p>
+</header>
+${renderStory(trace, participants)}
+${renderFarmer(trace, participants)}
+${renderJourney(trace, participants)}
+${renderCertifications(product)}
+${renderEnvironment(environment)}
+<footer>Recorded on the blockchain · code ${escapeHtml(trace.qrCode)}</footer>`;
+
+    return page(`${product.name} · Batch #${trace.batchId}`, body);
+}
+
+// Page shown when there is nothing to trace
+function renderTraceMessage(title, message) {
+    return page(title, `<section>
+<h2>${escapeHtml(title)}</h2>
+<p>${escapeHtml(message)}</p>
+</section>`);
+}
+
+module.exports = { renderTracePage, renderTraceMessage };
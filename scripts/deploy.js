@@ -12,19 +12,80 @@ async function main() {
     const balance = await deployer.getBalance();
     console.log("💰 Account balance:", ethers.utils.formatEther(balance), "ETH");
 
+    // Deploy the meta-transaction forwarder first: the contract trusts it for gasless relaying
+    // from deployment on and cannot be pointed at another one later
+    const AgriForwarder = await ethers.getContractFactory("AgriForwarder");
+    console.log("📦 Deploying AgriForwarder...");
+    
+    const forwarder = await AgriForwarder.deploy();
+    await forwarder.deployed();
+    
+    console.log("✅ AgriForwarder deployed to:", forwarder.address);
+    
     // Deploy the contract
     const AgriSupplyChain = await ethers.getContractFactory("AgriSupplyChain");
     console.log("📦 Deploying AgriSupplyChain...");
     
-    const agriSupplyChain = await AgriSupplyChain.deploy();
+    const agriSupplyChain = await AgriSupplyChain.deploy(forwarder.address);
     await agriSupplyChain.deployed();
     
     console.log("✅ AgriSupplyChain deployed to:", agriSupplyChain.address);
     console.log("🔗 Transaction hash:", agriSupplyChain.deployTransaction.hash);
+    
+    // Deploy the certification registry, bound to the supply chain's certifier role
+    const AgriCertifications = await ethers.getContractFactory("AgriCertifications");
+    console.log("📦 Deploying AgriCertifications...");
+    
+    const certifications = await AgriCertifications.deploy(agriSupplyChain.address);
+    await certifications.deployed();
+    
+    console.log("✅ AgriCertifications deployed to:", certifications.address);
+    
+    // Deploy the document anchor registry
+    const AgriDocuments = await ethers.getContractFactory("AgriDocuments");
+    console.log("📦 Deploying AgriDocuments...");
+    
+    const documents = await AgriDocuments.deploy(agriSupplyChain.address);
+    await documents.deployed();
+    
+    console.log("✅ AgriDocuments deployed to:", documents.address);
+    
+    // Deploy the per-batch inspection registry
+    const AgriInspections = await ethers.getContractFactory("AgriInspections");
+    console.log("📦 Deploying AgriInspections...");
+    
+    const inspections = await AgriInspections.deploy(agriSupplyChain.address);
+    await inspections.deployed();
+    
+    console.log("✅ AgriInspections deployed to:", inspections.address);
+    
+    // Deploy the registry of off-chain sensor log roots
+    const AgriSensorLogs = await ethers.getContractFactory("AgriSensorLogs");
+    console.log("📦 Deploying AgriSensorLogs...");
+    
+    const sensorLogs = await AgriSensorLogs.deploy(agriSupplyChain.address);
+    await sensorLogs.deployed();
+    
+    console.log("✅ AgriSensorLogs deployed to:", sensorLogs.address);
+    
+    // Deploy the read-only lens for environment history range reads
+    const AgriEnvironmentLens = await ethers.getContractFactory("AgriEnvironmentLens");
+    console.log("📦 Deploying AgriEnvironmentLens...");
+    
+    const environmentLens = await AgriEnvironmentLens.deploy(agriSupplyChain.address);
+    await environmentLens.deployed();
+    
+    console.log("✅ AgriEnvironmentLens deployed to:", environmentLens.address);
 
     // Save deployment info
     const deploymentInfo = {
         contractAddress: agriSupplyChain.address,
+        forwarderAddress: forwarder.address,
+        certificationsAddress: certifications.address,
+        documentsAddress: documents.address,
+        inspectionsAddress: inspections.address,
+        sensorLogsAddress: sensorLogs.address,
+        environmentLensAddress: environmentLens.address,
         deployerAddress: deployer.address,
         deploymentTime: new Date().toISOString(),
         network: network.name,
@@ -40,8 +101,16 @@ async function main() {
 
     console.log("💾 Deployment info saved to deployment-info.json");
     
-    // Update .env file with contract address
-    updateEnvFile(agriSupplyChain.address);
+    // Update .env file with contract addresses
+    updateEnvFile({
+        AGRI_CONTRACT_ADDRESS: agriSupplyChain.address,
+        FORWARDER_ADDRESS: forwarder.address,
+        CERTIFICATIONS_ADDRESS: certifications.address,
+        DOCUMENTS_ADDRESS: documents.address,
+        INSPECTIONS_ADDRESS: inspections.address,
+        SENSOR_LOGS_ADDRESS: sensorLogs.address,
+        ENVIRONMENT_LENS_ADDRESS: environmentLens.address
+    });
     
     // Verify contract if not on localhost
     if (network.name !== "localhost" && network.name !== "hardhat") {
@@ -69,31 +138,41 @@ async function main() {
     console.log(`5. Import account with private key for testing`);
 }
 
-function updateEnvFile(contractAddress) {
+function updateEnvFile(addresses) {
     try {
         let envContent = '';
         
         if (fs.existsSync('.env')) {
             envContent = fs.readFileSync('.env', 'utf8');
             
-            // Update existing AGRI_CONTRACT_ADDRESS or add it
-            if (envContent.includes('AGRI_CONTRACT_ADDRESS=')) {
-                envContent = envContent.replace(
-                    /AGRI_CONTRACT_ADDRESS=.*$/m,
-                    `AGRI_CONTRACT_ADDRESS=${contractAddress}`
-                );
-            } else {
-                envContent += `\nAGRI_CONTRACT_ADDRESS=${contractAddress}\n`;
-            }
+            // Update each existing address or add it
+            Object.entries(addresses).forEach(([key, value]) => {
+                const pattern = new RegExp(`^${key}=.*$`, 'm');
+                if (pattern.test(envContent)) {
+                    envContent = envContent.replace(pattern, `${key}=${value}`);
+                } else {
+                    envContent += `\n${key}=${value}\n`;
+                }
+            });
         } else {
             // Create new .env file
             envContent = `# Agricultural Supply Chain Configuration
 PRIVATE_KEY=0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80
 LOCAL_RPC_URL=http://localhost:8545
-AGRI_CONTRACT_ADDRESS=${contractAddress}
+AGRI_CONTRACT_ADDRESS=${addresses.AGRI_CONTRACT_ADDRESS}
+FORWARDER_ADDRESS=${addresses.FORWARDER_ADDRESS}
+CERTIFICATIONS_ADDRESS=${addresses.CERTIFICATIONS_ADDRESS}
+DOCUMENTS_ADDRESS=${addresses.DOCUMENTS_ADDRESS}
+INSPECTIONS_ADDRESS=${addresses.INSPECTIONS_ADDRESS}
+SENSOR_LOGS_ADDRESS=${addresses.SENSOR_LOGS_ADDRESS}
+ENVIRONMENT_LENS_ADDRESS=${addresses.ENVIRONMENT_LENS_ADDRESS}
 API_PORT=3001
 WEB_PORT=8080
 
+# Sign-In with Ethereum sessions
+SIWE_DOMAIN=localhost:3001
+JWT_SECRET=${require('crypto').randomBytes(32).toString('hex')}
+
 # Optional: For testnet deployment
 INFURA_API_KEY=your_infura_api_key_here
 ETHERSCAN_API_KEY=your_etherscan_api_key_here
@@ -101,7 +180,7 @@ ETHERSCAN_API_KEY=your_etherscan_api_key_here
         }
         
         fs.writeFileSync('.env', envContent);
-        console.log("✅ Updated .env file with contract address");
+        console.log("✅ Updated .env file with contract addresses");
         
     } catch (error) {
         console.error("❌ Failed to update .env file:", error.message);
@@ -3,13 +3,37 @@ const express = require('express');
 const cors = require('cors');
 const { ethers } = require('ethers');
 const path = require('path');
+const crypto = require('crypto');
+const { createStore } = require('./lib/store');
+const { createIndexer } = require('./lib/indexer');
+const { computeDashboard, mapInChunks } = require('./lib/metrics');
+const { profileFromChain, checkReading, buildComplianceReport } = require('./lib/compliance');
+const { ROLE_NAMES, QUALITY_NAMES, ROLE_IDS, RECALL_SEVERITY_NAMES, NOTE_CATEGORIES } = require('./lib/constants');
+const { signBatchLabel, encodePayload, decodePayload, verifyLabel } = require('./lib/qr');
+const { LABEL_STOCKS, renderLabelSVG, renderLabelPNG, renderSheetPages, renderSheetHTML } = require('./lib/labels');
+const { createAuth, ADMIN_ROLE } = require('./lib/auth');
+const { createRelayer } = require('./lib/relayer');
+const { ADMIN_EVENTS, PARTICIPANT_STATUSES, listParticipants, getAuditTrail } = require('./lib/admin');
+const { BASE_SCORE, AUTOMATIC_REASON_PREFIX, DEFAULT_POLICY, computeReputation, anchorReputations } = require('./lib/reputation');
+const { loadCertification, loadProductCertifications } = require('./lib/certifications');
+const { DOCUMENT_TYPES, sha256, createDocumentStore, storeUpload, loadBatchDocuments } = require('./lib/documents');
+const { RESIDUE_RESULTS, toScaled, formatInspection, loadInspections, loadBatchQuality } = require('./lib/inspections');
+const { parseLoggerFile, planIngestion, loggerFileParser } = require('./lib/ingest');
+const { createSensorLog, anchorSensorLogs, buildReadingProof } = require('./lib/sensorlog');
+const { buildEnvironmentStats } = require('./lib/environment');
+const { renderTracePage, renderTraceMessage } = require('./lib/trace');
+const { buildEpcisDocument } = require('./lib/epcis');
 require('dotenv').config();
 
 const app = express();
 
 // Middleware
 app.use(cors());
-app.use(express.json());
+// Logger files and documents are parsed on their own routes, after sign-in and with larger limits
+const LOGGER_IMPORT_PATH = /^\/api\/batch\/[^/]+\/environment\/import$/;
+const DOCUMENT_UPLOAD_PATH = /^\/api\/batch\/[^/]+\/documents$/;
+const parseJson = express.json();
+app.use((req, res, next) => (LOGGER_IMPORT_PATH.test(req.path) || DOCUMENT_UPLOAD_PATH.test(req.path) ? next() : parseJson(req, res, next)));
 app.use(express.static(path.join(__dirname, 'public')));
 
 // Configuration
@@ -17,25 +41,210 @@ const PORT = process.env.API_PORT || 3001;
 const CONTRACT_ADDRESS = process.env.AGRI_CONTRACT_ADDRESS;
 const RPC_URL = process.env.LOCAL_RPC_URL || 'http://localhost:8545';
 const PRIVATE_KEY = process.env.PRIVATE_KEY;
+const INDEXER_DB_PATH = process.env.INDEXER_DB_PATH || path.join(__dirname, 'data', 'indexer.json');
+const INDEXER_START_BLOCK = parseInt(process.env.INDEXER_START_BLOCK || '0');
+const INDEXER_POLL_INTERVAL = parseInt(process.env.INDEXER_POLL_INTERVAL || '5000');
+const SIWE_DOMAIN = process.env.SIWE_DOMAIN || `localhost:${PORT}`;
+const JWT_SECRET = process.env.JWT_SECRET;
+const SESSION_TTL = parseInt(process.env.SESSION_TTL || '28800');
+const FORWARDER_ADDRESS = process.env.FORWARDER_ADDRESS;
+const CERTIFICATIONS_ADDRESS = process.env.CERTIFICATIONS_ADDRESS;
+const DOCUMENTS_ADDRESS = process.env.DOCUMENTS_ADDRESS;
+const INSPECTIONS_ADDRESS = process.env.INSPECTIONS_ADDRESS;
+const SENSOR_LOGS_ADDRESS = process.env.SENSOR_LOGS_ADDRESS;
+const ENVIRONMENT_LENS_ADDRESS = process.env.ENVIRONMENT_LENS_ADDRESS;
+const DOCUMENT_STORE_PATH = process.env.DOCUMENT_STORE_PATH || path.join(__dirname, 'data', 'documents');
+const DOCUMENT_MAX_BYTES = parseInt(process.env.DOCUMENT_MAX_BYTES || String(10 * 1024 * 1024));
+const INGEST_CHUNK_SIZE = parseInt(process.env.INGEST_CHUNK_SIZE || '50'); // readings per transaction
+const INGEST_MAX_ROWS = parseInt(process.env.INGEST_MAX_ROWS || '5000');
+const SENSOR_LOG_PATH = process.env.SENSOR_LOG_PATH || path.join(__dirname, 'data', 'sensor-log.json');
+const SENSOR_ANCHOR_INTERVAL = parseInt(process.env.SENSOR_ANCHOR_INTERVAL || '3600'); // seconds, 0 disables
+const ENVIRONMENT_MAX_GAP = parseInt(process.env.ENVIRONMENT_MAX_GAP || '3600'); // seconds without a reading that count as a data gap
+const RELAY_QUOTA = parseInt(process.env.RELAY_QUOTA || '100');
+const RELAY_QUOTA_WINDOW = parseInt(process.env.RELAY_QUOTA_WINDOW || '86400');
+const RELAY_REGISTRATION_QUOTA = parseInt(process.env.RELAY_REGISTRATION_QUOTA || '20');
+const RELAY_MAX_GAS = parseInt(process.env.RELAY_MAX_GAS || '1000000');
+const REPUTATION_ANCHOR_INTERVAL = parseInt(process.env.REPUTATION_ANCHOR_INTERVAL || '86400'); // seconds, 0 disables
 
 // Blockchain setup
-let provider, wallet, contract;
+let provider, wallet, contract, indexer, relayer, certificationRegistry, documentRegistry, inspectionRegistry, sensorLogRegistry, environmentLens;
+
+// Local store of indexed contract events
+const eventStore = createStore(INDEXER_DB_PATH);
+
+// Uploaded batch documents, addressed by their SHA-256
+const documentStore = createDocumentStore(DOCUMENT_STORE_PATH);
+
+// Sensor readings kept off chain, anchored on chain as Merkle roots
+const sensorLog = createSensorLog(SENSOR_LOG_PATH);
+
+// Sign-In with Ethereum sessions. Without JWT_SECRET sessions end when the server restarts.
+if (!JWT_SECRET) {
+    console.log('⚠️ JWT_SECRET not set. Using a random secret for this run.');
+}
+const auth = createAuth({
+    getContract: () => contract,
+    secret: JWT_SECRET || crypto.randomBytes(32).toString('hex'),
+    domain: SIWE_DOMAIN,
+    sessionTtl: SESSION_TTL
+});
+const { requireAuth, requireRole } = auth;
+app.use(auth.authenticate);
 
 // Contract ABI (simplified for API)
 const CONTRACT_ABI = [
     "function participants(address) view returns (string name, string location, uint8 role, bool isActive, uint256 reputation)",
     "function products(uint256) view returns (uint256 productId, string productName, string variety, uint256 quantity, string harvestDate, address farmer, uint8 currentQuality, bool isOrganic)",
-    "function batches(uint256) view returns (uint256 batchId, uint256 productId, uint8 currentStage, address currentOwner, uint256 timestamp, string location)",
+    "function batches(uint256) view returns (uint256 batchId, uint256 productId, uint8 currentStage, address currentOwner, uint256 timestamp, string location, uint8 quality)",
+    "function owner() view returns (address)",
+    "function nextProductId() view returns (uint256)",
+    "function nextBatchId() view returns (uint256)",
+    "function storageProfiles(uint256) view returns (int256 minTemperature, int256 maxTemperature, uint256 minHumidity, uint256 maxHumidity, uint256 maxExcursionDuration, address logger, bool isSet)",
+    "function batchQuantities(uint256) view returns (uint256)",
+    "function getBatchGenealogy(uint256) view returns (uint256[] parents, uint256[] children)",
+    "function productRecalls(uint256) view returns (bool active, uint8 severity, string reason, address issuedBy, uint256 timestamp)",
+    "function batchRecalls(uint256) view returns (bool active, uint8 severity, string reason, address issuedBy, uint256 timestamp)",
+    "function isBatchRecalled(uint256) view returns (bool)",
     "function getBatchByQR(string) view returns (uint256)",
+    "function transactions(uint256) view returns (uint256 transactionId, uint256 batchId, address from, address to, uint256 timestamp, uint256 price, string transactionType, bool completed, uint256 quantity)",
+    "function getParticipantTransactions(address) view returns (uint256[])",
+    "function getBatchTransactions(uint256) view returns (uint256[])",
+    "function getEnvironmentDataCount(uint256) view returns (uint256)",
     "function getEnvironmentData(uint256, uint256) view returns (uint256 timestamp, int256 temperature, uint256 humidity, string location, address recorder, string notes)",
     "function getBatchHistory(uint256) view returns (address[] owners, string[] locations, uint256[] timestamps)",
-    "function getBatchDetails(uint256) view returns (uint256 batchId, uint256 productId, uint8 currentStage, address currentOwner, string location, string notes, uint256 environmentRecordCount)",
+    "function getBatchDetails(uint256) view returns (uint256 batchId, uint256 productId, uint8 currentStage, address currentOwner, string location, uint256 noteCount, uint256 environmentRecordCount, uint8 quality)",
+    "function getBatchNote(uint256 batchId, uint256 index) view returns (address author, uint256 timestamp, string category, string text)",
     "function getProductInfo(uint256) view returns (string name, string variety, uint256 quantity, address farmer, uint8 quality, bool isOrganic, string[] certifications)",
     "function registerParticipant(string name, string location, uint8 role)",
     "function createProduct(string productName, string variety, uint256 quantity, string harvestDate, bool isOrganic, string[] certifications) returns (uint256)",
     "function createBatch(uint256 productId, string qrCode, string initialLocation) returns (uint256)",
+    "function splitBatch(uint256 batchId, uint256[] quantities, string[] qrCodes, string location) returns (uint256[])",
+    "function mergeBatches(uint256[] batchIds, string qrCode, string location) returns (uint256)",
     "function recordEnvironmentData(uint256 batchId, int256 temperature, uint256 humidity, string location, string notes)",
-    "function transferOwnership(uint256 batchId, address newOwner, uint8 newStage, string newLocation)"
+    "function recordEnvironmentDataBatch(uint256 batchId, uint256[] timestamps, int256[] temperatures, uint256[] humidities, string location, string notes)",
+    "function addBatchNote(uint256 batchId, string category, string note)",
+    "function setStorageProfile(uint256 productId, int256 minTemperature, int256 maxTemperature, uint256 minHumidity, uint256 maxHumidity, uint256 maxExcursionDuration, address logger)",
+    "function pendingHandoffs(uint256) view returns (address from, address to, uint8 newStage, string location, uint256 proposedAt, uint256 expiresAt)",
+    "function proposeHandoff(uint256 batchId, address newOwner, uint8 newStage, string newLocation)",
+    "function acceptHandoff(uint256 batchId, uint256 receivedQuantity, string condition)",
+    "function rejectHandoff(uint256 batchId, string reason)",
+    "function cancelHandoff(uint256 batchId)",
+    "function recallProduct(uint256 productId, uint8 severity, string reason)",
+    "function recallBatch(uint256 batchId, uint8 severity, string reason)",
+    "function liftRecall(uint256 targetId, bool isProduct)",
+    "function createTransaction(uint256 batchId, address buyer, uint256 price, string transactionType) returns (uint256)",
+    "function completeTransaction(uint256 transactionId) payable",
+    "function trustedForwarder() view returns (address)",
+    "function paused() view returns (bool)",
+    "function pause()",
+    "function unpause()",
+    "function handoffTimeout() view returns (uint256)",
+    "function pendingRegistrations(address) view returns (bool)",
+    "function registrationApprovalRequired() view returns (bool)",
+    "function setRegistrationApproval(bool required)",
+    "function approveParticipant(address participant)",
+    "function deactivateParticipant(address participant)",
+    "function reactivateParticipant(address participant)",
+    "function setParticipantRole(address participant, uint8 role)",
+    "function updateParticipantReputation(address participant, uint256 newReputation, string reason)",
+    "function hasRole(bytes32 role, address account) view returns (bool)",
+    "function grantRole(bytes32 role, address account)",
+    "function revokeRole(bytes32 role, address account)",
+    "event ParticipantRegistered(address indexed participant, uint8 role, string name)",
+    "event ProductCreated(uint256 indexed productId, string productName, address indexed farmer)",
+    "event BatchCreated(uint256 indexed batchId, uint256 indexed productId, string qrCode)",
+    "event BatchSplit(uint256 indexed parentBatchId, uint256[] childBatchIds, uint256[] quantities)",
+    "event BatchesMerged(uint256 indexed mergedBatchId, uint256[] sourceBatchIds, uint256 totalQuantity)",
+    "event EnvironmentDataRecorded(uint256 indexed batchId, int256 temperature, uint256 humidity, address recorder)",
+    "event EnvironmentExcursion(uint256 indexed batchId, uint256 recordIndex, int256 temperature, uint256 humidity, address recorder)",
+    "event StorageProfileSet(uint256 indexed productId, int256 minTemperature, int256 maxTemperature, uint256 minHumidity, uint256 maxHumidity, uint256 maxExcursionDuration, address logger)",
+    "event HandoffProposed(uint256 indexed batchId, address indexed from, address indexed to, uint8 newStage, string location, uint256 expiresAt)",
+    "event HandoffAccepted(uint256 indexed batchId, address indexed from, address indexed to, uint256 receivedQuantity, string condition)",
+    "event HandoffRejected(uint256 indexed batchId, address indexed from, address indexed to, string reason)",
+    "event HandoffCancelled(uint256 indexed batchId, address indexed cancelledBy)",
+    "event OwnershipTransferred(uint256 indexed batchId, address indexed from, address indexed to, uint8 newStage)",
+    "event TransactionCreated(uint256 indexed transactionId, uint256 indexed batchId, address indexed seller, address buyer, uint256 price, string transactionType)",
+    "event TransactionCompleted(uint256 indexed transactionId, uint256 indexed batchId, address indexed buyer)",
+    "event QualityUpdated(uint256 indexed batchId, uint8 newQuality, address updatedBy)",
+    "event BatchNoteAdded(uint256 indexed batchId, uint256 index, string category, string note, address addedBy)",
+    "event RecallIssued(uint256 indexed targetId, bool isProduct, uint8 severity, string reason, address indexed issuedBy)",
+    "event RecallLifted(uint256 indexed targetId, bool isProduct, address indexed liftedBy)",
+    "event Paused(address account)",
+    "event Unpaused(address account)",
+    "event TrustedForwarderSet(address indexed forwarder)",
+    "event RoleGranted(bytes32 indexed role, address indexed account, address indexed sender)",
+    "event RoleRevoked(bytes32 indexed role, address indexed account, address indexed sender)",
+    "event RegistrationApprovalSet(bool required)",
+    "event ParticipantApproved(address indexed participant)",
+    "event ParticipantDeactivated(address indexed participant)",
+    "event ParticipantReactivated(address indexed participant)",
+    "event ParticipantRoleChanged(address indexed participant, uint8 oldRole, uint8 newRole)",
+    "event ReputationUpdated(address indexed participant, uint256 oldReputation, uint256 newReputation, string reason)",
+    "event HandoffTimeoutSet(uint256 timeout)"
+];
+
+// EIP-2771 forwarder used by the gasless relay
+const FORWARD_REQUEST_TUPLE = "tuple(address from, address to, uint256 value, uint256 gas, uint256 nonce, uint256 deadline, bytes data)";
+const FORWARDER_ABI = [
+    "function getNonce(address) view returns (uint256)",
+    `function verify(${FORWARD_REQUEST_TUPLE} req, bytes signature) view returns (bool)`,
+    `function execute(${FORWARD_REQUEST_TUPLE} req, bytes signature) payable returns (bool, bytes)`,
+    "event RequestForwarded(address indexed from, address indexed to, uint256 nonce, bool success)"
+];
+
+// AgriCertifications registry of certification attestations
+const CERTIFICATIONS_ABI = [
+    "function certifications(uint256) view returns (address issuer, address farmer, uint256 productId, string standard, string scope, bool organic, uint256 issuedAt, uint256 expiresAt, bool revoked)",
+    "function supplyChain() view returns (address)",
+    "function nextCertificationId() view returns (uint256)",
+    "function getFarmerCertifications(address) view returns (uint256[])",
+    "function getProductCertifications(uint256) view returns (uint256[])",
+    "function hasValidOrganicCertification(uint256) view returns (bool)",
+    "function issueCertification(address farmer, uint256 productId, string standard, string scope, bool organic, uint256 expiresAt) returns (uint256)",
+    "function revokeCertification(uint256 certificationId, string reason)",
+    "event CertificationIssued(uint256 indexed certificationId, address indexed issuer, address indexed farmer, uint256 productId, string standard, bool organic, uint256 expiresAt)",
+    "event CertificationRevoked(uint256 indexed certificationId, address indexed revokedBy, string reason)"
+];
+
+// AgriDocuments registry of document hashes anchored against batches
+const DOCUMENTS_ABI = [
+    "function supplyChain() view returns (address)",
+    "function getDocumentCount(uint256 batchId) view returns (uint256)",
+    "function getDocument(uint256 batchId, uint256 index) view returns (bytes32 contentHash, string documentType, address uploader, uint256 timestamp)",
+    "function isAnchored(uint256 batchId, bytes32 contentHash) view returns (bool)",
+    "function canAnchor(uint256 batchId, address account) view returns (bool)",
+    "function anchorDocument(uint256 batchId, bytes32 contentHash, string documentType) returns (uint256)",
+    "event DocumentAnchored(uint256 indexed batchId, uint256 index, bytes32 indexed contentHash, string documentType, address indexed uploader)"
+];
+
+// AgriInspections registry of per-batch quality inspections
+const INSPECTION_TUPLE = "tuple(address inspector, uint256 timestamp, uint8 stage, uint8 grade, uint256 moisture, uint256 brix, uint256 defects, uint8 pesticideResidue, bytes32[] photoHashes, string notes)";
+const INSPECTIONS_ABI = [
+    "function supplyChain() view returns (address)",
+    "function getInspectionCount(uint256 batchId) view returns (uint256)",
+    `function getInspection(uint256 batchId, uint256 index) view returns (${INSPECTION_TUPLE})`,
+    "function getBatchGrade(uint256 batchId) view returns (bool inspected, uint8 grade)",
+    "function recordInspection(uint256 batchId, uint8 grade, uint256 moisture, uint256 brix, uint256 defects, uint8 pesticideResidue, bytes32[] photoHashes, string notes) returns (uint256)",
+    "event InspectionRecorded(uint256 indexed batchId, uint256 index, address indexed inspector, uint8 grade, uint8 stage)"
+];
+
+// AgriSensorLogs registry of Merkle roots over off-chain sensor readings
+const LOG_ANCHOR_TUPLE = "tuple(bytes32 root, uint256 fromTimestamp, uint256 toTimestamp, uint256 readingCount, address anchoredBy, uint256 anchoredAt)";
+const SENSOR_LOGS_ABI = [
+    "function supplyChain() view returns (address)",
+    "function getAnchorCount(uint256 batchId) view returns (uint256)",
+    `function getAnchor(uint256 batchId, uint256 index) view returns (${LOG_ANCHOR_TUPLE})`,
+    "function verifyReading(uint256 batchId, uint256 index, bytes32 leaf, bytes32[] proof) view returns (bool)",
+    "function canAnchor(uint256 batchId, address account) view returns (bool)",
+    "function anchorRoot(uint256 batchId, bytes32 root, uint256 fromTimestamp, uint256 toTimestamp, uint256 readingCount) returns (uint256)",
+    "event LogRootAnchored(uint256 indexed batchId, uint256 index, bytes32 root, uint256 readingCount, address indexed anchoredBy)"
+];
+
+// AgriEnvironmentLens range reads over environment histories
+const ENVIRONMENT_RECORD_TUPLE = "tuple(uint256 timestamp, int256 temperature, uint256 humidity, string location, address recorder, string notes)";
+const ENVIRONMENT_LENS_ABI = [
+    "function supplyChain() view returns (address)",
+    `function getEnvironmentDataRange(uint256 batchId, uint256 start, uint256 count) view returns (${ENVIRONMENT_RECORD_TUPLE}[] records, uint256 total)`
 ];
 
 // Initialize blockchain connection
@@ -50,6 +259,111 @@ async function initBlockchain() {
         if (CONTRACT_ADDRESS) {
             contract = new ethers.Contract(CONTRACT_ADDRESS, CONTRACT_ABI, wallet || provider);
             console.log('✅ Connected to smart contract:', CONTRACT_ADDRESS);
+            
+            // Replay contract events into the local store in the background
+            indexer = createIndexer({
+                provider,
+                contract,
+                store: eventStore,
+                startBlock: INDEXER_START_BLOCK,
+                pollInterval: INDEXER_POLL_INTERVAL
+            });
+            indexer.start();
+            
+            // Periodically write computed reputation scores to the contract (owner wallet only)
+            if (wallet && REPUTATION_ANCHOR_INTERVAL > 0) {
+                const owner = await contract.owner();
+                if (owner.toLowerCase() === wallet.address.toLowerCase()) {
+                    setInterval(() => {
+                        runReputationAnchor().catch(error => console.error('❌ Reputation anchoring failed:', error.message));
+                    }, REPUTATION_ANCHOR_INTERVAL * 1000);
+                    console.log(`✅ Reputation scores anchored every ${REPUTATION_ANCHOR_INTERVAL}s`);
+                }
+            }
+            
+            // Gasless relay: the server wallet pays for participant-signed requests
+            if (FORWARDER_ADDRESS && wallet) {
+                const trusted = await contract.trustedForwarder();
+                if (trusted.toLowerCase() !== FORWARDER_ADDRESS.toLowerCase()) {
+                    console.log('⚠️ FORWARDER_ADDRESS is not the contract\'s trusted forwarder. Relay disabled.');
+                } else {
+                    relayer = createRelayer({
+                        forwarder: new ethers.Contract(FORWARDER_ADDRESS, FORWARDER_ABI, wallet),
+                        target: contract,
+                        quota: RELAY_QUOTA,
+                        quotaWindow: RELAY_QUOTA_WINDOW,
+                        registrationQuota: RELAY_REGISTRATION_QUOTA,
+                        maxGas: RELAY_MAX_GAS
+                    });
+                    console.log('✅ Gasless relay enabled via forwarder:', FORWARDER_ADDRESS);
+                }
+            }
+            
+            // Certification attestations live in a companion registry bound to this contract
+            if (CERTIFICATIONS_ADDRESS) {
+                const registry = new ethers.Contract(CERTIFICATIONS_ADDRESS, CERTIFICATIONS_ABI, wallet || provider);
+                const boundTo = await registry.supplyChain();
+                if (boundTo.toLowerCase() !== CONTRACT_ADDRESS.toLowerCase()) {
+                    console.log('⚠️ CERTIFICATIONS_ADDRESS belongs to another supply chain contract. Certifications disabled.');
+                } else {
+                    certificationRegistry = registry;
+                    console.log('✅ Certification registry:', CERTIFICATIONS_ADDRESS);
+                }
+            }
+            
+            if (DOCUMENTS_ADDRESS) {
+                const registry = new ethers.Contract(DOCUMENTS_ADDRESS, DOCUMENTS_ABI, wallet || provider);
+                const boundTo = await registry.supplyChain();
+                if (boundTo.toLowerCase() !== CONTRACT_ADDRESS.toLowerCase()) {
+                    console.log('⚠️ DOCUMENTS_ADDRESS belongs to another supply chain contract. Document anchoring disabled.');
+                } else {
+                    documentRegistry = registry;
+                    console.log('✅ Document registry:', DOCUMENTS_ADDRESS);
+                }
+            }
+            
+            if (INSPECTIONS_ADDRESS) {
+                const registry = new ethers.Contract(INSPECTIONS_ADDRESS, INSPECTIONS_ABI, wallet || provider);
+                const boundTo = await registry.supplyChain();
+                if (boundTo.toLowerCase() !== CONTRACT_ADDRESS.toLowerCase()) {
+                    console.log('⚠️ INSPECTIONS_ADDRESS belongs to another supply chain contract. Inspections disabled.');
+                } else {
+                    inspectionRegistry = registry;
+                    console.log('✅ Inspection registry:', INSPECTIONS_ADDRESS);
+                }
+            }
+            
+            if (SENSOR_LOGS_ADDRESS) {
+                const registry = new ethers.Contract(SENSOR_LOGS_ADDRESS, SENSOR_LOGS_ABI, wallet || provider);
+                const boundTo = await registry.supplyChain();
+                if (boundTo.toLowerCase() !== CONTRACT_ADDRESS.toLowerCase()) {
+                    console.log('⚠️ SENSOR_LOGS_ADDRESS belongs to another supply chain contract. Off-chain sensor logs disabled.');
+                } else {
+                    sensorLog.open(SENSOR_LOGS_ADDRESS);
+                    sensorLogRegistry = registry;
+                    console.log('✅ Sensor log registry:', SENSOR_LOGS_ADDRESS);
+                    
+                    // The server wallet anchors every batch's log, which the contract allows the owner
+                    const owner = await contract.owner();
+                    if (wallet && SENSOR_ANCHOR_INTERVAL > 0 && owner.toLowerCase() === wallet.address.toLowerCase()) {
+                        setInterval(() => {
+                            runSensorAnchor().catch(error => console.error('❌ Sensor log anchoring failed:', error.message));
+                        }, SENSOR_ANCHOR_INTERVAL * 1000);
+                        console.log(`✅ Sensor logs anchored every ${SENSOR_ANCHOR_INTERVAL}s`);
+                    }
+                }
+            }
+            
+            if (ENVIRONMENT_LENS_ADDRESS) {
+                const lens = new ethers.Contract(ENVIRONMENT_LENS_ADDRESS, ENVIRONMENT_LENS_ABI, provider);
+                const boundTo = await lens.supplyChain();
+                if (boundTo.toLowerCase() !== CONTRACT_ADDRESS.toLowerCase()) {
+                    console.log('⚠️ ENVIRONMENT_LENS_ADDRESS belongs to another supply chain contract. Reading records one by one.');
+                } else {
+                    environmentLens = lens;
+                    console.log('✅ Environment lens:', ENVIRONMENT_LENS_ADDRESS);
+                }
+            }
         } else {
             console.log('⚠️ Contract address not set. Please deploy contract first.');
         }
@@ -63,9 +377,69 @@ async function initBlockchain() {
     }
 }
 
-// In-memory storage for demo data
-let environmentData = new Map(); // batchId -> array of readings
-let batchNotes = new Map(); // batchId -> array of notes
+// Unique identifier printed on batch packaging
+function generateQRCode(prefix = 'QR') {
+    return `${prefix}_${Date.now()}_${Math.random().toString(36).substr(2, 9).toUpperCase()}`;
+}
+
+// Signed label payload for a batch's QR code. Throws with status 403 unless the server wallet is
+// the batch creator or farmer, the only signers verifyLabel accepts.
+async function signQRPayload(batchId, qrCode) {
+    const { chainId } = await provider.getNetwork();
+    const label = await signBatchLabel(contract, wallet, { chainId, batchId, qrCode });
+    return encodePayload(label);
+}
+
+// Best-effort revert reason from an ethers call error
+function revertReason(error) {
+    const reason = (error.error && error.error.reason) || error.reason || error.message;
+    const match = /reverted with reason string '(.*)'/.exec(reason);
+    return match ? match[1] : reason;
+}
+
+// Send a contract write as the signed-in caller. The call is first simulated from the caller's
+// address, so reverts come back as 400s. The server wallet can only sign for itself, so for
+// any other caller the prepared transaction is returned (202) for their own wallet to sign and send, along with a
+// forward request they can sign instead when the gasless relay is enabled. Resolves to
+// the receipt, or null once a response has been sent. Payable calls (overrides.value) are
+// never relayed, since the relayer cannot pay on the caller's behalf. Writes refused because
+// the contract is paused come back as 503s. target is the supply chain contract unless a
+// companion contract is given; the relay only forwards to the supply chain contract.
+async function sendAsCaller(req, res, method, args, overrides = {}, target = contract) {
+    const from = req.user.address;
+    const callerView = target.connect(provider);
+    
+    try {
+        await callerView.callStatic[method](...args, { ...overrides, from });
+    } catch (error) {
+        const reason = revertReason(error);
+        if (reason === 'Pausable: paused') {
+            res.status(503).json({ error: 'Contract is paused', paused: true });
+        } else {
+            res.status(400).json({ error: reason });
+        }
+        return null;
+    }
+    
+    if (wallet && from.toLowerCase() === wallet.address.toLowerCase()) {
+        const tx = await target[method](...args, overrides);
+        return tx.wait();
+    }
+    
+    const transaction = await callerView.populateTransaction[method](...args, { ...overrides, from });
+    if (transaction.value) {
+        transaction.value = transaction.value.toHexString();
+    }
+    const { chainId } = await provider.getNetwork();
+    
+    res.status(202).json({
+        success: true,
+        signatureRequired: true,
+        transaction: { ...transaction, chainId },
+        forwardRequest: relayer && !overrides.value && target === contract ? await relayer.buildRequest(from, transaction.data) : null
+    });
+    return null;
+}
 
 // Routes
 
@@ -74,11 +448,15 @@ app.get('/api/health', async (req, res) => {
     try {
         let blockchainStatus = false;
         let blockNumber = null;
+        let paused = null;
         
         if (provider) {
             try {
                 blockNumber = await provider.getBlockNumber();
                 blockchainStatus = true;
+                if (contract) {
+                    paused = await contract.paused();
+                }
             } catch (error) {
                 console.error('Blockchain health check failed:', error);
             }
@@ -89,7 +467,10 @@ app.get('/api/health', async (req, res) => {
             timestamp: new Date().toISOString(),
             blockchain_connected: blockchainStatus,
             contract_address: CONTRACT_ADDRESS,
-            current_block: blockNumber
+            current_block: blockNumber,
+            paused,
+            indexer: indexer ? indexer.status() : null,
+            relay_enabled: Boolean(relayer)
         });
     } catch (error) {
         res.status(500).json({ error: error.message });
@@ -101,6 +482,129 @@ app.get('/', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
+// Sign-In with Ethereum: fetch a nonce, sign an EIP-4361 message with it, exchange for a session token
+app.get('/api/auth/nonce', (req, res) => {
+    res.json({
+        nonce: auth.issueNonce(),
+        domain: SIWE_DOMAIN
+    });
+});
+
+app.post('/api/auth/login', async (req, res) => {
+    try {
+        const { message, signature } = req.body;
+        
+        if (!contract) {
+            return res.status(503).json({ error: 'Contract not available' });
+        }
+        
+        if (!message || !signature) {
+            return res.status(400).json({ error: 'message and signature are required' });
+        }
+        
+        const session = await auth.login(message, signature);
+        
+        res.json({
+            success: true,
+            ...session,
+            participant: await auth.loadParticipant(session.address)
+        });
+        
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+app.get('/api/auth/session', requireAuth, async (req, res) => {
+    try {
+        if (!contract) {
+            return res.status(503).json({ error: 'Contract not available' });
+        }
+        
+        res.json({
+            address: req.user.address,
+            expiresAt: new Date(req.user.session.expiresAt).toISOString(),
+            participant: await auth.loadParticipant(req.user.address)
+        });
+        
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.post('/api/auth/logout', requireAuth, (req, res) => {
+    auth.logout(req.user.session);
+    res.json({ success: true });
+});
+
+// Gasless relay: sign the forwardRequest returned by a write route (EIP-712) and submit it here.
+// The signature authorizes the call, so no session is needed.
+app.get('/api/relay/:address', async (req, res) => {
+    try {
+        if (!relayer) {
+            return res.status(503).json({ error: 'Relay not available' });
+        }
+        
+        if (!ethers.utils.isAddress(req.params.address)) {
+            return res.status(400).json({ error: 'Invalid address' });
+        }
+        
+        res.json(await relayer.getStatus(req.params.address));
+        
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+        
+// Forward request for calldata the caller encoded themselves, ready to sign
+app.post('/api/relay/prepare', async (req, res) => {
+    try {
+        const { from, data } = req.body;
+        
+        if (!relayer) {
+            return res.status(503).json({ error: 'Relay not available' });
+        }
+        
+        if (!ethers.utils.isAddress(from || '') || !ethers.utils.isHexString(data || '')) {
+            return res.status(400).json({ error: 'from must be an address and data hex calldata' });
+        }
+        
+        res.json(await relayer.buildRequest(ethers.utils.getAddress(from), data));
+        
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+app.post('/api/relay', async (req, res) => {
+    try {
+        const { request, signature } = req.body;
+        
+        if (!relayer) {
+            return res.status(503).json({ error: 'Relay not available' });
+        }
+        
+        if (!request || typeof request !== 'object' || !signature) {
+            return res.status(400).json({ error: 'request and signature are required' });
+        }
+        
+        const result = await relayer.relay(request, signature);
+        
+        res.json({
+            success: true,
+            from: result.from,
+            functionName: result.functionName,
+            transactionHash: result.receipt.transactionHash,
+            blockNumber: result.receipt.blockNumber,
+            events: result.events,
+            quota: result.quota
+        });
+        
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+        
 // Get participant info
 app.get('/api/participant/:address', async (req, res) => {
     try {
@@ -110,14 +614,20 @@ app.get('/api/participant/:address', async (req, res) => {
             return res.status(503).json({ error: 'Contract not available' });
         }
         
-        const participant = await contract.participants(address);
+        const [participant, pendingApproval, granted] = await Promise.all([
+            contract.participants(address),
+            contract.pendingRegistrations(address),
+            Promise.all(ROLE_NAMES.map(name => contract.hasRole(ROLE_IDS[name], address)))
+        ]);
         
         res.json({
             address,
             name: participant.name,
             location: participant.location,
             role: participant.role,
+            roles: ROLE_NAMES.filter((name, i) => granted[i]),
             isActive: participant.isActive,
+            pendingApproval,
             reputation: participant.reputation.toString()
         });
         
@@ -126,20 +636,94 @@ app.get('/api/participant/:address', async (req, res) => {
     }
 });
 
+// Chain time of the newest indexed block, so scores match the events they were derived from
+async function indexedChainTime() {
+    const lastBlock = eventStore.getLastBlock();
+    const block = await provider.getBlock(lastBlock === null ? 'latest' : lastBlock);
+    return { blockNumber: block.number, now: block.timestamp };
+}
+
+let anchoring = null;
+
+// Anchor every changed score; concurrent callers share the run in progress
+function runReputationAnchor() {
+    if (!anchoring) {
+        anchoring = indexedChainTime()
+            .then(({ blockNumber, now }) => anchorReputations(contract, eventStore, { now, blockNumber }))
+            .then(anchored => {
+                if (anchored.length > 0) {
+                    console.log(`⚖️ Anchored ${anchored.length} reputation score(s)`);
+                }
+                return anchored;
+            })
+            .finally(() => {
+                anchoring = null;
+            });
+    }
+    return anchoring;
+}
+
+// Reputation derived from observed behaviour, with the evidence behind each factor
+app.get('/api/participant/:address/reputation', async (req, res) => {
+    try {
+        const { address } = req.params;
+        
+        if (!contract) {
+            return res.status(503).json({ error: 'Contract not available' });
+        }
+        
+        if (!ethers.utils.isAddress(address)) {
+            return res.status(400).json({ error: 'Invalid participant address' });
+        }
+        
+        const participantAddress = ethers.utils.getAddress(address);
+        const participant = await contract.participants(participantAddress);
+        if (!participant.name) {
+            return res.status(404).json({ error: 'Participant not registered' });
+        }
+        
+        const { blockNumber, now } = await indexedChainTime();
+        const events = eventStore.getEvents();
+        const report = computeReputation(events, participantAddress, { now });
+        const lastAnchor = events.filter(e => e.type === 'ReputationUpdated' &&
+            e.data.participant === participantAddress &&
+            e.data.reason.startsWith(AUTOMATIC_REASON_PREFIX)).pop();
+        
+        res.json({
+            address: participantAddress,
+            score: report.score,
+            baseScore: BASE_SCORE,
+            onChainScore: participant.reputation.toNumber(),
+            lastAnchored: lastAnchor ? {
+                score: Number(lastAnchor.data.newReputation),
+                timestamp: new Date(lastAnchor.timestamp * 1000).toISOString(),
+                transactionHash: lastAnchor.transactionHash
+            } : null,
+            factors: report.factors,
+            policy: DEFAULT_POLICY,
+            computedAtBlock: blockNumber
+        });
+        
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
 // Register participant
-app.post('/api/participant/register', async (req, res) => {
+app.post('/api/participant/register', requireAuth, async (req, res) => {
     try {
-        const { name, location, role, userAddress } = req.body;
+        const { name, location, role } = req.body;
         
-        if (!contract || !wallet) {
-            return res.status(503).json({ error: 'Contract or wallet not available' });
+        if (!contract) {
+            return res.status(503).json({ error: 'Contract not available' });
         }
         
-        const tx = await contract.registerParticipant(name, location, role);
-        const receipt = await tx.wait();
+        const receipt = await sendAsCaller(req, res, 'registerParticipant', [name, location, role]);
+        if (!receipt) return;
         
         res.json({
             success: true,
+            pendingApproval: await contract.pendingRegistrations(req.user.address),
             transactionHash: receipt.transactionHash,
             blockNumber: receipt.blockNumber
         });
@@ -150,24 +734,23 @@ app.post('/api/participant/register', async (req, res) => {
 });
 
 // Create product
-app.post('/api/product/create', async (req, res) => {
+app.post('/api/product/create', requireRole('Farmer'), async (req, res) => {
     try {
         const { productName, variety, quantity, harvestDate, isOrganic, certifications } = req.body;
         
-        if (!contract || !wallet) {
-            return res.status(503).json({ error: 'Contract or wallet not available' });
+        if (!contract) {
+            return res.status(503).json({ error: 'Contract not available' });
         }
         
-        const tx = await contract.createProduct(
+        const receipt = await sendAsCaller(req, res, 'createProduct', [
             productName,
             variety,
             quantity,
             harvestDate,
             isOrganic,
             certifications || []
-        );
-        
-        const receipt = await tx.wait();
+        ]);
+        if (!receipt) return;
         
         // Extract product ID from events
         let productId = null;
@@ -199,6 +782,7 @@ app.get('/api/product/:id', async (req, res) => {
         }
         
         const product = await contract.getProductInfo(id);
+        const { attestations, organicClaim } = await productCertifications(id, product.isOrganic);
         
         res.json({
             productId: id,
@@ -208,7 +792,9 @@ app.get('/api/product/:id', async (req, res) => {
             farmer: product.farmer,
             quality: product.quality,
             isOrganic: product.isOrganic,
-            certifications: product.certifications
+            certifications: product.certifications, // self-declared by the farmer
+            attestations,
+            organicClaim
         });
         
     } catch (error) {
@@ -216,31 +802,54 @@ app.get('/api/product/:id', async (req, res) => {
     }
 });
 
-// Create batch
-app.post('/api/batch/create', async (req, res) => {
+// Certification attestations covering a product, checked at the latest block. Without the
+// registry there is nothing to check the product's claims against.
+async function productCertifications(productId, isOrganic) {
+    if (!certificationRegistry) {
+        return {
+            attestations: null,
+            organicClaim: { claimed: isOrganic, status: isOrganic ? 'unverified' : 'not_claimed', certificationIds: [] }
+        };
+    }
+    
+    const block = await provider.getBlock('latest');
+    return loadProductCertifications(certificationRegistry, contract, productId, isOrganic, block.timestamp);
+}
+
+function requireCertificationRegistry(req, res, next) {
+    if (!certificationRegistry) {
+        return res.status(503).json({ error: 'Certification registry not available' });
+    }
+    next();
+}
+
+// A certifying body attests a farmer (farm-wide, productId omitted) or one of the farmer's products.
+// expiresAt is an ISO date or unix seconds.
+app.post('/api/certifications', requireRole('Certifier'), requireCertificationRegistry, async (req, res) => {
     try {
-        const { productId, qrCode, initialLocation } = req.body;
+        const { farmer, productId = 0, standard, scope = '', organic = false, expiresAt } = req.body;
         
-        if (!contract || !wallet) {
-            return res.status(503).json({ error: 'Contract or wallet not available' });
+        if (!ethers.utils.isAddress(farmer || '') || !standard || expiresAt === undefined) {
+            return res.status(400).json({ error: 'farmer address, standard and expiresAt are required' });
         }
         
-        const tx = await contract.createBatch(productId, qrCode, initialLocation);
-        const receipt = await tx.wait();
-        
-        // Extract batch ID from events
-        let batchId = null;
-        if (receipt.events) {
-            const event = receipt.events.find(e => e.event === 'BatchCreated');
-            if (event) {
-                batchId = event.args.batchId.toString();
-            }
+        let expiry;
+        try {
+            expiry = parseDateParam(String(expiresAt));
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
         }
         
+        const receipt = await sendAsCaller(req, res, 'issueCertification',
+            [farmer, productId, standard, scope, Boolean(organic), expiry], {}, certificationRegistry);
+        if (!receipt) return;
+        
+        const event = receipt.events && receipt.events.find(e => e.event === 'CertificationIssued');
+        const block = await provider.getBlock(receipt.blockNumber);
+        
         res.json({
             success: true,
-            batchId,
-            qrCode,
+            certification: event ? await loadCertification(certificationRegistry, contract, event.args.certificationId, block.timestamp) : null,
             transactionHash: receipt.transactionHash
         });
         
@@ -249,36 +858,41 @@ app.post('/api/batch/create', async (req, res) => {
     }
 });
 
-// Get batch info
-app.get('/api/batch/:id', async (req, res) => {
+app.get('/api/certifications/:id', requireCertificationRegistry, async (req, res) => {
+    try {
+        const block = await provider.getBlock('latest');
+        const certification = await loadCertification(certificationRegistry, contract, req.params.id, block.timestamp);
+        
+        if (!certification) {
+            return res.status(404).json({ error: 'Certification not found' });
+        }
+        
+        res.json(certification);
+        
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// The issuing body or the contract owner withdraws a certification
+app.post('/api/certifications/:id/revoke', requireRole('Certifier', ADMIN_ROLE), requireCertificationRegistry, async (req, res) => {
     try {
         const { id } = req.params;
+        const { reason } = req.body;
         
-        if (!contract) {
-            return res.status(503).json({ error: 'Contract not available' });
+        if (!reason) {
+            return res.status(400).json({ error: 'reason is required' });
         }
         
-        const batchDetails = await contract.getBatchDetails(id);
-        const productInfo = await contract.getProductInfo(batchDetails.productId);
+        const receipt = await sendAsCaller(req, res, 'revokeCertification', [id, reason], {}, certificationRegistry);
+        if (!receipt) return;
         
         res.json({
-            batchId: batchDetails.batchId.toString(),
-            productId: batchDetails.productId.toString(),
-            productName: productInfo.name,
-            currentStage: batchDetails.currentStage,
-            currentOwner: batchDetails.currentOwner,
-            location: batchDetails.location,
-            notes: batchDetails.notes,
-            environmentRecordCount: batchDetails.environmentRecordCount.toString(),
-            product: {
-                name: productInfo.name,
-                variety: productInfo.variety,
-                quantity: productInfo.quantity.toString(),
-                farmer: productInfo.farmer,
-                isOrganic: productInfo.isOrganic,
-                quality: productInfo.quality,
-                certifications: productInfo.certifications
-            }
+            success: true,
+            certificationId: id,
+            status: 'revoked',
+            reason,
+            transactionHash: receipt.transactionHash
         });
         
     } catch (error) {
@@ -286,48 +900,23 @@ app.get('/api/batch/:id', async (req, res) => {
     }
 });
 
-// Track by QR code
-app.get('/api/track/:qrCode', async (req, res) => {
+// Every certification issued to a farmer, farm-wide or for one of their products
+app.get('/api/participant/:address/certifications', requireCertificationRegistry, async (req, res) => {
     try {
-        const { qrCode } = req.params;
-        
-        if (!contract) {
-            return res.status(503).json({ error: 'Contract not available' });
-        }
-        
-        const batchId = await contract.getBatchByQR(qrCode);
+        const { address } = req.params;
         
-        if (batchId.toString() === '0') {
-            return res.status(404).json({ error: 'QR code not found' });
+        if (!ethers.utils.isAddress(address)) {
+            return res.status(400).json({ error: 'Invalid participant address' });
         }
         
-        // Get batch and product details
-        const batchDetails = await contract.getBatchDetails(batchId);
-        const productInfo = await contract.getProductInfo(batchDetails.productId);
-        const history = await contract.getBatchHistory(batchId);
+        const [ids, block] = await Promise.all([
+            certificationRegistry.getFarmerCertifications(address),
+            provider.getBlock('latest')
+        ]);
         
         res.json({
-            batchId: batchId.toString(),
-            qrCode,
-            product: {
-                name: productInfo.name,
-                variety: productInfo.variety,
-                quantity: productInfo.quantity.toString(),
-                farmer: productInfo.farmer,
-                isOrganic: productInfo.isOrganic,
-                quality: productInfo.quality,
-                certifications: productInfo.certifications
-            },
-            currentStage: batchDetails.currentStage,
-            currentOwner: batchDetails.currentOwner,
-            currentLocation: batchDetails.location,
-            notes: batchDetails.notes,
-            environmentRecordCount: batchDetails.environmentRecordCount.toString(),
-            history: {
-                owners: history.owners,
-                locations: history.locations,
-                timestamps: history.timestamps.map(t => t.toString())
-            }
+            farmer: address,
+            certifications: await Promise.all(ids.map(id => loadCertification(certificationRegistry, contract, id, block.timestamp)))
         });
         
     } catch (error) {
@@ -335,126 +924,2224 @@ app.get('/api/track/:qrCode', async (req, res) => {
     }
 });
 
-// Record environmental data
-app.post('/api/batch/:id/environment', async (req, res) => {
+// Set cold-chain storage profile for a product. logger is the optional address of the data
+// logger whose readings count against custodians besides their own and inspectors'.
+app.post('/api/product/:id/storage-profile', requireRole('Farmer'), async (req, res) => {
     try {
         const { id } = req.params;
-        const { temperature, humidity, location, notes } = req.body;
+        const { minTemperature, maxTemperature, minHumidity, maxHumidity, maxExcursionSeconds, logger } = req.body;
         
-        if (!contract || !wallet) {
-            return res.status(503).json({ error: 'Contract or wallet not available' });
+        if (!contract) {
+            return res.status(503).json({ error: 'Contract not available' });
+        }
+        
+        const values = [minTemperature, maxTemperature, minHumidity, maxHumidity, maxExcursionSeconds].map(parseFloat);
+        if (values.some(isNaN)) {
+            return res.status(400).json({ error: 'minTemperature, maxTemperature, minHumidity, maxHumidity and maxExcursionSeconds are required' });
+        }
+        if (logger !== undefined && logger !== null && !ethers.utils.isAddress(logger)) {
+            return res.status(400).json({ error: `Invalid logger address: ${logger}` });
+        }
+        
+        // Temperatures and humidity are stored multiplied by 100
+        const receipt = await sendAsCaller(req, res, 'setStorageProfile', [
+            id,
+            Math.round(values[0] * 100),
+            Math.round(values[1] * 100),
+            Math.round(values[2] * 100),
+            Math.round(values[3] * 100),
+            Math.round(values[4]),
+            logger || ethers.constants.AddressZero
+        ]);
+        if (!receipt) return;
+        
+        res.json({
+            success: true,
+            profile: profileFromChain(await contract.storageProfiles(id)),
+            transactionHash: receipt.transactionHash
+        });
+        
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Get cold-chain storage profile for a product
+app.get('/api/product/:id/storage-profile', async (req, res) => {
+    try {
+        const { id } = req.params;
+        
+        if (!contract) {
+            return res.status(503).json({ error: 'Contract not available' });
+        }
+        
+        const profile = profileFromChain(await contract.storageProfiles(id));
+        
+        if (!profile) {
+            return res.status(404).json({ error: 'No storage profile set for this product' });
+        }
+        
+        res.json({ productId: id, profile });
+        
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Create batch
+app.post('/api/batch/create', requireRole('Farmer'), async (req, res) => {
+    try {
+        const { productId, qrCode, initialLocation } = req.body;
+        
+        if (!contract) {
+            return res.status(503).json({ error: 'Contract not available' });
+        }
+        
+        const receipt = await sendAsCaller(req, res, 'createBatch', [productId, qrCode, initialLocation]);
+        if (!receipt) return;
+        
+        // Extract batch ID from events
+        let batchId = null;
+        if (receipt.events) {
+            const event = receipt.events.find(e => e.event === 'BatchCreated');
+            if (event) {
+                batchId = event.args.batchId.toString();
+            }
+        }
+        
+        res.json({
+            success: true,
+            batchId,
+            qrCode,
+            qrPayload: batchId ? await signQRPayload(batchId, qrCode) : null,
+            transactionHash: receipt.transactionHash
+        });
+        
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Get batch info
+app.get('/api/batch/:id', async (req, res) => {
+    try {
+        const { id } = req.params;
+        
+        if (!contract) {
+            return res.status(503).json({ error: 'Contract not available' });
+        }
+        
+        const batchDetails = await contract.getBatchDetails(id);
+        const productInfo = await contract.getProductInfo(batchDetails.productId);
+        const quantity = await contract.batchQuantities(id);
+        const recall = await findRecall(id);
+        const pendingHandoff = await loadHandoff(id);
+        const quality = await loadBatchQuality(inspectionRegistry, id, batchDetails.quality);
+        
+        res.json({
+            batchId: batchDetails.batchId.toString(),
+            productId: batchDetails.productId.toString(),
+            productName: productInfo.name,
+            quantity: quantity.toString(),
+            currentStage: batchDetails.currentStage,
+            currentOwner: batchDetails.currentOwner,
+            location: batchDetails.location,
+            noteCount: batchDetails.noteCount.toNumber(),
+            environmentRecordCount: batchDetails.environmentRecordCount.toString(),
+            recalled: recall !== null,
+            recall,
+            custody: pendingHandoff && pendingHandoff.status === 'pending' ? 'pending' : 'settled',
+            pendingHandoff,
+            quality,
+            product: {
+                name: productInfo.name,
+                variety: productInfo.variety,
+                quantity: productInfo.quantity.toString(),
+                farmer: productInfo.farmer,
+                isOrganic: productInfo.isOrganic,
+                certifications: productInfo.certifications
+            }
+        });
+        
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Everything a consumer sees for a QR code, or null when no batch carries it
+async function loadTrace(qrCode) {
+    const batchId = await contract.getBatchByQR(qrCode);
+    
+    if (batchId.toString() === '0') {
+        return null;
+    }
+    
+    // Get batch and product details
+    const batchDetails = await contract.getBatchDetails(batchId);
+    const productInfo = await contract.getProductInfo(batchDetails.productId);
+    const { harvestDate } = await contract.products(batchDetails.productId);
+    const history = await contract.getBatchHistory(batchId);
+    const recall = await findRecall(batchId);
+    const { attestations, organicClaim } = await productCertifications(batchDetails.productId, productInfo.isOrganic);
+    const quality = await loadBatchQuality(inspectionRegistry, batchId, batchDetails.quality);
+    
+    return {
+        batchId: batchId.toString(),
+        qrCode,
+        recalled: recall !== null,
+        recall,
+        quality,
+        product: {
+            productId: batchDetails.productId.toString(),
+            name: productInfo.name,
+            variety: productInfo.variety,
+            quantity: productInfo.quantity.toString(),
+            harvestDate,
+            farmer: productInfo.farmer,
+            isOrganic: productInfo.isOrganic,
+            certifications: productInfo.certifications,
+            attestations,
+            organicClaim
+        },
+        currentStage: batchDetails.currentStage,
+        currentOwner: batchDetails.currentOwner,
+        currentLocation: batchDetails.location,
+        noteCount: batchDetails.noteCount.toNumber(),
+        environmentRecordCount: batchDetails.environmentRecordCount.toString(),
+        history: {
+            owners: history.owners,
+            locations: history.locations,
+            timestamps: history.timestamps.map(t => t.toString())
+        }
+    };
+}
+
+// Track by QR code
+app.get('/api/track/:qrCode', async (req, res) => {
+    try {
+        if (!contract) {
+            return res.status(503).json({ error: 'Contract not available' });
+        }
+        
+        const trace = await loadTrace(req.params.qrCode);
+        
+        if (!trace) {
+            return res.status(404).json({ error: 'QR code not found' });
+        }
+        
+        res.json(trace);
+        
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Consumer trace page for the QR code on a package: the /api/track data rendered as plain
+// HTML with the farmer's and holders' profiles and a storage summary, so any phone can open it
+app.get('/trace/:qrCode', async (req, res) => {
+    try {
+        if (!contract) {
+            return res.status(503).type('html').send(renderTraceMessage('Temporarily unavailable', 'Traceability data cannot be loaded right now. Please try again later.'));
+        }
+        
+        const trace = await loadTrace(req.params.qrCode);
+        
+        if (!trace) {
+            return res.status(404).type('html').send(renderTraceMessage('Product not found', 'This code does not belong to any registered batch. The label may be damaged or counterfeit.'));
+        }
+        
+        const addresses = [...new Set([trace.product.farmer, ...trace.history.owners])];
+        const profiles = await Promise.all(addresses.map(address => contract.participants(address)));
+        const participants = {};
+        addresses.forEach((address, i) => {
+            const { name, location, role, reputation } = profiles[i];
+            participants[address] = { name, location, role, reputation: reputation.toString() };
+        });
+        
+        const [readings, profile] = await Promise.all([
+            fetchEnvironmentReadings(trace.batchId, Number(trace.environmentRecordCount)),
+            contract.storageProfiles(trace.product.productId).then(profileFromChain)
+        ]);
+        const environment = readings.length > 0
+            ? { profile, ...buildEnvironmentStats(readings, { profile, maxGapSeconds: ENVIRONMENT_MAX_GAP }) }
+            : null;
+        
+        res.type('html').send(renderTracePage({ trace, participants, environment }));
+        
+    } catch (error) {
+        res.status(500).type('html').send(renderTraceMessage('Something went wrong', 'Traceability data could not be loaded. Please try again later.'));
+    }
+});
+
+// Split a batch into child batches with allocated quantities
+app.post('/api/batch/:id/split', requireRole(), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { quantities, location } = req.body;
+        
+        if (!contract) {
+            return res.status(503).json({ error: 'Contract not available' });
+        }
+        
+        if (!Array.isArray(quantities) || quantities.length === 0) {
+            return res.status(400).json({ error: 'quantities must be a non-empty array' });
+        }
+        
+        // Each child batch gets its own QR code unless the caller supplies them
+        const qrCodes = req.body.qrCodes || quantities.map(() => generateQRCode());
+        
+        const receipt = await sendAsCaller(req, res, 'splitBatch', [id, quantities, qrCodes, location]);
+        if (!receipt) return;
+        
+        const event = receipt.events && receipt.events.find(e => e.event === 'BatchSplit');
+        const childBatchIds = event ? event.args.childBatchIds.map(childId => childId.toString()) : [];
+        
+        const qrPayloads = await Promise.all(childBatchIds.map((batchId, i) => signQRPayload(batchId, qrCodes[i])));
+        
+        res.json({
+            success: true,
+            parentBatchId: id,
+            childBatches: childBatchIds.map((batchId, i) => ({
+                batchId,
+                qrCode: qrCodes[i],
+                qrPayload: qrPayloads[i],
+                quantity: quantities[i].toString()
+            })),
+            transactionHash: receipt.transactionHash
+        });
+        
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Merge compatible batches into a new batch
+app.post('/api/batch/merge', requireRole(), async (req, res) => {
+    try {
+        const { batchIds, location, qrCode = generateQRCode() } = req.body;
+        
+        if (!contract) {
+            return res.status(503).json({ error: 'Contract not available' });
+        }
+        
+        if (!Array.isArray(batchIds) || batchIds.length < 2) {
+            return res.status(400).json({ error: 'batchIds must list at least two batches' });
+        }
+        
+        const receipt = await sendAsCaller(req, res, 'mergeBatches', [batchIds, qrCode, location]);
+        if (!receipt) return;
+        
+        const event = receipt.events && receipt.events.find(e => e.event === 'BatchesMerged');
+        const batchId = event ? event.args.mergedBatchId.toString() : null;
+        
+        res.json({
+            success: true,
+            batchId,
+            qrCode,
+            qrPayload: batchId ? await signQRPayload(batchId, qrCode) : null,
+            quantity: event ? event.args.totalQuantity.toString() : null,
+            sourceBatchIds: batchIds.map(String),
+            transactionHash: receipt.transactionHash
+        });
+        
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Walk parent or child links from a batch; products are cached across the walk
+async function buildGenealogyNode(batchId, direction, visited, productCache) {
+    const [details, genealogy, quantity] = await Promise.all([
+        contract.getBatchDetails(batchId),
+        contract.getBatchGenealogy(batchId),
+        contract.batchQuantities(batchId)
+    ]);
+    
+    const productId = details.productId.toString();
+    if (!productCache.has(productId)) {
+        productCache.set(productId, contract.getProductInfo(productId));
+    }
+    const product = await productCache.get(productId);
+    
+    const node = {
+        batchId: batchId.toString(),
+        productId,
+        productName: product.name,
+        variety: product.variety,
+        farmer: product.farmer,
+        quantity: quantity.toString(),
+        currentStage: details.currentStage,
+        currentOwner: details.currentOwner,
+        location: details.location
+    };
+    
+    // Merges can make the same batch reachable twice; expand it only once
+    if (visited.has(node.batchId)) {
+        return node;
+    }
+    visited.add(node.batchId);
+    
+    const next = direction === 'parents' ? genealogy.parents : genealogy.children;
+    node[direction] = await Promise.all(
+        next.map(nextId => buildGenealogyNode(nextId.toString(), direction, visited, productCache))
+    );
+    
+    return node;
+}
+
+// Full ancestor and descendant tree of a batch
+app.get('/api/batch/:id/genealogy', async (req, res) => {
+    try {
+        const { id } = req.params;
+        
+        if (!contract) {
+            return res.status(503).json({ error: 'Contract not available' });
+        }
+        
+        const productCache = new Map();
+        const ancestors = await buildGenealogyNode(id, 'parents', new Set(), productCache);
+        const descendants = await buildGenealogyNode(id, 'children', new Set(), productCache);
+        
+        res.json({
+            ...ancestors,
+            children: descendants.children
+        });
+        
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// GS1 EPCIS 2.0 document (JSON-LD) for a batch, built from the indexed events and the on-chain
+// environment records, for partners that ingest traceability data as EPCIS
+app.get('/api/batch/:id/epcis', async (req, res) => {
+    try {
+        const { id } = req.params;
+        
+        if (!contract) {
+            return res.status(503).json({ error: 'Contract not available' });
+        }
+        if (!indexer) {
+            return res.status(503).json({ error: 'Indexer not available' });
+        }
+        
+        const nextBatchId = await contract.nextBatchId();
+        if (!/^\d+$/.test(id) || id === '0' || nextBatchId.lte(id)) {
+            return res.status(404).json({ error: 'Batch not found' });
+        }
+        if (!eventStore.getBatch(id)) {
+            return res.status(503).json({ error: 'Batch is not indexed yet' });
+        }
+        
+        const batchDetails = await contract.getBatchDetails(id);
+        const [product, profile, readings, { chainId }] = await Promise.all([
+            contract.getProductInfo(batchDetails.productId),
+            contract.storageProfiles(batchDetails.productId).then(profileFromChain),
+            fetchEnvironmentReadings(id, batchDetails.environmentRecordCount.toNumber()),
+            provider.getNetwork()
+        ]);
+        
+        res.type('application/ld+json').json(buildEpcisDocument({
+            chainId,
+            contractAddress: contract.address,
+            batchId: id,
+            product: { quantity: product.quantity.toString() },
+            events: eventStore.getEvents(),
+            readings,
+            profile
+        }));
+        
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Active recall details from a contract getter, or null
+function recallFromChain(raw, scope, targetId) {
+    if (!raw.active) return null;
+    
+    return {
+        scope,
+        targetId: targetId.toString(),
+        severity: RECALL_SEVERITY_NAMES[raw.severity],
+        reason: raw.reason,
+        issuedBy: raw.issuedBy,
+        issuedAt: new Date(raw.timestamp.toNumber() * 1000).toISOString()
+    };
+}
+
+// The recall covering a batch: its own, its product's, or one inherited from a parent batch
+async function findRecall(batchId, visited = new Set()) {
+    const id = batchId.toString();
+    if (visited.has(id)) return null;
+    visited.add(id);
+    
+    const batchRecall = recallFromChain(await contract.batchRecalls(id), 'batch', id);
+    if (batchRecall) return batchRecall;
+    
+    const { productId } = await contract.batches(id);
+    const productRecall = recallFromChain(await contract.productRecalls(productId), 'product', productId);
+    if (productRecall) return productRecall;
+    
+    const { parents } = await contract.getBatchGenealogy(id);
+    for (const parentId of parents) {
+        const inherited = await findRecall(parentId, visited);
+        if (inherited) return inherited;
+    }
+    return null;
+}
+
+// Severity may be given as the enum value or its name
+function parseSeverity(value) {
+    const byName = RECALL_SEVERITY_NAMES.findIndex(name => name.toLowerCase() === String(value).toLowerCase());
+    if (byName !== -1) return byName;
+    
+    const index = parseInt(value);
+    return index >= 0 && index < RECALL_SEVERITY_NAMES.length ? index : null;
+}
+
+async function issueRecall(req, res, isProduct) {
+    try {
+        const { id } = req.params;
+        const { severity, reason } = req.body;
+        
+        if (!contract) {
+            return res.status(503).json({ error: 'Contract not available' });
+        }
+        
+        const severityValue = parseSeverity(severity);
+        if (severityValue === null || !reason) {
+            return res.status(400).json({ error: `severity (${RECALL_SEVERITY_NAMES.join(', ')}) and reason are required` });
+        }
+        
+        const receipt = await sendAsCaller(req, res, isProduct ? 'recallProduct' : 'recallBatch', [id, severityValue, reason]);
+        if (!receipt) return;
+        
+        res.json({
+            success: true,
+            scope: isProduct ? 'product' : 'batch',
+            targetId: id,
+            severity: RECALL_SEVERITY_NAMES[severityValue],
+            reason,
+            transactionHash: receipt.transactionHash
+        });
+        
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+}
+
+async function liftRecall(req, res, isProduct) {
+    try {
+        const { id } = req.params;
+        
+        if (!contract) {
+            return res.status(503).json({ error: 'Contract not available' });
+        }
+        
+        const receipt = await sendAsCaller(req, res, 'liftRecall', [id, isProduct]);
+        if (!receipt) return;
+        
+        res.json({
+            success: true,
+            scope: isProduct ? 'product' : 'batch',
+            targetId: id,
+            transactionHash: receipt.transactionHash
+        });
+        
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+}
+
+// Issue and lift recalls
+app.post('/api/product/:id/recall', requireRole('Farmer', ADMIN_ROLE), (req, res) => issueRecall(req, res, true));
+app.post('/api/batch/:id/recall', requireRole('Farmer', ADMIN_ROLE), (req, res) => issueRecall(req, res, false));
+app.post('/api/product/:id/recall/lift', requireRole('Farmer', ADMIN_ROLE), (req, res) => liftRecall(req, res, true));
+app.post('/api/batch/:id/recall/lift', requireRole('Farmer', ADMIN_ROLE), (req, res) => liftRecall(req, res, false));
+
+// Active recalls with every affected batch (including split and merged descendants) and who holds it
+app.get('/api/recalls', async (req, res) => {
+    try {
+        if (!contract) {
+            return res.status(503).json({ error: 'Contract not available' });
+        }
+        
+        const recalls = await Promise.all(eventStore.getActiveRecalls().map(async (indexed) => {
+            // The index may lag the chain; only report recalls that are still active
+            const raw = indexed.scope === 'product'
+                ? await contract.productRecalls(indexed.targetId)
+                : await contract.batchRecalls(indexed.targetId);
+            const recall = recallFromChain(raw, indexed.scope, indexed.targetId);
+            if (!recall) return null;
+            
+            const roots = indexed.scope === 'product'
+                ? eventStore.getBatchIdsByProduct(indexed.targetId)
+                : [indexed.targetId];
+            const affectedIds = new Set(roots);
+            roots.forEach(rootId => eventStore.getDescendantIds(rootId).forEach(childId => affectedIds.add(childId)));
+            
+            const affectedBatches = await mapInChunks(Array.from(affectedIds), 10, async (batchId) => {
+                const [details, quantity] = await Promise.all([
+                    contract.getBatchDetails(batchId),
+                    contract.batchQuantities(batchId)
+                ]);
+                return {
+                    batchId,
+                    qrCode: eventStore.getBatch(batchId).qrCode,
+                    quantity: quantity.toString(),
+                    currentStage: details.currentStage,
+                    currentHolder: details.currentOwner,
+                    location: details.location
+                };
+            });
+            
+            return {
+                ...recall,
+                transactionHash: indexed.transactionHash,
+                affectedBatches,
+                holders: Array.from(new Set(affectedBatches.map(b => b.currentHolder)))
+            };
+        }));
+        
+        res.json({
+            recalls: recalls.filter(Boolean),
+            indexedBlock: eventStore.getLastBlock()
+        });
+        
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Sales: a batch owner offers the batch to a registered buyer at a price (in ETH); the
+// buyer completes the purchase by paying it, which hands over the batch and pays the seller
+function transactionFromChain(raw, completion = null) {
+    return {
+        transactionId: raw.transactionId.toString(),
+        batchId: raw.batchId.toString(),
+        seller: raw.from,
+        buyer: raw.to,
+        price: raw.price.toString(),
+        priceEth: ethers.utils.formatEther(raw.price),
+        quantity: raw.quantity.toString(), // batch quantity offered
+        transactionType: raw.transactionType,
+        status: raw.completed ? 'completed' : 'pending',
+        createdAt: new Date(raw.timestamp.toNumber() * 1000).toISOString(),
+        completion
+    };
+}
+
+// TransactionCompleted events from the index, keyed by transaction ID
+function indexedCompletions() {
+    const completions = new Map();
+    eventStore.getEvents()
+        .filter(e => e.type === 'TransactionCompleted')
+        .forEach(e => completions.set(e.data.transactionId, {
+            buyer: e.data.buyer,
+            completedAt: new Date(e.timestamp * 1000).toISOString(),
+            transactionHash: e.transactionHash,
+            blockNumber: e.blockNumber
+        }));
+    return completions;
+}
+
+async function loadTransactions(ids) {
+    const completions = indexedCompletions();
+    return mapInChunks(ids.map(id => id.toString()), 20, async (id) => {
+        const raw = await contract.transactions(id);
+        return transactionFromChain(raw, completions.get(id) || null);
+    });
+}
+
+// Price in ETH as a positive decimal string or number
+function parsePrice(value) {
+    try {
+        const price = ethers.utils.parseEther(String(value));
+        return price.gt(0) ? price : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Offer a batch to a buyer
+app.post('/api/transactions', requireRole(), async (req, res) => {
+    try {
+        const { batchId, buyer, price, transactionType } = req.body;
+        
+        if (!contract) {
+            return res.status(503).json({ error: 'Contract not available' });
+        }
+        
+        const priceWei = parsePrice(price);
+        if (!batchId || !ethers.utils.isAddress(buyer || '') || !priceWei) {
+            return res.status(400).json({ error: 'batchId, buyer address and a positive price in ETH are required' });
+        }
+        
+        const receipt = await sendAsCaller(req, res, 'createTransaction', [batchId, buyer, priceWei, transactionType || 'Sale']);
+        if (!receipt) return;
+        
+        const event = receipt.events && receipt.events.find(e => e.event === 'TransactionCreated');
+        
+        res.json({
+            success: true,
+            transactionId: event ? event.args.transactionId.toString() : null,
+            price: priceWei.toString(),
+            priceEth: ethers.utils.formatEther(priceWei),
+            transactionHash: receipt.transactionHash,
+            blockNumber: receipt.blockNumber
+        });
+        
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// A participant's offers, as seller and buyer (defaults to the signed-in address and pending offers)
+app.get('/api/transactions', async (req, res) => {
+    try {
+        const participant = req.query.participant || (req.user && req.user.address);
+        const role = req.query.role || 'any';
+        const status = req.query.status || 'pending';
+        
+        if (!contract) {
+            return res.status(503).json({ error: 'Contract not available' });
+        }
+        
+        if (!ethers.utils.isAddress(participant || '')) {
+            return res.status(400).json({ error: 'participant address is required' });
+        }
+        if (!['any', 'seller', 'buyer'].includes(role) || !['pending', 'completed', 'all'].includes(status)) {
+            return res.status(400).json({ error: 'role must be seller, buyer or any and status pending, completed or all' });
+        }
+        
+        const address = ethers.utils.getAddress(participant);
+        const ids = await contract.getParticipantTransactions(address);
+        const transactions = (await loadTransactions(ids))
+            .map(txn => ({ ...txn, role: txn.seller === address ? 'seller' : 'buyer' }))
+            .filter(txn => role === 'any' || txn.role === role)
+            .filter(txn => status === 'all' || txn.status === status)
+            .reverse();
+        
+        res.json({
+            participant: address,
+            transactions,
+            totalCount: transactions.length
+        });
+        
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.get('/api/transactions/:id', async (req, res) => {
+    try {
+        const { id } = req.params;
+        
+        if (!contract) {
+            return res.status(503).json({ error: 'Contract not available' });
+        }
+        
+        const raw = await contract.transactions(id);
+        if (raw.transactionId.isZero()) {
+            return res.status(404).json({ error: 'Transaction not found' });
+        }
+        
+        res.json(transactionFromChain(raw, indexedCompletions().get(id) || null));
+        
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Complete a purchase: the buyer pays the offered price
+app.post('/api/transactions/:id/complete', requireRole(), async (req, res) => {
+    try {
+        const { id } = req.params;
+        
+        if (!contract) {
+            return res.status(503).json({ error: 'Contract not available' });
+        }
+        
+        const raw = await contract.transactions(id);
+        if (raw.transactionId.isZero()) {
+            return res.status(404).json({ error: 'Transaction not found' });
+        }
+        if (raw.completed) {
+            return res.status(409).json({ error: 'Transaction already completed' });
+        }
+        
+        const receipt = await sendAsCaller(req, res, 'completeTransaction', [id], { value: raw.price });
+        if (!receipt) return;
+        
+        const event = receipt.events && receipt.events.find(e => e.event === 'TransactionCompleted');
+        const block = await provider.getBlock(receipt.blockNumber);
+        
+        res.json({
+            success: true,
+            transaction: {
+                ...transactionFromChain(raw, {
+                    buyer: event ? event.args.buyer : req.user.address,
+                    completedAt: new Date(block.timestamp * 1000).toISOString(),
+                    transactionHash: receipt.transactionHash,
+                    blockNumber: receipt.blockNumber
+                }),
+                status: 'completed'
+            },
+            transactionHash: receipt.transactionHash,
+            blockNumber: receipt.blockNumber
+        });
+        
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Sale history of a batch, newest first
+app.get('/api/batch/:id/transactions', async (req, res) => {
+    try {
+        const { id } = req.params;
+        
+        if (!contract) {
+            return res.status(503).json({ error: 'Contract not available' });
+        }
+        
+        const nextBatchId = await contract.nextBatchId();
+        if (!/^\d+$/.test(id) || id === '0' || nextBatchId.lte(id)) {
+            return res.status(404).json({ error: 'Batch not found' });
+        }
+        
+        const ids = await contract.getBatchTransactions(id);
+        const transactions = (await loadTransactions(ids)).reverse();
+        
+        res.json({
+            batchId: id,
+            transactions,
+            totalCount: transactions.length
+        });
+        
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Record environmental data
+app.post('/api/batch/:id/environment', requireRole(), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { temperature, humidity, location, notes } = req.body;
+        
+        if (!contract) {
+            return res.status(503).json({ error: 'Contract not available' });
+        }
+        
+        // Convert temperature to int (multiply by 100)
+        const tempInt = Math.round(parseFloat(temperature) * 100);
+        const humidityInt = Math.round(parseFloat(humidity) * 100);
+        
+        const receipt = await sendAsCaller(req, res, 'recordEnvironmentData', [id, tempInt, humidityInt, location, notes || '']);
+        if (!receipt) return;
+        
+        const reading = {
+            timestamp: Date.now(),
+            temperature: parseFloat(temperature),
+            humidity: parseFloat(humidity),
+            location,
+            notes,
+            transactionHash: receipt.transactionHash
+        };
+        
+        // The contract flags readings outside the product's storage profile
+        let excursion = null;
+        const excursionEvent = receipt.events && receipt.events.find(e => e.event === 'EnvironmentExcursion');
+        if (excursionEvent) {
+            const batch = await contract.batches(id);
+            const profile = profileFromChain(await contract.storageProfiles(batch.productId));
+            excursion = {
+                recordIndex: excursionEvent.args.recordIndex.toString(),
+                breaches: checkReading(profile, reading),
+                profile
+            };
+        }
+        
+        res.json({
+            success: true,
+            reading,
+            flagged: excursion !== null,
+            excursion,
+            transactionHash: receipt.transactionHash
+        });
+        
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+const ENVIRONMENT_PAGE_SIZE = 200; // records per range read
+
+function formatEnvironmentRecord(raw, index) {
+    return {
+        index,
+        timestamp: raw.timestamp.toNumber() * 1000,
+        temperature: raw.temperature.toNumber() / 100,
+        humidity: raw.humidity.toNumber() / 100,
+        location: raw.location,
+        recorder: raw.recorder,
+        notes: raw.notes
+    };
+}
+
+// Up to count records of a batch from start on, and the batch's record count. Without the
+// lens every record is read with its own call.
+async function readEnvironmentRange(batchId, start, count) {
+    if (environmentLens) {
+        const { records, total } = await environmentLens.getEnvironmentDataRange(batchId, start, count);
+        return { records: records.map((raw, i) => formatEnvironmentRecord(raw, start + i)), total: total.toNumber() };
+    }
+    
+    const total = (await contract.getEnvironmentDataCount(batchId)).toNumber();
+    const indexes = [];
+    for (let i = start; i < Math.min(start + count, total); i++) {
+        indexes.push(i);
+    }
+    const records = await mapInChunks(indexes, 10, index => contract.getEnvironmentData(batchId, index));
+    return { records: records.map((raw, i) => formatEnvironmentRecord(raw, start + i)), total };
+}
+
+// Walk records [lo, hi) from the last recorded (backward) or the first, keeping up to limit that
+// pass match. Returns the kept records in record order and the part of the range that was walked.
+async function scanEnvironment(batchId, lo, hi, { limit, backward, match = null }) {
+    const kept = [];
+    let scanLo = backward ? hi : lo;
+    let scanHi = scanLo;
+    const chunkSize = match ? ENVIRONMENT_PAGE_SIZE : limit;
+    
+    while (kept.length < limit && (backward ? scanLo > lo : scanHi < hi)) {
+        const size = Math.min(chunkSize, backward ? scanLo - lo : hi - scanHi);
+        const { records } = await readEnvironmentRange(batchId, backward ? scanLo - size : scanHi, size);
+        if (records.length === 0) break;
+        if (backward) records.reverse();
+        
+        for (const record of records) {
+            if (backward) scanLo = record.index;
+            else scanHi = record.index + 1;
+            
+            if (!match || match(record)) {
+                kept.push(record);
+                if (kept.length === limit) break;
+            }
+        }
+    }
+    
+    if (backward) kept.reverse();
+    return { records: kept, scanLo, scanHi };
+}
+
+// Import a data logger export (CSV as text/csv, or JSON) with the logger's own timestamps.
+// Valid, new readings are recorded in as few transactions as possible, INGEST_CHUNK_SIZE
+// readings at a time, and every row is reported back with its outcome.
+app.post('/api/batch/:id/environment/import', requireRole(), loggerFileParser(), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { location, notes = '' } = req.query;
+        
+        if (!contract) {
+            return res.status(503).json({ error: 'Contract not available' });
+        }
+        
+        const format = typeof req.body === 'string' ? 'csv' : 'json';
+        if (format === 'json' && !req.is('json')) {
+            return res.status(400).json({ error: 'Send the logger file as text/csv or application/json' });
+        }
+        
+        const entries = parseLoggerFile(req.body, format);
+        if (entries.length === 0) {
+            return res.status(400).json({ error: 'The file has no readings' });
+        }
+        if (entries.length > INGEST_MAX_ROWS) {
+            return res.status(400).json({ error: `At most ${INGEST_MAX_ROWS} readings per file` });
+        }
+        
+        if (await contract.paused()) {
+            return res.status(503).json({ error: 'Contract is paused', paused: true });
+        }
+        
+        // Rows matching any recorded reading were imported before, however old they are
+        const recordCount = (await contract.getEnvironmentDataCount(id)).toNumber();
+        const existing = (await fetchEnvironmentReadings(id, recordCount)).map(record => ({
+            timestamp: record.timestamp / 1000,
+            temperature: record.temperature,
+            humidity: record.humidity
+        }));
+        const block = await provider.getBlock('latest');
+        const { chunks } = planIngestion(entries, { existing, now: block.timestamp, chunkSize: INGEST_CHUNK_SIZE, location });
+        
+        const from = req.user.address;
+        const sendsItself = wallet && from.toLowerCase() === wallet.address.toLowerCase();
+        const transactions = [];
+        const { chainId } = await provider.getNetwork();
+        let nextIndex = recordCount;
+        
+        for (const chunk of chunks) {
+            const args = [
+                id,
+                chunk.entries.map(entry => entry.timestamp),
+                chunk.entries.map(entry => Math.round(entry.temperature * 100)),
+                chunk.entries.map(entry => Math.round(entry.humidity * 100)),
+                chunk.location,
+                notes
+            ];
+            
+            try {
+                if (sendsItself) {
+                    const receipt = await (await contract.recordEnvironmentDataBatch(...args)).wait();
+                    const flagged = new Set(receipt.events
+                        .filter(e => e.event === 'EnvironmentExcursion')
+                        .map(e => e.args.recordIndex.toNumber()));
+                    
+                    chunk.entries.forEach(entry => {
+                        entry.status = 'recorded';
+                        entry.recordIndex = nextIndex++;
+                        entry.flagged = flagged.has(entry.recordIndex);
+                        entry.transactionHash = receipt.transactionHash;
+                    });
+                } else {
+                    // Other callers sign the prepared transactions themselves, in order
+                    const callerView = contract.connect(provider);
+                    await callerView.callStatic.recordEnvironmentDataBatch(...args, { from });
+                    transactions.push({ ...(await callerView.populateTransaction.recordEnvironmentDataBatch(...args, { from })), chainId });
+                    chunk.entries.forEach(entry => {
+                        entry.status = 'pending_signature';
+                    });
+                }
+            } catch (error) {
+                chunk.entries.forEach(entry => {
+                    entry.status = 'failed';
+                    entry.error = revertReason(error);
+                });
+            }
+        }
+        
+        const summary = { rows: entries.length };
+        entries.forEach(entry => {
+            summary[entry.status] = (summary[entry.status] || 0) + 1;
+        });
+        
+        res.status(transactions.length > 0 ? 202 : 200).json({
+            batchId: id,
+            format,
+            summary,
+            transactionCount: sendsItself ? new Set(entries.map(e => e.transactionHash).filter(Boolean)).size : transactions.length,
+            signatureRequired: transactions.length > 0,
+            transactions,
+            report: entries.map(({ row, status, error, timestamp, temperature, humidity, location, recordIndex, flagged, transactionHash }) => ({
+                row,
+                status,
+                error,
+                timestamp: timestamp === null ? null : new Date(timestamp * 1000).toISOString(),
+                temperature: Number.isFinite(temperature) ? temperature : null,
+                humidity: Number.isFinite(humidity) ? humidity : null,
+                location,
+                recordIndex,
+                flagged,
+                transactionHash
+            }))
+        });
+        
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+function requireSensorLogRegistry(req, res, next) {
+    if (!sensorLogRegistry) {
+        return res.status(503).json({ error: 'Sensor log registry not available' });
+    }
+    next();
+}
+
+let sensorAnchoring = null;
+
+// Anchor every batch's pending readings; concurrent callers share the run in progress
+function runSensorAnchor() {
+    if (!sensorAnchoring) {
+        sensorAnchoring = anchorSensorLogs(sensorLogRegistry, sensorLog)
+            .then(result => {
+                if (result.anchored.length > 0) {
+                    console.log(`🌳 Anchored sensor logs of ${result.anchored.length} batch(es)`);
+                }
+                result.failed.forEach(({ batchId, error }) => console.error(`❌ Sensor log of batch ${batchId} not anchored:`, error));
+                return result;
+            })
+            .finally(() => {
+                sensorAnchoring = null;
+            });
+    }
+    return sensorAnchoring;
+}
+
+function formatLogReading(batchId, reading) {
+    const anchor = sensorLog.findAnchor(batchId, reading.id);
+    
+    return {
+        id: reading.id,
+        timestamp: new Date(reading.timestamp * 1000).toISOString(),
+        temperature: reading.temperature,
+        humidity: reading.humidity,
+        location: reading.location,
+        recorder: reading.recorder,
+        anchored: anchor !== null,
+        anchorIndex: anchor ? anchor.index : null
+    };
+}
+
+// Keep readings off chain: one reading ({temperature, humidity, location, timestamp?}) or
+// {readings: [...]}. They are sealed into a Merkle tree per batch every SENSOR_ANCHOR_INTERVAL
+// and only the root goes on chain.
+app.post('/api/batch/:id/environment/log', requireRole(), requireSensorLogRegistry, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const submitted = Array.isArray(req.body.readings) ? req.body.readings : [req.body];
+        
+        if (submitted.length === 0) {
+            return res.status(400).json({ error: 'No readings given' });
+        }
+        if (submitted.length > INGEST_MAX_ROWS) {
+            return res.status(400).json({ error: `At most ${INGEST_MAX_ROWS} readings per request` });
+        }
+        
+        const batchId = Number(id);
+        if (!Number.isInteger(batchId) || batchId < 1 || batchId >= (await contract.nextBatchId()).toNumber()) {
+            return res.status(404).json({ error: 'Batch not found' });
+        }
+        if (await contract.paused()) {
+            return res.status(503).json({ error: 'Contract is paused', paused: true });
+        }
+        
+        const now = Math.floor(Date.now() / 1000);
+        const entries = parseLoggerFile(submitted.map(reading => ({ timestamp: now, ...reading })), 'json');
+        entries.forEach(entry => {
+            if (!entry.error && !entry.location) entry.error = 'Location is missing';
+            else if (!entry.error && entry.timestamp > now) entry.error = 'Reading is in the future';
+        });
+        
+        const invalid = entries.filter(entry => entry.error);
+        if (invalid.length > 0) {
+            return res.status(400).json({
+                error: 'Some readings are invalid',
+                rows: invalid.map(({ row, error }) => ({ row, error }))
+            });
+        }
+        
+        const stored = sensorLog.append(batchId, entries, req.user.address);
+        
+        res.json({
+            success: true,
+            batchId: id,
+            readings: stored.map(reading => formatLogReading(batchId, reading)),
+            pending: sensorLog.getPending(batchId).length
+        });
+        
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// Off-chain readings of a batch, oldest first, with the anchor covering each
+app.get('/api/batch/:id/environment/log', requireSensorLogRegistry, (req, res) => {
+    const { id } = req.params;
+    const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+    const cursor = req.query.cursor === undefined ? 0 : Number(req.query.cursor);
+    
+    if (!Number.isInteger(limit) || limit < 1 || limit > 200) {
+        return res.status(400).json({ error: 'limit must be between 1 and 200' });
+    }
+    if (!Number.isInteger(cursor) || cursor < 0) {
+        return res.status(400).json({ error: 'cursor must be a non-negative integer' });
+    }
+    
+    const all = sensorLog.getReadings(id);
+    const page = all.slice(cursor, cursor + limit);
+    
+    res.json({
+        batchId: id,
+        readings: page.map(reading => formatLogReading(id, reading)),
+        count: page.length,
+        total: all.length,
+        pending: sensorLog.getPending(id).length,
+        nextCursor: cursor + page.length < all.length ? cursor + page.length : null
+    });
+});
+
+// Inclusion proof of an off-chain reading. An auditor recomputes the leaf from the reading
+// (see leafEncoding), folds in the proof with sorted-pair keccak256 and compares the result with
+// the root read from the registry, or calls verifyReading on the registry directly.
+app.get('/api/batch/:id/environment/:readingId/proof', requireSensorLogRegistry, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const readingId = Number(req.params.readingId);
+        
+        const reading = Number.isInteger(readingId) && readingId >= 0 ? sensorLog.getReading(id, readingId) : null;
+        if (!reading) {
+            return res.status(404).json({ error: 'Reading not found' });
+        }
+        
+        const inclusion = buildReadingProof(sensorLog, id, readingId);
+        if (!inclusion) {
+            return res.status(409).json({ error: 'Reading is not anchored yet', pending: true });
+        }
+        
+        const onChain = await sensorLogRegistry.getAnchor(id, inclusion.anchor.index);
+        if (onChain.root !== inclusion.root) {
+            return res.status(409).json({ error: 'The stored readings no longer match the anchored root' });
+        }
+        
+        res.json({
+            batchId: id,
+            readingId,
+            reading: formatLogReading(id, reading),
+            // The values hashed into the leaf, in order
+            leafFields: [Number(id), readingId, reading.timestamp, Math.round(reading.temperature * 100),
+                Math.round(reading.humidity * 100), reading.recorder, reading.location],
+            leaf: inclusion.leaf,
+            proof: inclusion.proof,
+            root: inclusion.root,
+            verified: await sensorLogRegistry.verifyReading(id, inclusion.anchor.index, inclusion.leaf, inclusion.proof),
+            anchor: {
+                registry: sensorLogRegistry.address,
+                index: inclusion.anchor.index,
+                fromTimestamp: onChain.fromTimestamp.toNumber(),
+                toTimestamp: onChain.toTimestamp.toNumber(),
+                readingCount: onChain.readingCount.toNumber(),
+                anchoredBy: onChain.anchoredBy,
+                anchoredAt: new Date(onChain.anchoredAt.toNumber() * 1000).toISOString(),
+                transactionHash: inclusion.anchor.transactionHash
+            },
+            leafEncoding: 'keccak256(bytes.concat(keccak256(abi.encode(uint256 batchId, uint256 readingId, uint256 timestamp, int256 temperature, uint256 humidity, address recorder, string location)))), temperature and humidity * 100'
+        });
+        
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Environment history of a batch in the order it was recorded, which is time order except where
+// a logger file was imported after later readings. Without a cursor the page holds the latest
+// records; pass prevCursor as ?before= for earlier pages and nextCursor as ?after= for later
+// ones. from/to (unix seconds or ISO dates) keep only the readings taken in that window and
+// recorder only the readings one account recorded.
+app.get('/api/batch/:id/environment', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { recorder } = req.query;
+        const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+        const cursors = {};
+        let from, to;
+        
+        if (!Number.isInteger(limit) || limit < 1 || limit > 200) {
+            return res.status(400).json({ error: 'limit must be between 1 and 200' });
+        }
+        for (const name of ['before', 'after']) {
+            if (req.query[name] !== undefined) {
+                cursors[name] = Number(req.query[name]);
+                if (!Number.isInteger(cursors[name]) || cursors[name] < 0) {
+                    return res.status(400).json({ error: `${name} must be a non-negative integer` });
+                }
+            }
+        }
+        if (cursors.before !== undefined && cursors.after !== undefined) {
+            return res.status(400).json({ error: 'Use either before or after, not both' });
+        }
+        if (recorder !== undefined && !ethers.utils.isAddress(recorder)) {
+            return res.status(400).json({ error: `Invalid recorder address: ${recorder}` });
+        }
+        try {
+            from = parseDateParam(req.query.from);
+            to = parseDateParam(req.query.to);
+        } catch (validationError) {
+            return res.status(400).json({ error: validationError.message });
+        }
+        if (from !== undefined && to !== undefined && from > to) {
+            return res.status(400).json({ error: 'from must not be after to' });
+        }
+        
+        if (!contract) {
+            return res.status(503).json({ error: 'Contract not available' });
+        }
+        
+        const nextBatchId = await contract.nextBatchId();
+        if (!/^\d+$/.test(id) || id === '0' || nextBatchId.lte(id)) {
+            return res.status(404).json({ error: 'Batch not found' });
+        }
+        
+        // before=N pages through records below index N, after=N through records from N on
+        const total = (await contract.getEnvironmentDataCount(id)).toNumber();
+        const backward = cursors.after === undefined;
+        const lo = backward ? 0 : Math.min(cursors.after, total);
+        const hi = cursors.before === undefined ? total : Math.min(cursors.before, total);
+        const filtered = recorder !== undefined || from !== undefined || to !== undefined;
+        const match = !filtered ? null : record =>
+            (recorder === undefined || record.recorder.toLowerCase() === recorder.toLowerCase()) &&
+            (from === undefined || record.timestamp >= from * 1000) &&
+            (to === undefined || record.timestamp <= to * 1000);
+        
+        const { records, scanLo, scanHi } = await scanEnvironment(id, lo, hi, { limit, backward, match });
+        const pageLo = backward ? scanLo : lo;
+        const pageHi = backward ? hi : scanHi;
+        
+        res.json({
+            batchId: id,
+            readings: records,
+            count: records.length,
+            prevCursor: pageLo > 0 ? pageLo : null,
+            nextCursor: pageHi < total ? pageHi : null
+        });
+        
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Read the first count environment records of a batch from the contract, sorted by the time
+// each reading was taken (imported logger readings may be recorded after later ones)
+async function fetchEnvironmentReadings(batchId, count) {
+    const readings = [];
+    
+    for (let index = 0; index < count; index += ENVIRONMENT_PAGE_SIZE) {
+        const { records } = await readEnvironmentRange(batchId, index, Math.min(ENVIRONMENT_PAGE_SIZE, count - index));
+        readings.push(...records);
+    }
+    
+    return readings.sort((a, b) => a.timestamp - b.timestamp || a.index - b.index);
+}
+
+// Environment analytics over a window (from/to, unix seconds or ISO dates, by default the whole
+// history): mean kinetic temperature, min/max/mean, time beyond the product's storage profile and
+// spans of more than maxGap seconds without a reading, overall and for each custody segment
+app.get('/api/batch/:id/environment/stats', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const maxGapSeconds = req.query.maxGap === undefined ? ENVIRONMENT_MAX_GAP : Number(req.query.maxGap);
+        let from, to;
+        
+        if (!Number.isInteger(maxGapSeconds) || maxGapSeconds < 1) {
+            return res.status(400).json({ error: 'maxGap must be a positive number of seconds' });
+        }
+        try {
+            from = parseDateParam(req.query.from);
+            to = parseDateParam(req.query.to);
+        } catch (validationError) {
+            return res.status(400).json({ error: validationError.message });
+        }
+        if (from !== undefined && to !== undefined && from > to) {
+            return res.status(400).json({ error: 'from must not be after to' });
+        }
+        
+        if (!contract) {
+            return res.status(503).json({ error: 'Contract not available' });
+        }
+        
+        const nextBatchId = await contract.nextBatchId();
+        if (!/^\d+$/.test(id) || id === '0' || nextBatchId.lte(id)) {
+            return res.status(404).json({ error: 'Batch not found' });
+        }
+        
+        // Readings are not stored in time order, so the window is applied to the whole history
+        const recordCount = (await contract.getEnvironmentDataCount(id)).toNumber();
+        const [readings, batch, history] = await Promise.all([
+            fetchEnvironmentReadings(id, recordCount),
+            contract.batches(id),
+            contract.getBatchHistory(id)
+        ]);
+        const profile = profileFromChain(await contract.storageProfiles(batch.productId));
+        const custody = history.owners.map((holder, i) => ({
+            holder,
+            location: history.locations[i],
+            since: history.timestamps[i].toNumber() * 1000
+        }));
+        
+        res.json({
+            batchId: id,
+            productId: batch.productId.toString(),
+            profile,
+            ...buildEnvironmentStats(readings, {
+                profile,
+                custody,
+                from: from === undefined ? undefined : from * 1000,
+                to: to === undefined ? undefined : to * 1000,
+                maxGapSeconds
+            })
+        });
+        
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Cold-chain compliance report for a batch
+app.get('/api/batch/:id/compliance', async (req, res) => {
+    try {
+        const { id } = req.params;
+        
+        if (!contract) {
+            return res.status(503).json({ error: 'Contract not available' });
+        }
+        
+        const batchDetails = await contract.getBatchDetails(id);
+        const profile = profileFromChain(await contract.storageProfiles(batchDetails.productId));
+        const readings = await fetchEnvironmentReadings(id, batchDetails.environmentRecordCount.toNumber());
+        
+        // Ongoing excursions are measured up to the chain's clock, which may run ahead locally
+        const latestBlock = await provider.getBlock('latest');
+        const now = Math.max(Date.now(), latestBlock.timestamp * 1000);
+        
+        res.json({
+            batchId: id,
+            productId: batchDetails.productId.toString(),
+            ...buildComplianceReport(profile, readings, now)
+        });
+        
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Custody handoff: the owner proposes, and custody only moves once the receiver accepts.
+// Unanswered proposals expire after the contract's handoffTimeout.
+function handoffFromChain(raw, batchId, now) {
+    if (raw.from === ethers.constants.AddressZero) return null;
+    
+    return {
+        batchId: batchId.toString(),
+        from: raw.from,
+        to: raw.to,
+        newStage: raw.newStage,
+        location: raw.location,
+        proposedAt: new Date(raw.proposedAt.toNumber() * 1000).toISOString(),
+        expiresAt: new Date(raw.expiresAt.toNumber() * 1000).toISOString(),
+        status: raw.expiresAt.gt(now) ? 'pending' : 'expired'
+    };
+}
+
+// The batch's unanswered handoff (pending or expired), or null
+async function loadHandoff(batchId) {
+    const [raw, block] = await Promise.all([contract.pendingHandoffs(batchId), provider.getBlock('latest')]);
+    return handoffFromChain(raw, batchId, block.timestamp);
+}
+
+async function proposeHandoff(req, res, { receiver, stage, location }) {
+    const { id } = req.params;
+    
+    if (!contract) {
+        return res.status(503).json({ error: 'Contract not available' });
+    }
+    
+    if (!ethers.utils.isAddress(receiver || '') || stage === undefined || stage === '' || !location) {
+        return res.status(400).json({ error: 'receiver address, stage and location are required' });
+    }
+    
+    const receipt = await sendAsCaller(req, res, 'proposeHandoff', [id, receiver, stage, location]);
+    if (!receipt) return;
+    
+    res.json({
+        success: true,
+        custody: 'pending',
+        handoff: await loadHandoff(id),
+        transactionHash: receipt.transactionHash
+    });
+}
+
+// Propose handing a batch over to another participant
+app.post('/api/batch/:id/handoff', requireRole(), async (req, res) => {
+    try {
+        await proposeHandoff(req, res, req.body);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Older clients: same as proposing a handoff
+app.post('/api/batch/:id/transfer', requireRole(), async (req, res) => {
+    try {
+        const { newOwner, newStage, newLocation } = req.body;
+        await proposeHandoff(req, res, { receiver: newOwner, stage: newStage, location: newLocation });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.get('/api/batch/:id/handoff', async (req, res) => {
+    try {
+        const { id } = req.params;
+        
+        if (!contract) {
+            return res.status(503).json({ error: 'Contract not available' });
+        }
+        
+        const handoff = await loadHandoff(id);
+        
+        res.json({
+            batchId: id,
+            custody: handoff && handoff.status === 'pending' ? 'pending' : 'settled',
+            handoff
+        });
+        
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Receiver confirms receipt; receivedQuantity (optional) records a shortfall, condition is free text
+app.post('/api/batch/:id/handoff/accept', requireRole(), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { receivedQuantity, condition } = req.body;
+        
+        if (!contract) {
+            return res.status(503).json({ error: 'Contract not available' });
+        }
+        
+        if (receivedQuantity !== undefined && !/^\d+$/.test(String(receivedQuantity))) {
+            return res.status(400).json({ error: 'receivedQuantity must be a whole number' });
+        }
+        
+        const receipt = await sendAsCaller(req, res, 'acceptHandoff', [id, receivedQuantity || 0, condition || '']);
+        if (!receipt) return;
+        
+        const event = receipt.events && receipt.events.find(e => e.event === 'HandoffAccepted');
+        
+        res.json({
+            success: true,
+            custody: 'settled',
+            from: event ? event.args.from : null,
+            to: event ? event.args.to : req.user.address,
+            receivedQuantity: event ? event.args.receivedQuantity.toString() : null,
+            condition: condition || '',
+            transactionHash: receipt.transactionHash
+        });
+        
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.post('/api/batch/:id/handoff/reject', requireRole(), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { reason } = req.body;
+        
+        if (!contract) {
+            return res.status(503).json({ error: 'Contract not available' });
+        }
+        
+        if (!reason) {
+            return res.status(400).json({ error: 'reason is required' });
+        }
+        
+        const receipt = await sendAsCaller(req, res, 'rejectHandoff', [id, reason]);
+        if (!receipt) return;
+        
+        res.json({
+            success: true,
+            custody: 'settled',
+            reason,
+            transactionHash: receipt.transactionHash
+        });
+        
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.post('/api/batch/:id/handoff/cancel', requireRole(), async (req, res) => {
+    try {
+        const { id } = req.params;
+        
+        if (!contract) {
+            return res.status(503).json({ error: 'Contract not available' });
+        }
+        
+        const receipt = await sendAsCaller(req, res, 'cancelHandoff', [id]);
+        if (!receipt) return;
+        
+        res.json({
+            success: true,
+            custody: 'settled',
+            transactionHash: receipt.transactionHash
+        });
+        
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Pending handoffs to or from a participant (defaults to the signed-in address), checked against the chain
+app.get('/api/handoffs', async (req, res) => {
+    try {
+        const participant = req.query.participant || (req.user && req.user.address);
+        const direction = req.query.direction || 'any';
+        
+        if (!contract) {
+            return res.status(503).json({ error: 'Contract not available' });
+        }
+        
+        if (!ethers.utils.isAddress(participant || '')) {
+            return res.status(400).json({ error: 'participant address is required' });
+        }
+        if (!['any', 'incoming', 'outgoing'].includes(direction)) {
+            return res.status(400).json({ error: 'direction must be incoming, outgoing or any' });
+        }
+        
+        const address = ethers.utils.getAddress(participant);
+        const block = await provider.getBlock('latest');
+        const handoffs = await mapInChunks(eventStore.getPendingHandoffs(address, direction), 20, async (indexed) => {
+            const handoff = handoffFromChain(await contract.pendingHandoffs(indexed.batchId), indexed.batchId, block.timestamp);
+            if (!handoff || handoff.status !== 'pending') return null;
+            
+            return {
+                ...handoff,
+                productName: indexed.productName,
+                direction: handoff.to === address ? 'incoming' : 'outgoing',
+                transactionHash: indexed.transactionHash
+            };
+        });
+        
+        res.json({
+            participant: address,
+            handoffs: handoffs.filter(Boolean),
+            indexedBlock: eventStore.getLastBlock()
+        });
+        
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+function formatNote(note, index) {
+    return {
+        index,
+        author: note.author,
+        category: note.category,
+        text: note.text,
+        timestamp: new Date(note.timestamp.toNumber() * 1000).toISOString()
+    };
+}
+
+// Add batch note, recorded on chain with the caller as author
+app.post('/api/batch/:id/note', requireRole(), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { note, category = 'general' } = req.body;
+        
+        if (!note || typeof note !== 'string' || !note.trim()) {
+            return res.status(400).json({ error: 'note is required' });
+        }
+        if (!NOTE_CATEGORIES.includes(category)) {
+            return res.status(400).json({ error: `category must be one of ${NOTE_CATEGORIES.join(', ')}` });
+        }
+        
+        const receipt = await sendAsCaller(req, res, 'addBatchNote', [id, category, note.trim()]);
+        if (!receipt) return;
+        
+        const event = receipt.events && receipt.events.find(e => e.event === 'BatchNoteAdded');
+        const block = await provider.getBlock(receipt.blockNumber);
+        
+        res.json({
+            success: true,
+            note: {
+                index: event ? event.args.index.toNumber() : null,
+                author: req.user.address,
+                category,
+                text: note.trim(),
+                timestamp: new Date(block.timestamp * 1000).toISOString()
+            },
+            transactionHash: receipt.transactionHash
+        });
+        
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Get batch notes, oldest first. cursor is the index to continue from (nextCursor of the previous page).
+app.get('/api/batch/:id/notes', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+        const cursor = req.query.cursor === undefined ? 0 : Number(req.query.cursor);
+        
+        if (!Number.isInteger(limit) || limit < 1 || limit > 200) {
+            return res.status(400).json({ error: 'limit must be between 1 and 200' });
+        }
+        if (!Number.isInteger(cursor) || cursor < 0) {
+            return res.status(400).json({ error: 'cursor must be a non-negative integer' });
+        }
+        
+        if (!contract) {
+            return res.status(503).json({ error: 'Contract not available' });
+        }
+        
+        const total = (await contract.getBatchDetails(id)).noteCount.toNumber();
+        const indexes = [];
+        for (let i = cursor; i < Math.min(cursor + limit, total); i++) {
+            indexes.push(i);
+        }
+        const page = await mapInChunks(indexes, 10, index => contract.getBatchNote(id, index));
+        
+        res.json({
+            batchId: id,
+            notes: page.map((note, i) => formatNote(note, cursor + i)),
+            count: page.length,
+            total,
+            nextCursor: cursor + page.length < total ? cursor + page.length : null
+        });
+        
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+function requireDocumentRegistry(req, res, next) {
+    if (!documentRegistry) {
+        return res.status(503).json({ error: 'Document registry not available' });
+    }
+    next();
+}
+
+// Upload a document as the raw request body (any media type), with ?type= and optional ?name=.
+// The file's SHA-256 is anchored on chain and the file then kept in the local content-addressed
+// store. Callers who sign the anchor themselves (202) upload the file again once it is mined.
+app.post('/api/batch/:id/documents', requireRole(), requireDocumentRegistry,
+    express.raw({ type: () => true, limit: DOCUMENT_MAX_BYTES }), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { type, name } = req.query;
+        
+        if (!DOCUMENT_TYPES.includes(type)) {
+            return res.status(400).json({ error: `type must be one of ${DOCUMENT_TYPES.join(', ')}` });
+        }
+        if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+            return res.status(400).json({ error: 'Send the file as the request body' });
+        }
+        
+        const nextBatchId = await contract.nextBatchId();
+        if (!/^\d+$/.test(id) || id === '0' || nextBatchId.lte(id)) {
+            return res.status(404).json({ error: 'Batch not found' });
+        }
+        if (await contract.paused()) {
+            return res.status(503).json({ error: 'Contract is paused', paused: true });
+        }
+        
+        // Only anchored files are stored, so refused or unsigned anchors leave nothing on disk
+        const hash = sha256(req.body);
+        let receipt = null;
+        if (!(await documentRegistry.isAnchored(id, `0x${hash}`))) {
+            receipt = await sendAsCaller(req, res, 'anchorDocument', [id, `0x${hash}`, type], {}, documentRegistry);
+            if (!receipt) return;
+        }
+        
+        const stored = await storeUpload(documentRegistry, documentStore, id, req.user.address, req.body, {
+            name: name || null,
+            mediaType: req.get('content-type') || 'application/octet-stream'
+        });
+        const event = receipt && receipt.events && receipt.events.find(e => e.event === 'DocumentAnchored');
+        
+        res.json({
+            success: true,
+            document: {
+                index: event ? event.args.index.toNumber() : null,
+                sha256: stored.hash,
+                documentType: type,
+                name: name || null,
+                size: stored.size
+            },
+            transactionHash: receipt ? receipt.transactionHash : null
+        });
+        
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+app.get('/api/batch/:id/documents', requireDocumentRegistry, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const documents = await loadBatchDocuments(documentRegistry, documentStore, id);
+        
+        res.json({
+            batchId: id,
+            documents: documents.map(document => ({
+                ...document,
+                url: document.stored ? `/api/batch/${id}/documents/${document.index}` : null
+            })),
+            count: documents.length
+        });
+        
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Re-hash every stored copy against its on-chain anchor
+app.get('/api/batch/:id/documents/verify', requireDocumentRegistry, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const documents = await loadBatchDocuments(documentRegistry, documentStore, id);
+        
+        res.json({
+            batchId: id,
+            verified: documents.every(document => document.verified),
+            documents: documents.map(({ index, sha256, documentType, stored, verified }) => ({ index, sha256, documentType, stored, verified }))
+        });
+        
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+async function loadAnchor(req, res) {
+    const { id, index } = req.params;
+    const count = await documentRegistry.getDocumentCount(id);
+    
+    if (!/^\d+$/.test(index) || count.lte(index)) {
+        res.status(404).json({ error: 'Document not found' });
+        return null;
+    }
+    return documentRegistry.getDocument(id, index);
+}
+
+// Download a stored document; refused if the stored copy no longer matches its anchor
+app.get('/api/batch/:id/documents/:index', requireDocumentRegistry, async (req, res) => {
+    try {
+        const anchor = await loadAnchor(req, res);
+        if (!anchor) return;
+        
+        const check = documentStore.verify(anchor.contentHash);
+        if (!check.stored) {
+            return res.status(404).json({ error: 'Document is anchored but not stored on this server' });
+        }
+        if (!check.verified) {
+            return res.status(409).json({ error: 'Stored copy does not match the on-chain hash', ...check });
+        }
+        
+        const info = documentStore.getInfo(anchor.contentHash) || {};
+        res.type(info.mediaType || 'application/octet-stream');
+        if (info.name) {
+            res.attachment(info.name);
+        }
+        res.send(documentStore.get(anchor.contentHash));
+        
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.get('/api/batch/:id/documents/:index/verify', requireDocumentRegistry, async (req, res) => {
+    try {
+        const anchor = await loadAnchor(req, res);
+        if (!anchor) return;
+        
+        res.json({
+            batchId: req.params.id,
+            index: Number(req.params.index),
+            documentType: anchor.documentType,
+            uploader: anchor.uploader,
+            anchoredAt: new Date(anchor.timestamp.toNumber() * 1000).toISOString(),
+            ...documentStore.verify(anchor.contentHash)
+        });
+        
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+function requireInspectionRegistry(req, res, next) {
+    if (!inspectionRegistry) {
+        return res.status(503).json({ error: 'Inspection registry not available' });
+    }
+    next();
+}
+
+// Record a quality inspection of one batch. Measurements are percentages (brix in degrees Brix)
+// and may be left out; photoHashes are SHA-256 hashes, e.g. of photos uploaded as batch documents.
+app.post('/api/batch/:id/inspections', requireRole(), requireInspectionRegistry, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { grade, moisture, brix, defects, pesticideResidue = 'not_tested', photoHashes = [], notes = '' } = req.body;
+        
+        const gradeIndex = typeof grade === 'number' ? grade : QUALITY_NAMES.indexOf(grade);
+        if (!QUALITY_NAMES[gradeIndex]) {
+            return res.status(400).json({ error: `grade must be one of ${QUALITY_NAMES.join(', ')}` });
+        }
+        if (!RESIDUE_RESULTS.includes(pesticideResidue)) {
+            return res.status(400).json({ error: `pesticideResidue must be one of ${RESIDUE_RESULTS.join(', ')}` });
+        }
+        if (!Array.isArray(photoHashes) || !photoHashes.every(hash => /^(0x)?[0-9a-fA-F]{64}$/.test(hash))) {
+            return res.status(400).json({ error: 'photoHashes must be a list of SHA-256 hashes' });
+        }
+        
+        const measurements = [toScaled(moisture, 'moisture'), toScaled(brix, 'brix'), toScaled(defects, 'defects')];
+        const hashes = photoHashes.map(hash => `0x${hash.replace(/^0x/, '')}`);
+        
+        const receipt = await sendAsCaller(req, res, 'recordInspection',
+            [id, gradeIndex, ...measurements, RESIDUE_RESULTS.indexOf(pesticideResidue), hashes, notes], {}, inspectionRegistry);
+        if (!receipt) return;
+        
+        const event = receipt.events && receipt.events.find(e => e.event === 'InspectionRecorded');
+        
+        res.json({
+            success: true,
+            inspection: event ? formatInspection(await inspectionRegistry.getInspection(id, event.args.index), event.args.index.toNumber()) : null,
+            transactionHash: receipt.transactionHash
+        });
+        
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// Inspection history of a batch, oldest first
+app.get('/api/batch/:id/inspections', requireInspectionRegistry, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const inspections = await loadInspections(inspectionRegistry, id);
+        
+        res.json({
+            batchId: id,
+            inspections,
+            count: inspections.length
+        });
+        
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Parse a date query parameter given as unix seconds or an ISO date
+function parseDateParam(value) {
+    if (value === undefined) return undefined;
+    const seconds = /^\d+$/.test(value) ? parseInt(value) : Math.floor(Date.parse(value) / 1000);
+    if (isNaN(seconds)) {
+        throw new Error(`Invalid date: ${value}`);
+    }
+    return seconds;
+}
+
+// List indexed batches with filtering and cursor pagination
+app.get('/api/batches', async (req, res) => {
+    try {
+        const { stage, owner, product, from, to, cursor, limit = 10 } = req.query;
+        
+        if (!indexer) {
+            return res.status(503).json({ error: 'Indexer not available' });
         }
         
-        // Convert temperature to int (multiply by 100)
-        const tempInt = Math.round(parseFloat(temperature) * 100);
-        const humidityInt = Math.round(parseFloat(humidity) * 100);
+        const filters = { limit: Math.min(Math.max(parseInt(limit) || 10, 1), 100) };
+        
+        try {
+            if (stage !== undefined) {
+                filters.stage = parseInt(stage);
+                if (isNaN(filters.stage) || filters.stage < 0 || filters.stage > 4) {
+                    throw new Error(`Invalid stage: ${stage}`);
+                }
+            }
+            if (owner !== undefined) {
+                if (!ethers.utils.isAddress(owner)) {
+                    throw new Error(`Invalid owner address: ${owner}`);
+                }
+                filters.owner = owner;
+            }
+            if (product !== undefined) {
+                // Numeric values match the product ID, anything else the product name
+                if (/^\d+$/.test(product)) {
+                    filters.productId = product;
+                } else {
+                    filters.productName = product;
+                }
+            }
+            filters.from = parseDateParam(from);
+            filters.to = parseDateParam(to);
+            if (cursor !== undefined) {
+                filters.cursor = parseInt(Buffer.from(cursor, 'base64url').toString());
+                if (isNaN(filters.cursor)) {
+                    throw new Error('Invalid cursor');
+                }
+            }
+        } catch (validationError) {
+            return res.status(400).json({ error: validationError.message });
+        }
+        
+        const { batches, nextCursor } = eventStore.queryBatches(filters);
+        
+        res.json({
+            batches: batches.map(batch => ({
+                batchId: batch.batchId,
+                productId: batch.productId,
+                productName: batch.productName,
+                qrCode: batch.qrCode,
+                farmer: batch.farmer,
+                currentStage: batch.currentStage,
+                currentOwner: batch.currentOwner,
+                location: batch.location,
+                quality: batch.quality,
+                environmentRecordCount: batch.environmentRecordCount,
+                pendingHandoff: batch.pendingHandoff && {
+                    from: batch.pendingHandoff.from,
+                    to: batch.pendingHandoff.to,
+                    newStage: batch.pendingHandoff.stage,
+                    location: batch.pendingHandoff.location,
+                    expiresAt: new Date(batch.pendingHandoff.expiresAt * 1000).toISOString()
+                },
+                createdAt: new Date(batch.createdAt * 1000).toISOString(),
+                lastUpdate: new Date(batch.lastUpdate * 1000).toISOString()
+            })),
+            count: batches.length,
+            nextCursor: nextCursor === null ? null : Buffer.from(String(nextCursor)).toString('base64url'),
+            indexedBlock: indexer.status().lastIndexedBlock
+        });
+        
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Dashboard summary
+app.get('/api/dashboard', async (req, res) => {
+    try {
+        const { activityLimit = 10 } = req.query;
         
-        const tx = await contract.recordEnvironmentData(id, tempInt, humidityInt, location, notes || '');
-        const receipt = await tx.wait();
+        if (!contract || !indexer) {
+            return res.status(503).json({ error: 'Contract not available' });
+        }
+        
+        const dashboard = await computeDashboard(contract, eventStore, {
+            activityLimit: Math.min(Math.max(parseInt(activityLimit) || 10, 1), 50)
+        });
+        
+        res.json(dashboard);
+        
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Generate QR code (utility endpoint). With batchId and qrCode, returns a signed label
+// payload for an existing batch; otherwise mints a fresh identifier for a new batch.
+app.post('/api/qr/generate', requireRole(), async (req, res) => {
+    try {
+        const { data, prefix = 'QR', batchId, qrCode } = req.body;
         
-        // Store in local cache for quick access
-        if (!environmentData.has(id)) {
-            environmentData.set(id, []);
+        if (batchId === undefined) {
+            return res.json({
+                success: true,
+                qrCode: generateQRCode(prefix),
+                data: data || `BATCH_${Date.now()}`
+            });
         }
         
-        const reading = {
-            timestamp: Date.now(),
-            temperature: parseFloat(temperature),
-            humidity: parseFloat(humidity),
-            location,
-            notes,
-            transactionHash: receipt.transactionHash
-        };
+        if (!contract || !wallet) {
+            return res.status(503).json({ error: 'Contract or wallet not available' });
+        }
+        
+        if (!qrCode) {
+            return res.status(400).json({ error: 'qrCode is required when signing a batch label' });
+        }
         
-        environmentData.get(id).push(reading);
+        const registeredId = await contract.getBatchByQR(qrCode);
+        if (registeredId.toString() !== String(batchId)) {
+            return res.status(400).json({ error: 'QR code is not registered to this batch' });
+        }
         
         res.json({
             success: true,
-            reading,
-            transactionHash: receipt.transactionHash
+            batchId: String(batchId),
+            qrCode,
+            qrPayload: await signQRPayload(batchId, qrCode),
+            signer: wallet.address
         });
         
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        res.status(error.status || 500).json({ error: error.message });
     }
 });
 
-// Get environmental data for batch
-app.get('/api/batch/:id/environment', async (req, res) => {
+// Registered QR code of a batch, from the index or (if it lags) the creation event
+async function getBatchQRCode(batchId) {
+    const indexed = eventStore.getBatch(batchId);
+    if (indexed) return indexed.qrCode;
+    
+    const [created] = await contract.queryFilter(contract.filters.BatchCreated(batchId));
+    return created ? created.args.qrCode : null;
+}
+
+// Signed labels carry the server wallet's signature, so only signed-in participants may ask for one
+function requireRoleWhenSigned(req, res, next) {
+    if (req.query.signed !== 'true') return next();
+    
+    const [authenticate, checkRole] = requireRole();
+    authenticate(req, res, () => checkRole(req, res, next));
+}
+
+// Everything printed on a batch label; null for unknown batches
+async function loadLabel(batchId, signed) {
+    const id = parseInt(batchId);
+    const nextBatchId = await contract.nextBatchId();
+    if (!(id > 0 && id < nextBatchId.toNumber())) return null;
+    
+    const { productId } = await contract.batches(id);
+    const [product, qrCode] = await Promise.all([contract.products(productId), getBatchQRCode(id)]);
+    
+    return {
+        batchId: id.toString(),
+        qrCode,
+        qrContent: signed ? await signQRPayload(id, qrCode) : qrCode,
+        productName: product.productName,
+        variety: product.variety,
+        harvestDate: product.harvestDate,
+        isOrganic: product.isOrganic
+    };
+}
+
+// Single printable label. ?stock=a4|letter picks the label size, ?signed=true encodes a
+// signed payload instead of the bare QR code, ?dpi sets PNG resolution (default 300).
+app.get('/api/batch/:id/label.:format(svg|png)', requireRoleWhenSigned, async (req, res) => {
     try {
-        const { id } = req.params;
-        const { limit = 50 } = req.query;
+        const { id, format } = req.params;
+        const { stock = 'a4', signed, dpi } = req.query;
+        const wantsSigned = signed === 'true';
         
         if (!contract) {
-            // Return cached data if contract not available
-            const cachedData = environmentData.get(id) || [];
-            return res.json({
-                batchId: id,
-                readings: cachedData.slice(-parseInt(limit)),
-                count: cachedData.length
-            });
+            return res.status(503).json({ error: 'Contract not available' });
         }
         
-        try {
-            const batchDetails = await contract.getBatchDetails(id);
-            const recordCount = parseInt(batchDetails.environmentRecordCount);
-            
-            const readings = [];
-            const maxRecords = Math.min(recordCount, parseInt(limit));
+        if (wantsSigned && !wallet) {
+            return res.status(503).json({ error: 'Wallet not available for signing' });
+        }
+        
+        if (!LABEL_STOCKS[stock]) {
+            return res.status(400).json({ error: `stock must be one of: ${Object.keys(LABEL_STOCKS).join(', ')}` });
+        }
+        
+        const label = await loadLabel(id, wantsSigned);
+        if (!label) {
+            return res.status(404).json({ error: 'Batch not found' });
+        }
+        
+        const size = { width: LABEL_STOCKS[stock].labelWidth, height: LABEL_STOCKS[stock].labelHeight };
+        
+        if (format === 'png') {
+            const resolution = Math.min(Math.max(parseInt(dpi) || 300, 72), 600);
+            res.type('png').send(renderLabelPNG(label, { ...size, dpi: resolution }));
+        } else {
+            res.type('svg').send(renderLabelSVG(label, size));
+        }
+        
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// Label sheet for a set of batches (?batchIds=1,2,3), laid out on A4 or US Letter stock.
+// Returns a print-ready HTML page per sheet, or a single sheet as SVG with ?format=svg&page=N.
+app.get('/api/labels/sheet', requireRoleWhenSigned, async (req, res) => {
+    try {
+        const { batchIds = '', stock = 'a4', format = 'html', signed } = req.query;
+        const wantsSigned = signed === 'true';
+        const ids = batchIds.split(',').map(id => id.trim()).filter(Boolean);
+        
+        if (!contract) {
+            return res.status(503).json({ error: 'Contract not available' });
+        }
+        
+        if (wantsSigned && !wallet) {
+            return res.status(503).json({ error: 'Wallet not available for signing' });
+        }
+        
+        if (ids.length === 0 || ids.length > 200) {
+            return res.status(400).json({ error: 'batchIds must list between 1 and 200 batch IDs' });
+        }
+        
+        if (!LABEL_STOCKS[stock]) {
+            return res.status(400).json({ error: `stock must be one of: ${Object.keys(LABEL_STOCKS).join(', ')}` });
+        }
+        
+        const labels = await mapInChunks(ids, 10, id => loadLabel(id, wantsSigned));
+        const missing = ids.filter((id, i) => !labels[i]);
+        if (missing.length > 0) {
+            return res.status(404).json({ error: `Batches not found: ${missing.join(', ')}` });
+        }
+        
+        if (format === 'svg') {
+            const pages = renderSheetPages(labels, stock);
+            const page = parseInt(req.query.page || '1');
             
-            for (let i = Math.max(0, recordCount - maxRecords); i < recordCount; i++) {
-                try {
-                    const envData = await contract.getEnvironmentData(id, i);
-                    readings.push({
-                        timestamp: parseInt(envData.timestamp) * 1000, // Convert to milliseconds
-                        temperature: parseInt(envData.temperature) / 100, // Convert back from int
-                        humidity: parseInt(envData.humidity) / 100,
-                        location: envData.location,
-                        recorder: envData.recorder,
-                        notes: envData.notes
-                    });
-                } catch (error) {
-                    console.error(`Error fetching environment record ${i}:`, error);
-                }
+            if (!(page >= 1 && page <= pages.length)) {
+                return res.status(400).json({ error: `page must be between 1 and ${pages.length}` });
             }
             
-            res.json({
-                batchId: id,
-                readings,
-                count: readings.length
-            });
-            
-        } catch (error) {
-            // Fallback to cached data
-            const cachedData = environmentData.get(id) || [];
-            res.json({
-                batchId: id,
-                readings: cachedData.slice(-parseInt(limit)),
-                count: cachedData.length
-            });
+            res.set('X-Total-Pages', String(pages.length));
+            return res.type('svg').send(pages[page - 1]);
         }
         
+        res.type('html').send(renderSheetHTML(labels, stock));
+        
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        res.status(error.status || 500).json({ error: error.message });
     }
 });
 
-// Transfer ownership
-app.post('/api/batch/:id/transfer', async (req, res) => {
+// Verify a scanned QR payload: genuine, tampered or unknown
+app.post('/api/qr/verify', async (req, res) => {
     try {
-        const { id } = req.params;
-        const { newOwner, newStage, newLocation } = req.body;
+        if (!contract) {
+            return res.status(503).json({ error: 'Contract not available' });
+        }
         
-        if (!contract || !wallet) {
-            return res.status(503).json({ error: 'Contract or wallet not available' });
+        let label;
+        try {
+            label = decodePayload(req.body.payload);
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
         }
         
-        const tx = await contract.transferOwnership(id, newOwner, newStage, newLocation);
-        const receipt = await tx.wait();
+        const { chainId } = await provider.getNetwork();
+        const result = await verifyLabel(contract, chainId, label);
+        
+        res.json(result);
+        
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Admin routes are for the contract owner. Writes go through sendAsCaller, so an owner
+// other than the server wallet gets the prepared transaction to sign (202).
+async function sendAdminAction(req, res, method, args, result = {}) {
+    const receipt = await sendAsCaller(req, res, method, args);
+    if (!receipt) return;
+    
+    res.json({
+        success: true,
+        ...result,
+        transactionHash: receipt.transactionHash
+    });
+}
+
+// Contract-wide governance settings
+app.get('/api/admin/settings', requireRole(ADMIN_ROLE), async (req, res) => {
+    try {
+        const [owner, paused, registrationApprovalRequired, handoffTimeout] = await Promise.all([
+            contract.owner(),
+            contract.paused(),
+            contract.registrationApprovalRequired(),
+            contract.handoffTimeout()
+        ]);
         
         res.json({
-            success: true,
-            transactionHash: receipt.transactionHash
+            owner,
+            paused,
+            registrationApprovalRequired,
+            handoffTimeoutSeconds: handoffTimeout.toNumber()
         });
         
     } catch (error) {
@@ -462,29 +3149,36 @@ app.post('/api/batch/:id/transfer', async (req, res) => {
     }
 });
 
-// Add batch note
-app.post('/api/batch/:id/note', async (req, res) => {
+// When required, new registrations stay pending until approved
+app.post('/api/admin/registration-approval', requireRole(ADMIN_ROLE), async (req, res) => {
     try {
-        const { id } = req.params;
-        const { note, author } = req.body;
+        const { required } = req.body;
         
-        // Store note locally (in production, this could go to blockchain or database)
-        if (!batchNotes.has(id)) {
-            batchNotes.set(id, []);
+        if (typeof required !== 'boolean') {
+            return res.status(400).json({ error: 'required must be true or false' });
         }
         
-        const noteEntry = {
-            timestamp: Date.now(),
-            note,
-            author: author || 'Unknown',
-            id: Date.now().toString()
-        };
+        await sendAdminAction(req, res, 'setRegistrationApproval', [required], { registrationApprovalRequired: required });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Registered participants from the index, with their current standing read from the contract
+app.get('/api/admin/participants', requireRole(ADMIN_ROLE), async (req, res) => {
+    try {
+        const { status, role } = req.query;
         
-        batchNotes.get(id).push(noteEntry);
+        if (status && !PARTICIPANT_STATUSES.includes(status)) {
+            return res.status(400).json({ error: `status must be one of ${PARTICIPANT_STATUSES.join(', ')}` });
+        }
+        if (role && !ROLE_NAMES.includes(role)) {
+            return res.status(400).json({ error: `role must be one of ${ROLE_NAMES.join(', ')}` });
+        }
         
         res.json({
-            success: true,
-            note: noteEntry
+            participants: await listParticipants(contract, eventStore, { status, role }),
+            indexedBlock: eventStore.getLastBlock()
         });
         
     } catch (error) {
@@ -492,41 +3186,131 @@ app.post('/api/batch/:id/note', async (req, res) => {
     }
 });
 
-// Get batch notes
-app.get('/api/batch/:id/notes', (req, res) => {
-    const { id } = req.params;
-    const notes = batchNotes.get(id) || [];
+function requireParticipantAddress(req, res, next) {
+    if (!ethers.utils.isAddress(req.params.address)) {
+        return res.status(400).json({ error: 'Invalid participant address' });
+    }
+    req.params.address = ethers.utils.getAddress(req.params.address);
+    next();
+}
+
+app.post('/api/admin/participants/:address/approve', requireRole(ADMIN_ROLE), requireParticipantAddress, async (req, res) => {
+    try {
+        await sendAdminAction(req, res, 'approveParticipant', [req.params.address], { status: 'active' });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Deactivates an active participant, or declines a pending registration
+app.post('/api/admin/participants/:address/deactivate', requireRole(ADMIN_ROLE), requireParticipantAddress, async (req, res) => {
+    try {
+        await sendAdminAction(req, res, 'deactivateParticipant', [req.params.address], { status: 'deactivated' });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.post('/api/admin/participants/:address/reactivate', requireRole(ADMIN_ROLE), requireParticipantAddress, async (req, res) => {
+    try {
+        await sendAdminAction(req, res, 'reactivateParticipant', [req.params.address], { status: 'active' });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// role is a role name (Farmer, Supplier, ...) or its on-chain index
+app.post('/api/admin/participants/:address/role', requireRole(ADMIN_ROLE), requireParticipantAddress, async (req, res) => {
+    try {
+        const { role } = req.body;
+        const roleIndex = typeof role === 'string' && ROLE_NAMES.includes(role) ? ROLE_NAMES.indexOf(role) : Number(role);
+        
+        if (!Number.isInteger(roleIndex) || !ROLE_NAMES[roleIndex]) {
+            return res.status(400).json({ error: `role must be one of ${ROLE_NAMES.join(', ')}` });
+        }
+        
+        await sendAdminAction(req, res, 'setParticipantRole', [req.params.address, roleIndex], { role: ROLE_NAMES[roleIndex] });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Grant or revoke one additional role (by name); the registered role is changed through /role
+async function changeRole(req, res, method) {
+    const { role } = req.body;
     
-    res.json({
-        batchId: id,
-        notes,
-        count: notes.length
-    });
+    if (!ROLE_NAMES.includes(role)) {
+        return res.status(400).json({ error: `role must be one of ${ROLE_NAMES.join(', ')}` });
+    }
+    
+    const granted = await contract.hasRole(ROLE_IDS[role], req.params.address);
+    if (granted === (method === 'grantRole')) {
+        return res.status(409).json({ error: `${role} role already ${granted ? 'granted' : 'revoked'}` });
+    }
+    
+    await sendAdminAction(req, res, method, [ROLE_IDS[role], req.params.address], { role, granted: !granted });
+}
+
+app.post('/api/admin/participants/:address/roles/grant', requireRole(ADMIN_ROLE), requireParticipantAddress, async (req, res) => {
+    try {
+        await changeRole(req, res, 'grantRole');
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
 });
 
-// Get all batches (for demo purposes)
-app.get('/api/batches', async (req, res) => {
+app.post('/api/admin/participants/:address/roles/revoke', requireRole(ADMIN_ROLE), requireParticipantAddress, async (req, res) => {
+    try {
+        await changeRole(req, res, 'revokeRole');
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// The reason is stored on chain with the change
+app.post('/api/admin/participants/:address/reputation', requireRole(ADMIN_ROLE), requireParticipantAddress, async (req, res) => {
     try {
-        const { limit = 10 } = req.query;
+        const { reputation, reason } = req.body;
         
-        // For demo, return simulated batch data
-        // In production, you'd query the blockchain for actual batches
-        const sampleBatches = [];
+        if (!/^\d+$/.test(String(reputation))) {
+            return res.status(400).json({ error: 'reputation must be a whole number' });
+        }
+        if (!reason || !String(reason).trim()) {
+            return res.status(400).json({ error: 'reason is required' });
+        }
         
-        for (let i = 1; i <= Math.min(parseInt(limit), 10); i++) {
-            sampleBatches.push({
-                batchId: i,
-                productName: `Product ${i}`,
-                currentStage: Math.floor(Math.random() * 5),
-                currentOwner: '0x' + Math.random().toString(16).substr(2, 40),
-                location: `Location ${i}`,
-                lastUpdate: new Date(Date.now() - Math.random() * 7 * 24 * 60 * 60 * 1000).toISOString()
-            });
+        await sendAdminAction(req, res, 'updateParticipantReputation', [req.params.address, reputation, String(reason).trim()], {
+            reputation: Number(reputation),
+            reason: String(reason).trim()
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Audit trail of owner actions from indexed events, newest first
+app.get('/api/admin/audit', requireRole(ADMIN_ROLE), (req, res) => {
+    try {
+        const { participant, action } = req.query;
+        const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+        const cursor = req.query.cursor === undefined ? undefined : Number(req.query.cursor);
+        
+        if (participant && !ethers.utils.isAddress(participant)) {
+            return res.status(400).json({ error: 'participant must be an address' });
+        }
+        if (action && !ADMIN_EVENTS.includes(action)) {
+            return res.status(400).json({ error: `action must be one of ${ADMIN_EVENTS.join(', ')}` });
+        }
+        if (!Number.isInteger(limit) || limit < 1 || limit > 200) {
+            return res.status(400).json({ error: 'limit must be between 1 and 200' });
+        }
+        if (cursor !== undefined && (!Number.isInteger(cursor) || cursor < 0)) {
+            return res.status(400).json({ error: 'cursor must be a non-negative integer' });
         }
         
         res.json({
-            batches: sampleBatches,
-            count: sampleBatches.length
+            ...getAuditTrail(eventStore, { participant, action, cursor, limit }),
+            indexedBlock: eventStore.getLastBlock()
         });
         
     } catch (error) {
@@ -534,35 +3318,19 @@ app.get('/api/batches', async (req, res) => {
     }
 });
 
-// Dashboard summary
-app.get('/api/dashboard', async (req, res) => {
+// Anchor computed reputation scores now instead of waiting for the next scheduled run
+app.post('/api/admin/reputation/anchor', requireRole(ADMIN_ROLE), async (req, res) => {
     try {
-        // For demo purposes, return simulated dashboard data
+        const owner = await contract.owner();
+        if (!wallet || owner.toLowerCase() !== wallet.address.toLowerCase()) {
+            return res.status(503).json({ error: 'Anchoring needs the server wallet to be the contract owner' });
+        }
+        
+        const anchored = await runReputationAnchor();
+        
         res.json({
-            summary: {
-                totalBatches: 25,
-                activeBatches: 18,
-                totalProducts: 12,
-                totalParticipants: 35,
-                environmentRecords: environmentData.size
-            },
-            recentActivity: [
-                {
-                    type: 'batch_created',
-                    message: 'New batch created: Organic Tomatoes',
-                    timestamp: Date.now() - 300000
-                },
-                {
-                    type: 'ownership_transferred',
-                    message: 'Batch #123 transferred to distributor',
-                    timestamp: Date.now() - 600000
-                },
-                {
-                    type: 'environment_recorded',
-                    message: 'Temperature recorded: 4.2°C',
-                    timestamp: Date.now() - 900000
-                }
-            ]
+            success: true,
+            anchored
         });
         
     } catch (error) {
@@ -570,16 +3338,20 @@ app.get('/api/dashboard', async (req, res) => {
     }
 });
 
-// Generate QR code (utility endpoint)
-app.post('/api/qr/generate', (req, res) => {
+// Anchor pending off-chain sensor readings now instead of waiting for the next scheduled run
+app.post('/api/admin/sensor-logs/anchor', requireRole(ADMIN_ROLE), requireSensorLogRegistry, async (req, res) => {
     try {
-        const { data, prefix = 'QR' } = req.body;
-        const qrCode = `${prefix}_${Date.now()}_${Math.random().toString(36).substr(2, 9).toUpperCase()}`;
+        const owner = await contract.owner();
+        if (!wallet || owner.toLowerCase() !== wallet.address.toLowerCase()) {
+            return res.status(503).json({ error: 'Anchoring needs the server wallet to be the contract owner' });
+        }
+        
+        const { anchored, failed } = await runSensorAnchor();
         
         res.json({
-            success: true,
-            qrCode,
-            data: data || `BATCH_${Date.now()}`
+            success: failed.length === 0,
+            anchored,
+            failed
         });
         
     } catch (error) {
@@ -587,6 +3359,32 @@ app.post('/api/qr/generate', (req, res) => {
     }
 });
 
+// Emergency pause. While paused the contract refuses every write except the owner's
+// admin functions and recalls.
+async function setPaused(req, res, paused) {
+    if ((await contract.paused()) === paused) {
+        return res.status(409).json({ error: paused ? 'Contract is already paused' : 'Contract is not paused' });
+    }
+    
+    await sendAdminAction(req, res, paused ? 'pause' : 'unpause', [], { paused });
+}
+
+app.post('/api/admin/pause', requireRole(ADMIN_ROLE), async (req, res) => {
+    try {
+        await setPaused(req, res, true);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.post('/api/admin/unpause', requireRole(ADMIN_ROLE), async (req, res) => {
+    try {
+        await setPaused(req, res, false);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
 // Error handling middleware
 app.use((error, req, res, next) => {
     console.error('API Error:', error);
@@ -614,9 +3412,6 @@ async function startServer() {
             console.log(`📊 Web Application: http://localhost:${PORT}`);
             console.log(`🔗 API Endpoints: http://localhost:${PORT}/api`);
             console.log(`📖 Health Check: http://localhost:${PORT}/api/health`);
-            
-            // Initialize demo data
-            initializeDemoData();
         });
         
     } catch (error) {
@@ -625,28 +3420,6 @@ async function startServer() {
     }
 }
 
-// Initialize demo data
-function initializeDemoData() {
-    // Add sample environment data
-    const sampleBatches = ['1', '2', '3'];
-    
-    sampleBatches.forEach(batchId => {
-        const readings = [];
-        for (let i = 0; i < 5; i++) {
-            readings.push({
-                timestamp: Date.now() - (i * 30 * 60 * 1000), // 30 min intervals
-                temperature: Math.random() * 8 + 2, // 2-10°C
-                humidity: Math.random() * 30 + 50,  // 50-80%
-                location: 'Demo Location',
-                notes: `Demo reading ${i + 1}`
-            });
-        }
-        environmentData.set(batchId, readings);
-    });
-    
-    console.log('✅ Demo data initialized');
-}
-
 // Graceful shutdown
 process.on('SIGINT', () => {
     console.log('\n🛑 Shutting down server...');
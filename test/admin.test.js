@@ -0,0 +1,122 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createStore } = require("../lib/store");
+const { createIndexer } = require("../lib/indexer");
+const { listParticipants, getAuditTrail } = require("../lib/admin");
+
+describe("Participant Governance", function () {
+  let agriSupplyChain, store, indexer, storePath;
+  let owner, farmer, distributor, retailer;
+
+  beforeEach(async function () {
+    [owner, farmer, distributor, retailer] = await ethers.getSigners();
+
+    const AgriSupplyChain = await ethers.getContractFactory("AgriSupplyChain");
+    agriSupplyChain = await AgriSupplyChain.deploy(ethers.constants.AddressZero);
+    await agriSupplyChain.deployed();
+
+    storePath = path.join(os.tmpdir(), `agri-admin-${Date.now()}-${Math.random()}.json`);
+    store = createStore(storePath);
+    indexer = createIndexer({
+      provider: ethers.provider,
+      contract: agriSupplyChain,
+      store,
+      startBlock: (await agriSupplyChain.deployTransaction.wait()).blockNumber
+    });
+
+    await agriSupplyChain.connect(farmer).registerParticipant("Green Valley Farm", "California", 0);
+    await agriSupplyChain.connect(owner).setRegistrationApproval(true);
+    await agriSupplyChain.connect(distributor).registerParticipant("Dist Co", "Nevada", 2);
+    await agriSupplyChain.connect(retailer).registerParticipant("Fresh Market", "Arizona", 3);
+  });
+
+  afterEach(function () {
+    if (fs.existsSync(storePath)) fs.unlinkSync(storePath);
+  });
+
+  it("Should list participants with their status and filter them", async function () {
+    await agriSupplyChain.connect(owner).approveParticipant(distributor.address);
+    await agriSupplyChain.connect(owner).setParticipantRole(distributor.address, 1);
+    await agriSupplyChain.connect(owner).deactivateParticipant(farmer.address);
+    await indexer.poll();
+
+    const participants = await listParticipants(agriSupplyChain, store);
+    expect(participants.map(p => [p.address, p.role, p.status])).to.deep.equal([
+      [farmer.address, "Farmer", "deactivated"],
+      [distributor.address, "Supplier", "active"],
+      [retailer.address, "Retailer", "pending"]
+    ]);
+    expect(participants.map(p => p.roles)).to.deep.equal([["Farmer"], ["Supplier"], []]);
+    expect(participants[0].name).to.equal("Green Valley Farm");
+    expect(participants[0].reputation).to.equal(100);
+
+    const pending = await listParticipants(agriSupplyChain, store, { status: "pending" });
+    expect(pending.map(p => p.address)).to.deep.equal([retailer.address]);
+
+    const suppliers = await listParticipants(agriSupplyChain, store, { role: "Supplier" });
+    expect(suppliers.map(p => p.address)).to.deep.equal([distributor.address]);
+  });
+
+  it("Should build an audit trail of owner actions, newest first", async function () {
+    await agriSupplyChain.connect(owner).approveParticipant(distributor.address);
+    await agriSupplyChain.connect(owner).updateParticipantReputation(distributor.address, 80, "Late deliveries");
+    await agriSupplyChain.connect(owner).deactivateParticipant(farmer.address);
+    const reactivation = await agriSupplyChain.connect(owner).reactivateParticipant(farmer.address);
+    await indexer.poll();
+
+    const { entries, nextCursor } = getAuditTrail(store);
+    expect(entries.map(e => e.action)).to.deep.equal([
+      "ParticipantReactivated",
+      "ParticipantDeactivated",
+      "ReputationUpdated",
+      "ParticipantApproved",
+      "RegistrationApprovalSet",
+      "TrustedForwarderSet", // fixed at deployment
+      "RoleGranted" // the deployer's admin role
+    ]);
+    expect(nextCursor).to.equal(null);
+    expect(entries[0].participant).to.equal(farmer.address);
+    expect(entries[0].transactionHash).to.equal(reactivation.hash);
+    expect(entries[2].details).to.deep.equal({
+      participant: distributor.address,
+      oldReputation: "100",
+      newReputation: "80",
+      reason: "Late deliveries"
+    });
+    expect(entries[2].message).to.include("Late deliveries");
+
+    const forDistributor = getAuditTrail(store, { participant: distributor.address.toLowerCase() });
+    expect(forDistributor.entries.map(e => e.action)).to.deep.equal(["ReputationUpdated", "ParticipantApproved"]);
+
+    const firstPage = getAuditTrail(store, { limit: 2 });
+    expect(firstPage.entries.map(e => e.action)).to.deep.equal(["ParticipantReactivated", "ParticipantDeactivated"]);
+    const secondPage = getAuditTrail(store, { limit: 2, cursor: firstPage.nextCursor });
+    expect(secondPage.entries.map(e => e.action)).to.deep.equal(["ReputationUpdated", "ParticipantApproved"]);
+
+    const approvals = getAuditTrail(store, { action: "ParticipantApproved" });
+    expect(approvals.entries).to.have.length(1);
+  });
+
+  it("Should audit role grants and list participants by any role they hold", async function () {
+    const DISTRIBUTOR_ROLE = await agriSupplyChain.DISTRIBUTOR_ROLE();
+    await agriSupplyChain.connect(owner).grantRole(DISTRIBUTOR_ROLE, farmer.address);
+    await agriSupplyChain.connect(owner).revokeRole(await agriSupplyChain.FARMER_ROLE(), farmer.address);
+    await indexer.poll();
+
+    const { entries } = getAuditTrail(store, { participant: farmer.address });
+    expect(entries.map(e => [e.action, e.details.role])).to.deep.equal([
+      ["RoleRevoked", "Farmer"],
+      ["RoleGranted", "Distributor"]
+    ]);
+    expect(entries[1].message).to.equal(`Distributor role granted to ${farmer.address.slice(0, 6)}...${farmer.address.slice(-4)}`);
+
+    const distributors = await listParticipants(agriSupplyChain, store, { role: "Distributor" });
+    expect(distributors.map(p => [p.address, p.role, p.roles])).to.deep.equal([
+      [farmer.address, "Farmer", ["Distributor"]],
+      [distributor.address, "Distributor", []]
+    ]);
+  });
+});
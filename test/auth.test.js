@@ -0,0 +1,127 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { SiweMessage } = require("siwe");
+const { createAuth, ADMIN_ROLE } = require("../lib/auth");
+
+describe("Sign-In with Ethereum", function () {
+  let agriSupplyChain, auth, chainId;
+  let owner, farmer, distributor, outsider;
+
+  const DOMAIN = "localhost:3001";
+
+  async function signIn(signer, overrides = {}) {
+    const message = new SiweMessage({
+      domain: DOMAIN,
+      address: signer.address,
+      statement: "Sign in to AgriChain",
+      uri: `http://${DOMAIN}`,
+      version: "1",
+      chainId,
+      nonce: auth.issueNonce(),
+      ...overrides
+    }).prepareMessage();
+    return { message, signature: await signer.signMessage(message) };
+  }
+
+  async function loginError(message, signature) {
+    try {
+      await auth.login(message, signature);
+    } catch (error) {
+      return error;
+    }
+    throw new Error("Expected login to fail");
+  }
+
+  // Run a middleware chain against a fake request and report how it ended
+  async function runGuard(guard, token) {
+    const req = { get: () => (token ? `Bearer ${token}` : undefined) };
+    const outcome = {};
+    const res = {
+      status(code) { outcome.status = code; return this; },
+      json(body) { outcome.body = body; }
+    };
+
+    const chain = [auth.authenticate, ...[].concat(guard)];
+    for (const middleware of chain) {
+      let advanced = false;
+      await middleware(req, res, () => { advanced = true; });
+      if (!advanced) return outcome;
+    }
+    return { status: 200, user: req.user };
+  }
+
+  beforeEach(async function () {
+    [owner, farmer, distributor, outsider] = await ethers.getSigners();
+
+    const AgriSupplyChain = await ethers.getContractFactory("AgriSupplyChain");
+    agriSupplyChain = await AgriSupplyChain.deploy(ethers.constants.AddressZero);
+    await agriSupplyChain.deployed();
+    ({ chainId } = await ethers.provider.getNetwork());
+
+    await agriSupplyChain.connect(farmer).registerParticipant("Green Valley Farm", "California", 0);
+    await agriSupplyChain.connect(distributor).registerParticipant("Dist Co", "Nevada", 2);
+
+    auth = createAuth({ getContract: () => agriSupplyChain, secret: "test-secret", domain: DOMAIN });
+  });
+
+  it("Should open a session for a valid signed message", async function () {
+    const { message, signature } = await signIn(farmer);
+    const session = await auth.login(message, signature);
+
+    expect(session.address).to.equal(farmer.address);
+    const result = await runGuard(auth.requireAuth, session.token);
+    expect(result.status).to.equal(200);
+    expect(result.user.address).to.equal(farmer.address);
+  });
+
+  it("Should reject reused nonces, foreign domains and wrong chains", async function () {
+    const first = await signIn(farmer);
+    await auth.login(first.message, first.signature);
+    expect((await loginError(first.message, first.signature)).message).to.equal("Unknown or expired nonce");
+
+    const foreign = await signIn(farmer, { domain: "evil.example" });
+    expect((await loginError(foreign.message, foreign.signature)).message).to.match(/^Sign-in failed/);
+
+    const otherChain = await signIn(farmer, { chainId: 1 });
+    expect((await loginError(otherChain.message, otherChain.signature)).message).to.match(/expected \d+/);
+
+    const forged = await signIn(farmer);
+    const signature = await outsider.signMessage(forged.message);
+    const error = await loginError(forged.message, signature);
+    expect(error.message).to.match(/^Sign-in failed/);
+    expect(error.status).to.equal(401);
+  });
+
+  it("Should authorize routes by on-chain role", async function () {
+    const login = async (signer) => {
+      const { message, signature } = await signIn(signer);
+      return (await auth.login(message, signature)).token;
+    };
+    const farmerToken = await login(farmer);
+    const distributorToken = await login(distributor);
+    const outsiderToken = await login(outsider);
+    const ownerToken = await login(owner);
+
+    expect((await runGuard(auth.requireRole("Farmer"), farmerToken)).status).to.equal(200);
+    expect((await runGuard(auth.requireRole("Farmer"), distributorToken)).status).to.equal(403);
+    expect((await runGuard(auth.requireRole(), distributorToken)).status).to.equal(200);
+    expect((await runGuard(auth.requireRole(), outsiderToken)).status).to.equal(403);
+    expect((await runGuard(auth.requireRole("Farmer"), undefined)).status).to.equal(401);
+    expect((await runGuard(auth.requireRole("Farmer", ADMIN_ROLE), ownerToken)).status).to.equal(200);
+
+    // Deactivation takes effect on the next request
+    await agriSupplyChain.connect(owner).deactivateParticipant(farmer.address);
+    expect((await runGuard(auth.requireRole("Farmer"), farmerToken)).status).to.equal(403);
+  });
+
+  it("Should end sessions on logout", async function () {
+    const { message, signature } = await signIn(farmer);
+    const { token } = await auth.login(message, signature);
+
+    const { user } = await runGuard(auth.requireAuth, token);
+    auth.logout(user.session);
+
+    expect((await runGuard(auth.requireAuth, token)).status).to.equal(401);
+    expect((await runGuard(auth.requireAuth, "not-a-token")).status).to.equal(401);
+  });
+});
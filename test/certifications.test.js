@@ -0,0 +1,141 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { loadCertification, loadProductCertifications } = require("../lib/certifications");
+
+describe("Certification Attestations", function () {
+  let agriSupplyChain, registry;
+  let owner, farmer, certifier, otherFarmer, outsider;
+  let expiresAt;
+
+  async function chainTime() {
+    return (await ethers.provider.getBlock("latest")).timestamp;
+  }
+
+  beforeEach(async function () {
+    [owner, farmer, certifier, otherFarmer, outsider] = await ethers.getSigners();
+
+    const AgriSupplyChain = await ethers.getContractFactory("AgriSupplyChain");
+    agriSupplyChain = await AgriSupplyChain.deploy(ethers.constants.AddressZero);
+    await agriSupplyChain.deployed();
+
+    const AgriCertifications = await ethers.getContractFactory("AgriCertifications");
+    registry = await AgriCertifications.deploy(agriSupplyChain.address);
+    await registry.deployed();
+
+    await agriSupplyChain.connect(farmer).registerParticipant("Green Valley Farm", "California", 0);
+    await agriSupplyChain.connect(otherFarmer).registerParticipant("Hill Farm", "Oregon", 0);
+    await agriSupplyChain.connect(certifier).registerParticipant("Organic Cert Co", "Washington", 5);
+    await agriSupplyChain.connect(owner).approveParticipant(certifier.address);
+
+    await agriSupplyChain.connect(farmer).createProduct("Tomatoes", "Roma", 1000, "2024-01-15", true, ["USDA Organic"]);
+    await agriSupplyChain.connect(otherFarmer).createProduct("Apples", "Gala", 500, "2024-01-20", true, []);
+
+    expiresAt = (await chainTime()) + 365 * 86400;
+  });
+
+  it("Should let certifiers attest farmers and their products", async function () {
+    await expect(registry.connect(certifier).issueCertification(farmer.address, 1, "USDA Organic", "Field 4", true, expiresAt))
+      .to.emit(registry, "CertificationIssued")
+      .withArgs(1, certifier.address, farmer.address, 1, "USDA Organic", true, expiresAt);
+    await registry.connect(certifier).issueCertification(farmer.address, 0, "GlobalG.A.P.", "Whole farm", false, expiresAt);
+
+    expect(await registry.getProductCertifications(1)).to.deep.equal([ethers.BigNumber.from(1), ethers.BigNumber.from(2)]);
+    expect(await registry.getFarmerCertifications(farmer.address)).to.have.length(2);
+    expect(await registry.hasValidOrganicCertification(1)).to.equal(true);
+    expect(await registry.hasValidOrganicCertification(2)).to.equal(false);
+
+    await expect(
+      registry.connect(farmer).issueCertification(farmer.address, 1, "USDA Organic", "", true, expiresAt)
+    ).to.be.revertedWith("Not a certifier");
+
+    await expect(
+      registry.connect(certifier).issueCertification(otherFarmer.address, 1, "USDA Organic", "", true, expiresAt)
+    ).to.be.revertedWith("Product not owned by farmer");
+
+    await expect(
+      registry.connect(certifier).issueCertification(outsider.address, 0, "USDA Organic", "", true, expiresAt)
+    ).to.be.revertedWith("Farmer not registered");
+
+    await expect(
+      registry.connect(certifier).issueCertification(farmer.address, 0, "USDA Organic", "", true, await chainTime())
+    ).to.be.revertedWith("Expiry must be in the future");
+  });
+
+  it("Should stop backing claims once revoked or expired", async function () {
+    await registry.connect(certifier).issueCertification(farmer.address, 1, "USDA Organic", "Field 4", true, expiresAt);
+
+    await expect(
+      registry.connect(otherFarmer).revokeCertification(1, "Fraud")
+    ).to.be.revertedWith("Not authorized to revoke");
+
+    await expect(registry.connect(certifier).revokeCertification(1, "Prohibited pesticide found"))
+      .to.emit(registry, "CertificationRevoked")
+      .withArgs(1, certifier.address, "Prohibited pesticide found");
+    expect(await registry.isValid(1)).to.equal(false);
+    expect(await registry.hasValidOrganicCertification(1)).to.equal(false);
+
+    await expect(
+      registry.connect(owner).revokeCertification(1, "Again")
+    ).to.be.revertedWith("Already revoked");
+
+    // The contract owner may also revoke; expiry ends validity on its own
+    await registry.connect(certifier).issueCertification(otherFarmer.address, 0, "EU Organic", "", true, expiresAt);
+    expect(await registry.hasValidOrganicCertification(2)).to.equal(true);
+    await network.provider.send("evm_increaseTime", [366 * 86400]);
+    await network.provider.send("evm_mine");
+    expect(await registry.hasValidOrganicCertification(2)).to.equal(false);
+
+    await registry.connect(owner).revokeCertification(2, "Certifier withdrew");
+    expect((await registry.certifications(2)).revoked).to.equal(true);
+  });
+
+  it("Should refuse to issue or revoke attestations while the supply chain is paused", async function () {
+    await registry.connect(certifier).issueCertification(farmer.address, 1, "USDA Organic", "Field 4", true, expiresAt);
+    await agriSupplyChain.connect(owner).pause();
+
+    await expect(
+      registry.connect(certifier).issueCertification(farmer.address, 0, "GlobalG.A.P.", "Whole farm", false, expiresAt)
+    ).to.be.revertedWith("Pausable: paused");
+    await expect(
+      registry.connect(certifier).revokeCertification(1, "Prohibited pesticide found")
+    ).to.be.revertedWith("Pausable: paused");
+    expect(await registry.isValid(1)).to.equal(true);
+
+    await agriSupplyChain.connect(owner).unpause();
+    await registry.connect(certifier).revokeCertification(1, "Prohibited pesticide found");
+    expect(await registry.isValid(1)).to.equal(false);
+  });
+
+  it("Should report attestation status and whether the organic claim is backed", async function () {
+    await registry.connect(certifier).issueCertification(farmer.address, 1, "USDA Organic", "Field 4", true, expiresAt);
+    await registry.connect(certifier).issueCertification(farmer.address, 0, "Fair Trade", "Whole farm", false, expiresAt);
+
+    const certification = await loadCertification(registry, agriSupplyChain, 1, await chainTime());
+    expect(certification).to.include({
+      certificationId: "1",
+      standard: "USDA Organic",
+      scope: "Field 4",
+      organic: true,
+      farmer: farmer.address,
+      productId: "1",
+      status: "valid"
+    });
+    expect(certification.issuer).to.deep.equal({ address: certifier.address, name: "Organic Cert Co" });
+    expect(await loadCertification(registry, agriSupplyChain, 9, await chainTime())).to.equal(null);
+
+    const tomatoes = await loadProductCertifications(registry, agriSupplyChain, 1, true, await chainTime());
+    expect(tomatoes.attestations.map(c => [c.standard, c.productId])).to.deep.equal([
+      ["USDA Organic", "1"],
+      ["Fair Trade", null]
+    ]);
+    expect(tomatoes.organicClaim).to.deep.equal({ claimed: true, status: "verified", certificationIds: ["1"] });
+
+    const apples = await loadProductCertifications(registry, agriSupplyChain, 2, true, await chainTime());
+    expect(apples.organicClaim).to.deep.equal({ claimed: true, status: "unverified", certificationIds: [] });
+
+    const later = expiresAt + 1;
+    const expired = await loadProductCertifications(registry, agriSupplyChain, 1, true, later);
+    expect(expired.attestations.map(c => c.status)).to.deep.equal(["expired", "expired"]);
+    expect(expired.organicClaim.status).to.equal("unverified");
+  });
+});
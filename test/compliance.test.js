@@ -0,0 +1,65 @@
+const { expect } = require("chai");
+const { checkReading, buildComplianceReport } = require("../lib/compliance");
+
+describe("Cold Chain Compliance", function () {
+  const profile = {
+    minTemperature: 2,
+    maxTemperature: 8,
+    minHumidity: 50,
+    maxHumidity: 90,
+    maxExcursionDuration: 1800
+  };
+  const minutes = (n) => n * 60 * 1000;
+  const reading = (index, minute, temperature, humidity, recorder = "0xA") => ({
+    index, timestamp: minutes(minute), temperature, humidity, recorder, location: "Cold Room"
+  });
+
+  it("Should report which limits a reading breaches", function () {
+    expect(checkReading(profile, { temperature: 4, humidity: 60 })).to.deep.equal([]);
+    expect(checkReading(profile, { temperature: 9, humidity: 95 })).to.deep.equal(["temperature_high", "humidity_high"]);
+    expect(checkReading(profile, { temperature: 1, humidity: 40 })).to.deep.equal(["temperature_low", "humidity_low"]);
+  });
+
+  it("Should group consecutive breaches into excursions with durations", function () {
+    const report = buildComplianceReport(profile, [
+      reading(0, 0, 4, 60),
+      reading(1, 10, 9, 60, "0xB"),
+      reading(2, 20, 11, 60, "0xC"),
+      reading(3, 30, 5, 60),
+      reading(4, 40, 1, 60, "0xD"),
+      reading(5, 100, 4, 60)
+    ]);
+
+    expect(report.status).to.equal("violation");
+    expect(report.excursionCount).to.equal(2);
+    expect(report.violationCount).to.equal(1);
+
+    const [first, second] = report.excursions;
+    expect(first.startIndex).to.equal(1);
+    expect(first.endIndex).to.equal(2);
+    expect(first.durationSeconds).to.equal(1200);
+    expect(first.exceedsAllowedDuration).to.equal(false);
+    expect(first.recorder).to.equal("0xB");
+    expect(first.recorders).to.deep.equal(["0xB", "0xC"]);
+    expect(first.temperatureRange).to.deep.equal({ min: 9, max: 11 });
+
+    expect(second.breaches).to.deep.equal(["temperature_low"]);
+    expect(second.durationSeconds).to.equal(3600);
+    expect(second.exceedsAllowedDuration).to.equal(true);
+  });
+
+  it("Should measure ongoing excursions up to now", function () {
+    const report = buildComplianceReport(profile, [reading(0, 0, 12, 60)], minutes(10));
+
+    expect(report.status).to.equal("within_tolerance");
+    expect(report.excursions[0].ongoing).to.equal(true);
+    expect(report.excursions[0].endTime).to.equal(null);
+    expect(report.excursions[0].durationSeconds).to.equal(600);
+  });
+
+  it("Should report batches without a profile", function () {
+    const report = buildComplianceReport(null, [reading(0, 0, 12, 60)]);
+    expect(report.status).to.equal("no_profile");
+    expect(report.compliant).to.equal(null);
+  });
+});
@@ -0,0 +1,139 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { sha256, createDocumentStore, storeUpload, loadBatchDocuments } = require("../lib/documents");
+
+describe("Batch Documents", function () {
+  let agriSupplyChain, registry, store, storeDir;
+  let owner, farmer, distributor, inspector, outsider;
+
+  const labResult = Buffer.from("Moisture 11.2%, pesticide screen: pass");
+
+  beforeEach(async function () {
+    [owner, farmer, distributor, inspector, outsider] = await ethers.getSigners();
+
+    const AgriSupplyChain = await ethers.getContractFactory("AgriSupplyChain");
+    agriSupplyChain = await AgriSupplyChain.deploy(ethers.constants.AddressZero);
+    await agriSupplyChain.deployed();
+
+    const AgriDocuments = await ethers.getContractFactory("AgriDocuments");
+    registry = await AgriDocuments.deploy(agriSupplyChain.address);
+    await registry.deployed();
+
+    await agriSupplyChain.connect(farmer).registerParticipant("Green Valley Farm", "California", 0);
+    await agriSupplyChain.connect(distributor).registerParticipant("Fresh Distribution", "Texas", 1);
+    await agriSupplyChain.connect(inspector).registerParticipant("Field Inspections", "Nevada", 4);
+    await agriSupplyChain.connect(owner).approveParticipant(inspector.address);
+    await agriSupplyChain.connect(outsider).registerParticipant("Other Farm", "Oregon", 0);
+
+    await agriSupplyChain.connect(farmer).createProduct("Tomatoes", "Roma", 1000, "2024-01-15", true, []);
+    await agriSupplyChain.connect(farmer).createBatch(1, "QR_001", "Farm Storage A");
+
+    storeDir = fs.mkdtempSync(path.join(os.tmpdir(), "agri-documents-"));
+    store = createDocumentStore(storeDir);
+  });
+
+  afterEach(function () {
+    fs.rmSync(storeDir, { recursive: true, force: true });
+  });
+
+  it("Should let custodians, past custodians and inspectors anchor documents", async function () {
+    const hash = "0x" + sha256(labResult);
+
+    await expect(registry.connect(farmer).anchorDocument(1, hash, "lab_result"))
+      .to.emit(registry, "DocumentAnchored")
+      .withArgs(1, 0, hash, "lab_result", farmer.address);
+    expect(await registry.isAnchored(1, hash)).to.equal(true);
+
+    await expect(
+      registry.connect(farmer).anchorDocument(1, hash, "lab_result")
+    ).to.be.revertedWith("Document already anchored");
+
+    await expect(
+      registry.connect(outsider).anchorDocument(1, ethers.utils.id("invoice"), "invoice")
+    ).to.be.revertedWith("Not authorized for this batch");
+
+    await expect(
+      registry.connect(farmer).anchorDocument(2, ethers.utils.id("invoice"), "invoice")
+    ).to.be.revertedWith("Invalid batch ID");
+
+    // The farmer keeps access after handing the batch on; inspectors need no custody
+    await agriSupplyChain.connect(farmer).proposeHandoff(1, distributor.address, 2, "Distribution Center");
+    await agriSupplyChain.connect(distributor).acceptHandoff(1, 0, "");
+    await registry.connect(distributor).anchorDocument(1, ethers.utils.id("invoice"), "invoice");
+    await registry.connect(farmer).anchorDocument(1, ethers.utils.id("origin"), "certificate_of_origin");
+    await registry.connect(inspector).anchorDocument(1, ethers.utils.id("photo"), "photo");
+    expect(await registry.getDocumentCount(1)).to.equal(4);
+
+    await agriSupplyChain.connect(owner).pause();
+    await expect(
+      registry.connect(farmer).anchorDocument(1, ethers.utils.id("packing"), "packing_list")
+    ).to.be.revertedWith("Pausable: paused");
+  });
+
+  it("Should store files by content hash and detect tampering", async function () {
+    const stored = store.put(labResult, { name: "lab.txt", mediaType: "text/plain" });
+    expect(stored).to.deep.equal({ hash: sha256(labResult), size: labResult.length, existed: false });
+    expect(store.put(labResult).existed).to.equal(true);
+
+    expect(store.get("0x" + stored.hash).toString()).to.equal(labResult.toString());
+    expect(store.getInfo(stored.hash)).to.deep.equal({ name: "lab.txt", mediaType: "text/plain", size: labResult.length });
+    expect(store.verify(stored.hash)).to.include({ stored: true, verified: true });
+    expect(store.verify(ethers.utils.id("missing"))).to.include({ stored: false, verified: false });
+    expect(() => store.get("../../etc/passwd")).to.throw("Invalid SHA-256 hash");
+
+    fs.writeFileSync(path.join(storeDir, stored.hash.slice(0, 2), stored.hash), "Moisture 9.0%, pesticide screen: pass");
+    const check = store.verify(stored.hash);
+    expect(check.verified).to.equal(false);
+    expect(check.actualHash).to.not.equal(check.expectedHash);
+  });
+
+  it("Should list a batch's documents with their verification status", async function () {
+    const stored = store.put(labResult, { name: "lab.txt", mediaType: "text/plain" });
+    await registry.connect(farmer).anchorDocument(1, "0x" + stored.hash, "lab_result");
+    await registry.connect(inspector).anchorDocument(1, ethers.utils.id("not uploaded here"), "photo");
+
+    const documents = await loadBatchDocuments(registry, store, 1);
+    expect(documents).to.have.length(2);
+    expect(documents[0]).to.include({
+      index: 0,
+      sha256: stored.hash,
+      documentType: "lab_result",
+      uploader: farmer.address,
+      name: "lab.txt",
+      mediaType: "text/plain",
+      stored: true,
+      verified: true
+    });
+    expect(documents[1]).to.include({ documentType: "photo", uploader: inspector.address, stored: false, verified: false });
+    expect(await loadBatchDocuments(registry, store, 2)).to.deep.equal([]);
+  });
+
+  it("Should only store anchored uploads the uploader may anchor", async function () {
+    let refused;
+    try {
+      await storeUpload(registry, store, 1, outsider.address, labResult, { name: "lab.txt" });
+    } catch (error) {
+      refused = error;
+    }
+    expect(refused).to.include({ message: "Not authorized for this batch", status: 403 });
+    // Nothing of a refused upload is left on disk
+    expect(fs.readdirSync(storeDir)).to.deep.equal([]);
+
+    // Nor of one whose anchor was never sent, as when the caller does not sign it
+    let unanchored;
+    try {
+      await storeUpload(registry, store, 1, farmer.address, labResult, { name: "lab.txt" });
+    } catch (error) {
+      unanchored = error;
+    }
+    expect(unanchored).to.include({ message: "Document is not anchored for this batch", status: 409 });
+    expect(fs.readdirSync(storeDir)).to.deep.equal([]);
+
+    await registry.connect(farmer).anchorDocument(1, "0x" + sha256(labResult), "lab_result");
+    const stored = await storeUpload(registry, store, 1, farmer.address, labResult, { name: "lab.txt", mediaType: "text/plain" });
+    expect(store.getInfo(stored.hash)).to.include({ name: "lab.txt" });
+  });
+});
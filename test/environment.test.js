@@ -0,0 +1,121 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { meanKineticTemperature, buildEnvironmentStats } = require("../lib/environment");
+
+describe("Environment History Lens", function () {
+  let agriSupplyChain, lens;
+  let farmer, distributor;
+  let base;
+
+  beforeEach(async function () {
+    [, farmer, distributor] = await ethers.getSigners();
+
+    const AgriSupplyChain = await ethers.getContractFactory("AgriSupplyChain");
+    agriSupplyChain = await AgriSupplyChain.deploy(ethers.constants.AddressZero);
+    await agriSupplyChain.deployed();
+
+    const AgriEnvironmentLens = await ethers.getContractFactory("AgriEnvironmentLens");
+    lens = await AgriEnvironmentLens.deploy(agriSupplyChain.address);
+    await lens.deployed();
+
+    await agriSupplyChain.connect(farmer).registerParticipant("Green Valley Farm", "California", 0);
+    await agriSupplyChain.connect(distributor).registerParticipant("Fresh Distribution", "Texas", 1);
+    await agriSupplyChain.connect(farmer).createProduct("Tomatoes", "Roma", 1000, "2024-01-15", true, []);
+    await agriSupplyChain.connect(farmer).createBatch(1, "QR_001", "Farm Storage A");
+    await agriSupplyChain.connect(farmer).createBatch(1, "QR_002", "Farm Storage B");
+
+    // Readings every 10 minutes, two of them taken at the same time
+    base = (await ethers.provider.getBlock("latest")).timestamp - 3600;
+    await agriSupplyChain.connect(farmer).recordEnvironmentDataBatch(
+      1, [base, base + 600, base + 1200, base + 1200], [400, 410, 420, 430], [6500, 6500, 6600, 6600], "Cold Room 2", ""
+    );
+    await agriSupplyChain.connect(distributor).recordEnvironmentDataBatch(
+      1, [base + 1800, base + 2400], [500, 510], [7000, 7000], "Truck 7", "in transit"
+    );
+  });
+
+  it("Should return a slice of records with the batch's record count in one call", async function () {
+    const { records, total } = await lens.getEnvironmentDataRange(1, 2, 3);
+    expect(total).to.equal(6);
+    expect(records.map(record => record.temperature.toNumber())).to.deep.equal([420, 430, 500]);
+    expect([records[2].location, records[2].recorder, records[2].notes]).to.deep.equal(["Truck 7", distributor.address, "in transit"]);
+
+    // The slice stops at the end of the history
+    expect((await lens.getEnvironmentDataRange(1, 4, 100)).records).to.have.length(2);
+    expect((await lens.getEnvironmentDataRange(1, 6, 10)).records).to.deep.equal([]);
+    expect((await lens.getEnvironmentDataRange(1, 0, ethers.constants.MaxUint256)).records).to.have.length(6);
+    expect((await lens.getEnvironmentDataRange(2, 0, 10)).total).to.equal(0);
+
+    await expect(lens.getEnvironmentDataRange(3, 0, 10)).to.be.revertedWith("Invalid batch ID");
+  });
+});
+
+describe("Environment Analytics", function () {
+  const profile = { minTemperature: 2, maxTemperature: 8, minHumidity: 50, maxHumidity: 90, maxExcursionDuration: 1800 };
+  const minutes = (n) => n * 60 * 1000;
+  const reading = (index, minute, temperature, humidity = 60) => ({
+    index, timestamp: minutes(minute), temperature, humidity, recorder: "0xA", location: "Cold Room"
+  });
+  const readings = [
+    reading(0, 0, 4),
+    reading(1, 10, 9),
+    reading(2, 20, 5),
+    reading(3, 120, 5, 95),
+    reading(4, 130, 1)
+  ];
+
+  it("Should compute mean kinetic temperature weighted by time", function () {
+    expect(meanKineticTemperature([{ temperature: 25, weight: 1 }, { temperature: 25, weight: 3 }])).to.equal(25);
+    expect(meanKineticTemperature([{ temperature: 20, weight: 1 }, { temperature: 30, weight: 1 }])).to.equal(26.26);
+    // Warm spells weigh more than their share of the arithmetic mean
+    expect(meanKineticTemperature([{ temperature: 20, weight: 3 }, { temperature: 30, weight: 1 }])).to.be.above(22.5);
+    // Without elapsed time every reading counts the same
+    expect(meanKineticTemperature([{ temperature: 20, weight: 0 }, { temperature: 30, weight: 0 }])).to.equal(26.26);
+    expect(meanKineticTemperature([])).to.equal(null);
+  });
+
+  it("Should measure time out of range and data gaps over a window", function () {
+    const stats = buildEnvironmentStats(readings, { profile, maxGapSeconds: 1800 });
+
+    expect(stats.window).to.deep.equal({ from: new Date(0).toISOString(), to: new Date(minutes(130)).toISOString() });
+    expect(stats).to.include({ readingCount: 5, durationSeconds: 7800, monitoredSeconds: 3600 });
+    expect(stats.temperature).to.deep.equal({ min: 1, max: 9, mean: 4.8 });
+    expect(stats.timeOutOfRange).to.deep.equal({
+      temperatureHighSeconds: 600, temperatureLowSeconds: 0, humidityHighSeconds: 600, humidityLowSeconds: 0, totalSeconds: 1200
+    });
+    expect(stats.gaps).to.deep.equal([
+      { start: new Date(minutes(20)).toISOString(), end: new Date(minutes(120)).toISOString(), durationSeconds: 6000 }
+    ]);
+
+    // An explicit window clips the readings and reports the silence after the last one
+    const late = buildEnvironmentStats(readings, { profile, from: minutes(120), to: minutes(200), maxGapSeconds: 1800 });
+    expect(late.readingCount).to.equal(2);
+    expect(late.timeOutOfRange.temperatureLowSeconds).to.equal(1800);
+    expect(late.gaps.map(gap => gap.durationSeconds)).to.deep.equal([4200]);
+
+    expect(buildEnvironmentStats(readings, { maxGapSeconds: 1800 }).timeOutOfRange).to.equal(null);
+    expect(buildEnvironmentStats([], { profile, maxGapSeconds: 1800 }).temperature).to.deep.equal({ min: null, max: null, mean: null });
+  });
+
+  it("Should break the figures down per custody segment", function () {
+    const custody = [
+      { holder: "0xFarm", location: "Farm", since: 0 },
+      { holder: "0xTruck", location: "Truck 7", since: minutes(15) }
+    ];
+    const { segments } = buildEnvironmentStats(readings, { profile, custody, maxGapSeconds: 1800 });
+
+    expect(segments).to.have.length(2);
+    expect(segments[0]).to.include({ holder: "0xFarm", readingCount: 2, durationSeconds: 900, monitoredSeconds: 900 });
+    expect(segments[0].to).to.equal(new Date(minutes(15)).toISOString());
+    expect(segments[0].timeOutOfRange.temperatureHighSeconds).to.equal(300);
+
+    // The warm reading taken before the handoff still counts against the new holder once custody moved
+    expect(segments[1]).to.include({ holder: "0xTruck", to: null, readingCount: 3 });
+    expect(segments[1].timeOutOfRange.temperatureHighSeconds).to.equal(300);
+    expect(segments[1].gaps).to.have.length(1);
+
+    // Holders whose custody lies outside the window are left out
+    const window = buildEnvironmentStats(readings, { profile, custody, from: minutes(60), to: minutes(130), maxGapSeconds: 1800 });
+    expect(window.segments.map(segment => segment.holder)).to.deep.equal(["0xTruck"]);
+  });
+});
@@ -0,0 +1,96 @@
+const { expect } = require("chai");
+const { buildEpcisDocument, createIdentifiers } = require("../lib/epcis");
+
+describe("EPCIS Export", function () {
+  const contractAddress = "0x5FbDB2315678afecb367f032d93F642f64180aa3";
+  const farmer = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+  const distributor = "0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC";
+  const retailer = "0x90F79bf6EB2c4f870365E785982E1f161e6b1b10";
+  const ids = createIdentifiers(31337, contractAddress);
+  const base = 1717228800;
+
+  let block = 0;
+  const event = (type, batchId, data, offset) => {
+    block++;
+    return { id: `${block}:0`, type, batchId, blockNumber: block, transactionHash: `0x${String(block).padStart(64, "0")}`, timestamp: base + offset, data };
+  };
+  const events = [
+    event("BatchCreated", "1", { productId: "1", productName: "Tomatoes", qrCode: "QR_001", farmer, owner: farmer, location: "Farm Storage A" }, 0),
+    event("OwnershipTransferred", "1", { from: farmer, to: distributor, stage: 2, location: "Truck 7" }, 3600),
+    event("BatchCreated", "2", { productId: "1", productName: "Tomatoes", qrCode: "QR_002", farmer, owner: distributor, location: "Depot" }, 7200),
+    event("BatchCreated", "3", { productId: "1", productName: "Tomatoes", qrCode: "QR_003", farmer, owner: distributor, location: "Depot" }, 7200),
+    event("BatchSplit", "1", { childBatchIds: ["2", "3"], quantities: ["300", "200"] }, 7200),
+    event("TransactionCreated", "2", { transactionId: "1", seller: distributor, buyer: retailer, price: "1000", transactionType: "wholesale" }, 9000),
+    event("TransactionCompleted", "2", { transactionId: "1", buyer: retailer }, 9600),
+    event("OwnershipTransferred", "3", { from: distributor, to: retailer, stage: 3, location: "Store 12" }, 10800)
+  ];
+  const document = (batchId, extra = {}) => buildEpcisDocument({
+    chainId: 31337, contractAddress, batchId, product: { quantity: "1000" }, events, createdAt: new Date(0), ...extra
+  });
+
+  it("Should export creation and custody changes as ObjectEvents with steps derived from the stage", function () {
+    const doc = document("1");
+
+    expect(doc).to.include({ type: "EPCISDocument", schemaVersion: "2.0", creationDate: "1970-01-01T00:00:00.000Z" });
+    expect(doc["@context"][0]).to.equal("https://ref.gs1.org/standards/epcis/epcis-context.jsonld");
+
+    const [created, shipped] = doc.epcisBody.eventList;
+    expect(created).to.include({ type: "ObjectEvent", action: "ADD", bizStep: "commissioning", disposition: "active", eventTime: "2024-06-01T08:00:00.000Z" });
+    expect(created.quantityList).to.deep.equal([{ epcClass: `urn:agrichain:31337:${contractAddress.toLowerCase()}:batch:1`, quantity: 1000 }]);
+    expect(created.ilmd).to.include({ "cbvmda:lotNumber": "1", "agri:qrCode": "QR_001" });
+    expect(created["agri:transactionHash"]).to.equal(events[0].transactionHash);
+
+    expect(shipped).to.include({ type: "ObjectEvent", action: "OBSERVE", bizStep: "shipping", disposition: "in_transit" });
+    expect(shipped.readPoint).to.deep.equal({ id: ids.location("Truck 7") });
+    // Goods in transit have no business location
+    expect(shipped).to.not.have.property("bizLocation");
+    expect(shipped.sourceList[0]).to.deep.equal({ type: "owning_party", source: ids.party(farmer) });
+    expect(shipped.destinationList[0]).to.deep.equal({ type: "owning_party", destination: ids.party(distributor) });
+  });
+
+  it("Should link splits as TransformationEvents and keep the inherited stage for sales", function () {
+    const split = document("1").epcisBody.eventList[2];
+    expect(split.type).to.equal("TransformationEvent");
+    expect(split.inputQuantityList).to.deep.equal([{ epcClass: ids.batch(1), quantity: 500 }]);
+    expect(split.outputQuantityList).to.deep.equal([{ epcClass: ids.batch(2), quantity: 300 }, { epcClass: ids.batch(3), quantity: 200 }]);
+
+    // A child lot is created by the split rather than commissioned
+    const child = document("2").epcisBody.eventList;
+    expect(child.map(e => e.type)).to.deep.equal(["TransformationEvent", "ObjectEvent"]);
+
+    // The sale keeps the stage the child inherited from its parent (in transit)
+    expect(child[1]).to.include({ bizStep: "shipping", disposition: "in_transit" });
+    expect(child[1].bizTransactionList).to.deep.equal([{ type: "inv", bizTransaction: ids.transaction("1") }]);
+    expect(child[1].destinationList[0].destination).to.equal(ids.party(retailer));
+
+    const delivered = document("3").epcisBody.eventList[1];
+    expect(delivered).to.include({ bizStep: "receiving", disposition: "sellable_not_accessible" });
+    expect(delivered.bizLocation).to.deep.equal({ id: ids.location("Store 12") });
+  });
+
+  it("Should report environment records as sensor elements with alarms for profile breaches", function () {
+    const profile = { minTemperature: 2, maxTemperature: 8, minHumidity: 50, maxHumidity: 90, maxExcursionDuration: 1800 };
+    const readings = [
+      { index: 0, timestamp: (base + 1800) * 1000, temperature: 4.5, humidity: 65, location: "Cold Room 2", recorder: farmer, notes: "" },
+      { index: 1, timestamp: (base + 5400) * 1000, temperature: 9.5, humidity: 65, location: "Truck 7", recorder: distributor, notes: "" }
+    ];
+    const list = document("1", { readings, profile }).epcisBody.eventList;
+
+    // Readings are interleaved with the chain events by time
+    expect(list.map(e => e.bizStep)).to.deep.equal(["commissioning", "sensor_reporting", "shipping", "sensor_reporting", "commissioning"]);
+
+    const [ok, warm] = [list[1], list[3]];
+    expect(ok.eventID).to.equal(ids.reading(1, 0));
+    expect(ok.sensorElementList[0].sensorReport).to.deep.equal([
+      { type: "gs1:Temperature", value: 4.5, uom: "CEL" },
+      { type: "gs1:RelativeHumidity", value: 65, uom: "P1" }
+    ]);
+    expect(warm.sensorElementList[0].sensorReport[0].exception).to.equal("ALARM_CONDITION");
+    expect(warm.sensorElementList[0].sensorReport[1]).to.not.have.property("exception");
+    expect(warm["agri:recorder"]).to.equal(ids.party(distributor));
+
+    // Without a storage profile nothing is flagged
+    const plain = document("1", { readings }).epcisBody.eventList[3];
+    expect(plain.sensorElementList[0].sensorReport[0]).to.not.have.property("exception");
+  });
+});
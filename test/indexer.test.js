@@ -0,0 +1,221 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createStore } = require("../lib/store");
+const { createIndexer } = require("../lib/indexer");
+
+describe("Event Indexer", function () {
+  let agriSupplyChain;
+  let owner, farmer, distributor, retailer, inspector;
+  let storePath, startBlock;
+
+  function newIndexer() {
+    const store = createStore(storePath);
+    const indexer = createIndexer({
+      provider: ethers.provider,
+      contract: agriSupplyChain,
+      store,
+      startBlock
+    });
+    return { store, indexer };
+  }
+
+  beforeEach(async function () {
+    [owner, farmer, distributor, retailer, inspector] = await ethers.getSigners();
+
+    const AgriSupplyChain = await ethers.getContractFactory("AgriSupplyChain");
+    agriSupplyChain = await AgriSupplyChain.deploy(ethers.constants.AddressZero);
+    await agriSupplyChain.deployed();
+    startBlock = (await agriSupplyChain.deployTransaction.wait()).blockNumber;
+
+    storePath = path.join(os.tmpdir(), `agri-indexer-${Date.now()}-${Math.random()}.json`);
+
+    await agriSupplyChain.connect(farmer).registerParticipant("Green Valley Farm", "California", 0);
+    await agriSupplyChain.connect(distributor).registerParticipant("Dist Co", "Nevada", 2);
+    await agriSupplyChain.connect(retailer).registerParticipant("Fresh Market", "Arizona", 3);
+    await agriSupplyChain.connect(inspector).registerParticipant("Food Safety Lab", "Nevada", 4);
+    await agriSupplyChain.connect(owner).approveParticipant(inspector.address);
+    await agriSupplyChain.connect(farmer).createProduct("Tomatoes", "Roma", 1000, "2024-01-15", true, []);
+    await agriSupplyChain.connect(farmer).createProduct("Apples", "Gala", 500, "2024-01-20", false, []);
+  });
+
+  afterEach(function () {
+    if (fs.existsSync(storePath)) fs.unlinkSync(storePath);
+  });
+
+  it("Should project batches from contract events", async function () {
+    await agriSupplyChain.connect(farmer).createBatch(1, "QR_001", "Farm");
+    await agriSupplyChain.connect(farmer).recordEnvironmentData(1, 450, 6500, "Cold Storage", "");
+    await agriSupplyChain.connect(farmer).proposeHandoff(1, distributor.address, 2, "Truck 7");
+    await agriSupplyChain.connect(distributor).acceptHandoff(1, 0, "");
+    await agriSupplyChain.connect(inspector).updateQuality(1, 1, "Bruising");
+    await agriSupplyChain.connect(distributor).addBatchNote(1, "handling", "Checked seals");
+
+    const { store, indexer } = newIndexer();
+    await indexer.poll();
+
+    const batch = store.getBatch(1);
+    expect(batch.productName).to.equal("Tomatoes");
+    expect(batch.qrCode).to.equal("QR_001");
+    expect(batch.farmer).to.equal(farmer.address);
+    expect(batch.currentOwner).to.equal(distributor.address);
+    expect(batch.currentStage).to.equal(2);
+    expect(batch.location).to.equal("Truck 7");
+    expect(batch.quality).to.equal(1);
+    expect(batch.environmentRecordCount).to.equal(1);
+    expect(batch.noteCount).to.equal(2); // the quality reason is recorded as a note
+  });
+
+  it("Should link split and merged batches", async function () {
+    await agriSupplyChain.connect(farmer).createBatch(1, "QR_001", "Farm");
+    await agriSupplyChain.connect(farmer).proposeHandoff(1, distributor.address, 1, "Depot");
+    await agriSupplyChain.connect(distributor).acceptHandoff(1, 0, "");
+    await agriSupplyChain.connect(distributor).splitBatch(1, [400, 600], ["QR_A", "QR_B"], "Depot");
+    await agriSupplyChain.connect(distributor).mergeBatches([2, 3], "QR_M", "Depot");
+
+    const { store, indexer } = newIndexer();
+    await indexer.poll();
+
+    expect(store.getBatch(1).childBatchIds).to.deep.equal(["2", "3"]);
+    expect(store.getBatch(2).parentBatchIds).to.deep.equal(["1"]);
+    expect(store.getBatch(2).currentOwner).to.equal(distributor.address);
+    expect(store.getBatch(2).currentStage).to.equal(1);
+    expect(store.getBatch(4).parentBatchIds).to.deep.equal(["2", "3"]);
+    expect(store.getBatch(4).currentStage).to.equal(1);
+  });
+
+  it("Should track active recalls and descendant batches", async function () {
+    await agriSupplyChain.connect(farmer).createBatch(1, "QR_001", "Farm");
+    await agriSupplyChain.connect(farmer).splitBatch(1, [400, 600], ["QR_A", "QR_B"], "Farm");
+    await agriSupplyChain.connect(farmer).splitBatch(2, [100, 300], ["QR_C", "QR_D"], "Farm");
+    await agriSupplyChain.connect(farmer).recallProduct(2, 1, "Labelling error");
+    await agriSupplyChain.connect(farmer).recallBatch(1, 2, "Listeria detected");
+    await agriSupplyChain.connect(farmer).liftRecall(2, true);
+
+    const { store, indexer } = newIndexer();
+    await indexer.poll();
+
+    const recalls = store.getActiveRecalls();
+    expect(recalls).to.have.length(1);
+    expect(recalls[0].scope).to.equal("batch");
+    expect(recalls[0].targetId).to.equal("1");
+    expect(recalls[0].severity).to.equal(2);
+    expect(recalls[0].reason).to.equal("Listeria detected");
+    expect(store.getDescendantIds(1)).to.have.members(["2", "3", "4", "5"]);
+    expect(store.getBatchIdsByProduct(1)).to.have.members(["1", "2", "3", "4", "5"]);
+  });
+
+  it("Should track pending handoffs until they are answered", async function () {
+    await agriSupplyChain.connect(farmer).createBatch(1, "QR_001", "Farm");
+    await agriSupplyChain.connect(farmer).createBatch(1, "QR_002", "Farm");
+    await agriSupplyChain.connect(farmer).proposeHandoff(1, distributor.address, 2, "Truck 7");
+    await agriSupplyChain.connect(farmer).proposeHandoff(2, retailer.address, 3, "Store");
+
+    const { store, indexer } = newIndexer();
+    await indexer.poll();
+
+    expect(store.getBatch(1).currentOwner).to.equal(farmer.address);
+    expect(store.getPendingHandoffs(distributor.address, "incoming").map(h => h.batchId)).to.deep.equal(["1"]);
+    expect(store.getPendingHandoffs(farmer.address, "outgoing").map(h => h.batchId)).to.deep.equal(["1", "2"]);
+    expect(store.getPendingHandoffs(farmer.address, "incoming")).to.deep.equal([]);
+
+    await agriSupplyChain.connect(distributor).acceptHandoff(1, 0, "");
+    await agriSupplyChain.connect(retailer).rejectHandoff(2, "Wrong order");
+    await indexer.poll();
+
+    expect(store.getPendingHandoffs(farmer.address)).to.deep.equal([]);
+    expect(store.getBatch(1).currentOwner).to.equal(distributor.address);
+    expect(store.getBatch(1).location).to.equal("Truck 7");
+    expect(store.getBatch(2).currentOwner).to.equal(farmer.address);
+  });
+
+  it("Should filter and paginate batches", async function () {
+    await agriSupplyChain.connect(farmer).createBatch(1, "QR_001", "Farm");
+    await agriSupplyChain.connect(farmer).createBatch(2, "QR_002", "Orchard");
+    await agriSupplyChain.connect(farmer).createBatch(1, "QR_003", "Farm");
+    await agriSupplyChain.connect(farmer).proposeHandoff(3, retailer.address, 3, "Store");
+    await agriSupplyChain.connect(retailer).acceptHandoff(3, 0, "");
+
+    const { store, indexer } = newIndexer();
+    await indexer.poll();
+
+    const firstPage = store.queryBatches({ limit: 2 });
+    expect(firstPage.batches.map(b => b.batchId)).to.deep.equal(["3", "2"]);
+    expect(firstPage.nextCursor).to.equal(2);
+
+    const secondPage = store.queryBatches({ limit: 2, cursor: firstPage.nextCursor });
+    expect(secondPage.batches.map(b => b.batchId)).to.deep.equal(["1"]);
+    expect(secondPage.nextCursor).to.equal(null);
+
+    expect(store.queryBatches({ productId: "1" }).batches).to.have.length(2);
+    expect(store.queryBatches({ productName: "apple" }).batches[0].batchId).to.equal("2");
+    expect(store.queryBatches({ stage: 3 }).batches[0].batchId).to.equal("3");
+    expect(store.queryBatches({ owner: retailer.address.toLowerCase() }).batches).to.have.length(1);
+
+    const created = store.getBatch(2).createdAt;
+    expect(store.queryBatches({ from: created, to: created }).batches.map(b => b.batchId)).to.include("2");
+    expect(store.queryBatches({ from: created + 3600 }).batches).to.have.length(0);
+  });
+
+  it("Should resume from the last indexed block after a restart", async function () {
+    await agriSupplyChain.connect(farmer).createBatch(1, "QR_001", "Farm");
+
+    const first = newIndexer();
+    await first.indexer.poll();
+    const indexedBlock = first.store.getLastBlock();
+
+    await agriSupplyChain.connect(farmer).createBatch(2, "QR_002", "Orchard");
+
+    const second = newIndexer();
+    await second.indexer.poll();
+
+    expect(second.store.getLastBlock()).to.be.above(indexedBlock);
+    expect(second.store.getEvents().filter(e => e.type === "BatchCreated")).to.have.length(2);
+    expect(second.store.getBatch(1).qrCode).to.equal("QR_001");
+  });
+
+  it("Should append commits to the store and ignore a torn write after the last one", async function () {
+    await agriSupplyChain.connect(farmer).createBatch(1, "QR_001", "Farm");
+
+    const first = newIndexer();
+    await first.indexer.poll();
+    const committed = fs.readFileSync(storePath, "utf8");
+
+    await agriSupplyChain.connect(farmer).createBatch(2, "QR_002", "Orchard");
+    await first.indexer.poll();
+    expect(fs.readFileSync(storePath, "utf8").startsWith(committed)).to.equal(true);
+
+    // A crash while appending leaves an uncommitted event and half a line
+    const event = JSON.stringify({ event: { ...first.store.getEvents()[0], id: "torn" } });
+    fs.appendFileSync(storePath, `${event}\n{"commit": {"lastBl`);
+
+    const second = newIndexer();
+    await second.indexer.poll();
+    expect(second.store.getEvents().map(e => e.id)).to.deep.equal(first.store.getEvents().map(e => e.id));
+    expect(second.store.getBatch(2).qrCode).to.equal("QR_002");
+    // Opening the store rewrote the log without the torn tail
+    const lines = fs.readFileSync(storePath, "utf8").trim().split("\n");
+    expect(() => lines.forEach(line => JSON.parse(line))).to.not.throw();
+  });
+
+  it("Should rewind and re-index after a chain reorganisation", async function () {
+    await agriSupplyChain.connect(farmer).createBatch(1, "QR_001", "Farm");
+    const snapshot = await network.provider.send("evm_snapshot");
+
+    await agriSupplyChain.connect(farmer).createBatch(1, "QR_ORPHANED", "Farm");
+
+    const { store, indexer } = newIndexer();
+    await indexer.poll();
+    expect(store.getBatch(2).qrCode).to.equal("QR_ORPHANED");
+
+    await network.provider.send("evm_revert", [snapshot]);
+    await agriSupplyChain.connect(farmer).createBatch(2, "QR_CANONICAL", "Orchard");
+    await indexer.poll();
+
+    expect(store.getBatch(2).qrCode).to.equal("QR_CANONICAL");
+    expect(store.getBatch(2).productName).to.equal("Apples");
+    expect(store.getEvents().filter(e => e.type === "BatchCreated")).to.have.length(2);
+  });
+});
@@ -0,0 +1,130 @@
+const { expect } = require("chai");
+const express = require("express");
+const { ethers } = require("hardhat");
+const { parseTimestamp, parseLoggerFile, planIngestion, loggerFileParser } = require("../lib/ingest");
+
+describe("Logger Ingestion", function () {
+  const now = Date.parse("2024-06-01T12:00:00Z") / 1000;
+
+  it("Should parse CSV and JSON logger exports", function () {
+    const csv = [
+      "Time,Temp,RH,Location",
+      "2024-06-01T08:00:00Z,4.5,65,\"Cold Room 2, Bay 1\"",
+      "1717230600,4.7,66,",
+      "2024-06-01T08:20:00Z,warm,66,"
+    ].join("\r\n");
+
+    const rows = parseLoggerFile(csv, "csv");
+    expect(rows).to.have.length(3);
+    expect(rows[0]).to.deep.equal({ row: 1, timestamp: 1717228800, temperature: 4.5, humidity: 65, location: "Cold Room 2, Bay 1" });
+    expect(rows[1]).to.include({ timestamp: 1717230600, location: null });
+    expect(rows[2].error).to.equal("Invalid temperature");
+
+    const json = parseLoggerFile({ readings: [{ timestamp: 1717228800000, temperature: 4.5, humidity: 65 }, { temperature: 4 }] }, "json");
+    expect(json[0]).to.include({ timestamp: 1717228800, temperature: 4.5 });
+    expect(json[1].error).to.equal("Invalid timestamp");
+
+    expect(() => parseLoggerFile("when,degrees\n1,2", "csv")).to.throw("CSV header must include timestamp, temperature and humidity columns");
+    expect(() => parseLoggerFile("{oops", "json")).to.throw("The file is not valid JSON");
+    expect(parseTimestamp("not a date")).to.equal(null);
+  });
+
+  it("Should reject invalid and duplicate readings and chunk the rest", function () {
+    const entries = parseLoggerFile([
+      { timestamp: now - 300, temperature: 4.5, humidity: 65 },
+      { timestamp: now - 600, temperature: 4.4, humidity: 65 },
+      { timestamp: now - 300, temperature: 4.6, humidity: 65 },
+      { timestamp: now - 3600, temperature: 4.5, humidity: 65 },
+      { timestamp: now - 1800, temperature: 5.0, humidity: 70 },
+      { timestamp: now + 60, temperature: 4.5, humidity: 65 },
+      { timestamp: now - 200, temperature: 4.5, humidity: 65, location: "Truck 7" },
+      { timestamp: now - 100, temperature: 4.5, humidity: 65 },
+      { timestamp: now - 50, temperature: 4.5, humidity: 65 }
+    ], "json");
+
+    const existing = [{ timestamp: now - 1800, temperature: 5.0, humidity: 70, location: "Cold Room 2" }];
+    const { chunks } = planIngestion(entries, { existing, now, chunkSize: 2, location: "Cold Room 2" });
+
+    expect(entries.map(entry => entry.status)).to.deep.equal([
+      "accepted", "accepted", "duplicate", "accepted", "duplicate", "invalid", "accepted", "accepted", "accepted"
+    ]);
+    expect(entries[4].error).to.equal("Already recorded");
+    expect(entries[5].error).to.equal("Reading is in the future");
+
+    // Sorted by time, split where the location changes or a chunk is full
+    expect(chunks.map(chunk => [chunk.location, chunk.entries.map(entry => entry.row)])).to.deep.equal([
+      ["Cold Room 2", [4, 2]],
+      ["Cold Room 2", [1]],
+      ["Truck 7", [7]],
+      ["Cold Room 2", [8, 9]]
+    ]);
+
+    const [missing] = planIngestion(parseLoggerFile([{ timestamp: now, temperature: 4, humidity: 60 }], "json"), { now, chunkSize: 2 }).entries;
+    expect(missing).to.include({ status: "invalid", error: "Location is missing" });
+  });
+
+  it("Should import logger rows older than a live reading and skip them once recorded", async function () {
+    const [, farmer] = await ethers.getSigners();
+    const AgriSupplyChain = await ethers.getContractFactory("AgriSupplyChain");
+    const agriSupplyChain = await AgriSupplyChain.deploy(ethers.constants.AddressZero);
+    await agriSupplyChain.connect(farmer).registerParticipant("Green Valley Farm", "California", 0);
+    await agriSupplyChain.connect(farmer).createProduct("Tomatoes", "Roma", 1000, "2024-01-15", true, []);
+    await agriSupplyChain.connect(farmer).createBatch(1, "QR_001", "Farm Storage A");
+
+    await agriSupplyChain.connect(farmer).recordEnvironmentData(1, 450, 6500, "Cold Room 2", "Live");
+    const live = (await ethers.provider.getBlock("latest")).timestamp;
+
+    const storedReadings = async () => {
+      const count = (await agriSupplyChain.getEnvironmentDataCount(1)).toNumber();
+      return Promise.all(Array.from({ length: count }, async (_, i) => {
+        const record = await agriSupplyChain.getEnvironmentData(1, i);
+        return { timestamp: record.timestamp.toNumber(), temperature: record.temperature.toNumber() / 100, humidity: record.humidity.toNumber() / 100 };
+      }));
+    };
+    const file = [
+      { timestamp: live - 1200, temperature: 4.2, humidity: 64 },
+      { timestamp: live - 600, temperature: 4.3, humidity: 64 },
+      { timestamp: live, temperature: 4.5, humidity: 65 }
+    ];
+
+    const first = planIngestion(parseLoggerFile(file, "json"), { existing: await storedReadings(), now: live, chunkSize: 10, location: "Cold Room 2" });
+    expect(first.entries.map(entry => entry.status)).to.deep.equal(["accepted", "accepted", "duplicate"]);
+
+    const [chunk] = first.chunks;
+    await agriSupplyChain.connect(farmer).recordEnvironmentDataBatch(
+      1, chunk.entries.map(entry => entry.timestamp), chunk.entries.map(entry => Math.round(entry.temperature * 100)),
+      chunk.entries.map(entry => Math.round(entry.humidity * 100)), chunk.location, "Logger import"
+    );
+    expect((await storedReadings()).map(reading => reading.timestamp)).to.deep.equal([live, live - 1200, live - 600]);
+
+    // Importing the same file again records nothing new
+    const again = planIngestion(parseLoggerFile(file, "json"), { existing: await storedReadings(), now: live, chunkSize: 10, location: "Cold Room 2" });
+    expect(again.entries.map(entry => entry.status)).to.deep.equal(["duplicate", "duplicate", "duplicate"]);
+    expect(again.chunks).to.deep.equal([]);
+  });
+
+  it("Should accept logger files larger than the default JSON body limit", async function () {
+    const app = express();
+    app.post("/import", loggerFileParser(), (req, res) => {
+      res.json({ rows: parseLoggerFile(req.body, typeof req.body === "string" ? "csv" : "json").length });
+    });
+    const server = app.listen(0);
+    const url = `http://127.0.0.1:${server.address().port}/import`;
+
+    try {
+      const readings = Array.from({ length: 3000 }, (_, i) => ({ timestamp: 1717228800 + i * 60, temperature: 4.5, humidity: 65, location: "Cold Room 2" }));
+      const body = JSON.stringify({ readings });
+      expect(body.length).to.be.above(100 * 1024);
+
+      const json = await fetch(url, { method: "POST", headers: { "Content-Type": "application/json" }, body });
+      expect(json.status).to.equal(200);
+      expect((await json.json()).rows).to.equal(3000);
+
+      const csv = ["timestamp,temperature,humidity", ...readings.map(r => `${r.timestamp},${r.temperature},${r.humidity}`)].join("\n");
+      const text = await fetch(url, { method: "POST", headers: { "Content-Type": "text/csv" }, body: csv });
+      expect((await text.json()).rows).to.equal(3000);
+    } finally {
+      server.close();
+    }
+  });
+});
@@ -0,0 +1,112 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { NOT_MEASURED, toScaled, loadInspections, loadBatchQuality } = require("../lib/inspections");
+
+describe("Quality Inspections", function () {
+  let agriSupplyChain, registry;
+  let owner, farmer, distributor, inspector, outsider;
+
+  const photo = ethers.utils.sha256(ethers.utils.toUtf8Bytes("crate photo"));
+
+  beforeEach(async function () {
+    [owner, farmer, distributor, inspector, outsider] = await ethers.getSigners();
+
+    const AgriSupplyChain = await ethers.getContractFactory("AgriSupplyChain");
+    agriSupplyChain = await AgriSupplyChain.deploy(ethers.constants.AddressZero);
+    await agriSupplyChain.deployed();
+
+    const AgriInspections = await ethers.getContractFactory("AgriInspections");
+    registry = await AgriInspections.deploy(agriSupplyChain.address);
+    await registry.deployed();
+
+    await agriSupplyChain.connect(farmer).registerParticipant("Green Valley Farm", "California", 0);
+    await agriSupplyChain.connect(distributor).registerParticipant("Fresh Distribution", "Texas", 1);
+    await agriSupplyChain.connect(inspector).registerParticipant("Field Inspections", "Nevada", 4);
+    await agriSupplyChain.connect(owner).approveParticipant(inspector.address);
+    await agriSupplyChain.connect(outsider).registerParticipant("Other Farm", "Oregon", 0);
+
+    await agriSupplyChain.connect(farmer).createProduct("Tomatoes", "Roma", 1000, "2024-01-15", true, []);
+    await agriSupplyChain.connect(farmer).createBatch(1, "QR_001", "Farm Storage A");
+    await agriSupplyChain.connect(farmer).createBatch(1, "QR_002", "Farm Storage B");
+  });
+
+  it("Should let inspectors and the current custodian record inspections", async function () {
+    await expect(registry.connect(inspector).recordInspection(1, 1, 1150, 480, 250, 1, [photo], "Slight bruising"))
+      .to.emit(registry, "InspectionRecorded")
+      .withArgs(1, 0, inspector.address, 1, 0);
+
+    const inspection = await registry.getInspection(1, 0);
+    expect(inspection.moisture).to.equal(1150);
+    expect(inspection.photoHashes).to.deep.equal([photo]);
+
+    await registry.connect(farmer).recordInspection(1, 0, NOT_MEASURED, NOT_MEASURED, 0, 0, [], "");
+    expect(await registry.getInspectionCount(1)).to.equal(2);
+
+    await expect(
+      registry.connect(outsider).recordInspection(1, 0, NOT_MEASURED, NOT_MEASURED, NOT_MEASURED, 0, [], "")
+    ).to.be.revertedWith("Not authorized to inspect");
+
+    // Custody moves to the distributor, who can then inspect on receipt
+    await agriSupplyChain.connect(farmer).proposeHandoff(1, distributor.address, 2, "Distribution Center");
+    await agriSupplyChain.connect(distributor).acceptHandoff(1, 0, "");
+    await expect(
+      registry.connect(farmer).recordInspection(1, 0, NOT_MEASURED, NOT_MEASURED, NOT_MEASURED, 0, [], "")
+    ).to.be.revertedWith("Not authorized to inspect");
+    await registry.connect(distributor).recordInspection(1, 2, NOT_MEASURED, NOT_MEASURED, 1200, 0, [], "Soft spots");
+    expect((await registry.getInspection(1, 2)).stage).to.equal(2);
+
+    await expect(
+      registry.connect(inspector).recordInspection(1, 4, NOT_MEASURED, NOT_MEASURED, NOT_MEASURED, 0, [], "")
+    ).to.be.revertedWith("Invalid grade");
+    await expect(
+      registry.connect(inspector).recordInspection(1, 0, 10001, NOT_MEASURED, NOT_MEASURED, 0, [], "")
+    ).to.be.revertedWith("Moisture must be a percentage");
+    await expect(
+      registry.connect(inspector).recordInspection(3, 0, NOT_MEASURED, NOT_MEASURED, NOT_MEASURED, 0, [], "")
+    ).to.be.revertedWith("Invalid batch ID");
+
+    await agriSupplyChain.connect(owner).pause();
+    await expect(
+      registry.connect(inspector).recordInspection(1, 0, NOT_MEASURED, NOT_MEASURED, NOT_MEASURED, 0, [], "")
+    ).to.be.revertedWith("Pausable: paused");
+  });
+
+  it("Should grade each batch by its own latest inspection", async function () {
+    await registry.connect(inspector).recordInspection(1, 1, 1150, 480, 250, 1, [photo], "Slight bruising");
+    await registry.connect(inspector).recordInspection(1, 3, NOT_MEASURED, NOT_MEASURED, 3500, 2, [], "Mould");
+
+    const inspections = await loadInspections(registry, 1);
+    expect(inspections).to.have.length(2);
+    expect(inspections[0]).to.deep.include({
+      index: 0,
+      inspector: inspector.address,
+      stage: 0,
+      stageName: "Harvested",
+      grade: 1,
+      gradeName: "Good",
+      measurements: { moisture: 11.5, brix: 4.8, defects: 2.5 },
+      pesticideResidue: "pass",
+      photoHashes: [photo.slice(2)],
+      notes: "Slight bruising"
+    });
+    expect(inspections[1].measurements).to.deep.equal({ moisture: null, brix: null, defects: 35 });
+    expect(inspections[1].pesticideResidue).to.equal("fail");
+
+    const downgraded = await loadBatchQuality(registry, 1, 0);
+    expect(downgraded).to.include({ grade: 3, gradeName: "Poor", source: "inspection", inspectionCount: 2 });
+    expect(downgraded.latestInspection.index).to.equal(1);
+
+    // The other batch of the same product keeps its own grade
+    expect(await loadBatchQuality(registry, 2, 0)).to.deep.equal({
+      grade: 0, gradeName: "Excellent", source: "batch", inspectionCount: 0, latestInspection: null
+    });
+    expect((await loadBatchQuality(null, 1, 2)).source).to.equal("batch");
+  });
+
+  it("Should convert submitted measurements to the stored scale", function () {
+    expect(toScaled(12.345, "moisture")).to.equal(1235);
+    expect(toScaled(undefined, "brix")).to.equal(NOT_MEASURED);
+    expect(() => toScaled(120, "defects")).to.throw("defects must be a number between 0 and 100");
+    expect(() => toScaled("wet", "moisture")).to.throw("moisture must be a number between 0 and 100");
+  });
+});
@@ -0,0 +1,63 @@
+const { expect } = require("chai");
+const { renderLabelSVG, renderLabelPNG, renderSheetPages, renderSheetHTML } = require("../lib/labels");
+
+describe("Batch Labels", function () {
+  const label = (batchId = "1", fields = {}) => ({
+    batchId,
+    qrCode: `QR_${batchId}`,
+    productName: "Tomatoes & Peppers",
+    variety: "Roma",
+    harvestDate: "2024-01-15",
+    isOrganic: true,
+    ...fields
+  });
+
+  it("Should render product details and the registered QR code", function () {
+    const svg = renderLabelSVG(label("7"));
+
+    expect(svg).to.match(/^<svg[^>]+width="99.1mm" height="38.1mm"/);
+    expect(svg).to.include("Tomatoes &amp; Peppers");
+    expect(svg).to.include("Harvest: 2024-01-15");
+    expect(svg).to.include("Batch #7");
+    expect(svg).to.include("ORGANIC");
+    expect(svg).to.include(">QR_7</text>");
+    expect(svg).to.match(/<path d="M/);
+
+    expect(renderLabelSVG(label("7", { isOrganic: false }))).not.to.include("ORGANIC");
+  });
+
+  it("Should encode a different QR payload when one is given", function () {
+    const plain = renderLabelSVG(label("7"));
+    const signed = renderLabelSVG(label("7", { qrContent: JSON.stringify({ v: 1, qrCode: "QR_7", signature: "0x1234" }) }));
+
+    expect(signed).to.include(">QR_7</text>");
+    expect(signed.match(/<path d="([^"]+)"/)[1]).not.to.equal(plain.match(/<path d="([^"]+)"/)[1]);
+  });
+
+  it("Should rasterise labels to PNG", function () {
+    const png = renderLabelPNG(label(), { dpi: 100 });
+    expect(png.slice(0, 8).toString("hex")).to.equal("89504e470d0a1a0a");
+    // 99.1 mm at 100 dpi
+    expect(png.readUInt32BE(16)).to.equal(390);
+  });
+
+  it("Should lay labels out across as many sheets as needed", function () {
+    const labels = Array.from({ length: 15 }, (_, i) => label(String(i + 1)));
+
+    const a4 = renderSheetPages(labels, "a4");
+    expect(a4).to.have.length(2);
+    expect(a4[0].match(/Batch #/g)).to.have.length(14);
+    expect(a4[1].match(/Batch #/g)).to.have.length(1);
+    expect(a4[0]).to.include('width="210mm" height="297mm"');
+
+    const letter = renderSheetPages(labels, "letter");
+    expect(letter).to.have.length(2);
+    expect(letter[0].match(/Batch #/g)).to.have.length(10);
+
+    const html = renderSheetHTML(labels, "letter");
+    expect(html).to.include("@page { size: 215.9mm 279.4mm; margin: 0; }");
+    expect(html.match(/class="page"/g)).to.have.length(2);
+
+    expect(() => renderSheetPages(labels, "a5")).to.throw("Unknown label stock");
+  });
+});
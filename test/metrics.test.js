@@ -0,0 +1,105 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createStore } = require("../lib/store");
+const { createIndexer } = require("../lib/indexer");
+const { computeDashboard } = require("../lib/metrics");
+
+describe("Dashboard Metrics", function () {
+  let agriSupplyChain, store, indexer, storePath;
+  let owner, farmer, distributor, retailer;
+
+  beforeEach(async function () {
+    [owner, farmer, distributor, retailer] = await ethers.getSigners();
+
+    const AgriSupplyChain = await ethers.getContractFactory("AgriSupplyChain");
+    agriSupplyChain = await AgriSupplyChain.deploy(ethers.constants.AddressZero);
+    await agriSupplyChain.deployed();
+
+    storePath = path.join(os.tmpdir(), `agri-metrics-${Date.now()}-${Math.random()}.json`);
+    store = createStore(storePath);
+    indexer = createIndexer({
+      provider: ethers.provider,
+      contract: agriSupplyChain,
+      store,
+      startBlock: (await agriSupplyChain.deployTransaction.wait()).blockNumber
+    });
+  });
+
+  afterEach(function () {
+    if (fs.existsSync(storePath)) fs.unlinkSync(storePath);
+  });
+
+  it("Should aggregate counts, dwell times and recent activity from chain data", async function () {
+    await agriSupplyChain.connect(farmer).registerParticipant("Green Valley Farm", "California", 0);
+    await agriSupplyChain.connect(distributor).registerParticipant("Dist Co", "Nevada", 2);
+    await agriSupplyChain.connect(retailer).registerParticipant("Fresh Market", "Arizona", 3);
+    await agriSupplyChain.connect(owner).deactivateParticipant(retailer.address);
+
+    await agriSupplyChain.connect(farmer).createProduct("Tomatoes", "Roma", 1000, "2024-01-15", true, []);
+    await agriSupplyChain.connect(farmer).createBatch(1, "QR_001", "Farm");
+    await agriSupplyChain.connect(farmer).createBatch(1, "QR_002", "Farm");
+    await agriSupplyChain.connect(farmer).recordEnvironmentData(1, 450, 6500, "Cold Storage", "");
+    await agriSupplyChain.connect(farmer).recordEnvironmentData(2, 500, 6000, "Cold Storage", "");
+
+    await network.provider.send("evm_increaseTime", [3600]);
+    await agriSupplyChain.connect(farmer).proposeHandoff(1, distributor.address, 2, "Truck");
+    const transfer = await agriSupplyChain.connect(distributor).acceptHandoff(1, 0, "");
+
+    await indexer.poll();
+    const dashboard = await computeDashboard(agriSupplyChain, store, { activityLimit: 3 });
+
+    expect(dashboard.summary.totalProducts).to.equal(1);
+    expect(dashboard.summary.totalBatches).to.equal(2);
+    expect(dashboard.summary.activeBatches).to.equal(2);
+    expect(dashboard.summary.totalParticipants).to.equal(2);
+    expect(dashboard.summary.inactiveParticipants).to.equal(1);
+    expect(dashboard.summary.environmentRecords).to.equal(2);
+
+    expect(dashboard.participantsByRole).to.deep.equal({
+      Farmer: 1, Supplier: 0, Distributor: 1, Retailer: 0, Inspector: 0, Certifier: 0
+    });
+    expect(dashboard.batchesByStage["Harvested"]).to.equal(1);
+    expect(dashboard.batchesByStage["In Transit"]).to.equal(1);
+
+    expect(dashboard.averageStageDwellSeconds.byStage["Harvested"]).to.be.at.least(3600);
+    expect(dashboard.averageStageDwellSeconds.byStage["In Transit"]).to.equal(null);
+
+    expect(dashboard.recentActivity).to.have.length(3);
+    expect(dashboard.recentActivity[0].type).to.equal("ownership_transferred");
+    expect(dashboard.recentActivity[0].transactionHash).to.equal(transfer.hash);
+    expect(dashboard.recentActivity[0].blockNumber).to.equal((await transfer.wait()).blockNumber);
+  });
+
+  it("Should read only batches the indexer has not seen from the contract", async function () {
+    await agriSupplyChain.connect(farmer).registerParticipant("Green Valley Farm", "California", 0);
+    await agriSupplyChain.connect(farmer).createProduct("Tomatoes", "Roma", 1000, "2024-01-15", true, []);
+    await agriSupplyChain.connect(farmer).createBatch(1, "QR_001", "Farm");
+    await agriSupplyChain.connect(farmer).recordEnvironmentData(1, 450, 6500, "Cold Storage", "");
+    await indexer.poll();
+
+    // Created after the last poll
+    await agriSupplyChain.connect(farmer).createBatch(1, "QR_002", "Farm");
+    await agriSupplyChain.connect(farmer).recordEnvironmentData(2, 500, 6000, "Cold Storage", "");
+
+    const reads = [];
+    const counting = name => ({
+      value: (...args) => {
+        reads.push([name, args[0]]);
+        return agriSupplyChain[name](...args);
+      }
+    });
+    const counted = Object.create(agriSupplyChain, {
+      getBatchDetails: counting("getBatchDetails"),
+      getBatchHistory: counting("getBatchHistory")
+    });
+
+    const dashboard = await computeDashboard(counted, store);
+    expect(reads).to.deep.equal([["getBatchDetails", 2], ["getBatchHistory", 2]]);
+    expect(dashboard.summary.totalBatches).to.equal(2);
+    expect(dashboard.summary.environmentRecords).to.equal(2);
+    expect(dashboard.batchesByStage["Harvested"]).to.equal(2);
+  });
+});
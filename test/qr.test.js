@@ -0,0 +1,96 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { signLabel, signBatchLabel, encodePayload, decodePayload, verifyLabel } = require("../lib/qr");
+
+describe("Signed QR Payloads", function () {
+  let agriSupplyChain, chainId;
+  let farmer, distributor, counterfeiter;
+
+  beforeEach(async function () {
+    [, farmer, distributor, counterfeiter] = await ethers.getSigners();
+
+    const AgriSupplyChain = await ethers.getContractFactory("AgriSupplyChain");
+    agriSupplyChain = await AgriSupplyChain.deploy(ethers.constants.AddressZero);
+    await agriSupplyChain.deployed();
+    ({ chainId } = await ethers.provider.getNetwork());
+
+    await agriSupplyChain.connect(farmer).registerParticipant("Green Valley Farm", "California", 0);
+    await agriSupplyChain.connect(distributor).registerParticipant("Dist Co", "Nevada", 2);
+    await agriSupplyChain.connect(farmer).createProduct("Tomatoes", "Roma", 1000, "2024-01-15", true, []);
+    await agriSupplyChain.connect(farmer).createBatch(1, "QR_001", "Farm");
+    await agriSupplyChain.connect(farmer).createBatch(1, "QR_002", "Farm");
+  });
+
+  const label = (fields = {}) => ({
+    chainId,
+    contract: agriSupplyChain.address,
+    batchId: 1,
+    qrCode: "QR_001",
+    ...fields
+  });
+
+  it("Should verify EIP-712 and EIP-191 labels signed by the batch creator", async function () {
+    for (const sigType of ["eip712", "eip191"]) {
+      const payload = encodePayload(await signLabel(farmer, label(), sigType));
+      const result = await verifyLabel(agriSupplyChain, chainId, decodePayload(payload));
+
+      expect(result.status).to.equal("genuine");
+      expect(result.signer).to.equal(farmer.address);
+      expect(result.batchId).to.equal("1");
+    }
+  });
+
+  it("Should accept labels signed by the creator of a split batch", async function () {
+    await agriSupplyChain.connect(farmer).proposeHandoff(1, distributor.address, 1, "Depot");
+    await agriSupplyChain.connect(distributor).acceptHandoff(1, 0, "");
+    await agriSupplyChain.connect(distributor).splitBatch(1, [400], ["QR_CHILD"], "Depot");
+
+    const signed = await signLabel(distributor, label({ batchId: 3, qrCode: "QR_CHILD" }));
+    const result = await verifyLabel(agriSupplyChain, chainId, decodePayload(signed));
+
+    expect(result.status).to.equal("genuine");
+    expect(result.creator).to.equal(distributor.address);
+    expect(result.farmer).to.equal(farmer.address);
+  });
+
+  it("Should report copied or altered labels as tampered", async function () {
+    const forged = await signLabel(counterfeiter, label());
+    expect((await verifyLabel(agriSupplyChain, chainId, forged)).status).to.equal("tampered");
+
+    const signed = await signLabel(farmer, label());
+    const relabelled = await verifyLabel(agriSupplyChain, chainId, { ...signed, batchId: "2" });
+    expect(relabelled.status).to.equal("tampered");
+    expect(relabelled.batchId).to.equal("1");
+
+    const swapped = await verifyLabel(agriSupplyChain, chainId, { ...signed, qrCode: "QR_002", batchId: "2" });
+    expect(swapped.status).to.equal("tampered");
+    expect(swapped.reason).to.match(/not made by the batch creator/);
+  });
+
+  it("Should report unregistered codes and foreign deployments as unknown", async function () {
+    const unregistered = await signLabel(farmer, label({ qrCode: "QR_FAKE" }));
+    expect((await verifyLabel(agriSupplyChain, chainId, unregistered)).status).to.equal("unknown");
+
+    const otherChain = await signLabel(farmer, label({ chainId: 1 }));
+    expect((await verifyLabel(agriSupplyChain, chainId, otherChain)).status).to.equal("unknown");
+  });
+
+  it("Should only sign batch labels as the batch creator or farmer", async function () {
+    const signed = await signBatchLabel(agriSupplyChain, farmer, { chainId, batchId: 1, qrCode: "QR_001" });
+    expect((await verifyLabel(agriSupplyChain, chainId, signed)).status).to.equal("genuine");
+
+    // Any other signer would produce a label that verifies as tampered
+    let refused;
+    try {
+      await signBatchLabel(agriSupplyChain, distributor, { chainId, batchId: 1, qrCode: "QR_001" });
+    } catch (error) {
+      refused = error;
+    }
+    expect(refused).to.include({ status: 403, message: "Only the batch creator or farmer can sign its label" });
+  });
+
+  it("Should reject malformed payloads", function () {
+    expect(() => decodePayload("QR_001")).to.throw("not valid JSON");
+    expect(() => decodePayload(JSON.stringify({ v: 1, chainId }))).to.throw("chainId and contract");
+  });
+});
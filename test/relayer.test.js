@@ -0,0 +1,119 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { createRelayer, forwarderDomain, FORWARD_REQUEST_TYPES } = require("../lib/relayer");
+
+describe("Meta-Transaction Relayer", function () {
+  let agriSupplyChain, forwarder, relayer;
+  let owner, farmer, distributor, outsider;
+
+  async function signed(signer, method, args) {
+    const data = agriSupplyChain.interface.encodeFunctionData(method, args);
+    const { domain, types, message } = await relayer.buildRequest(signer.address, data);
+    return { request: message, signature: await signer._signTypedData(domain, types, message) };
+  }
+
+  async function sign(signer, message) {
+    const { chainId } = await ethers.provider.getNetwork();
+    return signer._signTypedData(forwarderDomain(chainId, forwarder.address), FORWARD_REQUEST_TYPES, message);
+  }
+
+  async function relayError(promise) {
+    try {
+      await promise;
+    } catch (error) {
+      return error;
+    }
+    throw new Error("Expected relay to fail");
+  }
+
+  beforeEach(async function () {
+    [owner, farmer, distributor, outsider] = await ethers.getSigners();
+
+    const AgriForwarder = await ethers.getContractFactory("AgriForwarder");
+    forwarder = await AgriForwarder.deploy();
+    await forwarder.deployed();
+
+    const AgriSupplyChain = await ethers.getContractFactory("AgriSupplyChain");
+    agriSupplyChain = await AgriSupplyChain.deploy(forwarder.address);
+    await agriSupplyChain.deployed();
+
+    relayer = createRelayer({ forwarder: forwarder.connect(owner), target: agriSupplyChain, quota: 3 });
+  });
+
+  it("Should relay signed calls as the participant and pay the gas", async function () {
+    const farmerBalance = await farmer.getBalance();
+
+    const registered = await relayer.relay(...Object.values(await signed(farmer, "registerParticipant", ["Green Valley Farm", "California", 0])));
+    expect(registered.functionName).to.equal("registerParticipant");
+
+    const created = await relayer.relay(...Object.values(await signed(farmer, "createProduct", ["Tomatoes", "Roma", 1000, "2024-01-15", true, []])));
+    expect(created.events[0].event).to.equal("ProductCreated");
+    expect(created.events[0].args.productId).to.equal("1");
+    expect(created.events[0].args.farmer).to.equal(farmer.address);
+
+    const batch = await relayer.relay(...Object.values(await signed(farmer, "createBatch", [1, "QR_001", "Farm"])));
+    expect(batch.events.find(e => e.event === "BatchCreated").args.batchId).to.equal("1");
+    expect((await agriSupplyChain.batches(1)).currentOwner).to.equal(farmer.address);
+
+    expect(await farmer.getBalance()).to.equal(farmerBalance);
+    expect(batch.quota).to.include({ limit: 3, used: 3, remaining: 0 });
+  });
+
+  it("Should enforce per-participant quotas", async function () {
+    await relayer.relay(...Object.values(await signed(farmer, "registerParticipant", ["Green Valley Farm", "California", 0])));
+    for (let i = 0; i < 2; i++) {
+      await relayer.relay(...Object.values(await signed(farmer, "createProduct", [`Crop ${i}`, "Roma", 10, "2024-01-15", false, []])));
+    }
+
+    const { request, signature } = await signed(farmer, "createProduct", ["Crop 3", "Roma", 10, "2024-01-15", false, []]);
+    expect((await relayError(relayer.relay(request, signature))).status).to.equal(429);
+
+    // Quotas are per participant
+    await relayer.relay(...Object.values(await signed(distributor, "registerParticipant", ["Dist Co", "Nevada", 2])));
+    expect((await relayer.getStatus(distributor.address)).quota.remaining).to.equal(2);
+  });
+
+  it("Should reject unregistered, stale, tampered and failing requests", async function () {
+    const unregistered = await relayError(signed(outsider, "createProduct", ["Tomatoes", "Roma", 1000, "2024-01-15", true, []]));
+    expect(unregistered.status).to.equal(400);
+    expect(unregistered.message).to.match(/Not a registered participant/);
+
+    await relayer.relay(...Object.values(await signed(farmer, "registerParticipant", ["Green Valley Farm", "California", 0])));
+
+    // The contract's own checks surface without spending quota
+    const valid = await signed(farmer, "createProduct", ["Tomatoes", "Roma", 1000, "2024-01-15", true, []]);
+    const failing = { ...valid.request, data: agriSupplyChain.interface.encodeFunctionData("createBatch", [99, "QR_X", "Farm"]) };
+    const failed = await relayError(relayer.relay(failing, await sign(farmer, failing)));
+    expect(failed.status).to.equal(400);
+    expect(failed.message).to.equal("Not the product owner");
+    expect((await relayer.getStatus(farmer.address)).quota.used).to.equal(1);
+
+    const { request, signature } = await signed(farmer, "createProduct", ["Tomatoes", "Roma", 1000, "2024-01-15", true, []]);
+    expect((await relayError(relayer.relay({ ...request, nonce: "5" }, signature))).status).to.equal(409);
+    expect((await relayError(relayer.relay({ ...request, gas: "90000" }, signature))).status).to.equal(401);
+    expect((await relayError(relayer.relay({ ...request, to: forwarder.address }, signature))).status).to.equal(400);
+    expect((await relayError(relayer.relay({ ...request, deadline: "1" }, signature))).message).to.equal("Request has expired");
+
+    const impersonation = { ...request, from: outsider.address, nonce: "0" };
+    expect((await relayError(relayer.relay(impersonation, await sign(farmer, impersonation)))).status).to.equal(401);
+
+    // A signature the forwarder cannot even parse is refused, not a server error
+    const malformed = await relayError(relayer.relay(request, "0x1234"));
+    expect(malformed).to.include({ status: 401, message: "Signature is malformed" });
+  });
+
+  it("Should cap relayed registrations across all addresses", async function () {
+    relayer = createRelayer({ forwarder: forwarder.connect(owner), target: agriSupplyChain, quota: 3, registrationQuota: 2 });
+
+    await relayer.relay(...Object.values(await signed(farmer, "registerParticipant", ["Green Valley Farm", "California", 0])));
+    await relayer.relay(...Object.values(await signed(distributor, "registerParticipant", ["Dist Co", "Nevada", 2])));
+
+    // A fresh key has its own quota left, but the shared registration budget is spent
+    const capped = await relayError(relayer.relay(...Object.values(await signed(outsider, "registerParticipant", ["Other Farm", "Oregon", 0]))));
+    expect(capped.status).to.equal(429);
+    expect((await agriSupplyChain.participants(outsider.address)).name).to.equal("");
+
+    // Registered participants keep relaying
+    await relayer.relay(...Object.values(await signed(farmer, "createProduct", ["Tomatoes", "Roma", 1000, "2024-01-15", true, []])));
+  });
+});
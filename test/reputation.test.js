@@ -0,0 +1,159 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createStore } = require("../lib/store");
+const { createIndexer } = require("../lib/indexer");
+const { computeReputation, anchorReputations, AUTOMATIC_REASON_PREFIX } = require("../lib/reputation");
+
+describe("Reputation Engine", function () {
+  const DAY = 86400;
+  let agriSupplyChain, store, indexer, storePath;
+  let owner, farmer, distributor, retailer, inspector;
+
+  async function chainTime() {
+    return (await ethers.provider.getBlock("latest")).timestamp;
+  }
+
+  async function handOver(batchId, from, to, stage) {
+    await agriSupplyChain.connect(from).proposeHandoff(batchId, to.address, stage, "Depot");
+    await agriSupplyChain.connect(to).acceptHandoff(batchId, 0, "");
+  }
+
+  beforeEach(async function () {
+    [owner, farmer, distributor, retailer, inspector] = await ethers.getSigners();
+
+    const AgriSupplyChain = await ethers.getContractFactory("AgriSupplyChain");
+    agriSupplyChain = await AgriSupplyChain.deploy(ethers.constants.AddressZero);
+    await agriSupplyChain.deployed();
+
+    storePath = path.join(os.tmpdir(), `agri-reputation-${Date.now()}-${Math.random()}.json`);
+    store = createStore(storePath);
+    indexer = createIndexer({
+      provider: ethers.provider,
+      contract: agriSupplyChain,
+      store,
+      startBlock: (await agriSupplyChain.deployTransaction.wait()).blockNumber
+    });
+
+    await agriSupplyChain.connect(farmer).registerParticipant("Green Valley Farm", "California", 0);
+    await agriSupplyChain.connect(distributor).registerParticipant("Dist Co", "Nevada", 2);
+    await agriSupplyChain.connect(retailer).registerParticipant("Fresh Market", "Arizona", 3);
+    await agriSupplyChain.connect(inspector).registerParticipant("Food Safety Lab", "Nevada", 4);
+    await agriSupplyChain.connect(owner).approveParticipant(inspector.address);
+    await agriSupplyChain.connect(farmer).createProduct("Tomatoes", "Roma", 1000, "2024-01-15", true, []);
+    await agriSupplyChain.connect(farmer).setStorageProfile(1, 200, 800, 5000, 9000, 3600, ethers.constants.AddressZero);
+    await agriSupplyChain.connect(farmer).createBatch(1, "QR_001", "Farm");
+    await agriSupplyChain.connect(farmer).createBatch(1, "QR_002", "Farm");
+  });
+
+  afterEach(function () {
+    if (fs.existsSync(storePath)) fs.unlinkSync(storePath);
+  });
+
+  it("Should start every participant at the base score", async function () {
+    await indexer.poll();
+
+    const report = computeReputation(store.getEvents(), farmer.address, { now: await chainTime() });
+    expect(report.score).to.equal(100);
+    Object.values(report.factors).forEach(factor => expect(factor.count).to.equal(0));
+  });
+
+  it("Should score custody, quality and sales behaviour from events", async function () {
+    // Both batches sit at the farm for eight days before shipping
+    await network.provider.send("evm_increaseTime", [8 * DAY]);
+    await handOver(1, farmer, distributor, 2);
+    await handOver(2, farmer, distributor, 2);
+
+    // Excursion while the distributor holds batch 1, then a downgrade found on inspection
+    await agriSupplyChain.connect(distributor).recordEnvironmentData(1, 1200, 6500, "Truck", "Reefer failure");
+    await agriSupplyChain.connect(inspector).updateQuality(1, 2, "Bruised on arrival");
+
+    await agriSupplyChain.connect(distributor).createTransaction(1, retailer.address, 100, "sale");
+    const sale = await agriSupplyChain.connect(retailer).completeTransaction(1, { value: 100 });
+    await agriSupplyChain.connect(distributor).createTransaction(2, retailer.address, 100, "sale");
+
+    await indexer.poll();
+    let now = await chainTime();
+    const events = store.getEvents();
+
+    const farmerReport = computeReputation(events, farmer.address, { now });
+    expect(farmerReport.factors.lateHandoffs.count).to.equal(2);
+    expect(farmerReport.factors.qualityDowngrades.count).to.equal(1);
+    expect(farmerReport.factors.qualityDowngrades.evidence[0].batchId).to.equal("1");
+    expect(farmerReport.score).to.equal(100 - 2 * 3 - 10);
+
+    const distributorReport = computeReputation(events, distributor.address, { now });
+    expect(distributorReport.factors.coldChainExcursions.count).to.equal(1);
+    expect(distributorReport.factors.completedTransactions.count).to.equal(1);
+    expect(distributorReport.score).to.equal(100 - 5 + 2);
+
+    const retailerReport = computeReputation(events, retailer.address, { now });
+    expect(retailerReport.factors.completedTransactions.evidence[0].transactionHash).to.equal(sale.hash);
+    expect(retailerReport.factors.abandonedTransactions.count).to.equal(0);
+    expect(retailerReport.score).to.equal(102);
+
+    // The unpaid offer counts against the buyer once it times out
+    await network.provider.send("evm_increaseTime", [8 * DAY]);
+    await network.provider.send("evm_mine");
+    now = await chainTime();
+    expect(computeReputation(events, retailer.address, { now }).score).to.equal(100 + 2 - 5);
+  });
+
+  it("Should charge excursions to the custodian at reading time and count only trusted recorders", async function () {
+    const logger = (await ethers.getSigners())[5];
+    await agriSupplyChain.connect(logger).registerParticipant("Cold Room Logger", "California", 1);
+    await agriSupplyChain.connect(farmer).setStorageProfile(1, 200, 800, 5000, 9000, 3600, logger.address);
+    const atFarm = await chainTime();
+
+    await network.provider.send("evm_increaseTime", [DAY]);
+    await handOver(1, farmer, distributor, 2);
+
+    // The logger's file is uploaded after the handoff, but its reading was taken at the farm
+    await agriSupplyChain.connect(logger).recordEnvironmentDataBatch(1, [atFarm + 3600], [1200], [6500], "Cold Room 2", "");
+    await agriSupplyChain.connect(inspector).recordEnvironmentData(1, 1200, 6500, "Truck", "Spot check");
+    await agriSupplyChain.connect(distributor).recordEnvironmentData(1, 1300, 6500, "Truck", "");
+    // Nobody else's readings count, so a competitor cannot make up excursions
+    await agriSupplyChain.connect(retailer).recordEnvironmentData(1, 1500, 6500, "Truck", "");
+    await agriSupplyChain.connect(inspector).updateQuality(1, 2, "Bruised on arrival");
+
+    await indexer.poll();
+    const now = await chainTime();
+    const events = store.getEvents();
+
+    const farmerReport = computeReputation(events, farmer.address, { now });
+    expect(farmerReport.factors.coldChainExcursions.count).to.equal(1);
+    expect(farmerReport.factors.qualityDowngrades.count).to.equal(1);
+    expect(computeReputation(events, distributor.address, { now }).factors.coldChainExcursions.count).to.equal(2);
+    expect(computeReputation(events, retailer.address, { now }).factors.coldChainExcursions.count).to.equal(0);
+
+    // A downgrade counts only when an inspector made it
+    const byCustodian = events.map(e => e.type === "QualityUpdated" ? { ...e, data: { ...e.data, updatedBy: distributor.address } } : e);
+    expect(computeReputation(byCustodian, farmer.address, { now }).factors.qualityDowngrades.count).to.equal(0);
+  });
+
+  it("Should anchor changed scores on chain and keep manual adjustments", async function () {
+    await agriSupplyChain.connect(farmer).recordEnvironmentData(1, 1200, 6500, "Farm", "");
+    await agriSupplyChain.connect(owner).updateParticipantReputation(distributor.address, 120, "Community award");
+    await indexer.poll();
+
+    const block = await ethers.provider.getBlock("latest");
+    const anchored = await anchorReputations(agriSupplyChain, store, { now: block.timestamp, blockNumber: block.number });
+
+    // Farmer is charged for the excursion while holding the batch; the award carries over
+    expect(anchored.map(a => [a.address, a.previousScore, a.score])).to.deep.equal([
+      [farmer.address, 100, 95]
+    ]);
+    expect((await agriSupplyChain.participants(farmer.address)).reputation).to.equal(95);
+    expect((await agriSupplyChain.participants(distributor.address)).reputation).to.equal(120);
+
+    await indexer.poll();
+    const anchorEvent = store.getEvents().filter(e => e.type === "ReputationUpdated").pop();
+    expect(anchorEvent.data.reason.startsWith(AUTOMATIC_REASON_PREFIX)).to.equal(true);
+    expect(computeReputation(store.getEvents(), farmer.address, { now: block.timestamp }).factors.adminAdjustments.count).to.equal(0);
+
+    // Nothing changed since, so nothing more to anchor
+    expect(await anchorReputations(agriSupplyChain, store, { now: block.timestamp, blockNumber: block.number })).to.deep.equal([]);
+  });
+});
@@ -0,0 +1,144 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { readingLeaf, buildTree, getProof, verifyProof, createSensorLog, anchorSensorLogs, buildReadingProof } = require("../lib/sensorlog");
+
+describe("Off-chain Sensor Logs", function () {
+  let agriSupplyChain, registry, log, logDir;
+  let owner, farmer, distributor, outsider;
+
+  const readings = [
+    { timestamp: 1717228800, temperature: 4.5, humidity: 65, location: "Cold Room 2" },
+    { timestamp: 1717228860, temperature: 4.6, humidity: 65.5, location: "Cold Room 2" },
+    { timestamp: 1717228920, temperature: -1.25, humidity: 64, location: "Cold Room 2" },
+    { timestamp: 1717228980, temperature: 4.4, humidity: 66, location: "Truck 7" },
+    { timestamp: 1717229040, temperature: 4.5, humidity: 66, location: "Truck 7" }
+  ];
+
+  beforeEach(async function () {
+    [owner, farmer, distributor, outsider] = await ethers.getSigners();
+
+    const AgriSupplyChain = await ethers.getContractFactory("AgriSupplyChain");
+    agriSupplyChain = await AgriSupplyChain.deploy(ethers.constants.AddressZero);
+    await agriSupplyChain.deployed();
+
+    const AgriSensorLogs = await ethers.getContractFactory("AgriSensorLogs");
+    registry = await AgriSensorLogs.deploy(agriSupplyChain.address);
+    await registry.deployed();
+
+    await agriSupplyChain.connect(farmer).registerParticipant("Green Valley Farm", "California", 0);
+    await agriSupplyChain.connect(distributor).registerParticipant("Fresh Distribution", "Texas", 1);
+    await agriSupplyChain.connect(outsider).registerParticipant("Other Farm", "Oregon", 0);
+
+    await agriSupplyChain.connect(farmer).createProduct("Tomatoes", "Roma", 1000, "2024-01-15", true, []);
+    await agriSupplyChain.connect(farmer).createBatch(1, "QR_001", "Farm Storage A");
+
+    logDir = fs.mkdtempSync(path.join(os.tmpdir(), "agri-sensor-log-"));
+    log = createSensorLog(path.join(logDir, "sensor-log.json"));
+    log.open(registry.address);
+  });
+
+  afterEach(function () {
+    fs.rmSync(logDir, { recursive: true, force: true });
+  });
+
+  it("Should let the operator and the batch's custodians anchor roots", async function () {
+    const root = ethers.utils.id("root");
+
+    await expect(registry.connect(owner).anchorRoot(1, root, 100, 200, 5))
+      .to.emit(registry, "LogRootAnchored")
+      .withArgs(1, 0, root, 5, owner.address);
+    await registry.connect(farmer).anchorRoot(1, root, 200, 300, 2);
+
+    const anchor = await registry.getAnchor(1, 1);
+    expect(anchor.anchoredBy).to.equal(farmer.address);
+    expect(anchor.readingCount).to.equal(2);
+    expect(await registry.getAnchorCount(1)).to.equal(2);
+
+    await expect(registry.connect(outsider).anchorRoot(1, root, 100, 200, 5)).to.be.revertedWith("Not authorized for this batch");
+    await expect(registry.connect(owner).anchorRoot(2, root, 100, 200, 5)).to.be.revertedWith("Invalid batch ID");
+    await expect(registry.connect(owner).anchorRoot(1, ethers.constants.HashZero, 100, 200, 5)).to.be.revertedWith("Root cannot be empty");
+    await expect(registry.connect(owner).anchorRoot(1, root, 300, 200, 5)).to.be.revertedWith("Invalid time range");
+
+    // The farmer keeps access after handing the batch on
+    await agriSupplyChain.connect(farmer).proposeHandoff(1, distributor.address, 2, "Distribution Center");
+    await agriSupplyChain.connect(distributor).acceptHandoff(1, 0, "");
+    await registry.connect(distributor).anchorRoot(1, root, 300, 400, 1);
+    await registry.connect(farmer).anchorRoot(1, root, 400, 500, 1);
+
+    await agriSupplyChain.connect(owner).pause();
+    await expect(registry.connect(owner).anchorRoot(1, root, 500, 600, 1)).to.be.revertedWith("Pausable: paused");
+  });
+
+  it("Should build sorted-pair Merkle proofs that the registry accepts", async function () {
+    const stored = readings.map((reading, id) => ({ ...reading, id, recorder: farmer.address }));
+    const leaves = stored.map(reading => readingLeaf(1, reading));
+
+    expect(leaves[2]).to.equal(await registry.readingLeaf(1, 2, 1717228920, -125, 6400, farmer.address, "Cold Room 2"));
+
+    const layers = buildTree(leaves);
+    const root = layers[layers.length - 1][0];
+    await registry.anchorRoot(1, root, 1717228800, 1717229040, leaves.length);
+
+    for (let i = 0; i < leaves.length; i++) {
+      const proof = getProof(layers, i);
+      expect(verifyProof(root, leaves[i], proof)).to.equal(true);
+      expect(await registry.verifyReading(1, 0, leaves[i], proof)).to.equal(true);
+    }
+
+    // A changed reading no longer matches the root
+    const forged = readingLeaf(1, { ...stored[1], temperature: 9.5 });
+    expect(verifyProof(root, forged, getProof(layers, 1))).to.equal(false);
+    expect(await registry.verifyReading(1, 0, forged, getProof(layers, 1))).to.equal(false);
+
+    // A single reading is its own root
+    expect(buildTree([leaves[0]])).to.deep.equal([[leaves[0]]]);
+    expect(getProof(buildTree([leaves[0]]), 0)).to.deep.equal([]);
+  });
+
+  it("Should anchor pending readings per period and prove each against its anchor", async function () {
+    log.append(1, readings.slice(0, 3), farmer.address);
+
+    const first = await anchorSensorLogs(registry, log);
+    expect(first.failed).to.deep.equal([]);
+    expect(first.anchored).to.have.length(1);
+    expect(first.anchored[0]).to.include({ batchId: "1", index: 0, firstId: 0, lastId: 2, readingCount: 3 });
+
+    const onChain = await registry.getAnchor(1, 0);
+    expect(onChain.root).to.equal(first.anchored[0].root);
+    expect(onChain.fromTimestamp).to.equal(1717228800);
+    expect(onChain.toTimestamp).to.equal(1717228920);
+
+    log.append(1, readings.slice(3), distributor.address);
+    expect(log.getPending(1).map(reading => reading.id)).to.deep.equal([3, 4]);
+    expect(buildReadingProof(log, 1, 4)).to.equal(null);
+
+    expect((await anchorSensorLogs(registry, log)).anchored[0]).to.include({ index: 1, firstId: 3, lastId: 4 });
+    expect(log.pendingBatchIds()).to.deep.equal([]);
+
+    const inclusion = buildReadingProof(log, 1, 4);
+    expect(inclusion.anchor.index).to.equal(1);
+    expect(await registry.verifyReading(1, 1, inclusion.leaf, inclusion.proof)).to.equal(true);
+    expect(await registry.verifyReading(1, 0, inclusion.leaf, inclusion.proof)).to.equal(false);
+
+    // Readings survive a restart, while a log kept for another registry is moved aside
+    const reopened = createSensorLog(path.join(logDir, "sensor-log.json"));
+    reopened.open(registry.address);
+    expect(reopened.getReadings(1)).to.have.length(5);
+    expect(reopened.findAnchor(1, 2).index).to.equal(0);
+
+    reopened.open(outsider.address);
+    expect(reopened.getReadings(1)).to.deep.equal([]);
+    expect(fs.existsSync(path.join(logDir, `sensor-log.json.${registry.address.toLowerCase()}`))).to.equal(true);
+
+    // Batches the server may not anchor keep their readings pending
+    await agriSupplyChain.connect(owner).pause();
+    log.append(1, readings.slice(0, 1), farmer.address);
+    const paused = await anchorSensorLogs(registry, log);
+    expect(paused.anchored).to.deep.equal([]);
+    expect(paused.failed[0]).to.include({ batchId: "1", readingCount: 1 });
+    expect(log.getPending(1)).to.have.length(1);
+  });
+});
@@ -0,0 +1,108 @@
+const { expect } = require("chai");
+const { renderTracePage, renderTraceMessage } = require("../lib/trace");
+
+describe("Consumer Trace Page", function () {
+  const farmer = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+  const distributor = "0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC";
+  const participants = {
+    [farmer]: { name: "Green Valley Farm", location: "California", role: 0, reputation: "120" },
+    [distributor]: { name: "Fresh Distribution", location: "Texas", role: 2, reputation: "100" }
+  };
+
+  const trace = (overrides = {}) => ({
+    batchId: "1",
+    qrCode: "QR_001",
+    recalled: false,
+    recall: null,
+    quality: { grade: 1, gradeName: "Premium", source: "inspection" },
+    product: {
+      productId: "1",
+      name: "Tomatoes",
+      variety: "Roma",
+      quantity: "1000",
+      harvestDate: "2024-01-15",
+      farmer,
+      isOrganic: true,
+      certifications: ["USDA Organic", "Fair Trade"],
+      attestations: [{
+        standard: "USDA Organic",
+        scope: "Field 4",
+        organic: true,
+        issuer: { address: distributor, name: "CertCo" },
+        expiresAt: "2030-01-01T00:00:00.000Z",
+        status: "valid"
+      }],
+      organicClaim: { claimed: true, status: "verified" }
+    },
+    currentStage: 2,
+    currentOwner: distributor,
+    currentLocation: "Distribution Center",
+    noteCount: 0,
+    environmentRecordCount: "0",
+    history: {
+      owners: [farmer, distributor],
+      locations: ["Farm Storage A", "Distribution Center"],
+      timestamps: ["1717228800", "1717315200"]
+    },
+    ...overrides
+  });
+
+  it("Should render the product story, farmer, journey and certifications as a standalone page", function () {
+    const html = renderTracePage({ trace: trace(), participants, environment: null });
+
+    expect(html).to.match(/^<!DOCTYPE html>/);
+    expect(html).to.include('<meta name="viewport" content="width=device-width, initial-scale=1">');
+    expect(html).to.not.include("<script");
+    expect(html).to.include("harvested on 2024-01-15 by Green Valley Farm in California");
+    expect(html).to.include("Received by Fresh Distribution</strong> <span class=\"muted\">(Distributor)</span>");
+    expect(html).to.include("2 Jun 2024");
+    expect(html).to.include("Certified organic");
+    // Claims without an attestation are marked as the farmer's own
+    expect(html).to.include("Fair Trade <span class=\"badge warn\">self-declared</span>");
+    expect(html).to.include("No temperature or humidity readings");
+    expect(html).to.not.include("recalled");
+  });
+
+  it("Should show a recall banner and the storage summary against the profile", function () {
+    const recall = { scope: "product", targetId: "1", severity: "High", reason: "Listeria detected", issuedBy: farmer, issuedAt: "2024-06-03T00:00:00.000Z" };
+    const environment = {
+      profile: { minTemperature: 2, maxTemperature: 8, minHumidity: 50, maxHumidity: 90, maxExcursionDuration: 1800 },
+      readingCount: 12,
+      temperature: { min: 3.5, max: 9.2, mean: 5.1 },
+      humidity: { min: 60, max: 70, mean: 65 },
+      meanKineticTemperature: 5.4,
+      timeOutOfRange: { temperatureHighSeconds: 1200, temperatureLowSeconds: 0, humidityHighSeconds: 0, humidityLowSeconds: 0, totalSeconds: 1200 }
+    };
+    const html = renderTracePage({ trace: trace({ recalled: true, recall }), participants, environment });
+
+    expect(html.indexOf("This product has been recalled")).to.be.below(html.indexOf("<header>"));
+    expect(html).to.include("Listeria detected");
+    expect(html).to.include("Outside storage limits for 20 min");
+    expect(html).to.include("3.5 to 9.2 °C (average 5.1 °C)");
+    expect(html).to.include("<dt>Required</dt><dd>2 to 8 °C</dd>");
+
+    const kept = renderTracePage({ trace: trace(), participants, environment: { ...environment, timeOutOfRange: { ...environment.timeOutOfRange, totalSeconds: 0 } } });
+    expect(kept).to.include("Kept within storage limits");
+  });
+
+  it("Should escape on-chain text and fall back to addresses for unknown holders", function () {
+    const unknown = "0x90F79bf6EB2c4f870365E785982E1f161e6b1b10";
+    const html = renderTracePage({
+      trace: trace({
+        currentLocation: "<script>alert(1)</script>",
+        history: { owners: [farmer, unknown], locations: ["Farm & Co", "Shop"], timestamps: ["1717228800", "1717315200"] }
+      }),
+      participants,
+      environment: null
+    });
+
+    expect(html).to.not.include("<script>");
+    expect(html).to.include("&lt;script&gt;alert(1)&lt;/script&gt;");
+    expect(html).to.include("Farm &amp; Co");
+    expect(html).to.include("Received by 0x90F7…1b10");
+
+    const message = renderTraceMessage("Product not found", "No batch carries \"QR_X\"");
+    expect(message).to.include("<h2>Product not found</h2>");
+    expect(message).to.include("No batch carries &quot;QR_X&quot;");
+  });
+});